@@ -276,6 +276,10 @@ module.exports = function configureGrunt(grunt) {
           if (process.env.PIPELINE) {
             src.push(`!./packages/<%= package %>/test/unit/spec/**/*.js`);
           }
+          if (process.env.HTTP_FIXTURES) {
+            // registers the root hooks that record or replay the run
+            src.unshift(`./packages/test-helper-mocha/src/fixtures.js`);
+          }
           return src;
         }())
       },
@@ -8,6 +8,8 @@
 
 import '@ciscospark/plugin-phone';
 import '@ciscospark/plugin-logger';
+import '@ciscospark/plugin-conversation';
+import '@ciscospark/plugin-mercury';
 
 import {defaults, get, has, set} from 'lodash';
 import CiscoSpark, {children, registerPlugin} from '@ciscospark/spark-core';
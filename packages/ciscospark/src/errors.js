@@ -0,0 +1,45 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {Exception} from '@ciscospark/common';
+
+/**
+ * General error thrown while receiving a webhook
+ */
+export class WebhookError extends Exception {
+  static defaultMessage = `Failed to receive webhook`;
+
+  /**
+   * @param {string} message
+   * @returns {string}
+   */
+  parse(message) {
+    return message;
+  }
+}
+
+/**
+ * Thrown when a webhook request's body cannot be parsed into a webhook
+ * envelope
+ */
+export class WebhookParseError extends WebhookError {
+  static defaultMessage = `Could not parse webhook envelope`;
+}
+
+/**
+ * Thrown when a webhook request's `X-Spark-Signature` header does not match
+ * the HMAC of its body
+ */
+export class WebhookSignatureError extends WebhookError {
+  static defaultMessage = `Webhook signature verification failed`;
+}
+
+/**
+ * Thrown when a webhook request's body exceeds the receiver's `maxBodySize`
+ */
+export class WebhookPayloadTooLargeError extends WebhookError {
+  static defaultMessage = `Webhook body exceeds the maximum allowed size`;
+}
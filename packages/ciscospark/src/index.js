@@ -8,3 +8,5 @@
 // exports
 export {default as default} from './ciscospark';
 export {default as config} from './config';
+export {default as WebhookReceiver} from './webhook-receiver';
+export {WebhookError, WebhookParseError, WebhookPayloadTooLargeError, WebhookSignatureError} from './errors';
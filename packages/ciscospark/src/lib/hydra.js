@@ -0,0 +1,30 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {base64} from '@ciscospark/common';
+
+/**
+ * Converts a conversation service uuid into a public API id
+ * @param {string} type one of `MESSAGE`, `MEMBERSHIP`, `PEOPLE`, or `ROOM`
+ * @param {string} uuid
+ * @returns {string}
+ */
+export function hydraId(type, uuid) {
+  return base64.encode(`ciscospark://us/${type}/${uuid}`);
+}
+
+/**
+ * Determines the public API room type of a conversation
+ * @param {Object} conversation
+ * @returns {string}
+ */
+export function roomType(conversation) {
+  if (conversation && conversation.tags && conversation.tags.includes(`ONE_ON_ONE`)) {
+    return `direct`;
+  }
+
+  return `group`;
+}
@@ -0,0 +1,106 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {hydraId} from './hydra';
+
+const listeners = new WeakMap();
+
+/**
+ * Lets {@link Messages}, {@link Memberships} and {@link Rooms} emit the same
+ * `created`, `updated`, and `deleted` events webhooks would deliver, derived
+ * from the Mercury `event:conversation.activity` stream. Plugins using this
+ * mixin must define `resource` and `_translateActivity(activity)`, which
+ * returns `{event, data}` or `undefined` if the activity is irrelevant.
+ *
+ * Activities arrive already decrypted because the conversation plugin's
+ * inbound transforms run before Mercury emits them.
+ * @mixin Listenable
+ */
+export default {
+  /**
+   * Connects to Mercury (if needed) and begins emitting events as the current
+   * user's rooms change: `created` and `deleted` for messages; `created`,
+   * `updated`, and `deleted` for memberships; `created` and `updated` for
+   * rooms. Each event has the same shape as the corresponding webhook, but no
+   * public endpoint is needed. Stop emitting events with `unlisten()`.
+   * @instance
+   * @memberof Listenable
+   * @returns {Promise}
+   * @example
+   * var ciscospark = require('../..');
+   * ciscospark.messages.listen()
+   *   .then(function() {
+   *     ciscospark.messages.on('created', function(event) {
+   *       console.log(event.data.id);
+   *     });
+   *     ciscospark.messages.unlisten();
+   *     return ciscospark.mercury.disconnect();
+   *   })
+   *   .then(function() {
+   *     return 'success';
+   *   });
+   *   // => success
+   */
+  listen() {
+    return this.spark.mercury.connect()
+      .then(() => {
+        // avoid double-emitting if listen() is called more than once
+        if (listeners.has(this)) {
+          return;
+        }
+
+        const listener = (envelope) => this._onActivityEvent(envelope);
+        listeners.set(this, listener);
+        this.listenTo(this.spark.mercury, `event:conversation.activity`, listener);
+      });
+  },
+
+  /**
+   * Stops emitting the events enabled by `listen()`. Leaves Mercury connected
+   * (other plugins may be using it) and leaves event handlers registered with
+   * `on()` in place, so calling `listen()` again resumes delivering events to
+   * them.
+   * @instance
+   * @memberof Listenable
+   * @returns {undefined}
+   */
+  unlisten() {
+    const listener = listeners.get(this);
+    if (listener) {
+      listeners.delete(this);
+      this.stopListening(this.spark.mercury, `event:conversation.activity`, listener);
+    }
+  },
+
+  /**
+   * Translates an incoming activity and, if relevant, emits it
+   * @param {Types~MercuryEvent} envelope
+   * @private
+   * @returns {undefined}
+   */
+  _onActivityEvent(envelope) {
+    const activity = envelope.data.activity;
+    let result;
+    try {
+      result = this._translateActivity(activity);
+    }
+    catch (error) {
+      this.logger.warn(`${this.resource}: failed to translate activity ${activity.id}`, error);
+      return;
+    }
+
+    if (!result) {
+      return;
+    }
+
+    this.trigger(result.event, {
+      resource: this.resource,
+      event: result.event,
+      actorId: activity.actor && hydraId(`PEOPLE`, activity.actor.id),
+      data: result.data
+    });
+  }
+};
@@ -0,0 +1,27 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {omit} from 'lodash';
+
+/**
+ * Sends `options` as the query string of `requestOptions`, except for
+ * `options.signal`, which applies to the request itself
+ * @param {Object} requestOptions
+ * @param {Object} options
+ * @returns {Object} `requestOptions`
+ */
+export default function withQuery(requestOptions, options) {
+  if (options && options.signal) {
+    return Object.assign(requestOptions, {
+      qs: omit(options, `signal`),
+      signal: options.signal
+    });
+  }
+
+  return Object.assign(requestOptions, {
+    qs: options
+  });
+}
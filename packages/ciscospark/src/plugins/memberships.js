@@ -5,6 +5,21 @@
  */
 
 import {SparkPlugin, Page} from '@ciscospark/spark-core';
+import withQuery from '../lib/query';
+import {hydraId} from '../lib/hydra';
+import listenable from '../lib/listenable';
+
+/**
+ * Maps conversation activity verbs to membership event names
+ * @private
+ * @type {Object}
+ */
+const membershipEvents = {
+  add: `created`,
+  assignModerator: `updated`,
+  leave: `deleted`,
+  unassignModerator: `updated`
+};
 
 /**
  * @typedef {Object} Types~Membership
@@ -20,8 +35,11 @@ import {SparkPlugin, Page} from '@ciscospark/spark-core';
 /**
  * @class
  * @extends SparkPlugin
+ * @mixes Listenable
  */
-const Memberships = SparkPlugin.extend({
+const Memberships = SparkPlugin.extend(Object.assign({}, listenable, {
+  resource: `memberships`,
+
   /**
    * Adds a person to a room. The person can be added by ID (personId) or by
    * Email Address (personEmail). The person can be optionally added to the room
@@ -108,6 +126,7 @@ const Memberships = SparkPlugin.extend({
    * @param {string} options.personEmail
    * @param {string} options.roomId
    * @param {number} options.max
+   * @param {AbortSignal} options.signal aborts the request
    * @returns {Promise<Page<Types~Membership>>}
    * @example
    * var ciscospark = require('../..');
@@ -134,10 +153,9 @@ const Memberships = SparkPlugin.extend({
    *   // => success
    */
   list(options) {
-    return this.request({
-      uri: `${this.config.hydraServiceUrl}/memberships`,
-      qs: options
-    })
+    return this.request(withQuery({
+      uri: `${this.config.hydraServiceUrl}/memberships`
+    }, options))
       .then((res) => new Page(res, this.spark));
   },
 
@@ -233,7 +251,41 @@ const Memberships = SparkPlugin.extend({
       body: membership
     })
       .then((res) => res.body);
+  },
+
+  /**
+   * Converts a conversation activity into a membership event
+   * @param {Object} activity
+   * @private
+   * @returns {Object}
+   */
+  _translateActivity(activity) {
+    const {object, target} = activity;
+    if (!object || object.objectType !== `person`) {
+      return undefined;
+    }
+
+    const event = membershipEvents[activity.verb];
+    if (!event) {
+      return undefined;
+    }
+
+    const data = {
+      id: hydraId(`MEMBERSHIP`, `${object.id}:${target.id}`),
+      roomId: hydraId(`ROOM`, target.id),
+      personId: hydraId(`PEOPLE`, object.id),
+      personEmail: object.emailAddress,
+      personDisplayName: object.displayName,
+      isModerator: activity.verb === `assignModerator`,
+      isMonitor: false,
+      created: activity.published
+    };
+
+    return {
+      event,
+      data
+    };
   }
-});
+}));
 
 export default Memberships;
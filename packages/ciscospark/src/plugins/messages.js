@@ -5,7 +5,10 @@
  */
 
 import {SparkPlugin, Page} from '@ciscospark/spark-core';
-import {isArray} from 'lodash';
+import withQuery from '../lib/query';
+import {isArray, isUndefined, omitBy} from 'lodash';
+import {hydraId, roomType} from '../lib/hydra';
+import listenable from '../lib/listenable';
 
 /**
  * @typedef {Object} Types~Message
@@ -25,8 +28,11 @@ import {isArray} from 'lodash';
  * {@link Message Attachments Guide} for a list of supported media types.
  * @class
  * @extends SparkPlugin
+ * @mixes Listenable
  */
-const Messages = SparkPlugin.extend({
+const Messages = SparkPlugin.extend(Object.assign({}, listenable, {
+  resource: `messages`,
+
   /**
    * Post a new message and/or media content into a room.
    * @instance
@@ -119,6 +125,7 @@ const Messages = SparkPlugin.extend({
    * @param {Object} options
    * @param {string} options.roomId
    * @param {number} options.max
+   * @param {AbortSignal} options.signal aborts the request
    * @returns {Promise<Page<Types~Message>>}
    * @example
    * var ciscospark = require('../..');
@@ -152,10 +159,9 @@ const Messages = SparkPlugin.extend({
    *   // => success
    */
   list(options) {
-    return this.request({
-      uri: `${this.config.hydraServiceUrl}/messages`,
-      qs: options
-    })
+    return this.request(withQuery({
+      uri: `${this.config.hydraServiceUrl}/messages`
+    }, options))
       .then((res) => new Page(res, this.spark));
   },
 
@@ -215,7 +221,47 @@ const Messages = SparkPlugin.extend({
         }
         return res.body;
       });
+  },
+
+  /**
+   * Converts a conversation activity into a message event
+   * @param {Object} activity
+   * @private
+   * @returns {Object}
+   */
+  _translateActivity(activity) {
+    const {actor, object, target} = activity;
+    const isCreate = activity.verb === `post` || activity.verb === `share`;
+    const isDelete = activity.verb === `delete` && object && object.objectType === `activity`;
+    if (!isCreate && !isDelete) {
+      return undefined;
+    }
+
+    const data = {
+      id: hydraId(`MESSAGE`, isCreate ? activity.id : object.id),
+      roomId: hydraId(`ROOM`, target.id),
+      roomType: roomType(target),
+      personId: hydraId(`PEOPLE`, actor.id),
+      personEmail: actor.emailAddress,
+      created: activity.published
+    };
+
+    if (isDelete) {
+      return {
+        event: `deleted`,
+        data
+      };
+    }
+
+    return {
+      event: `created`,
+      data: Object.assign(data, omitBy({
+        text: object.displayName,
+        html: object.content,
+        files: object.files && object.files.items.map((item) => item.url)
+      }, isUndefined))
+    };
   }
-});
+}));
 
 export default Messages;
@@ -5,6 +5,7 @@
  */
 
 import {SparkPlugin, Page} from '@ciscospark/spark-core';
+import withQuery from '../lib/query';
 
 /**
  * @typedef {Object} Types~Person
@@ -65,6 +66,7 @@ const People = SparkPlugin.extend({
    * @param {Object} options
    * @param {email} options.email - Returns people with an email that contains this string
    * @param {string} options.name - Returns people with a name that contains this string
+   * @param {AbortSignal} options.signal aborts the request
    * @returns {Promise<Page<Types~Person>>}
    * @example
    * var ciscospark = require('../..');
@@ -99,10 +101,9 @@ const People = SparkPlugin.extend({
    *   // => success
    */
   list(options) {
-    return this.request({
-      uri: `${this.config.hydraServiceUrl}/people`,
-      qs: options
-    })
+    return this.request(withQuery({
+      uri: `${this.config.hydraServiceUrl}/people`
+    }, options))
       .then((res) => new Page(res, this.spark));
   }
 });
@@ -1,4 +1,17 @@
 import {SparkPlugin, Page} from '@ciscospark/spark-core';
+import withQuery from '../lib/query';
+import {hydraId, roomType} from '../lib/hydra';
+import listenable from '../lib/listenable';
+
+/**
+ * Maps conversation activity verbs to room event names
+ * @private
+ * @type {Object}
+ */
+const roomEvents = {
+  create: `created`,
+  update: `updated`
+};
 
 /**
  * @typedef {Object} Types~Room
@@ -18,8 +31,11 @@ import {SparkPlugin, Page} from '@ciscospark/spark-core';
  * content.
  * @class
  * @extends SparkPlugin
+ * @mixes Listenable
  */
-const Rooms = SparkPlugin.extend({
+const Rooms = SparkPlugin.extend(Object.assign({}, listenable, {
+  resource: `rooms`,
+
   /**
    * Creates a new room. The authenticated user is automatically added as a
    * member of the room. See the @{link Memberships} to learn how to add more
@@ -57,6 +73,7 @@ const Rooms = SparkPlugin.extend({
    * @memberof Rooms
    * @param {Types~Room|string} room
    * @param {Object} options
+   * @param {AbortSignal} options.signal aborts the request
    * @returns {Promise<Types~Room>}
    * @example
    * var ciscospark = require('../..');
@@ -76,10 +93,9 @@ const Rooms = SparkPlugin.extend({
   get(room, options) {
     const id = room.id || room;
 
-    return this.request({
-      uri: `${this.config.hydraServiceUrl}/rooms/${id}`,
-      qs: options
-    })
+    return this.request(withQuery({
+      uri: `${this.config.hydraServiceUrl}/rooms/${id}`
+    }, options))
       .then((res) => res.body.items || res.body);
   },
 
@@ -91,6 +107,7 @@ const Rooms = SparkPlugin.extend({
    * @param {Object} options
    * @param {Object} options.max Limit the maximum number of rooms in the
    * response.
+   * @param {AbortSignal} options.signal aborts the request
    * @returns {Promise<Page<Types~Room>>}
    * @example
    * var ciscospark = require('../..');
@@ -117,10 +134,9 @@ const Rooms = SparkPlugin.extend({
    *   // => success
    */
   list(options) {
-    return this.request({
-      uri: `${this.config.hydraServiceUrl}/rooms/`,
-      qs: options
-    })
+    return this.request(withQuery({
+      uri: `${this.config.hydraServiceUrl}/rooms/`
+    }, options))
       .then((res) => new Page(res, this.spark));
   },
 
@@ -201,7 +217,47 @@ const Rooms = SparkPlugin.extend({
       body: room
     })
       .then((res) => res.body);
+  },
+
+  /**
+   * Converts a conversation activity into a room event
+   * @param {Object} activity
+   * @private
+   * @returns {Object}
+   */
+  _translateActivity(activity) {
+    const {actor, object, target} = activity;
+    if (!object || object.objectType !== `conversation`) {
+      return undefined;
+    }
+
+    const event = roomEvents[activity.verb];
+    if (!event) {
+      return undefined;
+    }
+
+    const conversation = Object.assign({}, target, object);
+    const data = {
+      id: hydraId(`ROOM`, conversation.id),
+      type: roomType(conversation),
+      isLocked: Boolean(conversation.tags && conversation.tags.includes(`LOCKED`)),
+      lastActivity: activity.published
+    };
+
+    if (conversation.displayName) {
+      data.title = conversation.displayName;
+    }
+
+    if (event === `created`) {
+      data.created = activity.published;
+      data.creatorId = hydraId(`PEOPLE`, actor.id);
+    }
+
+    return {
+      event,
+      data
+    };
   }
-});
+}));
 
 export default Rooms;
@@ -5,6 +5,7 @@
  */
 
 import {SparkPlugin, Page} from '@ciscospark/spark-core';
+import withQuery from '../lib/query';
 
 /**
  * @typedef {Object} Types~TeamMembership
@@ -106,6 +107,7 @@ const TeamMemberships = SparkPlugin.extend({
    * @memberof TeamMemberships
    * @param {Object} options
    * @param {string} options.max
+   * @param {AbortSignal} options.signal aborts the request
    * @returns {[type]}
    * @example
    * var ciscospark = require('../..');
@@ -132,10 +134,9 @@ const TeamMemberships = SparkPlugin.extend({
    *   // => success
    */
   list(options) {
-    return this.request({
-      uri: `${this.config.hydraServiceUrl}/team/memberships`,
-      qs: options
-    })
+    return this.request(withQuery({
+      uri: `${this.config.hydraServiceUrl}/team/memberships`
+    }, options))
       .then((res) => new Page(res, this.spark));
   },
 
@@ -5,6 +5,7 @@
  */
 
 import {SparkPlugin, Page} from '@ciscospark/spark-core';
+import withQuery from '../lib/query';
 
 /**
  * @typedef {Object} Types~Team
@@ -51,6 +52,7 @@ const Teams = SparkPlugin.extend({
    * @instance
    * @param {Types~Team|string} team
    * @param {object} options
+   * @param {AbortSignal} options.signal aborts the request
    * @returns {Promise<Types~Team>}
    * @memberof Teams
    * @example
@@ -71,10 +73,9 @@ const Teams = SparkPlugin.extend({
   get(team, options) {
     const id = team.id || team;
 
-    return this.request({
-      uri: `${this.config.hydraServiceUrl}/teams/${id}`,
-      qs: options
-    })
+    return this.request(withQuery({
+      uri: `${this.config.hydraServiceUrl}/teams/${id}`
+    }, options))
       .then((res) => res.body.items || res.body);
   },
 
@@ -84,6 +85,7 @@ const Teams = SparkPlugin.extend({
    * @param {object} options
    * @param {object} options.max Limit the maximum number of teams in the
    * response.
+   * @param {AbortSignal} options.signal aborts the request
    * @returns {Promise<Page<Types~Team>>}
    * @memberof Teams
    * @example
@@ -111,10 +113,9 @@ const Teams = SparkPlugin.extend({
    *   // => success
    */
   list(options) {
-    return this.request({
-      uri: `${this.config.hydraServiceUrl}/teams/`,
-      qs: options
-    })
+    return this.request(withQuery({
+      uri: `${this.config.hydraServiceUrl}/teams/`
+    }, options))
       .then((res) => new Page(res, this.spark));
   },
 
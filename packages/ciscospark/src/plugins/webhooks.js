@@ -5,6 +5,8 @@
  */
 
 import {SparkPlugin, Page} from '@ciscospark/spark-core';
+import withQuery from '../lib/query';
+import WebhookReceiver from '../webhook-receiver';
 
 /**
  * @typedef {Object} Types~Webhook
@@ -62,6 +64,48 @@ const Webhooks = SparkPlugin.extend({
       .then((res) => res.body);
   },
 
+  /**
+   * Creates a {@link WebhookReceiver} that verifies, hydrates, and emits the
+   * webhooks Cisco Spark delivers to your server. Only available in NodeJS.
+   * @instance
+   * @memberof Webhooks
+   * @param {Object} options
+   * @param {string} options.secret the `secret` with which your webhooks were
+   * created
+   * @param {boolean} options.insecure set to true to receive webhooks without
+   * a `secret` (and therefore without verifying their signatures) and without
+   * logging a warning about it
+   * @param {boolean} options.hydrate set to false to skip fetching the
+   * message, membership, or room referenced by each webhook
+   * @param {number} options.maxBodySize the largest request body, in bytes,
+   * to accept (default 1MiB)
+   * @returns {WebhookReceiver}
+   * @example
+   * var ciscospark = require('../..');
+   * var crypto = require('crypto');
+   * var receiver = ciscospark.webhooks.createReceiver({
+   *   secret: 'a secret',
+   *   hydrate: false
+   * });
+   * var body = JSON.stringify({
+   *   resource: 'messages',
+   *   event: 'created',
+   *   data: {id: 'fake message id'}
+   * });
+   * var signature = crypto.createHmac('sha1', 'a secret').update(body).digest('hex');
+   * receiver.receive({'x-spark-signature': signature}, body)
+   *   .then(function(event) {
+   *     var assert = require('assert');
+   *     assert.equal(event.resource, 'messages');
+   *     assert.equal(event.event, 'created');
+   *     return 'success';
+   *   });
+   *   // => success
+   */
+  createReceiver(options) {
+    return new WebhookReceiver(Object.assign({spark: this.spark}, options));
+  },
+
   /**
    * Shows details for a webhook.
    * @instance
@@ -107,6 +151,7 @@ const Webhooks = SparkPlugin.extend({
    * @memberof Webhooks
    * @param {Object} options
    * @param {integer} options.max Limit the maximum number of webhooks in the response.
+   * @param {AbortSignal} options.signal aborts the request
    * @returns {Promise<Webhook>}
    * @example
    * var ciscospark = require('../..');
@@ -136,10 +181,9 @@ const Webhooks = SparkPlugin.extend({
    *   // => success
    */
   list(options) {
-    return this.request({
-      uri: `${this.config.hydraServiceUrl}/webhooks/`,
-      qs: options
-    })
+    return this.request(withQuery({
+      uri: `${this.config.hydraServiceUrl}/webhooks/`
+    }, options))
       .then((res) => new Page(res, this.spark));
   },
 
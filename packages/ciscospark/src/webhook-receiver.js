@@ -0,0 +1,345 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {createHmac, timingSafeEqual} from 'crypto';
+import {EventEmitter} from 'events';
+import {find, has, isObject, isString} from 'lodash';
+import {WebhookParseError, WebhookPayloadTooLargeError, WebhookSignatureError} from './errors';
+
+/**
+ * @typedef {Object} Types~WebhookEvent
+ * @property {string} id - The unique ID of the webhook that fired.
+ * @property {string} name - The webhook's name.
+ * @property {string} resource - The resource type (e.g. `messages`).
+ * @property {string} event - The event type (e.g. `created`).
+ * @property {string} actorId - The ID of the person that caused the event.
+ * @property {Object} data - The hydrated resource (or, for `deleted` events or
+ * when hydration is disabled, the data exactly as Spark sent it).
+ */
+
+/**
+ * Maps webhook resource types to the plugin capable of fetching them
+ * @private
+ * @type {Object}
+ */
+const hydrators = {
+  memberships: `memberships`,
+  messages: `messages`,
+  rooms: `rooms`
+};
+
+/**
+ * Default value of the `maxBodySize` option. Spark's webhook envelopes are a
+ * few kilobytes at most.
+ * @private
+ * @type {number}
+ */
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Reads the entire body of an IncomingMessage, giving up as soon as it (or its
+ * `content-length`) exceeds `limit` bytes
+ * @param {http.IncomingMessage} req
+ * @param {number} limit
+ * @private
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const contentLength = parseInt(req.headers && req.headers[`content-length`], 10);
+    if (contentLength > limit) {
+      reject(new WebhookPayloadTooLargeError());
+      return;
+    }
+
+    const chunks = [];
+    let length = 0;
+    req.on(`data`, function onData(chunk) {
+      chunk = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      length += chunk.length;
+      if (length > limit) {
+        // Stop buffering but keep draining the stream so the response can
+        // still be delivered
+        req.removeListener(`data`, onData);
+        reject(new WebhookPayloadTooLargeError());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on(`end`, () => resolve(Buffer.concat(chunks)));
+    req.on(`error`, reject);
+  });
+}
+
+/**
+ * Determines the http status code with which to respond to a failed webhook
+ * @param {Error} reason
+ * @private
+ * @returns {number}
+ */
+function statusCodeFor(reason) {
+  if (reason instanceof WebhookSignatureError) {
+    return 403;
+  }
+
+  if (reason instanceof WebhookPayloadTooLargeError) {
+    return 413;
+  }
+
+  if (reason instanceof WebhookParseError) {
+    return 400;
+  }
+
+  return 500;
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @private
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+
+  if (left.length !== right.length) {
+    return false;
+  }
+
+  return timingSafeEqual(left, right);
+}
+
+/**
+ * Receives webhook requests sent by Cisco Spark. Verifies each request's
+ * signature, fetches the resource it describes, and emits the result as a
+ * typed event (e.g. `messages:created`) as well as a generic `webhook` event.
+ *
+ * WebhookReceiver is only available in NodeJS. Use
+ * `http.createServer(receiver.handler('http'))` or
+ * `app.use(receiver.handler('connect'))` to attach it to a server.
+ * @class
+ * @extends EventEmitter
+ */
+export default class WebhookReceiver extends EventEmitter {
+  /**
+   * Adapters convert a WebhookReceiver into a request handler for a particular
+   * server framework. Each adapter is a function that accepts a
+   * WebhookReceiver and returns a request handler. Add to this object to make
+   * additional adapters available by name to {@link WebhookReceiver#handler}.
+   * @type {Object}
+   */
+  static adapters = {
+    /**
+     * Produces a `request` listener suitable for `http.createServer()`
+     * @param {WebhookReceiver} receiver
+     * @returns {Function}
+     */
+    http(receiver) {
+      return (req, res) => readBody(req, receiver.maxBodySize)
+        .then((body) => receiver.receive(req.headers, body))
+        .then(() => {
+          res.statusCode = 200;
+          res.end();
+        })
+        .catch((reason) => {
+          res.statusCode = statusCodeFor(reason);
+          res.end();
+        });
+    },
+
+    /**
+     * Produces connect/express style middleware. If a body parser has already
+     * consumed the request, `req.rawBody` (or `req.body`) is used instead of
+     * reading the request stream; note that signatures can only be verified
+     * reliably against the raw body.
+     * @param {WebhookReceiver} receiver
+     * @returns {Function}
+     */
+    connect(receiver) {
+      return (req, res, next) => Promise.resolve(req.rawBody || req.body || readBody(req, receiver.maxBodySize))
+        .then((body) => receiver.receive(req.headers, body))
+        .then(() => {
+          res.statusCode = 200;
+          res.end();
+        })
+        .catch((reason) => {
+          reason.statusCode = statusCodeFor(reason);
+          next(reason);
+        });
+    }
+  };
+
+  /**
+   * @param {Object} options
+   * @param {ProxySpark} options.spark used to hydrate webhook data
+   * @param {string} options.secret the secret with which the webhooks were
+   * created. If omitted, signatures will not be verified.
+   * @param {boolean} options.insecure set to true to acknowledge that, without
+   * a `secret`, anyone can deliver forged webhooks (silences the warning
+   * logged otherwise)
+   * @param {boolean} options.hydrate set to false to emit webhook data exactly
+   * as Spark sent it
+   * @param {number} options.maxBodySize the largest body, in bytes, that will
+   * be accepted; larger requests are rejected with a 413. Defaults to 1MiB.
+   * @returns {WebhookReceiver}
+   */
+  constructor(options) {
+    super();
+    options = options || {};
+
+    this.spark = options.spark;
+    this.secret = options.secret;
+    this.hydrate = options.hydrate !== false;
+    this.maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+
+    if (!this.secret && !options.insecure && this.spark && this.spark.logger) {
+      this.spark.logger.warn(`webhooks: no \`secret\` specified; webhook signatures will not be verified. Pass \`insecure: true\` to acknowledge this.`);
+    }
+  }
+
+  /**
+   * Computes the HMAC-SHA1 of `body` using `secret` and compares it to
+   * `signature`
+   * @param {string} secret
+   * @param {Buffer|string} body
+   * @param {string} signature
+   * @returns {boolean}
+   */
+  static verifySignature(secret, body, signature) {
+    if (!secret || !isString(signature)) {
+      return false;
+    }
+
+    const expected = createHmac(`sha1`, secret)
+      .update(body)
+      .digest(`hex`);
+
+    return safeEqual(expected, signature.toLowerCase());
+  }
+
+  /**
+   * Produces a request handler using the named (or provided) adapter
+   * @param {string|Function} adapter name of an adapter in
+   * {@link WebhookReceiver.adapters} or a function that accepts a
+   * WebhookReceiver and returns a request handler
+   * @returns {Function}
+   */
+  handler(adapter) {
+    adapter = adapter || `http`;
+    if (isString(adapter)) {
+      if (!WebhookReceiver.adapters[adapter]) {
+        throw new Error(`No WebhookReceiver adapter named \`${adapter}\``);
+      }
+      adapter = WebhookReceiver.adapters[adapter];
+    }
+
+    return adapter(this);
+  }
+
+  /**
+   * Verifies, parses, and hydrates a single webhook request, then emits the
+   * resulting {@link Types~WebhookEvent}
+   * @param {Object} headers the request's headers
+   * @param {Buffer|string|Object} body the request's body. Signatures can only
+   * be verified reliably against the raw (Buffer or string) body.
+   * @returns {Promise<Types~WebhookEvent>}
+   */
+  receive(headers, body) {
+    return new Promise((resolve) => {
+      const rawBody = isString(body) || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+
+      if (Buffer.byteLength(rawBody) > this.maxBodySize) {
+        throw new WebhookPayloadTooLargeError();
+      }
+
+      if (this.secret) {
+        const signature = this._getHeader(headers, `x-spark-signature`);
+        if (!WebhookReceiver.verifySignature(this.secret, rawBody, signature)) {
+          throw new WebhookSignatureError();
+        }
+      }
+
+      resolve(this._parse(rawBody));
+    })
+      .then((envelope) => this._hydrate(envelope))
+      .then((event) => {
+        this._emit(`${event.resource}:${event.event}`, event);
+        this._emit(`webhook`, event);
+        return event;
+      });
+  }
+
+  /**
+   * Emits an event without allowing listener errors to break the request
+   * @param {string} name
+   * @param {Types~WebhookEvent} event
+   * @private
+   * @returns {undefined}
+   */
+  _emit(name, event) {
+    try {
+      this.emit(name, event);
+    }
+    catch (error) {
+      if (this.spark && this.spark.logger) {
+        this.spark.logger.error(`webhooks: error occurred in event handler`, error);
+      }
+    }
+  }
+
+  /**
+   * Finds a header without regard to case
+   * @param {Object} headers
+   * @param {string} name
+   * @private
+   * @returns {string}
+   */
+  _getHeader(headers, name) {
+    headers = headers || {};
+    const key = find(Object.keys(headers), (k) => k.toLowerCase() === name);
+    return key && headers[key];
+  }
+
+  /**
+   * Fetches the resource described by the webhook envelope
+   * @param {Object} envelope
+   * @private
+   * @returns {Promise<Types~WebhookEvent>}
+   */
+  _hydrate(envelope) {
+    const pluginName = hydrators[envelope.resource];
+    if (!this.hydrate || !this.spark || !pluginName || envelope.event === `deleted`) {
+      return Promise.resolve(envelope);
+    }
+
+    return this.spark[pluginName].get(envelope.data.id)
+      .then((data) => Object.assign({}, envelope, {data}));
+  }
+
+  /**
+   * Parses the raw body into a webhook envelope
+   * @param {Buffer|string} rawBody
+   * @private
+   * @returns {Object}
+   */
+  _parse(rawBody) {
+    let envelope;
+    try {
+      envelope = JSON.parse(rawBody.toString());
+    }
+    catch (error) {
+      throw new WebhookParseError(error.message);
+    }
+
+    if (!isObject(envelope) || !envelope.resource || !envelope.event || !has(envelope, `data.id`)) {
+      throw new WebhookParseError(`Webhook envelope must include \`resource\`, \`event\`, and \`data.id\``);
+    }
+
+    return envelope;
+  }
+}
@@ -0,0 +1,19 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+/**
+ * Webhooks can only be received by servers, so WebhookReceiver isn't available
+ * in web browsers
+ */
+export default class WebhookReceiver {
+  /**
+   * @throws {Error}
+   * @returns {WebhookReceiver}
+   */
+  constructor() {
+    throw new Error(`WebhookReceiver is only available in NodeJS`);
+  }
+}
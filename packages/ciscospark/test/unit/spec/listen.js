@@ -0,0 +1,237 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {assert} from '@ciscospark/test-helper-chai';
+import sinon from '@ciscospark/test-helper-sinon';
+import {base64} from '@ciscospark/common';
+import ciscospark from '../../..';
+
+describe(`ciscospark`, () => {
+  describe(`#listen()`, () => {
+    const actor = {
+      id: `88888888-4444-4444-4444-aaaaaaaaaaa1`,
+      emailAddress: `alice@example.com`,
+      objectType: `person`
+    };
+    const target = {
+      id: `88888888-4444-4444-4444-aaaaaaaaaaa2`,
+      objectType: `conversation`,
+      tags: [`ONE_ON_ONE`]
+    };
+
+    /**
+     * Sends an activity through mercury
+     * @param {Object} activity
+     * @returns {undefined}
+     */
+    function receive(activity) {
+      ciscospark.mercury.trigger(`event:conversation.activity`, {
+        data: {
+          eventType: `conversation.activity`,
+          activity: Object.assign({
+            id: `88888888-4444-4444-4444-aaaaaaaaaaa3`,
+            actor,
+            target,
+            published: `2017-01-01T00:00:00.000Z`
+          }, activity)
+        }
+      });
+    }
+
+    beforeEach(() => {
+      sinon.stub(ciscospark.mercury, `connect`).returns(Promise.resolve());
+    });
+
+    afterEach(() => {
+      ciscospark.mercury.connect.restore();
+      [`memberships`, `messages`, `rooms`].forEach((name) => {
+        ciscospark[name].unlisten();
+        ciscospark[name].off(`all created updated deleted`);
+      });
+    });
+
+    describe(`messages`, () => {
+      it(`emits \`created\` when a message is posted`, () => {
+        const spy = sinon.spy();
+        return ciscospark.messages.listen()
+          .then(() => {
+            ciscospark.messages.on(`created`, spy);
+            receive({
+              verb: `post`,
+              object: {
+                objectType: `comment`,
+                displayName: `hello`
+              }
+            });
+
+            assert.calledOnce(spy);
+            const event = spy.args[0][0];
+            assert.equal(event.resource, `messages`);
+            assert.equal(event.event, `created`);
+            assert.equal(event.actorId, base64.encode(`ciscospark://us/PEOPLE/${actor.id}`));
+            assert.equal(event.data.id, base64.encode(`ciscospark://us/MESSAGE/88888888-4444-4444-4444-aaaaaaaaaaa3`));
+            assert.equal(event.data.roomId, base64.encode(`ciscospark://us/ROOM/${target.id}`));
+            assert.equal(event.data.roomType, `direct`);
+            assert.equal(event.data.text, `hello`);
+            assert.notProperty(event.data, `html`);
+          });
+      });
+
+      it(`emits \`deleted\` when a message is deleted`, () => {
+        const spy = sinon.spy();
+        return ciscospark.messages.listen()
+          .then(() => {
+            ciscospark.messages.on(`deleted`, spy);
+            receive({
+              verb: `delete`,
+              object: {
+                id: `88888888-4444-4444-4444-aaaaaaaaaaa4`,
+                objectType: `activity`
+              }
+            });
+
+            assert.calledOnce(spy);
+            assert.equal(spy.args[0][0].data.id, base64.encode(`ciscospark://us/MESSAGE/88888888-4444-4444-4444-aaaaaaaaaaa4`));
+          });
+      });
+
+      it(`does not emit twice if listen() is called twice`, () => {
+        const spy = sinon.spy();
+        return ciscospark.messages.listen()
+          .then(() => ciscospark.messages.listen())
+          .then(() => {
+            ciscospark.messages.on(`created`, spy);
+            receive({
+              verb: `post`,
+              object: {
+                objectType: `comment`,
+                displayName: `hello`
+              }
+            });
+
+            assert.calledOnce(spy);
+          });
+      });
+
+      it(`stops emitting after unlisten()`, () => {
+        const spy = sinon.spy();
+        return ciscospark.messages.listen()
+          .then(() => {
+            ciscospark.messages.on(`created`, spy);
+            ciscospark.messages.unlisten();
+            receive({
+              verb: `post`,
+              object: {
+                objectType: `comment`,
+                displayName: `hello`
+              }
+            });
+
+            assert.notCalled(spy);
+            return ciscospark.messages.listen();
+          })
+          .then(() => {
+            receive({
+              verb: `post`,
+              object: {
+                objectType: `comment`,
+                displayName: `hello`
+              }
+            });
+
+            assert.calledOnce(spy);
+          });
+      });
+
+      it(`only removes the listener that listen() added`, () => {
+        const spy = sinon.spy();
+        const other = sinon.spy();
+        ciscospark.messages.listenTo(ciscospark.mercury, `event:conversation.activity`, other);
+        return ciscospark.messages.listen()
+          .then(() => {
+            ciscospark.messages.on(`created`, spy);
+            ciscospark.messages.unlisten();
+            receive({
+              verb: `post`,
+              object: {
+                objectType: `comment`,
+                displayName: `hello`
+              }
+            });
+
+            assert.notCalled(spy);
+            assert.calledOnce(other);
+            ciscospark.messages.stopListening(ciscospark.mercury, `event:conversation.activity`, other);
+          });
+      });
+    });
+
+    describe(`memberships`, () => {
+      it(`emits \`created\`, \`updated\`, and \`deleted\``, () => {
+        const person = {
+          id: `88888888-4444-4444-4444-aaaaaaaaaaa5`,
+          emailAddress: `bob@example.com`,
+          displayName: `Bob`,
+          objectType: `person`
+        };
+        const spy = sinon.spy();
+        return ciscospark.memberships.listen()
+          .then(() => {
+            ciscospark.memberships.on(`all`, spy);
+            receive({
+              verb: `add`,
+              object: person
+            });
+            receive({
+              verb: `assignModerator`,
+              object: person
+            });
+            receive({
+              verb: `leave`,
+              object: person
+            });
+            receive({
+              verb: `post`,
+              object: {
+                objectType: `comment`,
+                displayName: `hello`
+              }
+            });
+
+            assert.deepEqual(spy.args.map((args) => args[0]), [`created`, `updated`, `deleted`]);
+            const data = spy.args[0][1].data;
+            assert.equal(data.id, base64.encode(`ciscospark://us/MEMBERSHIP/${person.id}:${target.id}`));
+            assert.equal(data.personId, base64.encode(`ciscospark://us/PEOPLE/${person.id}`));
+            assert.equal(data.personEmail, `bob@example.com`);
+            assert.isFalse(data.isModerator);
+            assert.isTrue(spy.args[1][1].data.isModerator);
+          });
+      });
+    });
+
+    describe(`rooms`, () => {
+      it(`emits \`updated\` when a room is renamed`, () => {
+        const spy = sinon.spy();
+        return ciscospark.rooms.listen()
+          .then(() => {
+            ciscospark.rooms.on(`updated`, spy);
+            receive({
+              verb: `update`,
+              object: {
+                objectType: `conversation`,
+                displayName: `new title`
+              }
+            });
+
+            assert.calledOnce(spy);
+            const data = spy.args[0][0].data;
+            assert.equal(data.id, base64.encode(`ciscospark://us/ROOM/${target.id}`));
+            assert.equal(data.title, `new title`);
+            assert.equal(data.type, `direct`);
+          });
+      });
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {assert} from '@ciscospark/test-helper-chai';
+import sinon from '@ciscospark/test-helper-sinon';
+import {createHmac} from 'crypto';
+import {EventEmitter} from 'events';
+import ciscospark from '../../..';
+
+describe(`ciscospark`, () => {
+  describe(`WebhookReceiver`, () => {
+    const secret = `not a real secret`;
+    const envelope = {
+      id: `webhook1`,
+      name: `Test Webhook`,
+      resource: `messages`,
+      event: `created`,
+      actorId: `person1`,
+      data: {
+        id: `message1`,
+        roomId: `room1`
+      }
+    };
+    const body = JSON.stringify(envelope);
+    const signature = createHmac(`sha1`, secret).update(body).digest(`hex`);
+    const message = {
+      id: `message1`,
+      roomId: `room1`,
+      text: `hello`
+    };
+
+    let receiver;
+
+    beforeEach(() => {
+      sinon.stub(ciscospark.messages, `get`).returns(Promise.resolve(message));
+      receiver = ciscospark.webhooks.createReceiver({secret});
+    });
+
+    afterEach(() => {
+      ciscospark.messages.get.restore();
+    });
+
+    describe(`#constructor()`, () => {
+      beforeEach(() => sinon.stub(ciscospark.logger, `warn`));
+      afterEach(() => ciscospark.logger.warn.restore());
+
+      it(`warns when no secret is specified`, () => {
+        ciscospark.webhooks.createReceiver();
+        assert.calledWithMatch(ciscospark.logger.warn, /signatures will not be verified/);
+      });
+
+      it(`does not warn when explicitly insecure`, () => {
+        ciscospark.webhooks.createReceiver({insecure: true});
+        assert.notCalled(ciscospark.logger.warn);
+      });
+
+      it(`does not warn when a secret is specified`, () => {
+        ciscospark.webhooks.createReceiver({secret});
+        assert.notCalled(ciscospark.logger.warn);
+      });
+    });
+
+    describe(`.verifySignature()`, () => {
+      it(`accepts a matching signature`, () => {
+        assert.isTrue(receiver.constructor.verifySignature(secret, body, signature));
+      });
+
+      it(`rejects a mismatched signature`, () => {
+        assert.isFalse(receiver.constructor.verifySignature(`another secret`, body, signature));
+      });
+
+      it(`rejects a truncated signature`, () => {
+        assert.isFalse(receiver.constructor.verifySignature(secret, body, signature.slice(0, -2)));
+      });
+
+      it(`rejects a missing signature`, () => {
+        assert.isFalse(receiver.constructor.verifySignature(secret, body));
+      });
+    });
+
+    describe(`#receive()`, () => {
+      it(`hydrates the webhook data and emits typed events`, () => {
+        const typedSpy = sinon.spy();
+        const genericSpy = sinon.spy();
+        receiver.on(`messages:created`, typedSpy);
+        receiver.on(`webhook`, genericSpy);
+
+        return receiver.receive({'X-Spark-Signature': signature}, body)
+          .then((event) => {
+            assert.calledWith(ciscospark.messages.get, `message1`);
+            assert.deepEqual(event.data, message);
+            assert.equal(event.id, `webhook1`);
+            assert.calledWith(typedSpy, event);
+            assert.calledWith(genericSpy, event);
+          });
+      });
+
+      it(`rejects requests with an invalid signature`, () => assert.isRejected(receiver.receive({'x-spark-signature': `nope`}, body), /signature verification failed/)
+        .then(() => assert.notCalled(ciscospark.messages.get)));
+
+      it(`rejects unparsable bodies`, () => {
+        const badBody = `not json`;
+        const badSignature = createHmac(`sha1`, secret).update(badBody).digest(`hex`);
+        return assert.isRejected(receiver.receive({'x-spark-signature': badSignature}, badBody));
+      });
+
+      it(`rejects bodies larger than \`maxBodySize\``, () => {
+        receiver = ciscospark.webhooks.createReceiver({secret, maxBodySize: body.length - 1});
+        return assert.isRejected(receiver.receive({'x-spark-signature': signature}, body), /exceeds the maximum allowed size/)
+          .then(() => assert.notCalled(ciscospark.messages.get));
+      });
+
+      it(`does not hydrate \`deleted\` events`, () => {
+        const deleted = JSON.stringify(Object.assign({}, envelope, {event: `deleted`}));
+        receiver = ciscospark.webhooks.createReceiver({insecure: true});
+        return receiver.receive({}, deleted)
+          .then((event) => {
+            assert.notCalled(ciscospark.messages.get);
+            assert.deepEqual(event.data, envelope.data);
+          });
+      });
+
+      it(`does not hydrate when hydration is disabled`, () => {
+        receiver = ciscospark.webhooks.createReceiver({secret, hydrate: false});
+        return receiver.receive({'x-spark-signature': signature}, body)
+          .then((event) => {
+            assert.notCalled(ciscospark.messages.get);
+            assert.deepEqual(event.data, envelope.data);
+          });
+      });
+    });
+
+    describe(`#handler()`, () => {
+      /**
+       * Produces a fake IncomingMessage
+       * @param {Object} headers
+       * @param {string} payload
+       * @returns {EventEmitter}
+       */
+      function makeRequest(headers, payload) {
+        const req = new EventEmitter();
+        req.headers = headers;
+        process.nextTick(() => {
+          // Deliver the payload in a couple of chunks, like a real socket might
+          const half = Math.ceil(payload.length / 2);
+          req.emit(`data`, Buffer.from(payload.slice(0, half)));
+          req.emit(`data`, Buffer.from(payload.slice(half)));
+          req.emit(`end`);
+        });
+        return req;
+      }
+
+      /**
+       * Produces a fake ServerResponse that resolves once ended
+       * @returns {Object}
+       */
+      function makeResponse() {
+        const res = {};
+        res.ended = new Promise((resolve) => {
+          res.end = () => resolve(res);
+        });
+        return res;
+      }
+
+      it(`throws for unknown adapters`, () => {
+        assert.throws(() => receiver.handler(`not-an-adapter`), /No WebhookReceiver adapter/);
+      });
+
+      it(`accepts custom adapters`, () => {
+        const handler = sinon.spy();
+        assert.equal(receiver.handler(() => handler), handler);
+      });
+
+      describe(`with the http adapter`, () => {
+        it(`responds with 200 to valid webhooks`, () => {
+          const res = makeResponse();
+          receiver.handler(`http`)(makeRequest({'x-spark-signature': signature}, body), res);
+          return res.ended
+            .then(() => assert.equal(res.statusCode, 200));
+        });
+
+        it(`responds with 403 to invalid signatures`, () => {
+          const res = makeResponse();
+          receiver.handler(`http`)(makeRequest({'x-spark-signature': `nope`}, body), res);
+          return res.ended
+            .then(() => assert.equal(res.statusCode, 403));
+        });
+
+        it(`responds with 413 to bodies larger than \`maxBodySize\``, () => {
+          receiver = ciscospark.webhooks.createReceiver({secret, maxBodySize: body.length - 1});
+          sinon.spy(receiver, `receive`);
+          const res = makeResponse();
+          receiver.handler(`http`)(makeRequest({'x-spark-signature': signature}, body), res);
+          return res.ended
+            .then(() => {
+              assert.equal(res.statusCode, 413);
+              assert.notCalled(receiver.receive);
+            });
+        });
+
+        it(`responds with 413 without reading bodies whose \`content-length\` is too large`, () => {
+          receiver = ciscospark.webhooks.createReceiver({secret, maxBodySize: body.length - 1});
+          const res = makeResponse();
+          const req = makeRequest({
+            'content-length': `${body.length}`,
+            'x-spark-signature': signature
+          }, body);
+          receiver.handler(`http`)(req, res);
+          return res.ended
+            .then(() => {
+              assert.equal(res.statusCode, 413);
+              assert.equal(req.listenerCount(`data`), 0);
+            });
+        });
+      });
+
+      describe(`with the connect adapter`, () => {
+        it(`uses the already-parsed raw body`, () => {
+          const res = makeResponse();
+          const next = sinon.spy();
+          receiver.handler(`connect`)({
+            headers: {'x-spark-signature': signature},
+            rawBody: body
+          }, res, next);
+          return res.ended
+            .then(() => {
+              assert.equal(res.statusCode, 200);
+              assert.notCalled(next);
+            });
+        });
+
+        it(`passes oversized bodies to next() as 413s`, () => {
+          receiver = ciscospark.webhooks.createReceiver({secret, maxBodySize: body.length - 1});
+          const res = makeResponse();
+          return new Promise((resolve) => {
+            receiver.handler(`connect`)({
+              headers: {'x-spark-signature': signature},
+              rawBody: body
+            }, res, resolve);
+          })
+            .then((reason) => assert.equal(reason.statusCode, 413));
+        });
+
+        it(`passes failures to next()`, () => {
+          const res = makeResponse();
+          return new Promise((resolve) => {
+            receiver.handler(`connect`)(makeRequest({'x-spark-signature': `nope`}, body), res, resolve);
+          })
+            .then((reason) => assert.equal(reason.statusCode, 403));
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,387 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+// Just enough of the DOM for the html filter (and processCallbacks) to work
+// the same way in node as they do in browsers.
+
+export const ELEMENT_NODE = 1;
+export const TEXT_NODE = 3;
+export const COMMENT_NODE = 8;
+export const DOCUMENT_NODE = 9;
+
+/**
+ * Elements that never have children or end tags
+ * @type {Array<string>}
+ */
+export const voidElements = [
+  `area`,
+  `base`,
+  `basefont`,
+  `bgsound`,
+  `br`,
+  `col`,
+  `embed`,
+  `frame`,
+  `hr`,
+  `img`,
+  `input`,
+  `keygen`,
+  `link`,
+  `meta`,
+  `param`,
+  `source`,
+  `track`,
+  `wbr`
+];
+
+// Elements whose text is serialized without escaping
+const rawTextElements = [
+  `iframe`,
+  `noembed`,
+  `noframes`,
+  `plaintext`,
+  `script`,
+  `style`,
+  `xmp`
+];
+
+/**
+ * Base class of all nodes
+ */
+export class Node {
+  /**
+   * @param {number} nodeType
+   * @param {string} nodeName
+   * @param {Document} ownerDocument
+   * @returns {Node}
+   */
+  constructor(nodeType, nodeName, ownerDocument) {
+    this.nodeType = nodeType;
+    this.nodeName = nodeName;
+    this.ownerDocument = ownerDocument || null;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  /**
+   * @type {Node}
+   */
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  /**
+   * @type {Node}
+   */
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  /**
+   * @type {Element}
+   */
+  get parentElement() {
+    return this.parentNode && this.parentNode.nodeType === ELEMENT_NODE ? this.parentNode : null;
+  }
+
+  /**
+   * @type {string}
+   */
+  get textContent() {
+    return this.childNodes.map((child) => child.textContent).join(``);
+  }
+
+  /**
+   * @param {Node} node
+   * @returns {Node}
+   */
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  /**
+   * @param {Node} node
+   * @param {Node} referenceNode
+   * @returns {Node}
+   */
+  insertBefore(node, referenceNode) {
+    if (node.parentNode) {
+      node.parentNode.removeChild(node);
+    }
+
+    const index = referenceNode ? this.childNodes.indexOf(referenceNode) : -1;
+    if (index === -1) {
+      this.childNodes.push(node);
+    }
+    else {
+      this.childNodes.splice(index, 0, node);
+    }
+    node.parentNode = this;
+    return node;
+  }
+
+  /**
+   * @param {Node} node
+   * @returns {Node}
+   */
+  removeChild(node) {
+    const index = this.childNodes.indexOf(node);
+    if (index === -1) {
+      throw new Error(`The node to be removed is not a child of this node`);
+    }
+    this.childNodes.splice(index, 1);
+    node.parentNode = null;
+    return node;
+  }
+
+  /**
+   * Removes this node from its parent
+   * @returns {undefined}
+   */
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.removeChild(this);
+    }
+  }
+}
+
+/**
+ * Text node
+ */
+export class Text extends Node {
+  /**
+   * @param {string} data
+   * @param {Document} ownerDocument
+   * @returns {Text}
+   */
+  constructor(data, ownerDocument) {
+    super(TEXT_NODE, `#text`, ownerDocument);
+    this.data = data;
+  }
+
+  /**
+   * @type {string}
+   */
+  get nodeValue() {
+    return this.data;
+  }
+
+  /**
+   * @param {string} value
+   */
+  set nodeValue(value) {
+    this.data = value;
+  }
+
+  /**
+   * @type {string}
+   */
+  get textContent() {
+    return this.data;
+  }
+
+  /**
+   * @param {string} value
+   */
+  set textContent(value) {
+    this.data = value;
+  }
+}
+
+/**
+ * Comment node
+ */
+export class Comment extends Node {
+  /**
+   * @param {string} data
+   * @param {Document} ownerDocument
+   * @returns {Comment}
+   */
+  constructor(data, ownerDocument) {
+    super(COMMENT_NODE, `#comment`, ownerDocument);
+    this.data = data;
+  }
+
+  /**
+   * @type {string}
+   */
+  get nodeValue() {
+    return this.data;
+  }
+
+  /**
+   * @type {string}
+   */
+  get textContent() {
+    return this.data;
+  }
+}
+
+/**
+ * Element node. Like HTMLElement, `nodeName` and `tagName` are upper case
+ * and `attributes` is an array-like list of `{name, value}` pairs with a
+ * `getNamedItem()` method.
+ */
+export class Element extends Node {
+  /**
+   * @param {string} localName lower case tag name
+   * @param {Document} ownerDocument
+   * @returns {Element}
+   */
+  constructor(localName, ownerDocument) {
+    super(ELEMENT_NODE, localName.toUpperCase(), ownerDocument);
+    this.localName = localName;
+    this.tagName = this.nodeName;
+    this.attributes = [];
+    this.attributes.getNamedItem = (name) => this.attributes.find((attr) => attr.name === name) || null;
+  }
+
+  /**
+   * @type {string}
+   */
+  get innerHTML() {
+    return this.childNodes.map(serialize).join(``);
+  }
+
+  /**
+   * @type {string}
+   */
+  get outerHTML() {
+    return serialize(this);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string}
+   */
+  getAttribute(name) {
+    const attr = this.attributes.getNamedItem(name.toLowerCase());
+    return attr ? attr.value : null;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Boolean}
+   */
+  hasAttribute(name) {
+    return Boolean(this.attributes.getNamedItem(name.toLowerCase()));
+  }
+
+  /**
+   * @param {string} name
+   * @returns {undefined}
+   */
+  removeAttribute(name) {
+    const index = this.attributes.indexOf(this.attributes.getNamedItem(name.toLowerCase()));
+    if (index !== -1) {
+      this.attributes.splice(index, 1);
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} value
+   * @returns {undefined}
+   */
+  setAttribute(name, value) {
+    name = name.toLowerCase();
+    const attr = this.attributes.getNamedItem(name);
+    if (attr) {
+      attr.value = String(value);
+    }
+    else {
+      this.attributes.push({name, value: String(value)});
+    }
+  }
+}
+
+/**
+ * Minimal document, only needed so that nodes have an `ownerDocument`
+ */
+export class Document extends Node {
+  /**
+   * @returns {Document}
+   */
+  constructor() {
+    super(DOCUMENT_NODE, `#document`, null);
+    this.body = this.createElement(`body`);
+  }
+
+  /**
+   * @param {string} data
+   * @returns {Comment}
+   */
+  createComment(data) {
+    return new Comment(data, this);
+  }
+
+  /**
+   * @param {string} localName
+   * @returns {Element}
+   */
+  createElement(localName) {
+    return new Element(localName.toLowerCase(), this);
+  }
+
+  /**
+   * @param {string} data
+   * @returns {Text}
+   */
+  createTextNode(data) {
+    return new Text(data, this);
+  }
+}
+
+/**
+ * @param {string} text
+ * @private
+ * @returns {string}
+ */
+function escapeText(text) {
+  return text
+    .replace(/&/g, `&amp;`)
+    .replace(/\u00a0/g, `&nbsp;`)
+    .replace(/</g, `&lt;`)
+    .replace(/>/g, `&gt;`);
+}
+
+/**
+ * @param {string} value
+ * @private
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return escapeText(value)
+    .replace(/"/g, `&quot;`);
+}
+
+/**
+ * Serializes a node the way browsers' innerHTML/outerHTML do
+ * @param {Node} node
+ * @returns {string}
+ */
+export function serialize(node) {
+  switch (node.nodeType) {
+  case ELEMENT_NODE: {
+    const attributes = node.attributes
+      .map((attr) => ` ${attr.name}="${escapeAttribute(attr.value)}"`)
+      .join(``);
+    if (voidElements.indexOf(node.localName) !== -1) {
+      return `<${node.localName}${attributes}>`;
+    }
+    return `<${node.localName}${attributes}>${node.innerHTML}</${node.localName}>`;
+  }
+  case TEXT_NODE:
+    if (node.parentNode && rawTextElements.indexOf(node.parentNode.localName) !== -1) {
+      return node.data;
+    }
+    return escapeText(node.data);
+  case COMMENT_NODE:
+    return `<!--${node.data}-->`;
+  default:
+    return ``;
+  }
+}
@@ -0,0 +1,156 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+/**
+ * Named character references. Only the references likely to appear in
+ * messages are supported; unknown references are left as is.
+ * @type {Object}
+ */
+const named = {
+  amp: `&`,
+  apos: `'`,
+  bdquo: `„`,
+  bull: `•`,
+  cent: `¢`,
+  copy: `©`,
+  deg: `°`,
+  divide: `÷`,
+  emsp: `\u2003`,
+  ensp: `\u2002`,
+  euro: `€`,
+  gt: `>`,
+  hellip: `…`,
+  iexcl: `¡`,
+  iquest: `¿`,
+  laquo: `«`,
+  ldquo: `“`,
+  lrm: `\u200e`,
+  lsquo: `‘`,
+  lt: `<`,
+  mdash: `—`,
+  middot: `·`,
+  nbsp: `\u00a0`,
+  ndash: `–`,
+  para: `¶`,
+  plusmn: `±`,
+  pound: `£`,
+  quot: `"`,
+  raquo: `»`,
+  rdquo: `”`,
+  reg: `®`,
+  rlm: `\u200f`,
+  rsquo: `’`,
+  sbquo: `‚`,
+  sect: `§`,
+  shy: `\u00ad`,
+  thinsp: `\u2009`,
+  times: `×`,
+  trade: `™`,
+  yen: `¥`,
+  zwj: `\u200d`,
+  zwnj: `\u200c`
+};
+
+// References that browsers also recognize without a trailing semicolon
+const legacy = [
+  `amp`,
+  `cent`,
+  `copy`,
+  `deg`,
+  `divide`,
+  `gt`,
+  `iexcl`,
+  `iquest`,
+  `laquo`,
+  `lt`,
+  `middot`,
+  `nbsp`,
+  `para`,
+  `plusmn`,
+  `pound`,
+  `quot`,
+  `raquo`,
+  `reg`,
+  `sect`,
+  `shy`,
+  `times`,
+  `yen`
+];
+
+const referencePattern = /&(?:#[xX]([\da-fA-F]+);?|#(\d+);?|([a-zA-Z][a-zA-Z\d]*)(;?))/g;
+
+/**
+ * @param {number} codePoint
+ * @private
+ * @returns {string}
+ */
+function fromCodePoint(codePoint) {
+  if (codePoint === 0 || codePoint > 0x10ffff || codePoint >= 0xd800 && codePoint <= 0xdfff) {
+    return `\ufffd`;
+  }
+  return String.fromCodePoint(codePoint);
+}
+
+/**
+ * Finds the longest legacy reference at the start of `name`
+ * @param {string} name
+ * @private
+ * @returns {string}
+ */
+function findLegacyPrefix(name) {
+  for (let i = name.length; i > 1; i--) {
+    if (legacy.indexOf(name.slice(0, i)) !== -1) {
+      return name.slice(0, i);
+    }
+  }
+  return null;
+}
+
+/**
+ * Decodes the character references in text or in an attribute value
+ * @param {string} str
+ * @param {Boolean} inAttribute attribute values don't decode legacy
+ * references followed by alphanumerics or `=`
+ * @returns {string}
+ */
+export function decode(str, inAttribute) {
+  if (str.indexOf(`&`) === -1) {
+    return str;
+  }
+
+  return str.replace(referencePattern, (match, ...groups) => {
+    const [hex, decimal, name, semicolon, offset] = groups;
+    if (hex || decimal) {
+      return fromCodePoint(hex ? parseInt(hex, 16) : parseInt(decimal, 10));
+    }
+    if (semicolon && named.hasOwnProperty(name)) {
+      return named[name];
+    }
+    return decodeLegacy(match, name, str.charAt(offset + match.length), inAttribute);
+  });
+}
+
+/**
+ * Decodes a named reference without a semicolon
+ * @param {string} match
+ * @param {string} name
+ * @param {string} following the character following the match
+ * @param {Boolean} inAttribute
+ * @private
+ * @returns {string}
+ */
+function decodeLegacy(match, name, following, inAttribute) {
+  const prefix = findLegacyPrefix(name);
+  if (!prefix) {
+    return match;
+  }
+
+  const rest = match.slice(prefix.length + 1);
+  if (inAttribute && /[=a-zA-Z\d]/.test(rest.charAt(0) || following)) {
+    return match;
+  }
+  return `${named[prefix]}${rest}`;
+}
@@ -3,6 +3,8 @@
  * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
  */
 
+import {forEach, includes, reduce} from 'lodash';
+
 const escapeMe = /(\<|\>|&)/g;
 
 // escape and escapeSync probably don't both need to exist, but it seemed like a
@@ -43,3 +45,168 @@ function entityReplacer(char) {
     return char;
   }
 }
+
+/**
+ * Builds a synchronous html filter around an environment-specific parser so
+ * that browser and node apply exactly the same filtering rules
+ * @param {function} parseBody parses an html string and returns the resulting
+ * body element
+ * @private
+ * @returns {function}
+ */
+export function makeFilterSync(parseBody) {
+  return function _filterSync(processCallback, allowedTags, allowedStyles, html) {
+    if (!html || !allowedStyles || !allowedTags) {
+      if (html.length === 0) {
+        return html;
+      }
+
+      throw new Error(`\`allowedTags\`, \`allowedStyles\`, and \`html\` must be provided`);
+    }
+
+    const body = parseBody(html);
+    depthFirstForEach(body.childNodes, filterNode);
+    processCallback(body);
+
+    if (html.indexOf(`body`) === 1) {
+      return `<body>${body.innerHTML}</body>`;
+    }
+
+    return body.innerHTML;
+
+    /**
+     * @param {Node} node
+     * @private
+     * @returns {undefined}
+     */
+    function filterNode(node) {
+      if (!isElement(node)) {
+        return;
+      }
+
+      const nodeName = node.nodeName.toLowerCase();
+      const allowedTagNames = Object.keys(allowedTags);
+
+      depthFirstForEach(node.childNodes, filterNode);
+
+      if (includes(allowedTagNames, nodeName)) {
+        const allowedAttributes = allowedTags[nodeName];
+        forEach(listAttributeNames(node.attributes), (attrName) => {
+          if (!includes(allowedAttributes, attrName)) {
+            node.removeAttribute(attrName);
+          }
+          else if (attrName === `href` || attrName === `src`) {
+            const attrValue = node.attributes.getNamedItem(attrName).value;
+            if (isScriptUrl(attrValue)) {
+              reparent(node);
+            }
+          }
+          else if (attrName === `style`) {
+            const styles = node
+              .attributes
+              .getNamedItem(`style`)
+              .value
+              .split(`;`)
+              .map((style) => {
+                const styleName = trim(style.split(`:`)[0]);
+                if (includes(allowedStyles, styleName)) {
+                  return style;
+                }
+                return null;
+              })
+              .filter((style) => Boolean(style))
+              .join(`;`);
+            node.setAttribute(`style`, styles);
+          }
+        });
+      }
+      else {
+        reparent(node);
+      }
+    }
+  };
+}
+
+// Browsers ignore leading control characters and spaces, as well as tabs and
+// newlines anywhere, in urls
+const ignoredUrlCharacters = /[\u0000-\u0020]/g;
+
+/**
+ * @param {string} url
+ * @private
+ * @returns {Boolean}
+ */
+function isScriptUrl(url) {
+  return url.replace(ignoredUrlCharacters, ``).toLowerCase().indexOf(`javascript:`) === 0;
+}
+
+const trimPattern = /^\s|\s$/g;
+/**
+ * @param {string} str
+ * @private
+ * @returns {string}
+ */
+function trim(str) {
+  return str.replace(trimPattern, ``);
+}
+
+/**
+ * @param {Node} node
+ * @private
+ * @returns {undefined}
+ */
+function reparent(node) {
+  while (node.childNodes.length > 0) {
+    node.parentNode.insertBefore(node.childNodes[0], node);
+  }
+  node.remove();
+}
+
+/**
+ * @param {NamedNodeMap} attributes
+ * @private
+ * @returns {Array<string>}
+ */
+function listAttributeNames(attributes) {
+  return reduce(attributes, (attrNames, attr) => {
+    attrNames.push(attr.name);
+    return attrNames;
+  }, []);
+}
+
+/**
+ * @param {Array} list
+ * @param {Function} fn
+ * @private
+ * @returns {undefined}
+ */
+function depthFirstForEach(list, fn) {
+  for (let i = list.length; i >= 0; i--) {
+    fn(list[i]);
+  }
+}
+
+/**
+ * @param {Node} o
+ * @private
+ * @returns {Boolean}
+ */
+function isElement(o) {
+  if (!o) {
+    return false;
+  }
+
+  if (o.ownerDocument === undefined) {
+    return false;
+  }
+
+  if (o.nodeType !== 1) {
+    return false;
+  }
+
+  if (typeof o.nodeName !== `string`) {
+    return false;
+  }
+
+  return true;
+}
@@ -4,34 +4,52 @@
  */
 
 import {curry} from 'lodash';
+import {makeFilterSync} from './html-base';
+import parse from './parser';
 
 export {escape, escapeSync} from './html-base';
 
 /**
+ * Node doesn't have a DOM, so html is parsed into a minimal DOM-like tree
+ * that `processCallback` can inspect and modify just like it would the
+ * browser's
+ * @param {function} processCallback callback function to do additional
+ * processing on node. of the form process(node)
  * @param {Object} allowedTags
  * @param {Array<string>} allowedStyles
  * @param {string} html
  * @private
  * @returns {string}
  */
-function noop(...args) {
-  return new Promise((resolve) => {
-    resolve(noopSync(...args));
-  });
-}
+const _filterSync = makeFilterSync(parse);
 
 /**
- * @param {function} processCallback callback function to do additional
- * processing on node. of the form process(node)
  * @param {Object} allowedTags
  * @param {Array<string>} allowedStyles
  * @param {string} html
  * @private
  * @returns {string}
  */
-function noopSync(processCallback, allowedTags, allowedStyles, html) {
-  return html;
+function _filter(...args) {
+  return new Promise((resolve) => {
+    resolve(_filterSync(...args));
+  });
 }
 
-export const filter = curry(noop, 4);
-export const filterSync = curry(noopSync, 4);
+/**
+ * Curried async HTML filter.
+ * @param {Object} allowedTags Map of tagName -> array of allowed attributes
+ * @param {Array<string>} allowedStyles Array of allowed styles
+ * @param {string} html html to filter
+ * @returns {string}
+ */
+export const filter = curry(_filter, 4);
+
+/**
+ * Curried HTML filter.
+ * @param {Object} allowedTags Map of tagName -> array of allowed attributes
+ * @param {Array<string>} allowedStyles Array of allowed styles
+ * @param {string} html html to filter
+ * @returns {string}
+ */
+export const filterSync = curry(_filterSync, 4);
@@ -0,0 +1,1387 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+// A DOM-free html parser producing the same body element as
+// `(new DOMParser()).parseFromString(html, 'text/html').body` for the markup
+// found in messages. It follows the HTML5 tokenization rules and the tree
+// construction rules that matter for sanitizing (implied end tags, void and
+// raw text elements, head elements, tables, and the active formatting
+// elements, including the adoption agency algorithm for misnested formatting
+// elements). Like Chromium, it stops nesting elements past a fixed depth so
+// that hostile input can't produce a tree too deep to walk recursively, and
+// it stops tracking elements opened past that depth so that it can't be made
+// to scan an arbitrarily deep stack for every tag.
+//
+// Why not a library? htmlparser2 tokenizes but doesn't implement HTML5 tree
+// construction, so misnested markup (exactly what an attacker sends) would
+// produce a different tree than the browser's DOMParser and therefore
+// different sanitized output. parse5 does implement it, but the sanitizer in
+// html-base.js walks and mutates DOM nodes (the same code runs against the
+// browser's DOM), so using parse5 would still mean writing a DOM-like tree
+// adapter while taking on a dependency that only Node needs. Parsing message
+// markup into the small DOM in dom.js needs only the subset of the tree
+// construction rules above.
+
+import {decode} from './entities';
+import {Document, ELEMENT_NODE, TEXT_NODE, voidElements} from './dom';
+
+const TEXT = `text`;
+const START_TAG = `startTag`;
+const END_TAG = `endTag`;
+const COMMENT = `comment`;
+
+const whitespace = /[\t\n\f\r ]/;
+const letter = /[a-zA-Z]/;
+const leadingWhitespace = /^[\t\n\f\r ]+/;
+const onlyWhitespace = /^[\t\n\f\r ]*$/;
+
+// Elements whose content is text up to their end tag
+const rawTextElements = [`iframe`, `noembed`, `noframes`, `script`, `style`, `xmp`];
+const escapableRawTextElements = [`textarea`, `title`];
+
+// Elements that end up in the document head when they precede the body
+const headElements = [
+  `base`,
+  `basefont`,
+  `bgsound`,
+  `link`,
+  `meta`,
+  `noframes`,
+  `script`,
+  `style`,
+  `template`,
+  `title`
+];
+
+// Start tags that close an open paragraph
+const closesParagraph = [
+  `address`,
+  `article`,
+  `aside`,
+  `blockquote`,
+  `center`,
+  `details`,
+  `dialog`,
+  `dir`,
+  `div`,
+  `dl`,
+  `fieldset`,
+  `figcaption`,
+  `figure`,
+  `footer`,
+  `form`,
+  `h1`,
+  `h2`,
+  `h3`,
+  `h4`,
+  `h5`,
+  `h6`,
+  `header`,
+  `hgroup`,
+  `hr`,
+  `listing`,
+  `main`,
+  `menu`,
+  `nav`,
+  `ol`,
+  `p`,
+  `plaintext`,
+  `pre`,
+  `section`,
+  `summary`,
+  `ul`
+];
+
+const headings = [`h1`, `h2`, `h3`, `h4`, `h5`, `h6`];
+
+const special = closesParagraph.concat(
+  rawTextElements,
+  escapableRawTextElements,
+  voidElements,
+  [
+    `applet`,
+    `body`,
+    `button`,
+    `caption`,
+    `colgroup`,
+    `dd`,
+    `dt`,
+    `frameset`,
+    `head`,
+    `html`,
+    `li`,
+    `marquee`,
+    `noscript`,
+    `object`,
+    `select`,
+    `table`,
+    `tbody`,
+    `td`,
+    `template`,
+    `tfoot`,
+    `th`,
+    `thead`,
+    `tr`
+  ]
+);
+
+const defaultScope = [`applet`, `body`, `caption`, `html`, `marquee`, `object`, `table`, `td`, `template`, `th`];
+const buttonScope = defaultScope.concat(`button`);
+const listItemScope = defaultScope.concat(`ol`, `ul`);
+const tableScope = [`body`, `html`, `table`, `template`];
+
+const tableSections = [`tbody`, `tfoot`, `thead`];
+const tableContexts = [`table`, `tbody`, `tfoot`, `thead`, `tr`];
+const tableElements = [`caption`, `col`, `colgroup`, `table`, `tbody`, `td`, `tfoot`, `th`, `thead`, `tr`];
+const foreignElements = [`math`, `svg`];
+
+// Elements tracked in the list of active formatting elements
+const formattingElements = [
+  `a`,
+  `b`,
+  `big`,
+  `code`,
+  `em`,
+  `font`,
+  `i`,
+  `nobr`,
+  `s`,
+  `small`,
+  `strike`,
+  `strong`,
+  `tt`,
+  `u`
+];
+
+// Elements that put a marker on the list of active formatting elements, so
+// that formatting doesn't leak into or out of them
+const markerElements = [`applet`, `caption`, `marquee`, `object`, `td`, `template`, `th`];
+
+// Start tags that don't reconstruct the active formatting elements
+const noReconstruction = closesParagraph.concat(
+  headElements,
+  [`dd`, `dt`, `iframe`, `li`, `noembed`, `table`, `textarea`]
+);
+
+const MARKER = {};
+
+// Chromium's kMaximumHTMLParserDOMTreeDepth. Counts the html element, which
+// isn't on this parser's stack.
+const maxDepth = 512;
+
+// Characters that end tag names, attribute names and unquoted attribute values
+const tagNameEnd = /[\t\n\f\r />]/;
+const attributeNameEnd = /[\t\n\f\r />=]/;
+const unquotedValueEnd = /[\t\n\f\r >]/;
+
+/**
+ * @param {string} html
+ * @param {number} start
+ * @param {RegExp} pattern
+ * @private
+ * @returns {number} the index of the first character at or after `start`
+ * matching `pattern`, or the length of `html`
+ */
+function scan(html, start, pattern) {
+  let pos = start;
+  while (pos < html.length && !pattern.test(html[pos])) {
+    pos += 1;
+  }
+  return pos;
+}
+
+/**
+ * @param {string} html
+ * @param {number} start
+ * @private
+ * @returns {number} the index of the first non-whitespace character at or
+ * after `start`
+ */
+function skipWhitespace(html, start) {
+  let pos = start;
+  while (pos < html.length && whitespace.test(html[pos])) {
+    pos += 1;
+  }
+  return pos;
+}
+
+/**
+ * Reads a start or end tag
+ * @param {string} html
+ * @param {number} start index of the tag name
+ * @param {string} type START_TAG or END_TAG
+ * @private
+ * @returns {Object} the token and the index following the tag, or null if
+ * the tag isn't closed
+ */
+function readTag(html, start, type) {
+  let pos = scan(html, start, tagNameEnd);
+
+  const token = {
+    type,
+    name: html.slice(start, pos).toLowerCase(),
+    attributes: [],
+    selfClosing: false
+  };
+
+  while (pos < html.length) {
+    const char = html[pos];
+    if (char === `>`) {
+      return {token, end: pos + 1};
+    }
+    if (whitespace.test(char)) {
+      pos += 1;
+    }
+    else if (char === `/`) {
+      token.selfClosing = html[pos + 1] === `>`;
+      pos += 1;
+    }
+    else {
+      pos = readAttribute(html, pos, token);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads an attribute into `token.attributes`
+ * @param {string} html
+ * @param {number} start
+ * @param {Object} token
+ * @private
+ * @returns {number} the index following the attribute
+ */
+function readAttribute(html, start, token) {
+  // Unlike other characters, a leading `=` is part of the name
+  const nameEnd = scan(html, start + 1, attributeNameEnd);
+  const name = html.slice(start, nameEnd).toLowerCase();
+
+  const equals = skipWhitespace(html, nameEnd);
+  let value = ``;
+  let end = nameEnd;
+  if (html[equals] === `=`) {
+    ({value, end} = readAttributeValue(html, skipWhitespace(html, equals + 1)));
+  }
+
+  // Later duplicates are ignored
+  if (!token.attributes.some((attr) => attr.name === name)) {
+    token.attributes.push({name, value: decode(value, true).replace(/\u0000/g, `\ufffd`)});
+  }
+
+  return end;
+}
+
+/**
+ * @param {string} html
+ * @param {number} start
+ * @private
+ * @returns {Object} the raw value and the index following it
+ */
+function readAttributeValue(html, start) {
+  const quote = html[start];
+  if (quote === `"` || quote === `'`) {
+    const end = html.indexOf(quote, start + 1);
+    if (end === -1) {
+      return {value: ``, end: html.length};
+    }
+    return {value: html.slice(start + 1, end), end: end + 1};
+  }
+
+  const end = scan(html, start, unquotedValueEnd);
+  return {value: html.slice(start, end), end};
+}
+
+/**
+ * Reads the end of a comment starting at `start`
+ * @param {string} html
+ * @param {number} start index following `<!--`
+ * @private
+ * @returns {Object} the comment data and the index following the comment
+ */
+function readComment(html, start) {
+  if (html[start] === `>`) {
+    return {data: ``, end: start + 1};
+  }
+  if (html.slice(start, start + 2) === `->`) {
+    return {data: ``, end: start + 2};
+  }
+
+  const ends = [`-->`, `--!>`]
+    .map((terminator) => ({terminator, index: html.indexOf(terminator, start)}))
+    .filter((candidate) => candidate.index !== -1)
+    .sort((a, b) => a.index - b.index);
+
+  if (ends.length === 0) {
+    return {data: html.slice(start), end: html.length};
+  }
+  return {
+    data: html.slice(start, ends[0].index),
+    end: ends[0].index + ends[0].terminator.length
+  };
+}
+
+/**
+ * Reads a bogus comment (`<?...>`, `</ ...>`, `<!...>`)
+ * @param {string} html
+ * @param {number} start index of the comment data
+ * @private
+ * @returns {Object} the comment data and the index following the comment
+ */
+function readBogusComment(html, start) {
+  const end = html.indexOf(`>`, start);
+  if (end === -1) {
+    return {data: html.slice(start), end: html.length};
+  }
+  return {data: html.slice(start, end), end: end + 1};
+}
+
+/**
+ * Finds the end tag of a raw text element
+ * @param {string} html
+ * @param {string} lowerHtml
+ * @param {string} name
+ * @param {number} start
+ * @private
+ * @returns {number} index of the end tag or -1
+ */
+function findEndTag(html, lowerHtml, name, start) {
+  let index = lowerHtml.indexOf(`</${name}`, start);
+  while (index !== -1) {
+    const next = html[index + name.length + 2];
+    if (next === undefined || tagNameEnd.test(next)) {
+      return index;
+    }
+    index = lowerHtml.indexOf(`</${name}`, index + 1);
+  }
+  return -1;
+}
+
+/**
+ * Splits html into text, tag and comment tokens
+ * @private
+ */
+class Tokenizer {
+  /**
+   * @param {string} html
+   * @param {function} emit called with each token
+   * @returns {Tokenizer}
+   */
+  constructor(html, emit) {
+    this.html = html;
+    this.lowerHtml = html.toLowerCase();
+    this.emit = emit;
+    this.pos = 0;
+    this.text = ``;
+  }
+
+  /**
+   * @returns {undefined}
+   */
+  run() {
+    const {html} = this;
+    while (this.pos < html.length) {
+      const lt = html.indexOf(`<`, this.pos);
+      if (lt === -1) {
+        this.text += html.slice(this.pos);
+        break;
+      }
+      this.text += html.slice(this.pos, lt);
+      this.pos = lt;
+      this.readMarkup();
+    }
+    this.flushText();
+  }
+
+  /**
+   * Reads whatever starts with the `<` at the current position
+   * @returns {undefined}
+   */
+  readMarkup() {
+    const next = this.html[this.pos + 1] || ``;
+    if (letter.test(next)) {
+      this.emitTag(readTag(this.html, this.pos + 1, START_TAG));
+    }
+    else if (next === `/`) {
+      this.readEndTag();
+    }
+    else if (next === `!`) {
+      this.readDeclaration();
+    }
+    else if (next === `?`) {
+      this.emitComment(readBogusComment(this.html, this.pos + 1));
+    }
+    else {
+      this.text += `<`;
+      this.pos += 1;
+    }
+  }
+
+  /**
+   * @returns {undefined}
+   */
+  readEndTag() {
+    const next = this.html[this.pos + 2];
+    if (next === undefined) {
+      this.text += `</`;
+      this.pos += 2;
+    }
+    else if (letter.test(next)) {
+      this.emitTag(readTag(this.html, this.pos + 2, END_TAG));
+    }
+    else if (next === `>`) {
+      this.pos += 3;
+    }
+    else {
+      this.emitComment(readBogusComment(this.html, this.pos + 2));
+    }
+  }
+
+  /**
+   * Reads comments and doctypes
+   * @returns {undefined}
+   */
+  readDeclaration() {
+    const {html, lowerHtml, pos} = this;
+    if (html.slice(pos, pos + 4) === `<!--`) {
+      this.emitComment(readComment(html, pos + 4));
+    }
+    else if (lowerHtml.slice(pos, pos + 9) === `<!doctype`) {
+      // Doctypes aren't part of the body
+      this.pos = readBogusComment(html, pos + 2).end;
+    }
+    else {
+      this.emitComment(readBogusComment(html, pos + 2));
+    }
+  }
+
+  /**
+   * @param {Object} comment
+   * @returns {undefined}
+   */
+  emitComment(comment) {
+    this.flushText();
+    this.emit({type: COMMENT, data: comment.data.replace(/\u0000/g, `\ufffd`)});
+    this.pos = comment.end;
+  }
+
+  /**
+   * @param {Object} tag
+   * @returns {undefined}
+   */
+  emitTag(tag) {
+    if (!tag) {
+      // Unterminated tags are dropped
+      this.pos = this.html.length;
+      return;
+    }
+
+    this.flushText();
+    this.emit(tag.token);
+    this.pos = tag.end;
+
+    const {name, type} = tag.token;
+    if (type === START_TAG && (name === `plaintext` || rawTextElements.indexOf(name) !== -1 || escapableRawTextElements.indexOf(name) !== -1)) {
+      this.readRawText(name);
+    }
+  }
+
+  /**
+   * @returns {undefined}
+   */
+  flushText() {
+    if (this.text) {
+      this.emit({type: TEXT, data: decode(this.text).replace(/\u0000/g, ``)});
+      this.text = ``;
+    }
+  }
+
+  /**
+   * Emits the content of a raw text element and its end tag
+   * @param {string} name
+   * @returns {undefined}
+   */
+  readRawText(name) {
+    const {html, pos} = this;
+    const index = name === `plaintext` ? -1 : findEndTag(html, this.lowerHtml, name, pos);
+    const tag = index === -1 ? null : readTag(html, index + 2, END_TAG);
+    const end = tag ? index : html.length;
+
+    const data = html.slice(pos, end).replace(/\u0000/g, `\ufffd`);
+    if (data) {
+      const rcdata = escapableRawTextElements.indexOf(name) !== -1;
+      this.emit({type: TEXT, data: rcdata ? decode(data) : data});
+    }
+
+    this.pos = end;
+    if (tag) {
+      this.emit(tag.token);
+      this.pos = tag.end;
+    }
+  }
+}
+
+// Start tags that are ignored once the body has started
+const ignoredStartTags = [`body`, `frameset`, `head`, `html`];
+
+// Start tags that close open list items
+const listItems = {
+  dd: [`dd`, `dt`],
+  dt: [`dd`, `dt`],
+  li: [`li`]
+};
+
+// Start tags that close an open element, wherever it is
+const impliedEndTags = {
+  optgroup: `option`,
+  option: `option`
+};
+
+// End tags that only close an element of the same name in the given scope
+const scopedEndTags = {
+  button: defaultScope,
+  dd: defaultScope,
+  dt: defaultScope,
+  li: listItemScope
+};
+closesParagraph
+  .filter((name) => headings.indexOf(name) === -1)
+  .forEach((name) => {
+    scopedEndTags[name] = defaultScope;
+  });
+tableElements.forEach((name) => {
+  scopedEndTags[name] = tableScope;
+});
+
+
+/**
+ * Builds the document tree from tokens
+ * @private
+ */
+class TreeBuilder {
+  /**
+   * @returns {TreeBuilder}
+   */
+  constructor() {
+    this.document = new Document();
+    this.head = this.document.createElement(`head`);
+    this.stack = [this.head];
+    this.formatting = [];
+    this.inHead = true;
+    this.skipNewline = false;
+  }
+
+  /**
+   * @type {Element}
+   */
+  get current() {
+    return this.stack[this.stack.length - 1];
+  }
+
+  /**
+   * @param {Object} token
+   * @returns {undefined}
+   */
+  process(token) {
+    const skipNewline = this.skipNewline;
+    this.skipNewline = false;
+
+    if (this.inHead && this.stack.length === 1 && this.processInHead(token)) {
+      return;
+    }
+
+    switch (token.type) {
+    case TEXT:
+      this.processText(skipNewline ? token.data.replace(/^\n/, ``) : token.data);
+      break;
+    case COMMENT:
+      this.insert(this.document.createComment(token.data));
+      break;
+    case START_TAG:
+      this.processStartTag(token);
+      break;
+    default:
+      this.processEndTag(token);
+      break;
+    }
+  }
+
+  /**
+   * Handles tokens that precede the body
+   * @param {Object} token
+   * @returns {Boolean} true if the token was handled
+   */
+  processInHead(token) {
+    switch (token.type) {
+    case TEXT: {
+      const data = token.data.replace(leadingWhitespace, ``);
+      if (data) {
+        this.startBody();
+        this.insertText(data);
+      }
+      return true;
+    }
+    case START_TAG:
+      return this.processStartTagInHead(token);
+    case END_TAG:
+      if (token.name === `br`) {
+        this.startBody();
+        return false;
+      }
+      return true;
+    default:
+      // Comments before the body belong to the document
+      return true;
+    }
+  }
+
+  /**
+   * @param {Object} token
+   * @returns {Boolean} true if the token was handled
+   */
+  processStartTagInHead(token) {
+    const {name} = token;
+    if (name === `html` || name === `head`) {
+      return true;
+    }
+    if (headElements.indexOf(name) !== -1) {
+      return false;
+    }
+
+    this.startBody();
+    return name === `body`;
+  }
+
+  /**
+   * @returns {undefined}
+   */
+  startBody() {
+    this.inHead = false;
+    this.stack = [this.document.body];
+  }
+
+  /**
+   * @param {Object} token
+   * @returns {undefined}
+   */
+  processStartTag(token) {
+    const name = token.name === `image` ? `img` : token.name;
+
+    if (ignoredStartTags.indexOf(name) !== -1) {
+      return;
+    }
+
+    if (tableElements.indexOf(name) !== -1 && name !== `table`) {
+      this.processTableStartTag(name, token);
+      return;
+    }
+
+    this.closeImpliedElements(name);
+    this.prepareFormatting(name);
+
+    const element = this.createElement(name, token);
+    this.insert(element);
+    if (voidElements.indexOf(name) === -1 && !(token.selfClosing && this.inForeignContent(name))) {
+      this.pushOpen(element, token);
+    }
+
+    this.skipNewline = name === `pre` || name === `listing` || name === `textarea`;
+  }
+
+  /**
+   * Reopens the active formatting elements before most start tags
+   * @param {string} name
+   * @returns {undefined}
+   */
+  prepareFormatting(name) {
+    if (noReconstruction.indexOf(name) === -1) {
+      this.reconstructFormatting();
+    }
+
+    if (name === `nobr` && this.inScope(`nobr`, defaultScope)) {
+      this.adoptionAgency(`nobr`);
+      this.reconstructFormatting();
+    }
+  }
+
+  /**
+   * Pushes an element onto the stack of open elements and, if it's a
+   * formatting or marker element, onto the list of active formatting elements
+   * @param {Element} element
+   * @param {Object} token
+   * @returns {undefined}
+   */
+  pushOpen(element, token) {
+    // Elements opened past maxDepth stay empty; insertInto() puts what would
+    // have been their content beside them instead. This keeps the stack, and
+    // so every scope check, bounded.
+    if (this.stack.length >= maxDepth) {
+      return;
+    }
+
+    this.stack.push(element);
+    if (formattingElements.indexOf(element.localName) !== -1) {
+      this.pushFormatting(element, token);
+    }
+    else if (markerElements.indexOf(element.localName) !== -1) {
+      this.formatting.push(MARKER);
+    }
+  }
+
+  /**
+   * Closes the elements that a start tag implicitly ends
+   * @param {string} name
+   * @returns {undefined}
+   */
+  closeImpliedElements(name) {
+    if (closesParagraph.indexOf(name) !== -1) {
+      this.closeParagraph();
+    }
+
+    if (headings.indexOf(name) !== -1 && headings.indexOf(this.current.localName) !== -1) {
+      this.popTo(this.stack.length - 1);
+    }
+    else if (listItems.hasOwnProperty(name)) {
+      this.closeListItem(listItems[name]);
+    }
+    else if (name === `a`) {
+      this.closeFormattingAnchor();
+    }
+    else if (impliedEndTags.hasOwnProperty(name)) {
+      this.popUntil(impliedEndTags[name]);
+    }
+  }
+
+  /**
+   * An `a` start tag closes any `a` that's still formatting the current
+   * content, even one whose element has already been closed
+   * @returns {undefined}
+   */
+  closeFormattingAnchor() {
+    const entry = this.findFormatting(`a`);
+    if (!entry) {
+      return;
+    }
+
+    this.adoptionAgency(`a`);
+    this.removeFormatting(entry.element);
+    const index = this.stack.indexOf(entry.element);
+    if (index !== -1) {
+      this.stack.splice(index, 1);
+    }
+  }
+
+  /**
+   * Inserts rows, cells and table sections, adding the sections and rows
+   * browsers imply
+   * @param {string} name
+   * @param {Object} token
+   * @returns {undefined}
+   */
+  processTableStartTag(name, token) {
+    // Table parts outside of tables are ignored
+    if (!this.inScope(`table`, tableScope)) {
+      return;
+    }
+
+    this.prepareTableContext(name);
+
+    const element = this.createElement(name, token);
+    this.insert(element);
+    if (name !== `col`) {
+      this.pushOpen(element, token);
+    }
+  }
+
+  /**
+   * Closes and implies the table elements needed to insert `name`
+   * @param {string} name
+   * @returns {undefined}
+   */
+  prepareTableContext(name) {
+    if (name === `caption` || name === `colgroup` || tableSections.indexOf(name) !== -1) {
+      this.popUntilCurrent([`table`]);
+    }
+    else if (name === `col`) {
+      this.popUntilCurrent([`table`, `colgroup`]);
+      this.pushImplied(`table`, `colgroup`);
+    }
+    else if (name === `tr`) {
+      this.popUntilCurrent(tableContexts.slice(0, -1));
+      this.pushImplied(`table`, `tbody`);
+    }
+    else {
+      this.popUntilCurrent(tableContexts);
+      this.pushImplied(`table`, `tbody`);
+      if (this.current.localName !== `tr`) {
+        this.pushElement(`tr`);
+      }
+    }
+  }
+
+  /**
+   * @param {Object} token
+   * @returns {undefined}
+   */
+  processEndTag(token) {
+    const {name} = token;
+
+    if (name === `p`) {
+      this.processParagraphEndTag();
+    }
+    else if (name === `br`) {
+      this.processStartTag({type: START_TAG, name: `br`, attributes: [], selfClosing: false});
+    }
+    else if (formattingElements.indexOf(name) !== -1) {
+      this.adoptionAgency(name);
+    }
+    else if (scopedEndTags.hasOwnProperty(name)) {
+      if (this.inScope(name, scopedEndTags[name])) {
+        this.popUntil(name);
+      }
+    }
+    else if (headings.indexOf(name) === -1) {
+      this.closeElement(name);
+    }
+    else {
+      this.closeHeading();
+    }
+  }
+
+  /**
+   * @returns {undefined}
+   */
+  processParagraphEndTag() {
+    if (this.inScope(`p`, buttonScope)) {
+      this.popUntil(`p`);
+    }
+    else {
+      // A stray </p> produces an empty paragraph
+      this.insert(this.document.createElement(`p`));
+    }
+  }
+
+  /**
+   * Implements the "any other end tag" steps
+   * @param {string} name
+   * @returns {undefined}
+   */
+  closeElement(name) {
+    for (let i = this.stack.length - 1; i > 0; i--) {
+      const node = this.stack[i];
+      if (node.localName === name) {
+        this.popTo(i);
+        return;
+      }
+      if (special.indexOf(node.localName) !== -1) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * @returns {undefined}
+   */
+  closeHeading() {
+    for (let i = this.stack.length - 1; i > 0; i--) {
+      const node = this.stack[i];
+      if (headings.indexOf(node.localName) !== -1) {
+        this.popTo(i);
+        return;
+      }
+      if (defaultScope.indexOf(node.localName) !== -1) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * @param {Array<string>} names
+   * @returns {undefined}
+   */
+  closeListItem(names) {
+    for (let i = this.stack.length - 1; i > 0; i--) {
+      const node = this.stack[i];
+      if (names.indexOf(node.localName) !== -1) {
+        this.popTo(i);
+        return;
+      }
+      if (special.indexOf(node.localName) !== -1 && [`address`, `div`, `p`].indexOf(node.localName) === -1) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * @returns {undefined}
+   */
+  closeParagraph() {
+    if (this.inScope(`p`, buttonScope)) {
+      this.popUntil(`p`);
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} token
+   * @returns {Element}
+   */
+  createElement(name, token) {
+    const element = this.document.createElement(name);
+    token.attributes.forEach((attr) => element.attributes.push({name: attr.name, value: attr.value}));
+    return element;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {number} index of the innermost open element named `name`
+   */
+  findOpen(name) {
+    for (let i = this.stack.length - 1; i > 0; i--) {
+      if (this.stack[i].localName === name) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * @param {string} name
+   * @param {Array<string>} scope
+   * @returns {Boolean}
+   */
+  inScope(name, scope) {
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      const node = this.stack[i];
+      if (node.localName === name) {
+        return true;
+      }
+      if (scope.indexOf(node.localName) !== -1) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Boolean}
+   */
+  inForeignContent(name) {
+    return foreignElements.indexOf(name) !== -1 || this.stack.some((node) => foreignElements.indexOf(node.localName) !== -1);
+  }
+
+  /**
+   * Inserts a node at the current position, moving content that isn't allowed
+   * directly in tables in front of the table
+   * @param {Node} node
+   * @returns {undefined}
+   */
+  insert(node) {
+    this.insertInto(this.current, node);
+  }
+
+  /**
+   * Inserts a node into `parent`, fostering content that isn't allowed
+   * directly in tables and flattening anything nested deeper than `maxDepth`
+   * @param {Element} parent
+   * @param {Node} node
+   * @returns {undefined}
+   */
+  insertInto(parent, node) {
+    if (tableContexts.indexOf(parent.localName) !== -1 && !allowedInTable(node)) {
+      const table = this.stack[this.findOpen(`table`)];
+      table.parentNode.insertBefore(node, table);
+      return;
+    }
+
+    if (this.stack.length + 1 > maxDepth && parent.parentNode) {
+      parent = parent.parentNode;
+    }
+    parent.appendChild(node);
+  }
+
+  /**
+   * @param {string} data
+   * @returns {undefined}
+   */
+  processText(data) {
+    if (data && !(tableContexts.indexOf(this.current.localName) !== -1 && onlyWhitespace.test(data))) {
+      this.reconstructFormatting();
+    }
+    this.insertText(data);
+  }
+
+  /**
+   * @param {string} data
+   * @returns {undefined}
+   */
+  insertText(data) {
+    if (!data) {
+      return;
+    }
+
+    const textNode = this.document.createTextNode(data);
+    this.insert(textNode);
+
+    // Merge with adjacent text, as browsers do
+    const siblings = textNode.parentNode.childNodes;
+    const previous = siblings[siblings.indexOf(textNode) - 1];
+    if (previous && previous.nodeType === TEXT_NODE) {
+      previous.data += textNode.data;
+      textNode.remove();
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {undefined}
+   */
+  popUntil(name) {
+    const index = this.findOpen(name);
+    if (index !== -1) {
+      this.popTo(index);
+    }
+  }
+
+  /**
+   * Pops elements off the stack until it's `length` long, clearing the
+   * formatting elements scoped to any marker element that gets closed
+   * @param {number} length
+   * @returns {undefined}
+   */
+  popTo(length) {
+    while (this.stack.length > length) {
+      const node = this.stack.pop();
+      if (markerElements.indexOf(node.localName) !== -1) {
+        this.clearFormattingToMarker();
+      }
+    }
+  }
+
+  /**
+   * Pops elements until the current node is one of `names`
+   * @param {Array<string>} names
+   * @returns {undefined}
+   */
+  popUntilCurrent(names) {
+    while (this.stack.length > 1 && names.indexOf(this.current.localName) === -1) {
+      this.popTo(this.stack.length - 1);
+    }
+  }
+
+  /**
+   * Implements the adoption agency algorithm, which closes the formatting
+   * element named `name` and reopens it inside the block elements it was
+   * misnested with
+   * @param {string} name
+   * @returns {undefined}
+   */
+  adoptionAgency(name) {
+    const current = this.current;
+    if (current.localName === name && !this.findFormattingEntry(current)) {
+      this.popTo(this.stack.length - 1);
+      return;
+    }
+
+    for (let i = 0; i < 8; i++) {
+      if (!this.adoptFurthestBlock(name)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Runs one iteration of the adoption agency algorithm's outer loop
+   * @param {string} name
+   * @returns {Boolean} true if the algorithm should continue
+   */
+  adoptFurthestBlock(name) {
+    const entry = this.findFormatting(name);
+    if (!entry) {
+      this.closeElement(name);
+      return false;
+    }
+
+    const formattingIndex = this.stack.indexOf(entry.element);
+    if (formattingIndex === -1) {
+      this.removeFormatting(entry.element);
+      return false;
+    }
+    if (!this.elementInScope(entry.element, defaultScope)) {
+      return false;
+    }
+
+    const furthestBlock = this.stack.slice(formattingIndex + 1).find((node) => special.indexOf(node.localName) !== -1);
+    if (!furthestBlock) {
+      this.popTo(formattingIndex);
+      this.removeFormatting(entry.element);
+      return false;
+    }
+
+    const commonAncestor = this.stack[formattingIndex - 1];
+    const {lastNode, bookmark} = this.adoptIntermediateElements(entry, furthestBlock);
+    this.insertInto(commonAncestor, lastNode);
+
+    const clone = this.createElement(entry.element.localName, entry.token);
+    while (furthestBlock.childNodes.length) {
+      clone.appendChild(furthestBlock.childNodes[0]);
+    }
+    furthestBlock.appendChild(clone);
+
+    const entryIndex = this.formatting.indexOf(entry);
+    this.formatting.splice(entryIndex, 1);
+    this.formatting.splice(entryIndex < bookmark ? bookmark - 1 : bookmark, 0, {element: clone, token: entry.token});
+
+    this.stack.splice(this.stack.indexOf(entry.element), 1);
+    this.stack.splice(this.stack.indexOf(furthestBlock) + 1, 0, clone);
+    return true;
+  }
+
+  /**
+   * Runs the adoption agency algorithm's inner loop: reopens the formatting
+   * elements between the formatting element and the furthest block around
+   * the furthest block, and drops everything else in between from the stack
+   * @param {Object} entry the formatting element's entry
+   * @param {Element} furthestBlock
+   * @returns {Object} the node to insert in place of the furthest block and
+   * the list position at which to reopen the formatting element
+   */
+  adoptIntermediateElements(entry, furthestBlock) {
+    let bookmark = this.formatting.indexOf(entry);
+    let lastNode = furthestBlock;
+    let nodeIndex = this.stack.indexOf(furthestBlock) - 1;
+
+    for (let inner = 1; this.stack[nodeIndex] !== entry.element; inner++) {
+      const node = this.stack[nodeIndex];
+      let nodeEntry = this.findFormattingEntry(node);
+      if (inner > 3 && nodeEntry) {
+        if (this.formatting.indexOf(nodeEntry) < bookmark) {
+          bookmark -= 1;
+        }
+        this.removeFormatting(node);
+        nodeEntry = null;
+      }
+
+      if (nodeEntry) {
+        const clone = this.createElement(node.localName, nodeEntry.token);
+        const replacement = {element: clone, token: nodeEntry.token};
+        this.formatting[this.formatting.indexOf(nodeEntry)] = replacement;
+        this.stack[nodeIndex] = clone;
+
+        if (lastNode === furthestBlock) {
+          bookmark = this.formatting.indexOf(replacement) + 1;
+        }
+
+        clone.appendChild(lastNode);
+        lastNode = clone;
+      }
+      else {
+        this.stack.splice(nodeIndex, 1);
+      }
+
+      nodeIndex -= 1;
+    }
+
+    return {lastNode, bookmark};
+  }
+
+  /**
+   * @returns {undefined}
+   */
+  clearFormattingToMarker() {
+    while (this.formatting.length) {
+      if (this.formatting.pop() === MARKER) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * @param {Element} element
+   * @param {Array<string>} scope
+   * @returns {Boolean}
+   */
+  elementInScope(element, scope) {
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      const node = this.stack[i];
+      if (node === element) {
+        return true;
+      }
+      if (scope.indexOf(node.localName) !== -1) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object} the last active formatting entry named `name` after
+   * the last marker
+   */
+  findFormatting(name) {
+    for (let i = this.formatting.length - 1; i >= 0; i--) {
+      const entry = this.formatting[i];
+      if (entry === MARKER) {
+        return null;
+      }
+      if (entry.element.localName === name) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {Element} element
+   * @returns {Object}
+   */
+  findFormattingEntry(element) {
+    return this.formatting.find((entry) => entry !== MARKER && entry.element === element) || null;
+  }
+
+  /**
+   * Adds a formatting element to the list of active formatting elements,
+   * keeping no more than three identical ones since the last marker
+   * @param {Element} element
+   * @param {Object} token
+   * @returns {undefined}
+   */
+  pushFormatting(element, token) {
+    const identical = [];
+    for (let i = this.formatting.length - 1; i >= 0 && this.formatting[i] !== MARKER; i--) {
+      if (isIdentical(this.formatting[i].element, element)) {
+        identical.unshift(i);
+      }
+    }
+    if (identical.length >= 3) {
+      this.formatting.splice(identical[0], 1);
+    }
+
+    this.formatting.push({element, token});
+  }
+
+  /**
+   * Reopens the formatting elements that were closed (e.g. by the end of a
+   * paragraph) while they were still formatting the current content
+   * @returns {undefined}
+   */
+  reconstructFormatting() {
+    const {formatting, stack} = this;
+    if (!formatting.length) {
+      return;
+    }
+
+    let index = formatting.length - 1;
+    if (isOpen(formatting[index], stack)) {
+      return;
+    }
+
+    while (index > 0 && !isOpen(formatting[index - 1], stack)) {
+      index -= 1;
+    }
+
+    for (; index < formatting.length; index++) {
+      // Formatting elements that can't be reopened within maxDepth are gone
+      // for good
+      if (stack.length >= maxDepth) {
+        formatting.splice(index);
+        return;
+      }
+
+      const {token} = formatting[index];
+      const element = this.createElement(formatting[index].element.localName, token);
+      this.insert(element);
+      stack.push(element);
+      formatting[index] = {element, token};
+    }
+  }
+
+  /**
+   * @param {Element} element
+   * @returns {undefined}
+   */
+  removeFormatting(element) {
+    const entry = this.findFormattingEntry(element);
+    if (entry) {
+      this.formatting.splice(this.formatting.indexOf(entry), 1);
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {undefined}
+   */
+  pushElement(name) {
+    const element = this.document.createElement(name);
+    this.insert(element);
+    this.stack.push(element);
+  }
+
+  /**
+   * Pushes an implied `name` element if the current node is `parentName`
+   * @param {string} parentName
+   * @param {string} name
+   * @returns {undefined}
+   */
+  pushImplied(parentName, name) {
+    if (this.current.localName === parentName) {
+      this.pushElement(name);
+    }
+  }
+}
+
+/**
+ * @param {Object} entry
+ * @param {Array<Element>} stack
+ * @private
+ * @returns {Boolean} true if `entry` is a marker or a formatting element that
+ * is still open
+ */
+function isOpen(entry, stack) {
+  return entry === MARKER || stack.indexOf(entry.element) !== -1;
+}
+
+/**
+ * @param {Element} a
+ * @param {Element} b
+ * @private
+ * @returns {Boolean} true if `a` and `b` have the same name and attributes
+ */
+function isIdentical(a, b) {
+  if (a.localName !== b.localName || a.attributes.length !== b.attributes.length) {
+    return false;
+  }
+  return a.attributes.every((attr) => b.getAttribute(attr.name) === attr.value);
+}
+
+/**
+ * @param {Node} node
+ * @private
+ * @returns {Boolean}
+ */
+function allowedInTable(node) {
+  if (node.nodeType === TEXT_NODE) {
+    return onlyWhitespace.test(node.data);
+  }
+  if (node.nodeType !== ELEMENT_NODE) {
+    return true;
+  }
+  return tableElements.indexOf(node.localName) !== -1 || [`script`, `style`, `template`].indexOf(node.localName) !== -1;
+}
+
+/**
+ * Parses html the way browsers parse documents
+ * @param {string} html
+ * @returns {Element} the body element
+ */
+export default function parse(html) {
+  const builder = new TreeBuilder();
+  const tokenizer = new Tokenizer(html.replace(/\r\n?/g, `\n`), (token) => builder.process(token));
+  tokenizer.run();
+  return builder.document.body;
+}
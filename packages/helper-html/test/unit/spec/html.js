@@ -5,9 +5,8 @@
 
 import {assert} from '@ciscospark/test-helper-chai';
 import {escape, escapeSync, filter, filterSync} from '../..';
-import {skipInNode} from '@ciscospark/test-helper-mocha';
 
-skipInNode(describe)(`html`, () => {
+describe(`html`, () => {
   const allowedTags = {
     br: [],
     em: [],
@@ -58,6 +57,31 @@ skipInNode(describe)(`html`, () => {
     it(`sanitizes trivial html`, () => {
       return assert.deepEqual(cfilterSync(`<p data-test="5"><em>foo</em></p>`), `<p><em>foo</em></p>`);
     });
+
+    it(`passes the filtered body to processCallback`, () => {
+      const out = filterSync((body) => {
+        assert.equal(body.nodeName, `BODY`);
+        assert.equal(body.childNodes[0].nodeName, `P`);
+        body.childNodes[0].setAttribute(`style`, `color:red`);
+      }, allowedTags, allowedStyles, `<p data-test="5">foo</p>`);
+      assert.equal(out, `<p style="color:red">foo</p>`);
+    });
+
+    it(`caps the nesting depth of hostile input`, () => {
+      const out = cfilterSync(`<p>${`<strong>`.repeat(3000)}x`);
+      assert.include(out, `x`);
+      assert.include(out, `<strong>`.repeat(500));
+      assert.notInclude(out, `<strong>`.repeat(512));
+    });
+
+    it(`parses hostile nesting in linear time`, () => {
+      // Each blockquote checks whether it closes a paragraph, which scanned
+      // the entire stack of open elements before the stack was capped
+      const start = Date.now();
+      const out = cfilterSync(`${`<blockquote>`.repeat(20000)}<p>x`);
+      assert.include(out, `x`);
+      assert.isBelow(Date.now() - start, 2000);
+    });
   });
 
   [
@@ -167,6 +191,51 @@ skipInNode(describe)(`html`, () => {
       it: `filters disallowed attributes from img width`,
       input: `<img remove="me" width="537">bar</img>`,
       output: `<img width="537">bar`
+    },
+    {
+      it: `filters event handlers`,
+      input: `<img src=x onerror="alert(1)">`,
+      output: `<img src="x">`
+    },
+    {
+      it: `filters obfuscated javascript: from a href`,
+      input: `<p><a href=" JaVaScRiPt:alert(1)">click here</a></p>`,
+      output: `<p>click here</p>`
+    },
+    {
+      it: `keeps script content as text`,
+      input: `<p><script>alert("<b>hi</b>")</script>ok</p>`,
+      output: `<p>alert("&lt;b&gt;hi&lt;/b&gt;")ok</p>`
+    },
+    {
+      it: `decodes and re-encodes entities`,
+      input: `<p>a &amp; b &lt;c&gt; &quot;d&quot; &copy; &nbsp;</p>`,
+      output: `<p>a &amp; b &lt;c&gt; "d" © &nbsp;</p>`
+    },
+    {
+      it: `closes implied end tags`,
+      input: `<ul><li>one<li>two</ul><p>three<p>four`,
+      output: `<ul><li>one</li><li>two</li></ul><p>three</p><p>four</p>`
+    },
+    {
+      it: `drops elements that precede the body`,
+      input: `<title>title</title><style>p {}</style>text`,
+      output: `text`
+    },
+    {
+      it: `reopens misnested formatting elements`,
+      input: `<strong>1<p>2</strong>3</p>`,
+      output: `<strong>1</strong><p><strong>2</strong>3</p>`
+    },
+    {
+      it: `carries formatting elements past the end of their block`,
+      input: `<p><em>one</p>two`,
+      output: `<p><em>one</em></p><em>two</em>`
+    },
+    {
+      it: `drops unterminated tags`,
+      input: `<p>text <em`,
+      output: `<p>text </p>`
     }
   ].forEach((def) => {
     describe(`#filter()`, () => {
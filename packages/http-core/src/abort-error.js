@@ -0,0 +1,16 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {Exception} from '@ciscospark/common';
+
+/**
+ * Rejected by requests whose `options.signal` was aborted. Unlike
+ * {@link HttpError.NetworkOrCORSError}, it means the caller gave up on the
+ * request, not that the network failed, so it's not an {@link HttpError} at
+ * all.
+ */
+export default class AbortError extends Exception {
+  static defaultMessage = `The request was aborted`;
+}
@@ -84,6 +84,10 @@ export default function makeSubTypes(Base) {
    * ExpectationFailed
    */
   class ExpectationFailed extends BadRequest {}
+  /**
+   * TooManyRequests
+   */
+  class TooManyRequests extends BadRequest {}
   /**
    * InternalServerError
    */
@@ -148,6 +152,8 @@ export default function makeSubTypes(Base) {
     RequestRangeNotSatisfiable,
     417: ExpectationFailed,
     ExpectationFailed,
+    429: TooManyRequests,
+    TooManyRequests,
     500: InternalServerError,
     InternalServerError,
     501: NotImplemented,
@@ -171,7 +177,7 @@ export default function makeSubTypes(Base) {
         return E;
       }
 
-      // Fallback to the default for the category (e.g. BadRequest for 429)
+      // Fallback to the default for the category (e.g. BadRequest for 418)
       statusCode = `${statusCode.toString().split(``).shift()}00`;
       statusCode = parseInt(statusCode, 10);
 
@@ -23,6 +23,7 @@ const protorequest = curry(function protorequest(defaultOptions, options) {
     `download`,
     `interceptors`,
     `logger`,
+    `transport`,
     `upload`
   ].forEach((prop) => {
     let descriptor = Reflect.getOwnPropertyDescriptor(options, prop);
@@ -55,7 +56,15 @@ const defaultOptions = {
 export const defaults = protorequest;
 export const request = protorequest(defaultOptions);
 export {default as ProgressEvent} from './progress-event';
+export {default as AbortError} from './abort-error';
+export {
+  abortable,
+  AbortController,
+  onAbort
+} from './lib/abort';
 export {default as Interceptor} from './lib/interceptor';
 export {default as HttpError} from './http-error';
 export {default as HttpStatusInterceptor} from './interceptors/http-status';
+export {default as Recorder} from './lib/recorder';
+export {default as RecorderInterceptor} from './interceptors/recorder';
 export {detect, detectSync} from './lib/detect';
@@ -0,0 +1,52 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import Interceptor from '../lib/interceptor';
+import Recorder from '../lib/recorder';
+
+/**
+ * Requests already routed through the recorder
+ * @private
+ * @type {WeakSet}
+ */
+const recorded = new WeakSet();
+
+/**
+ * Routes requests through the installed {@link Recorder}, if any, so they're
+ * recorded or, when replaying, never reach the network. Requests may opt out
+ * via `options.shouldRecord: false`.
+ * @class
+ */
+export default class RecorderInterceptor extends Interceptor {
+  /**
+   * @returns {RecorderInterceptor}
+   */
+  static create() {
+    return new RecorderInterceptor({spark: this});
+  }
+
+  /**
+   * @see Interceptor#onRequest
+   * @param {Object} options
+   * @returns {Object}
+   */
+  onRequest(options) {
+    const recorder = Recorder.current;
+    if (recorder && options.shouldRecord !== false && !recorded.has(options)) {
+      recorded.add(options);
+      // Sit beneath any transport installed by an earlier interceptor (e.g.
+      // retries) so every attempt is recorded and replayed
+      const outer = options.transport;
+      if (outer) {
+        options.transport = (opts, send) => outer(opts, (o) => recorder.transport(o, send));
+      }
+      else {
+        options.transport = (opts, send) => recorder.transport(opts, send);
+      }
+    }
+
+    return options;
+  }
+}
@@ -0,0 +1,150 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import AbortError from '../abort-error';
+
+/**
+ * Just enough of the DOM's AbortSignal for environments (node, older
+ * browsers) that don't provide one
+ * @class AbortSignal
+ */
+class AbortSignalShim {
+  /**
+   * @returns {AbortSignal}
+   */
+  constructor() {
+    this.aborted = false;
+    this.onabort = null;
+    this.listeners = [];
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {undefined}
+   */
+  addEventListener(type, listener) {
+    if (type === `abort` && !this.listeners.includes(listener)) {
+      this.listeners.push(listener);
+    }
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {undefined}
+   */
+  removeEventListener(type, listener) {
+    const index = this.listeners.indexOf(listener);
+    if (type === `abort` && index !== -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * @param {Object} event
+   * @returns {undefined}
+   */
+  dispatchEvent(event) {
+    if (this.onabort) {
+      this.onabort(event);
+    }
+    this.listeners.slice().forEach((listener) => listener(event));
+  }
+}
+
+/**
+ * Just enough of the DOM's AbortController for environments (node, older
+ * browsers) that don't provide one
+ * @class AbortController
+ */
+class AbortControllerShim {
+  /**
+   * @returns {AbortController}
+   */
+  constructor() {
+    this.signal = new AbortSignalShim();
+  }
+
+  /**
+   * Aborts every request using `this.signal`
+   * @returns {undefined}
+   */
+  abort() {
+    if (this.signal.aborted) {
+      return;
+    }
+
+    this.signal.aborted = true;
+    this.signal.dispatchEvent({
+      target: this.signal,
+      type: `abort`
+    });
+  }
+}
+
+/* global AbortController */
+/**
+ * The environment's AbortController if it has one, otherwise a minimal
+ * stand-in
+ * @type {Function}
+ */
+const Controller = typeof AbortController === `undefined` ? AbortControllerShim : AbortController;
+export {Controller as AbortController};
+
+/**
+ * Invokes `callback` once `signal` is aborted
+ * @param {AbortSignal} signal may be undefined
+ * @param {Function} callback
+ * @returns {Function} removes the listener; call once it's no longer needed
+ */
+export function onAbort(signal, callback) {
+  if (!signal) {
+    return () => undefined;
+  }
+
+  /**
+   * @private
+   * @returns {undefined}
+   */
+  function listener() {
+    callback(new AbortError());
+  }
+
+  signal.addEventListener(`abort`, listener);
+  return () => signal.removeEventListener(`abort`, listener);
+}
+
+/**
+ * Settles like `promise` unless `signal` is aborted first, in which case it
+ * rejects with an {@link AbortError}. `promise` itself keeps running; use this
+ * for work that can't be cancelled but whose result is no longer wanted.
+ * @param {Promise} promise
+ * @param {AbortSignal} signal may be undefined
+ * @returns {Promise}
+ */
+export function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  if (signal.aborted) {
+    return Promise.reject(new AbortError());
+  }
+
+  let off;
+  const aborted = new Promise((resolve, reject) => {
+    off = onAbort(signal, reject);
+  });
+
+  return Promise.race([promise, aborted])
+    .then((res) => {
+      off();
+      return res;
+    }, (reason) => {
+      off();
+      return Promise.reject(reason);
+    });
+}
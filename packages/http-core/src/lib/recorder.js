@@ -0,0 +1,344 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {EventEmitter} from 'events';
+import {cloneDeep, isEqual, isPlainObject, pick, uniqWith} from 'lodash';
+import qs from 'qs';
+
+/**
+ * Keys (of headers and of bodies, at any depth) whose values never make it
+ * into a fixture. KMS key material (`key`, `keys`, `jwk`) is deliberately
+ * kept: it belongs to throwaway test users and replays can't decrypt without
+ * it.
+ * @private
+ * @type {Array<string>}
+ */
+const redactedKeys = [
+  `access_token`,
+  `assertion`,
+  `authorization`,
+  `client_secret`,
+  `cookie`,
+  `id_token`,
+  `password`,
+  `refresh_token`,
+  `set-cookie`
+];
+
+const uuidPattern = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+let current;
+
+/**
+ * @param {mixed} value
+ * @private
+ * @returns {boolean}
+ */
+function isBuffer(value) {
+  return typeof Buffer !== `undefined` && Buffer.isBuffer(value);
+}
+
+/**
+ * Reduces a request body to its structure (keys and value types) so that
+ * requests containing client-generated ids or fresh ciphertext still match
+ * their recordings
+ * @param {mixed} value
+ * @private
+ * @returns {mixed}
+ */
+function shape(value) {
+  if (Array.isArray(value)) {
+    return uniqWith(value.map(shape), isEqual);
+  }
+
+  if (isBuffer(value)) {
+    return `binary`;
+  }
+
+  if (value === null) {
+    return `null`;
+  }
+
+  if (typeof value === `object`) {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = shape(value[key]);
+      return result;
+    }, {});
+  }
+
+  return typeof value;
+}
+
+/**
+ * Deep copies `value` into something JSON can hold, replacing secrets with
+ * `[REDACTED]`
+ * @param {mixed} value
+ * @private
+ * @returns {mixed}
+ */
+function sanitize(value) {
+  if (Array.isArray(value)) {
+    return value.map(sanitize);
+  }
+
+  if (isBuffer(value)) {
+    return {$base64: value.toString(`base64`)};
+  }
+
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = redactedKeys.includes(key.toLowerCase()) ? `[REDACTED]` : sanitize(value[key]);
+      return result;
+    }, {});
+  }
+
+  return value;
+}
+
+/**
+ * Reverses the non-lossy parts of {@link sanitize}
+ * @param {mixed} value
+ * @private
+ * @returns {mixed}
+ */
+function revive(value) {
+  if (Array.isArray(value)) {
+    return value.map(revive);
+  }
+
+  if (isPlainObject(value)) {
+    if (Object.keys(value).length === 1 && typeof value.$base64 === `string`) {
+      return new Buffer(value.$base64, `base64`);
+    }
+
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = revive(value[key]);
+      return result;
+    }, {});
+  }
+
+  return value;
+}
+
+/**
+ * Reduces a request to the parts replay matches on: its method, its url
+ * (including query string, with uuids normalized) and the shape of its body
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.uri
+ * @param {Object} request.qs
+ * @param {mixed} request.body
+ * @private
+ * @returns {Object}
+ */
+function describe(request) {
+  let uri = request.uri || ``;
+  if (request.qs && Object.keys(request.qs).length) {
+    uri += `${uri.includes(`?`) ? `&` : `?`}${qs.stringify(request.qs)}`;
+  }
+
+  return {
+    method: (request.method || `GET`).toUpperCase(),
+    uri: uri.replace(uuidPattern, `:uuid`),
+    body: shape(request.body)
+  };
+}
+
+/**
+ * Records traffic into (or replays it from) a fixture so that integration
+ * suites can run without a network.
+ *
+ * In `record` mode, http responses (via {@link RecorderInterceptor}), inbound
+ * Mercury frames and anything else passed through {@link Recorder#intercept}
+ * are appended, in order, to the fixture. Secrets are redacted and request
+ * bodies are kept only as shapes.
+ *
+ * In `replay` mode, each request is answered with the first unused recording
+ * whose method, url and body shape match it; serving a recording releases the
+ * frames that arrived after it.
+ *
+ * The recorder in use is process-wide (see {@link Recorder.install}) because
+ * suites create their spark instances themselves.
+ * @class Recorder
+ */
+export default class Recorder extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode `record` or `replay`
+   * @param {Object} options.fixture a previous recording (required to replay)
+   * @returns {Recorder}
+   */
+  constructor(options) {
+    super();
+    options = options || {};
+    if (options.mode !== `record` && options.mode !== `replay`) {
+      throw new Error(`\`options.mode\` must be "record" or "replay"`);
+    }
+
+    this.mode = options.mode;
+    this.entries = options.fixture ? options.fixture.entries : [];
+    this.pending = {};
+    this.used = new Set();
+    this.release(-1);
+  }
+
+  /**
+   * The recorder in use, if any
+   * @returns {Recorder}
+   */
+  static get current() {
+    return current;
+  }
+
+  /**
+   * Makes `recorder` the one in use
+   * @param {Recorder} recorder
+   * @returns {Recorder}
+   */
+  static install(recorder) {
+    current = recorder;
+    return recorder;
+  }
+
+  /**
+   * Stops using the current recorder
+   * @returns {Recorder} the recorder that was in use
+   */
+  static uninstall() {
+    const recorder = current;
+    current = undefined;
+    return recorder;
+  }
+
+  /**
+   * Records the result of `send()` or, when replaying, resolves with the
+   * matching recording instead of calling it
+   * @param {string} channel kind of traffic (e.g. `kms`)
+   * @param {Object} request see {@link describe}
+   * @param {Function} send
+   * @returns {Promise}
+   */
+  intercept(channel, request, send) {
+    const description = describe(request);
+    if (this.mode === `replay`) {
+      return this.replay(channel, description);
+    }
+
+    return send()
+      .then((response) => {
+        this.record(channel, description, response);
+        return response;
+      });
+  }
+
+  /**
+   * Records an inbound frame (e.g. a Mercury message)
+   * @param {string} channel
+   * @param {Object} frame
+   * @returns {undefined}
+   */
+  recordFrame(channel, frame) {
+    this.entries.push({channel, frame: sanitize(frame)});
+  }
+
+  /**
+   * @param {string} channel
+   * @param {Object} description
+   * @param {mixed} response
+   * @private
+   * @returns {undefined}
+   */
+  record(channel, description, response) {
+    this.entries.push({channel, request: description, response: sanitize(response)});
+  }
+
+  /**
+   * Hands the frames released so far and every frame released from now on to
+   * `listener`
+   * @param {string} channel
+   * @param {Function} listener
+   * @returns {Function} stops listening
+   */
+  subscribe(channel, listener) {
+    const event = `frame:${channel}`;
+    const pending = this.pending[channel] || [];
+    this.pending[channel] = [];
+    pending.forEach((frame) => listener(frame));
+
+    this.on(event, listener);
+    return () => this.removeListener(event, listener);
+  }
+
+  /**
+   * Transport for {@link RecorderInterceptor}
+   * @param {Object} options
+   * @param {Function} send the real transport
+   * @returns {Promise<HttpResponse>}
+   */
+  transport(options, send) {
+    const description = describe(options);
+    if (this.mode === `replay`) {
+      return this.replay(`http`, description)
+        .then((response) => Object.assign(response, {
+          method: options.method,
+          options,
+          url: options.uri
+        }));
+    }
+
+    return send(options)
+      .then((response) => {
+        // Network failures and streamed bodies can't be replayed
+        if (response.statusCode && options.responseType !== `stream`) {
+          this.record(`http`, description, pick(response, `statusCode`, `headers`, `body`));
+        }
+        return response;
+      });
+  }
+
+  /**
+   * @param {string} channel
+   * @param {Object} description
+   * @private
+   * @returns {Promise}
+   */
+  replay(channel, description) {
+    const index = this.entries.findIndex((entry, i) => !this.used.has(i) && entry.channel === channel && isEqual(entry.request, description));
+    if (index === -1) {
+      return Promise.reject(new Error(`No ${channel} recording matches ${description.method} ${description.uri}`));
+    }
+
+    this.used.add(index);
+    this.release(index);
+    return Promise.resolve(revive(cloneDeep(this.entries[index].response)));
+  }
+
+  /**
+   * Emits (or queues, if nothing is subscribed yet) the frames recorded
+   * between the entry at `index` and the next request
+   * @param {number} index
+   * @private
+   * @returns {undefined}
+   */
+  release(index) {
+    for (let i = index + 1; i < this.entries.length && this.entries[i].frame; i++) {
+      const {channel, frame} = this.entries[i];
+      const event = `frame:${channel}`;
+      if (this.listenerCount(event)) {
+        this.emit(event, cloneDeep(frame));
+      }
+      else {
+        this.pending[channel] = (this.pending[channel] || []).concat(cloneDeep(frame));
+      }
+    }
+  }
+
+  /**
+   * @returns {Object} the fixture
+   */
+  toJSON() {
+    return {entries: this.entries};
+  }
+}
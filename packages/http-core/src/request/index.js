@@ -5,9 +5,16 @@
 
 import _request from './request';
 import {EventEmitter} from 'events';
+import AbortError from '../abort-error';
+import {abortable} from '../lib/abort';
 
 /**
  * @param {Object} options
+ * @param {AbortSignal} options.signal aborting it rejects the request with an
+ * {@link AbortError}, whether it's still in the interceptors or already on the
+ * wire
+ * @param {Function} options.transport replaces the real transport; called
+ * with `options` and the real transport
  * @returns {Promise}
  */
 export default function request(options) {
@@ -21,14 +28,31 @@ export default function request(options) {
   options.download = new EventEmitter();
   options.upload = new EventEmitter();
 
-  return intercept(options.interceptors, `Request`)
-    .then((...args) => _request(options, ...args))
-    .then((...args) => intercept(options.interceptors.slice().reverse(), `Response`, ...args));
+  // Transport failures (e.g. aborts) go through the response interceptors'
+  // error handlers just like error responses do
+  const chain = intercept(options.interceptors, `Request`)
+    .then((...args) => intercept(options.interceptors.slice().reverse(), `Response`, send(...args)));
+
+  return abortable(chain, options.signal);
+
+  /**
+   * Interceptors may substitute their own transport (e.g. to replay a
+   * recording); it receives the real one so it can delegate to it
+   * @param {Array} args
+   * @private
+   * @returns {Promise}
+   */
+  function send(...args) {
+    if (options.transport) {
+      return options.transport(options, _request);
+    }
+    return _request(options, ...args);
+  }
 
   /**
    * @param {Array} interceptors
    * @param {string} key
-   * @param {Object} res
+   * @param {Object|Promise} res
    * @private
    * @returns {Promise}
    */
@@ -38,6 +62,9 @@ export default function request(options) {
 
     return interceptors.reduce((promise, interceptor) => promise.then(
         (result) => {
+          if (options.signal && options.signal.aborted) {
+            return Promise.reject(new AbortError());
+          }
           if (interceptor[successKey]) {
             return interceptor[successKey](options, result);
           }
@@ -4,8 +4,10 @@
  */
 
 import {detect} from '../lib/detect';
+import {onAbort} from '../lib/abort';
 import ProgressEvent from '../progress-event';
 import request from 'request';
+import {PassThrough} from 'stream';
 
 /**
  * @param {Object} options
@@ -13,7 +15,7 @@ import request from 'request';
  * @returns {Promise}
  */
 function prepareOptions(options) {
-  if (options.responseType === `buffer` || options.responseType === `blob`) {
+  if (options.responseType === `buffer` || options.responseType === `blob` || options.responseType === `stream`) {
     options.encoding = null;
   }
 
@@ -32,13 +34,142 @@ function prepareOptions(options) {
   return Promise.resolve(options);
 }
 
+/**
+ * Emits progress events on `options.download` as `response` receives data
+ * @param {Object} options
+ * @param {http.IncomingMessage} response
+ * @private
+ * @returns {undefined}
+ */
+function bindProgressEvents(options, response) {
+  const total = parseInt(response.headers[`content-length`], 10);
+  let loaded = 0;
+  response.on(`data`, (data) => {
+    loaded += data.length;
+    options.download.emit(`progress`, new ProgressEvent(loaded, total));
+  });
+}
+
+/**
+ * Aborts `r` when `options.signal` is aborted
+ * @param {Object} options
+ * @param {Request} r
+ * @param {Function} callback invoked with an {@link AbortError} after `r` is
+ * aborted
+ * @private
+ * @returns {undefined}
+ */
+function bindAbort(options, r, callback) {
+  const off = onAbort(options.signal, (reason) => {
+    r.abort();
+    callback(reason);
+  });
+  r.on(`complete`, off);
+  r.on(`error`, off);
+}
+
+/**
+ * Reads the body of a failed streaming response, parsing it as JSON if
+ * possible. Nothing else will read it, and an unread body would hold its
+ * connection open.
+ * @param {http.IncomingMessage} response
+ * @private
+ * @returns {Promise<Object|string>}
+ */
+function readErrorBody(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    response.on(`data`, (chunk) => chunks.push(chunk));
+    response.on(`error`, reject);
+    response.on(`end`, () => {
+      const text = Buffer.concat(chunks).toString();
+      try {
+        resolve(JSON.parse(text));
+      }
+      catch (err) {
+        resolve(text);
+      }
+    });
+  });
+}
+
+/**
+ * Resolves as soon as the response headers arrive, with the response body
+ * exposed as a Readable stream. Error responses resolve once their (usually
+ * small) bodies have been read, with the body parsed like a non-streaming
+ * response's.
+ * @param {Object} options
+ * @private
+ * @returns {Promise}
+ */
+function doStreamingRequest(options) {
+  return new Promise((resolve, reject) => {
+    const r = request(options);
+    let body;
+
+    bindAbort(options, r, (reason) => {
+      if (body) {
+        body.emit(`error`, reason);
+      }
+      reject(reason);
+    });
+
+    r.on(`response`, (response) => {
+      if (response.statusCode >= 400) {
+        readErrorBody(response)
+          .then((errorBody) => resolve({
+            statusCode: response.statusCode,
+            headers: response.headers,
+            method: options.method,
+            url: options.uri,
+            options,
+            body: errorBody
+          }), reject);
+        return;
+      }
+
+      // Pipe through a PassThrough so that counting bytes for progress events
+      // doesn't drain the body before the caller gets a chance to read it
+      body = response.pipe(new PassThrough());
+      response.on(`error`, (error) => body.emit(`error`, error));
+      bindProgressEvents(options, response);
+
+      resolve({
+        statusCode: response.statusCode,
+        headers: response.headers,
+        method: options.method,
+        url: options.uri,
+        options,
+        body
+      });
+    });
+
+    r.on(`error`, (error) => {
+      options.logger.warn(error);
+      // Make a network error behave like a browser network error.
+      resolve({
+        statusCode: 0,
+        options,
+        headers: options.headers,
+        method: options.method,
+        url: options.url,
+        body: error
+      });
+    });
+  });
+}
+
 /**
  * @param {Object} options
  * @private
  * @returns {Promise}
  */
 function doRequest(options) {
-  return new Promise((resolve) => {
+  if (options.responseType === `stream`) {
+    return doStreamingRequest(options);
+  }
+
+  return new Promise((resolve, reject) => {
     const logger = options.logger;
 
     const r = request(options, (error, response) => {
@@ -80,14 +211,8 @@ function doRequest(options) {
       }
     });
 
-    r.on(`response`, (response) => {
-      const total = parseInt(response.headers[`content-length`], 10);
-      let loaded = 0;
-      response.on(`data`, (data) => {
-        loaded += data.length;
-        options.download.emit(`progress`, new ProgressEvent(loaded, total));
-      });
-    });
+    r.on(`response`, (response) => bindProgressEvents(options, response));
+    bindAbort(options, r, reject);
   });
 }
 
@@ -4,6 +4,7 @@
  */
 
 /* eslint-env browser */
+/* global AbortSignal */
 
 // Note: several code paths are ignored in this file. As far as I can tell, any
 // error conditions that would provoke those paths are otherwise prevented and
@@ -13,6 +14,119 @@ import {defaults, isArray, pick} from 'lodash';
 import qs from 'qs';
 import xhr from '../lib/xhr';
 import {detectSync} from '../lib/detect';
+import ProgressEvent from '../progress-event';
+import AbortError from '../abort-error';
+import {onAbort} from '../lib/abort';
+
+/**
+ * Wraps `body` in a new ReadableStream that emits progress events on
+ * `options.download` as it's read
+ * @param {Object} options
+ * @param {ReadableStream} body
+ * @param {number} total
+ * @private
+ * @returns {ReadableStream}
+ */
+function withProgress(options, body, total) {
+  const reader = body.getReader();
+  let loaded = 0;
+
+  return new ReadableStream({
+    pull(controller) {
+      return reader.read()
+        .then(({done, value}) => {
+          if (done) {
+            controller.close();
+            return;
+          }
+
+          loaded += value.byteLength;
+          options.download.emit(`progress`, new ProgressEvent(loaded, total));
+          controller.enqueue(value);
+        });
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+}
+
+/**
+ * XHR can't stream responses, so `responseType: 'stream'` requests go through
+ * `fetch()` instead and resolve with the body as a WHATWG ReadableStream as soon
+ * as the headers arrive
+ * @param {Object} options
+ * @private
+ * @returns {Promise}
+ */
+function streamingRequest(options) {
+  const uri = options.qs ? `${options.uri}?${qs.stringify(options.qs)}` : options.uri;
+  const headers = Object.keys(options.headers).reduce((h, key) => {
+    if (options.headers[key] !== undefined) {
+      h[key] = options.headers[key];
+    }
+    return h;
+  }, {});
+
+  const init = {
+    method: options.method || `GET`,
+    headers,
+    credentials: options.withCredentials || options.jar ? `include` : `same-origin`
+  };
+
+  // fetch() only accepts the browser's own AbortSignal, not a stand-in
+  if (typeof AbortSignal !== `undefined` && options.signal instanceof AbortSignal) {
+    init.signal = options.signal;
+  }
+
+  return fetch(uri, init)
+    .then((res) => {
+      const responseHeaders = {};
+      res.headers.forEach((value, key) => {
+        responseHeaders[key] = value;
+      });
+
+      const response = {
+        statusCode: res.status,
+        headers: responseHeaders,
+        method: options.method,
+        url: options.uri,
+        options
+      };
+
+      // Nothing else will read the body of an error response, so read it here
+      // (releasing the connection) and parse it like a non-streaming response
+      if (res.status >= 400) {
+        return res.text()
+          .then((text) => {
+            try {
+              response.body = JSON.parse(text);
+            }
+            catch (err) {
+              response.body = text;
+            }
+            return response;
+          });
+      }
+
+      response.body = withProgress(options, res.body, parseInt(responseHeaders[`content-length`], 10));
+      return response;
+    })
+    .catch((error) => {
+      if (options.signal && options.signal.aborted) {
+        return Promise.reject(new AbortError());
+      }
+
+      return {
+        statusCode: 0,
+        options,
+        headers: options.headers,
+        method: options.method,
+        url: options.uri,
+        body: error
+      };
+    });
+}
 
 /**
  * @name request
@@ -20,7 +134,11 @@ import {detectSync} from '../lib/detect';
  * @returns {Promise}
  */
 export default function _request(options) {
-  return new Promise((resolve) => {
+  if (options.responseType === `stream`) {
+    return streamingRequest(options);
+  }
+
+  return new Promise((resolve, reject) => {
     const params = pick(options, `method`, `uri`, `withCredentials`, `headers`, `timeout`, `responseType`);
 
     // Set `response` to `true` to approximate an `HttpResponse` object
@@ -60,9 +178,21 @@ export default function _request(options) {
     });
 
     x.onprogress = options.download.emit.bind(options.download, `progress`);
+
+    // xhr doesn't call back for aborted requests, so reject here instead
+    if (options.signal) {
+      const off = onAbort(options.signal, (reason) => {
+        x.abort();
+        reject(reason);
+      });
+      x.addEventListener(`loadend`, off);
+    }
   })
   .catch((error) => {
-    /* eslint arrow-body-style: [0] */
+    if (error instanceof AbortError) {
+      return Promise.reject(error);
+    }
+
     /* istanbul ignore next */
     return {
       statusCode: 0,
@@ -28,6 +28,7 @@ describe(`http-core`, () => {
       assert.property(HttpError, `UnsupportedMediaType`);
       assert.property(HttpError, `RequestRangeNotSatisfiable`);
       assert.property(HttpError, `ExpectationFailed`);
+      assert.property(HttpError, `TooManyRequests`);
       assert.property(HttpError, `InternalServerError`);
       assert.property(HttpError, `NotImplemented`);
       assert.property(HttpError, `BadGateway`);
@@ -60,6 +61,7 @@ describe(`http-core`, () => {
       assert.equal(HttpError[415], HttpError.UnsupportedMediaType);
       assert.equal(HttpError[416], HttpError.RequestRangeNotSatisfiable);
       assert.equal(HttpError[417], HttpError.ExpectationFailed);
+      assert.equal(HttpError[429], HttpError.TooManyRequests);
       assert.equal(HttpError[500], HttpError.InternalServerError);
       assert.equal(HttpError[501], HttpError.NotImplemented);
       assert.equal(HttpError[502], HttpError.BadGateway);
@@ -170,6 +172,7 @@ describe(`http-core`, () => {
         assert.equal(HttpError.select(415), HttpError.UnsupportedMediaType);
         assert.equal(HttpError.select(416), HttpError.RequestRangeNotSatisfiable);
         assert.equal(HttpError.select(417), HttpError.ExpectationFailed);
+        assert.equal(HttpError.select(429), HttpError.TooManyRequests);
         assert.equal(HttpError.select(499), HttpError.BadRequest);
         assert.equal(HttpError.select(500), HttpError.InternalServerError);
         assert.equal(HttpError.select(501), HttpError.NotImplemented);
@@ -0,0 +1,280 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {assert} from '@ciscospark/test-helper-chai';
+import makeLocalUrl from '@ciscospark/test-helper-make-local-url';
+import sinon from '@ciscospark/test-helper-sinon';
+import {defaults, HttpError, HttpStatusInterceptor, Recorder, RecorderInterceptor} from '../..';
+
+/* eslint camelcase: [0] */
+
+describe(`http-core`, function() {
+  this.timeout(30000);
+
+  describe(`Recorder`, () => {
+    const request = defaults({
+      json: true,
+      interceptors: [
+        RecorderInterceptor.create(),
+        HttpStatusInterceptor.create()
+      ]
+    });
+
+    function entry(method, uri, body, response) {
+      return {
+        channel: `http`,
+        request: {method, uri, body},
+        response: Object.assign({headers: {}}, response)
+      };
+    }
+
+    afterEach(() => Recorder.uninstall());
+
+    it(`requires a mode`, () => {
+      assert.throws(() => new Recorder(), /options.mode/);
+    });
+
+    describe(`when recording`, () => {
+      let recorder;
+
+      beforeEach(() => {
+        recorder = Recorder.install(new Recorder({mode: `record`}));
+      });
+
+      it(`records each response with its request's method, url and body shape`, () => request({
+        method: `POST`,
+        uri: makeLocalUrl(`/json/set`),
+        body: {
+          id: `5c4ac3b8-3c2b-4cf5-9a4a-05a6f7e29a4b`,
+          tags: [`a`, `b`]
+        }
+      })
+        .then((res) => {
+          assert.statusCode(res, 200);
+          const [recording] = recorder.toJSON().entries;
+          assert.equal(recording.channel, `http`);
+          assert.deepEqual(recording.request, {
+            method: `POST`,
+            uri: makeLocalUrl(`/json/set`),
+            body: {
+              id: `string`,
+              tags: [`string`]
+            }
+          });
+          assert.equal(recording.response.statusCode, 200);
+          assert.deepEqual(recording.response.body, res.body);
+        }));
+
+      it(`normalizes uuids in urls`, () => recorder.intercept(`kms`, {
+        method: `retrieve`,
+        uri: `/resources/5c4ac3b8-3c2b-4cf5-9a4a-05a6f7e29a4b`
+      }, () => Promise.resolve({}))
+        .then(() => assert.equal(recorder.entries[0].request.uri, `/resources/:uuid`)));
+
+      it(`redacts secrets`, () => recorder.intercept(`test-users`, {}, () => Promise.resolve({
+        email: `user@example.com`,
+        password: `P@ssword123`,
+        token: {
+          access_token: `AT`,
+          refresh_token: `RT`
+        }
+      }))
+        .then((user) => {
+          assert.equal(user.token.access_token, `AT`);
+          assert.deepEqual(recorder.entries[0].response, {
+            email: `user@example.com`,
+            password: `[REDACTED]`,
+            token: {
+              access_token: `[REDACTED]`,
+              refresh_token: `[REDACTED]`
+            }
+          });
+        }));
+
+      it(`keeps kms keys so that replays can decrypt`, () => {
+        const jwk = {kty: `oct`, kid: `kms://kms.example.com/keys/1`, k: `c2VjcmV0`};
+        return recorder.intercept(`kms`, {
+          method: `retrieve`,
+          uri: `kms://kms.example.com/keys/1`
+        }, () => Promise.resolve({
+          status: 200,
+          requestId: `5c4ac3b8-3c2b-4cf5-9a4a-05a6f7e29a4b`,
+          key: {
+            uri: `kms://kms.example.com/keys/1`,
+            jwk
+          }
+        }))
+          .then(() => assert.deepEqual(recorder.entries[0].response.key.jwk, jwk));
+      });
+
+      it(`does not record requests that opt out`, () => request({
+        uri: makeLocalUrl(`/json/get`),
+        shouldRecord: false
+      })
+        .then(() => assert.lengthOf(recorder.entries, 0)));
+
+      it(`records frames`, () => {
+        recorder.recordFrame(`mercury`, {data: {eventType: `conversation.activity`}});
+        assert.deepEqual(recorder.toJSON().entries, [{
+          channel: `mercury`,
+          frame: {data: {eventType: `conversation.activity`}}
+        }]);
+      });
+    });
+
+    describe(`when replaying`, () => {
+      it(`serves the matching recording without sending the request`, () => {
+        Recorder.install(new Recorder({
+          mode: `replay`,
+          fixture: {
+            entries: [
+              entry(`GET`, `https://example.invalid/other`, `undefined`, {statusCode: 200, body: {other: true}}),
+              entry(`GET`, `https://example.invalid/thing?a=1`, `undefined`, {statusCode: 200, body: {thing: true}})
+            ]
+          }
+        }));
+
+        return request({
+          uri: `https://example.invalid/thing`,
+          qs: {a: 1}
+        })
+          .then((res) => {
+            assert.statusCode(res, 200);
+            assert.deepEqual(res.body, {thing: true});
+            assert.equal(res.options.uri, `https://example.invalid/thing`);
+          });
+      });
+
+      it(`matches on body shape rather than body`, () => {
+        Recorder.install(new Recorder({
+          mode: `replay`,
+          fixture: {
+            entries: [
+              entry(`POST`, `https://example.invalid/things`, {name: `number`}, {statusCode: 201, body: {id: 1}}),
+              entry(`POST`, `https://example.invalid/things`, {name: `string`}, {statusCode: 201, body: {id: 2}})
+            ]
+          }
+        }));
+
+        return request({
+          method: `POST`,
+          uri: `https://example.invalid/things`,
+          body: {name: `not what was recorded`}
+        })
+          .then((res) => assert.deepEqual(res.body, {id: 2}));
+      });
+
+      it(`serves each recording once, in order`, () => {
+        Recorder.install(new Recorder({
+          mode: `replay`,
+          fixture: {
+            entries: [
+              entry(`GET`, `https://example.invalid/count`, `undefined`, {statusCode: 200, body: 1}),
+              entry(`GET`, `https://example.invalid/count`, `undefined`, {statusCode: 200, body: 2})
+            ]
+          }
+        }));
+
+        return request(`https://example.invalid/count`)
+          .then((res) => assert.equal(res.body, 1))
+          .then(() => request(`https://example.invalid/count`))
+          .then((res) => assert.equal(res.body, 2))
+          .then(() => assert.isRejected(request(`https://example.invalid/count`), /No http recording matches GET/));
+      });
+
+      it(`replays each attempt made by a transport an earlier interceptor installed`, () => {
+        Recorder.install(new Recorder({
+          mode: `replay`,
+          fixture: {
+            entries: [
+              entry(`GET`, `https://example.invalid/busy`, `undefined`, {statusCode: 429, body: {message: `Too Many Requests`}}),
+              entry(`GET`, `https://example.invalid/busy`, `undefined`, {statusCode: 200, body: {done: true}})
+            ]
+          }
+        }));
+
+        const retryOnce = {
+          onRequest(options) {
+            options.transport = (opts, send) => send(opts)
+              .then((res) => {
+                if (res.statusCode === 429) {
+                  return send(opts);
+                }
+                return res;
+              });
+            return options;
+          }
+        };
+
+        return defaults({
+          json: true,
+          interceptors: [
+            retryOnce,
+            RecorderInterceptor.create(),
+            HttpStatusInterceptor.create()
+          ]
+        })(`https://example.invalid/busy`)
+          .then((res) => assert.deepEqual(res.body, {done: true}));
+      });
+
+      it(`passes recorded errors through the response interceptors`, () => {
+        Recorder.install(new Recorder({
+          mode: `replay`,
+          fixture: {
+            entries: [
+              entry(`GET`, `https://example.invalid/missing`, `undefined`, {statusCode: 404, body: {message: `Not Found`}})
+            ]
+          }
+        }));
+
+        return assert.isRejected(request(`https://example.invalid/missing`))
+          .then((err) => assert.instanceOf(err, HttpError.NotFound));
+      });
+
+      it(`releases the frames that followed a recording once it's served`, () => {
+        const recorder = Recorder.install(new Recorder({
+          mode: `replay`,
+          fixture: {
+            entries: [
+              {channel: `mercury`, frame: {id: 1}},
+              entry(`GET`, `https://example.invalid/thing`, `undefined`, {statusCode: 200}),
+              {channel: `mercury`, frame: {id: 2}},
+              {channel: `mercury`, frame: {id: 3}},
+              entry(`GET`, `https://example.invalid/other`, `undefined`, {statusCode: 200}),
+              {channel: `mercury`, frame: {id: 4}}
+            ]
+          }
+        }));
+
+        const listener = sinon.spy();
+        recorder.subscribe(`mercury`, listener);
+        assert.calledOnce(listener);
+        assert.calledWith(listener, {id: 1});
+
+        return request(`https://example.invalid/thing`)
+          .then(() => {
+            assert.calledThrice(listener);
+            assert.calledWith(listener, {id: 3});
+          });
+      });
+
+      it(`revives binary bodies`, () => {
+        const recorder = new Recorder({mode: `record`});
+        return recorder.intercept(`files`, {}, () => Promise.resolve(new Buffer(`hello`)))
+          .then(() => {
+            Recorder.install(new Recorder({
+              mode: `replay`,
+              fixture: JSON.parse(JSON.stringify(recorder))
+            }));
+            return Recorder.current.intercept(`files`, {}, () => assert.fail());
+          })
+          .then((body) => {
+            assert.isTrue(Buffer.isBuffer(body));
+            assert.equal(body.toString(), `hello`);
+          });
+      });
+    });
+  });
+});
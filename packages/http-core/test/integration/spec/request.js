@@ -5,7 +5,7 @@
 
 import {assert} from '@ciscospark/test-helper-chai';
 import file from '@ciscospark/test-helper-file';
-import {HttpError, request} from '../..';
+import {AbortController, AbortError, HttpError, request} from '../..';
 import makeLocalUrl from '@ciscospark/test-helper-make-local-url';
 import sinon from '@ciscospark/test-helper-sinon';
 import {flaky, nodeOnly} from '@ciscospark/test-helper-mocha';
@@ -121,6 +121,62 @@ describe(`http-core`, function() {
           });
       });
 
+      describe(`with options.signal`, () => {
+        it(`rejects with an AbortError if the signal is already aborted`, () => {
+          const controller = new AbortController();
+          controller.abort();
+          return assert.isRejected(request({
+            uri: makeLocalUrl(`/`),
+            signal: controller.signal
+          }))
+            .then((err) => {
+              assert.instanceOf(err, AbortError);
+              assert.notInstanceOf(err, HttpError);
+            });
+        });
+
+        it(`rejects with an AbortError when the signal is aborted`, () => {
+          const controller = new AbortController();
+          const promise = request({
+            uri: makeLocalUrl(`/`),
+            signal: controller.signal
+          });
+          controller.abort();
+          return assert.isRejected(promise)
+            .then((err) => {
+              assert.instanceOf(err, AbortError);
+              assert.notInstanceOf(err, HttpError.NetworkOrCORSError);
+            });
+        });
+
+        it(`stops running interceptors once the signal is aborted`, () => {
+          const controller = new AbortController();
+          const second = {onRequest: sinon.spy((options) => options)};
+          const promise = request({
+            uri: makeLocalUrl(`/`),
+            signal: controller.signal,
+            interceptors: [{
+              onRequest(options) {
+                controller.abort();
+                return options;
+              }
+            }, second]
+          });
+
+          return assert.isRejected(promise, AbortError)
+            .then(() => assert.notCalled(second.onRequest));
+        });
+
+        it(`does not affect requests whose signal isn't aborted`, () => {
+          const controller = new AbortController();
+          return request({
+            uri: makeLocalUrl(`/`),
+            signal: controller.signal
+          })
+            .then((res) => assert.statusCode(res, 200));
+        });
+      });
+
       it(`passes cookies`, () => {
         return request({
           uri: makeLocalUrl(`/cookies/set`),
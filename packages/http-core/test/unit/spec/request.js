@@ -0,0 +1,88 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {assert} from '@ciscospark/test-helper-chai';
+import sinon from '@ciscospark/test-helper-sinon';
+import {HttpError, request} from '../..';
+import http from 'http';
+
+describe(`http-core`, () => {
+  describe(`request()`, () => {
+    describe(`with responseType: 'stream'`, () => {
+      let server, uri;
+
+      before((done) => {
+        server = http.createServer((req, res) => {
+          if (req.url === `/missing`) {
+            res.writeHead(404, {'content-type': `application/json`});
+            res.end(JSON.stringify({message: `file not found`}));
+            return;
+          }
+
+          res.writeHead(200, {
+            'content-length': 11,
+            'content-type': `application/octet-stream`
+          });
+          res.write(`hello `);
+          setTimeout(() => res.end(`world`), 10);
+        });
+        server.listen(0, `127.0.0.1`, () => {
+          uri = `http://127.0.0.1:${server.address().port}`;
+          done();
+        });
+      });
+
+      after((done) => server.close(done));
+
+      /**
+       * Reads a Readable to the end
+       * @param {stream.Readable} stream
+       * @returns {Promise<string>}
+       */
+      function consume(stream) {
+        return new Promise((resolve, reject) => {
+          const chunks = [];
+          stream.on(`data`, (chunk) => chunks.push(chunk));
+          stream.on(`error`, reject);
+          stream.on(`end`, () => resolve(Buffer.concat(chunks).toString()));
+        });
+      }
+
+      it(`resolves with a body that streams the response`, () => {
+        const options = {
+          uri: `${uri}/file`,
+          responseType: `stream`
+        };
+        const progress = sinon.spy();
+
+        const promise = request(options);
+        options.download.on(`progress`, progress);
+
+        return promise
+          .then((res) => {
+            assert.equal(res.statusCode, 200);
+            assert.isFunction(res.body.pipe);
+            return consume(res.body);
+          })
+          .then((body) => {
+            assert.equal(body, `hello world`);
+            assert.called(progress);
+            assert.equal(progress.lastCall.args[0].loaded, 11);
+          });
+      });
+
+      it(`reads the body of error responses before rejecting`, () => assert.isRejected(request({
+        uri: `${uri}/missing`,
+        responseType: `stream`
+      }))
+        .then((err) => {
+          assert.instanceOf(err, HttpError);
+          assert.equal(err.statusCode, 404);
+          assert.deepEqual(err.body, {message: `file not found`});
+          assert.equal(err.message, `file not found`);
+        }));
+    });
+  });
+});
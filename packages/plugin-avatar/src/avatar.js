@@ -6,7 +6,7 @@
 
 import AvatarUrlBatcher from './avatar-url-batcher';
 import AvatarUrlStore from './avatar-url-store';
-import {SparkPlugin} from '@ciscospark/spark-core';
+import {abortable, SparkPlugin} from '@ciscospark/spark-core';
 import {defaults} from 'lodash';
 
 const Avatar = SparkPlugin.extend({
@@ -32,11 +32,12 @@ const Avatar = SparkPlugin.extend({
    * @param {Object} options
    * @param {integer} options.size
    * @param {integer} options.cacheControl
+   * @param {AbortSignal} options.signal
    * @returns {Promise<Object>}
    */
   _fetchAvatarUrl(uuid, options) {
     return this.store.get(uuid, options.size)
-      .catch(() => this.batcher.request(Object.assign({}, {uuid, size: options.size}))
+      .catch(() => this.batcher.request(Object.assign({}, {uuid, size: options.size}), {signal: options.signal})
         .then((item) => this.store.add(defaults(item, {cacheControl: options.cacheControl, url: item.response.url}))));
   },
 
@@ -47,6 +48,7 @@ const Avatar = SparkPlugin.extend({
    * @param {Object} [options]
    * @param {integer} [options.size] In {1600, 640, 192, 135, 110, 80, 50, 40}
    *                                 Defaults to 80 if falsy
+   * @param {AbortSignal} [options.signal] Abandons the lookup
    * @returns {Promise<string>} A promise that resolves to the avatar
    */
   retrieveAvatarUrl(user, options) {
@@ -59,7 +61,7 @@ const Avatar = SparkPlugin.extend({
       cacheControl: this.config.cacheExpiration
     });
 
-    return this.spark.user.asUUID(user)
+    return abortable(this.spark.user.asUUID(user), options.signal)
       .then((uuid) => this._fetchAvatarUrl(uuid, options)
       .then((res) => res.url));
   },
@@ -68,13 +70,16 @@ const Avatar = SparkPlugin.extend({
    * Upload a new avatar for the current user
    *
    * @param {Blob|File|Buffer} file The new avatar
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Abandons the upload
    * @returns {Promise} Resolves with the URL of the full-sized avatar
    */
-  setAvatar(file) {
+  setAvatar(file, options) {
     return this.upload({
       api: `avatar`,
       resource: `profile`,
       file,
+      signal: options && options.signal,
       phases: {
         upload: {
           $uri: function $uri(session) {
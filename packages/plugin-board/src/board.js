@@ -4,7 +4,7 @@
  * @private
  */
 
-import {SparkPlugin, Page} from '@ciscospark/spark-core';
+import {resumeKeyFor, SparkPlugin, Page, UploadController} from '@ciscospark/spark-core';
 import Realtime from './realtime';
 import {assign, defaults, chunk, pick} from 'lodash';
 import promiseSeries from 'es6-promise-series';
@@ -41,10 +41,13 @@ const Board = SparkPlugin.extend({
    * @memberof Board.BoardService
    * @param  {Board~Channel} channel
    * @param  {File} image - image to be uploaded
-   * @returns {Promise<Board~Content>}
+   * @returns {Promise<Board~Content>} also exposes `pause()`, `resume()`, and
+   * `cancel()` for controlling the upload
    */
   addImage(channel, image) {
-    return this.spark.board._uploadImage(channel, image)
+    const controller = new UploadController();
+
+    return controller.decorate(this.spark.board._uploadImage(channel, image, {controller})
       .then((scr) => this.spark.board.addContent(channel, [{
         type: `FILE`,
         displayName: image.name,
@@ -54,7 +57,7 @@ const Board = SparkPlugin.extend({
           size: image.size,
           url: scr.loc
         }
-      }]));
+      }])));
   },
 
   /**
@@ -467,14 +470,28 @@ const Board = SparkPlugin.extend({
    * @param  {File} file - File to be uploaded
    * @param  {Object} options
    * @param  {Object} options.hiddenSpace - true for hidden, false for open space
+   * @param  {UploadController} options.controller - pauses, resumes, or
+   * cancels the upload
    * @private
    * @returns {Object} Encrypted Scr and KeyUrl
    */
   _uploadImage(channel, file, options) {
     options = options || {};
 
-    return this.spark.encryption.encryptBinary(file)
-      .then(({scr, cdata}) => Promise.all([scr, this._uploadImageToSparkFiles(channel, cdata, options.hiddenSpace)]))
+    // Interrupted uploads resume only if the image is encrypted with the same
+    // scr as before, so look for one persisted with the resume token
+    const resumeKey = resumeKeyFor({
+      uri: `${channel.channelUrl}/spaces/${options.hiddenSpace ? `hidden` : `open`}`,
+      file
+    });
+
+    return Promise.resolve(resumeKey && this.spark.getUploadResumeData(resumeKey))
+      .then((data) => this.spark.encryption.encryptBinary(file, data && data.scr))
+      .then(({scr, cdata}) => Promise.all([scr, this._uploadImageToSparkFiles(channel, cdata, options.hiddenSpace, {
+        controller: options.controller,
+        resumeKey,
+        resumeData: resumeKey && {scr: scr.toJSON()}
+      })]))
       .then(([scr, res]) => assign(scr, {loc: res.downloadUrl}));
   },
 
@@ -491,13 +508,28 @@ const Board = SparkPlugin.extend({
       .then((res) => res.body.spaceUrl);
   },
 
-  _uploadImageToSparkFiles(channel, file, hiddenSpace) {
+  /**
+   * @param {Board~Channel} channel
+   * @param {Buffer} file encrypted file
+   * @param {boolean} hiddenSpace
+   * @param {Object} options
+   * @param {UploadController} options.controller
+   * @param {string} options.resumeKey
+   * @param {Object} options.resumeData
+   * @private
+   * @returns {Promise<Object>} upload metadata
+   */
+  _uploadImageToSparkFiles(channel, file, hiddenSpace, options) {
+    options = options || {};
     const fileSize = file.length || file.size || file.byteLength;
 
     return this._getSpaceUrl(channel, hiddenSpace)
       .then((spaceUrl) => this.spark.upload({
         uri: `${spaceUrl}/upload_sessions`,
         file,
+        controller: options.controller,
+        resumeKey: options.resumeKey,
+        resumeData: options.resumeData,
         qs: {
           transcode: true
         },
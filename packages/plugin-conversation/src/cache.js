@@ -0,0 +1,451 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {SparkPlugin} from '@ciscospark/spark-core';
+import {has, isEmpty, keyBy, last, omit, some, sortBy, takeRight, uniqBy, without} from 'lodash';
+import {decrypt, deriveKey, encrypt} from './local-encryption';
+
+/**
+ * Verbs of the activities that count toward a conversation's
+ * `lastReadableActivityDate`
+ * @private
+ * @type {Array<string>}
+ */
+const readableVerbs = [`post`, `share`];
+
+/**
+ * Determines the id of a conversation from either its id or its url
+ * @param {Object} conversation
+ * @private
+ * @returns {string}
+ */
+function idOf(conversation) {
+  return conversation.id || conversation.url && conversation.url.split(`/`).pop();
+}
+
+/**
+ * Determines the id of the conversation to which an activity belongs
+ * @param {Object} activity
+ * @private
+ * @returns {string}
+ */
+function conversationIdOf(activity) {
+  const {object, target} = activity;
+  if (target && target.objectType === `conversation`) {
+    return idOf(target);
+  }
+
+  if (object && object.objectType === `conversation`) {
+    return idOf(object);
+  }
+
+  return undefined;
+}
+
+/**
+ * Only bare conversations (no activities or participants) get cached
+ * @param {Object} params
+ * @private
+ * @returns {boolean}
+ */
+function isCacheable(params) {
+  return !params.activitiesLimit && !params.participantsLimit && !params.includeParticipants;
+}
+
+/**
+ * Only an unfiltered, unpaginated list may replace the cached list; anything
+ * else gets merged into it
+ * @param {Object} params
+ * @private
+ * @returns {boolean}
+ */
+function isFullList(params) {
+  return isEmpty(params);
+}
+
+/**
+ * Moves `ids` to the front of `order` (the server lists conversations with the
+ * most recent activity first)
+ * @param {Array<string>} order
+ * @param {Array<string>} ids
+ * @private
+ * @returns {Array<string>}
+ */
+function promote(order, ids) {
+  return ids.concat(without(order, ...ids));
+}
+
+/**
+ * Sorts activities by publish date, dropping duplicates
+ * @param {Array<Activity>} activities
+ * @param {number} limit
+ * @private
+ * @returns {Array<Activity>}
+ */
+function collate(activities, limit) {
+  return takeRight(sortBy(uniqBy(activities, `id`), (a) => Date.parse(a.published)), limit);
+}
+
+/**
+ * Keeps decrypted conversations and activities in bounded storage, encrypted
+ * with a key derived from `config.storageSecret` and the current user's id, so
+ * that they needn't be downloaded and decrypted on every start. Without a
+ * `storageSecret`, the cache lives only in memory. Cached entries are kept
+ * current by Mercury activity events and reconciled via `sinceDate` queries.
+ *
+ * Emits `updated:conversations` and `updated:activities` when a background
+ * refresh finds new data.
+ * @class
+ */
+const ConversationCache = SparkPlugin.extend({
+  namespace: `Conversation`,
+
+  initialize(...args) {
+    Reflect.apply(SparkPlugin.prototype.initialize, this, args);
+
+    this.memory = new Map();
+    this.writes = Promise.resolve();
+
+    // The key and the decrypted entries belong to the current user; drop them
+    // on logout or when someone else logs in.
+    this.listenTo(this.spark, `change:device.userId`, () => this._reset());
+  },
+
+  /**
+   * Fetches a single conversation, preferring the cached copy if
+   * `options.cacheFirst` is set
+   * @param {Object} conversation
+   * @param {Object} options
+   * @returns {Promise<Conversation>}
+   */
+  get(conversation, options) {
+    options = options || {};
+    const params = omit(options, `cacheFirst`);
+    const id = idOf(conversation);
+
+    if (!options.cacheFirst || !id || !isCacheable(params)) {
+      return this._fetchConversation(conversation, params);
+    }
+
+    return this._read(`conversations`)
+      .then((cache) => cache && cache.items[id] || this._fetchConversation(conversation, params));
+  },
+
+  /**
+   * Lists conversations. If `options.cacheFirst` is set and the list has been
+   * cached, resolves with the cached list (in the server's order, most recently
+   * active first) and fetches changes in the background.
+   * @param {Object} options
+   * @returns {Promise<Array<Conversation>>}
+   */
+  list(options) {
+    options = options || {};
+    const params = omit(options, `cacheFirst`);
+
+    if (!isCacheable(params)) {
+      return this.parent._listConversations(params);
+    }
+
+    if (!isFullList(params)) {
+      return this.parent._listConversations(params)
+        .then((items) => this._mergeConversations(items)
+          .then(() => items));
+    }
+
+    if (!options.cacheFirst) {
+      return this._fetchConversations();
+    }
+
+    return this._read(`conversations`)
+      .then((cache) => {
+        if (!cache) {
+          return this._fetchConversations();
+        }
+
+        this._refreshConversations(cache.syncedAt);
+        return cache.order.map((id) => cache.items[id]);
+      });
+  },
+
+  /**
+   * Lists activities for a conversation. If `options.cacheFirst` is set and
+   * the conversation's activities have been cached, resolves with the cached
+   * activities and fetches newer ones in the background. Paginated queries
+   * (`sinceDate`, `maxDate`, `midDate`) always go to the network.
+   * @param {Object} options
+   * @returns {Promise<Array<Activity>>}
+   */
+  listActivities(options) {
+    const params = omit(options, `cacheFirst`, `mentions`);
+    const key = `activities:${params.conversationId}`;
+
+    if (!params.conversationId || some([`sinceDate`, `maxDate`, `midDate`], (k) => has(params, k))) {
+      return this.parent._listActivities(Object.assign(params, {mentions: false}));
+    }
+
+    if (!options.cacheFirst) {
+      return this._fetchActivities(key, params);
+    }
+
+    return this._read(key)
+      .then((cache) => {
+        if (!cache || cache.items.length === 0) {
+          return this._fetchActivities(key, params);
+        }
+
+        this._refreshActivities(key, params, last(cache.items));
+        return params.limit ? takeRight(cache.items, params.limit) : cache.items;
+      });
+  },
+
+  /**
+   * Applies an activity received via Mercury to the cache. Activities are only
+   * added to conversations whose activities are already cached so that the
+   * cache never contains gaps. The activity's conversation becomes the most
+   * recently active one (or, if the current user left it, is removed).
+   * @param {Activity} activity
+   * @returns {Promise}
+   */
+  recordActivity(activity) {
+    const id = conversationIdOf(activity);
+    if (!id) {
+      return Promise.resolve();
+    }
+
+    const left = activity.verb === `leave` && activity.object && activity.object.id === this.spark.device.userId;
+
+    return Promise.all([
+      this._update(`activities:${id}`, (cache) => cache && {
+        items: collate(cache.items.concat(activity), this.config.cacheActivityLimit)
+      }),
+      this._update(`conversations`, (cache) => {
+        if (!cache || !cache.items[id]) {
+          return undefined;
+        }
+
+        if (left) {
+          return {
+            items: omit(cache.items, id),
+            order: without(cache.order, id),
+            syncedAt: cache.syncedAt
+          };
+        }
+
+        const conversation = Object.assign({}, cache.items[id], {
+          lastRelevantActivityDate: activity.published
+        });
+        if (readableVerbs.includes(activity.verb)) {
+          conversation.lastReadableActivityDate = activity.published;
+        }
+
+        return {
+          items: Object.assign({}, cache.items, {[id]: conversation}),
+          order: promote(cache.order, [id]),
+          syncedAt: cache.syncedAt
+        };
+      })
+    ]);
+  },
+
+  /**
+   * Fetches activities from the network and replaces the cached copy
+   * @param {string} key
+   * @param {Object} params
+   * @private
+   * @returns {Promise<Array<Activity>>}
+   */
+  _fetchActivities(key, params) {
+    return this.parent._listActivities(Object.assign({}, params, {mentions: false}))
+      .then((items) => this._update(key, () => ({
+        items: collate(items, this.config.cacheActivityLimit)
+      }))
+        .then(() => items));
+  },
+
+  /**
+   * Fetches a conversation from the network and merges it into the cache
+   * @param {Object} conversation
+   * @param {Object} params
+   * @private
+   * @returns {Promise<Conversation>}
+   */
+  _fetchConversation(conversation, params) {
+    return this.parent._get(conversation, params)
+      .then((c) => {
+        if (!isCacheable(params)) {
+          return c;
+        }
+
+        return this._mergeConversations([c])
+          .then(() => c);
+      });
+  },
+
+  /**
+   * Fetches all conversations from the network and replaces the cached copy
+   * @private
+   * @returns {Promise<Array<Conversation>>}
+   */
+  _fetchConversations() {
+    const syncedAt = Date.now();
+    return this.parent._listConversations({})
+      .then((items) => this._update(`conversations`, () => ({
+        items: keyBy(items, idOf),
+        order: items.map(idOf),
+        syncedAt
+      }))
+        .then(() => items));
+  },
+
+  /**
+   * Produces the JWK with which cache entries are encrypted
+   * @private
+   * @returns {Promise<jose.JWK.Key>}
+   */
+  _getKey() {
+    if (!this.key) {
+      this.key = deriveKey(this.config.storageSecret, this.spark.device.userId, `conversation-cache`)
+        .catch((reason) => {
+          this.key = null;
+          return Promise.reject(reason);
+        });
+    }
+
+    return this.key;
+  },
+
+  /**
+   * Merges conversations into the cache (if the cache has been populated),
+   * keeping the cached order of conversations it already has
+   * @param {Array<Conversation>} items
+   * @private
+   * @returns {Promise}
+   */
+  _mergeConversations(items) {
+    return this._update(`conversations`, (cache) => cache && {
+      items: Object.assign({}, cache.items, keyBy(items, idOf)),
+      order: promote(cache.order, items.map(idOf).filter((id) => !cache.items[id])),
+      syncedAt: cache.syncedAt
+    });
+  },
+
+  /**
+   * Reads (and decrypts) a cache entry
+   * @param {string} key
+   * @private
+   * @returns {Promise<Object>}
+   */
+  _read(key) {
+    if (this.memory.has(key)) {
+      return Promise.resolve(this.memory.get(key));
+    }
+
+    if (!this.config.storageSecret) {
+      return Promise.resolve(undefined);
+    }
+
+    return Promise.all([this._getKey(), this.boundedStorage.get(`cache:${key}`)])
+      .then(([k, jwe]) => decrypt(k, jwe))
+      .catch(() => undefined)
+      .then((value) => {
+        if (!this.memory.has(key)) {
+          this.memory.set(key, value);
+        }
+        return this.memory.get(key);
+      });
+  },
+
+  /**
+   * Fetches activities newer than the newest cached activity
+   * @param {string} key
+   * @param {Object} params
+   * @param {Activity} newest
+   * @private
+   * @returns {Promise}
+   */
+  _refreshActivities(key, params, newest) {
+    return this.parent._listActivities(Object.assign({}, params, {
+      mentions: false,
+      sinceDate: Date.parse(newest.published)
+    }))
+      .then((items) => this._update(key, (cache) => ({
+        items: collate((cache ? cache.items : []).concat(items), this.config.cacheActivityLimit)
+      }))
+        .then(() => {
+          if (items.length) {
+            this.trigger(`updated:activities`, params.conversationId, items);
+          }
+        }))
+      .catch((reason) => this.logger.warn(`conversation: failed to refresh cached activities`, reason));
+  },
+
+  /**
+   * Fetches conversations that have changed since the cache was last synced
+   * @param {number} sinceDate
+   * @private
+   * @returns {Promise}
+   */
+  _refreshConversations(sinceDate) {
+    const syncedAt = Date.now();
+    return this.parent._listConversations({sinceDate})
+      .then((items) => this._update(`conversations`, (cache) => ({
+        items: Object.assign({}, cache && cache.items, keyBy(items, idOf)),
+        // Conversations change because they have new activity, so the server
+        // would list them first
+        order: promote(cache ? cache.order : [], items.map(idOf)),
+        syncedAt
+      }))
+        .then(() => {
+          if (items.length) {
+            this.trigger(`updated:conversations`, items);
+          }
+        }))
+      .catch((reason) => this.logger.warn(`conversation: failed to refresh cached conversations`, reason));
+  },
+
+  /**
+   * Forgets the current user's key and decrypted entries
+   * @private
+   * @returns {undefined}
+   */
+  _reset() {
+    this.key = null;
+    this.memory.clear();
+  },
+
+  /**
+   * Serializes read-modify-write operations against a cache entry. If `fn`
+   * returns `undefined`, nothing is written.
+   * @param {string} key
+   * @param {Function} fn
+   * @private
+   * @returns {Promise}
+   */
+  _update(key, fn) {
+    this.writes = this.writes
+      .then(() => this._read(key))
+      .then((value) => {
+        const next = fn(value);
+        if (!next) {
+          return Promise.resolve();
+        }
+
+        this.memory.set(key, next);
+        if (!this.config.storageSecret) {
+          return Promise.resolve();
+        }
+
+        return this._getKey()
+          .then((k) => encrypt(k, next))
+          .then((jwe) => this.boundedStorage.put(`cache:${key}`, jwe));
+      })
+      .catch((reason) => this.logger.warn(`conversation: failed to update cache`, reason));
+
+    return this.writes;
+  }
+});
+
+export default ConversationCache;
@@ -33,6 +33,36 @@ export default {
      * sister property with the original encrypted string
      * @type {Boolean}
      */
-    keepEncryptedProperties: false
+    keepEncryptedProperties: false,
+    /**
+     * When true, `post()`, `share()`, and `acknowledge()` go through an
+     * outbox that holds activities while offline and sends them, in order,
+     * once connectivity returns. The outbox survives reloads only if
+     * `storageSecret` is set.
+     * @type {Boolean}
+     */
+    enableOutbox: false,
+    /**
+     * When true, decrypted conversations and activities are kept in bounded
+     * storage (encrypted with a key derived from `storageSecret`) so that
+     * `get()`, `list()`, and `listActivities()` can be served from the cache
+     * via the `cacheFirst` option
+     * @type {Boolean}
+     */
+    enableCache: false,
+    /**
+     * Maximum number of activities to cache per conversation
+     * @type {number}
+     */
+    cacheActivityLimit: 200,
+    /**
+     * Secret from which the keys that protect the cache, the outbox, and the
+     * local search index at rest are derived (along with the current user's
+     * id). The SDK never stores it; the app must supply it from somewhere
+     * other than bounded storage. If not specified, they are kept only in
+     * memory.
+     * @type {string}
+     */
+    storageSecret: undefined
   }
 };
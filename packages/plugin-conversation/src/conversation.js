@@ -6,32 +6,71 @@
 
 import {proxyEvents, tap} from '@ciscospark/common';
 import {SparkPlugin} from '@ciscospark/spark-core';
-import {cloneDeep, defaults, isArray, isObject, isString, last, map, merge, omit, pick, uniq} from 'lodash';
+import {cloneDeep, defaults, get, isArray, isObject, isString, last, map, merge, omit, pick, uniq} from 'lodash';
 import {readExifData} from '@ciscospark/helper-image';
 import uuid from 'uuid';
 import querystring from 'querystring';
+import ConversationCache from './cache';
+import Outbox from './outbox';
 import ShareActivity from './share-activity';
 import {EventEmitter} from 'events';
 
+const pendingRotations = new WeakMap();
+
+const rotationSteps = {
+  createKey: `_rotateKeyCreateKey`,
+  updateKey: `_rotateKeyUpdateKey`,
+  reencryptTitle: `_rotateKeyReencryptTitle`,
+  reencryptAvatar: `_rotateKeyReencryptAvatar`
+};
+
+/**
+ * Retrieves the keys created by unfinished calls to
+ * {@link Conversation#rotateKey}, indexed by conversation url
+ * @param {Conversation} conversation the plugin instance
+ * @private
+ * @returns {Map<string, Key>}
+ */
+function pendingRotationsFor(conversation) {
+  if (!pendingRotations.has(conversation)) {
+    pendingRotations.set(conversation, new Map());
+  }
+
+  return pendingRotations.get(conversation);
+}
+
+/**
+ * Collects the activities in a page of activities or conversations
+ * @param {Array<Object>} items
+ * @private
+ * @returns {Array<Activity>}
+ */
+function activitiesIn(items) {
+  return items.reduce((activities, item) => activities.concat(item.objectType === `activity` ? item : get(item, `activities.items`, [])), []);
+}
+
+/**
+ * Emits `decrypted:activities` (with an array of activities) whenever it lists
+ * or receives (via Mercury) activities, after they've been decrypted
+ */
 const Conversation = SparkPlugin.extend({
   namespace: `Conversation`,
 
+  children: {
+    cache: ConversationCache,
+    outbox: Outbox
+  },
+
   acknowledge(conversation, object, activity) {
     if (!isObject(object)) {
       return Promise.reject(new Error(`\`object\` must be an object`));
     }
 
-    return this._inferConversationUrl(conversation)
-      .then(() => this.prepare(activity, {
-        verb: `acknowledge`,
-        target: this.prepareConversation(conversation),
-        object: {
-          objectType: `activity`,
-          id: object.id,
-          url: object.url
-        }
-      }))
-      .then((a) => this.submit(a));
+    if (this.config.enableOutbox) {
+      return this.outbox.enqueue(`acknowledge`, conversation, pick(object, `id`, `url`), activity);
+    }
+
+    return this._acknowledge(conversation, object, activity);
   },
 
   /**
@@ -124,9 +163,18 @@ const Conversation = SparkPlugin.extend({
    * @param {Object} item
    * @param {Object} item.scr
    * @param {string} item.url
+   * @param {Object} options
+   * @param {boolean} options.stream when true, resolves with a stream (a Node
+   * `Readable` in Node, a WHATWG `ReadableStream` in browsers) instead of
+   * buffering the file in memory (e.g., so it can be piped straight to disk).
+   * EXIF orientation is not read from streamed images.
    * @returns {Promise<File>}
    */
-  download(item) {
+  download(item, options) {
+    if (options && options.stream) {
+      return this._downloadStream(item);
+    }
+
     const isEncrypted = Boolean(item.scr);
     const shunt = new EventEmitter();
     const promise = (isEncrypted ? this.spark.encryption.download(item.scr) : this._downloadUnencryptedFile(item.url))
@@ -151,6 +199,30 @@ const Conversation = SparkPlugin.extend({
     return promise;
   },
 
+  /**
+   * Downloads the file specified in item.scr or item.url as a stream
+   * @param {Object} item
+   * @private
+   * @returns {EventEmittingPromise<stream.Readable|ReadableStream>}
+   */
+  _downloadStream(item) {
+    if (item.scr) {
+      return this.spark.encryption.downloadStream(item.scr);
+    }
+
+    const options = {
+      uri: item.url,
+      responseType: `stream`
+    };
+
+    const promise = this.request(options)
+      .then((res) => res.body);
+
+    proxyEvents(options.download, promise);
+
+    return promise;
+  },
+
   /**
    * Downloads an unencrypted file
    * @param {string} uri
@@ -211,40 +283,16 @@ const Conversation = SparkPlugin.extend({
    * Fetches a single conversation
    * @param {Object} conversation
    * @param {Object} options
+   * @param {boolean} options.cacheFirst when the cache is enabled, resolve with
+   * the cached conversation if there is one
    * @returns {Promise<Conversation>}
    */
   get(conversation, options) {
-    return this._inferConversationUrl(conversation)
-      .then(() => {
-        const {user, url} = conversation;
-
-        options = options || {};
-
-        const params = {
-          qs: Object.assign({
-            uuidEntryFormat: true,
-            personRefresh: true,
-            activitiesLimit: 0,
-            includeParticipants: false
-          }, omit(options, `id`, `user`, `url`))
-        };
+    if (this.config.enableCache) {
+      return this.cache.get(conversation, options);
+    }
 
-        return Promise.resolve(user ? this.spark.user.asUUID(user) : null)
-          .then((userId) => {
-            if (userId) {
-              Object.assign(params, {
-                service: `conversation`,
-                resource: `conversations/user/${userId}`
-              });
-            }
-            else {
-              params.uri = url;
-            }
-            return this.request(params);
-          });
-      })
-      .then(tap((res) => this._recordUUIDs(res.body)))
-      .then((res) => res.body);
+    return this._get(conversation, omit(options, `cacheFirst`));
   },
 
   /**
@@ -286,14 +334,16 @@ const Conversation = SparkPlugin.extend({
    * Lists a set of conversations. By default does not fetch activities or
    * participants
    * @param {Object} options
+   * @param {boolean} options.cacheFirst when the cache is enabled, resolve with
+   * the cached list (if there is one) and fetch changes in the background
    * @returns {Promise<Array<Conversation>>}
    */
   list(options) {
-    return this._list({
-      service: `conversation`,
-      resource: `conversations`,
-      qs: options
-    });
+    if (this.config.enableCache) {
+      return this.cache.list(options);
+    }
+
+    return this._listConversations(omit(options, `cacheFirst`));
   },
 
   /**
@@ -313,10 +363,17 @@ const Conversation = SparkPlugin.extend({
   /**
    * List activities for the specified conversation
    * @param {Object} options
+   * @param {boolean} options.cacheFirst when the cache is enabled, resolve with
+   * the cached activities (if there are any) and fetch newer activities in the
+   * background
    * @returns {Promise<Array<Activity>>}
    */
   listActivities(options) {
-    return this._listActivities(Object.assign(options, {mentions: false}));
+    if (this.config.enableCache) {
+      return this.cache.listActivities(options);
+    }
+
+    return this._listActivities(Object.assign(omit(options, `cacheFirst`), {mentions: false}));
   },
 
   /**
@@ -369,13 +426,11 @@ const Conversation = SparkPlugin.extend({
       };
     }
 
-    return this._inferConversationUrl(conversation)
-      .then(() => this.prepare(activity, {
-        verb: `post`,
-        target: this.prepareConversation(conversation),
-        object: Object.assign({objectType: `comment`}, message)
-      }))
-      .then((a) => this.submit(a));
+    if (this.config.enableOutbox) {
+      return this.outbox.enqueue(`post`, conversation, message, activity);
+    }
+
+    return this._post(conversation, message, activity);
   },
 
   prepareConversation(conversation) {
@@ -446,7 +501,13 @@ const Conversation = SparkPlugin.extend({
    */
   processActivityEvent(event) {
     return this.spark.transform(`inbound`, event)
-      .then(() => event);
+      .then(() => {
+        if (this.config.enableCache) {
+          this.cache.recordActivity(event.activity);
+        }
+        this.trigger(`decrypted:activities`, [event.activity]);
+        return event;
+      });
   },
 
   /**
@@ -466,6 +527,47 @@ const Conversation = SparkPlugin.extend({
     }, activity);
   },
 
+  /**
+   * Rotates a conversation's key (e.g. after a participant has left): creates
+   * a new key, binds it to the conversation's KRO, makes it the key for
+   * subsequent activities, and (optionally) re-encrypts the conversation's
+   * title and avatar with it.
+   *
+   * Emits `progress` (with `{step, completed, total}`) after each step. If a
+   * step fails, calling `rotateKey()` again for the same conversation resumes
+   * with the same key, skipping the steps that already succeeded.
+   * @param {Conversation~ConversationObject} conversation
+   * @param {Object} options
+   * @param {boolean} options.reencryptTitle (default: true)
+   * @param {boolean} options.reencryptAvatar (default: true)
+   * @returns {EventEmittingPromise<Conversation~ConversationObject>}
+   */
+  rotateKey(conversation, options) {
+    options = defaults({}, options, {
+      reencryptAvatar: true,
+      reencryptTitle: true
+    });
+
+    const steps = [
+      `createKey`,
+      `updateKey`,
+      options.reencryptTitle && `reencryptTitle`,
+      options.reencryptAvatar && `reencryptAvatar`
+    ].filter(Boolean);
+
+    const shunt = new EventEmitter();
+    const promise = this._inferConversationUrl(conversation)
+      .then(() => this.get(conversation, {
+        activitiesLimit: 0,
+        includeParticipants: true
+      }))
+      .then((c) => this._rotateKey(c, steps, shunt));
+
+    proxyEvents(shunt, promise);
+
+    return promise;
+  },
+
   /**
    * Creates a ShareActivty for the specified conversation
    * @param {Object} conversation
@@ -556,17 +658,11 @@ const Conversation = SparkPlugin.extend({
       };
     }
 
-    return this._inferConversationUrl(conversation)
-      .then(() => {
-        if (!(activity instanceof ShareActivity)) {
-          activity = ShareActivity.create(conversation, activity, this.spark);
-        }
+    if (this.config.enableOutbox) {
+      return this.outbox.enqueue(`share`, conversation, activity);
+    }
 
-        return this.prepare(activity, {
-          target: this.prepareConversation(conversation)
-        });
-      })
-      .then((a) => this.submit(a));
+    return this._share(conversation, activity);
   },
 
   /**
@@ -726,6 +822,28 @@ const Conversation = SparkPlugin.extend({
       });
   },
 
+  /**
+   * Sends an acknowledge activity without going through the outbox
+   * @param {Object} conversation
+   * @param {Object} object
+   * @param {Object} activity
+   * @private
+   * @returns {Promise<Activity>}
+   */
+  _acknowledge(conversation, object, activity) {
+    return this._inferConversationUrl(conversation)
+      .then(() => this.prepare(activity, {
+        verb: `acknowledge`,
+        target: this.prepareConversation(conversation),
+        object: {
+          objectType: `activity`,
+          id: object.id,
+          url: object.url
+        }
+      }))
+      .then((a) => this.submit(a));
+  },
+
   /**
    * @param {Object} payload
    * @private
@@ -750,6 +868,47 @@ const Conversation = SparkPlugin.extend({
     return this._create(this._prepareConversationForCreation(params));
   },
 
+  /**
+   * Fetches a single conversation without consulting the cache
+   * @param {Object} conversation
+   * @param {Object} options
+   * @private
+   * @returns {Promise<Conversation>}
+   */
+  _get(conversation, options) {
+    return this._inferConversationUrl(conversation)
+      .then(() => {
+        const {user, url} = conversation;
+
+        options = options || {};
+
+        const params = {
+          qs: Object.assign({
+            uuidEntryFormat: true,
+            personRefresh: true,
+            activitiesLimit: 0,
+            includeParticipants: false
+          }, omit(options, `id`, `user`, `url`))
+        };
+
+        return Promise.resolve(user ? this.spark.user.asUUID(user) : null)
+          .then((userId) => {
+            if (userId) {
+              Object.assign(params, {
+                service: `conversation`,
+                resource: `conversations/user/${userId}`
+              });
+            }
+            else {
+              params.uri = url;
+            }
+            return this.request(params);
+          });
+      })
+      .then(tap((res) => this._recordUUIDs(res.body)))
+      .then((res) => res.body);
+  },
+
   /**
    * @param {Object} conversation
    * @private
@@ -784,6 +943,20 @@ const Conversation = SparkPlugin.extend({
     });
   },
 
+  /**
+   * Lists conversations without consulting the cache
+   * @param {Object} options
+   * @private
+   * @returns {Promise<Array<Conversation>>}
+   */
+  _listConversations(options) {
+    return this._list({
+      service: `conversation`,
+      resource: `conversations`,
+      qs: options
+    });
+  },
+
   /**
    * @param {Object} options
    * @private
@@ -810,7 +983,13 @@ const Conversation = SparkPlugin.extend({
 
         return Promise.all(items.map((item) => this._recordUUIDs(item)))
           // eslint-disable-next-line max-nested-callbacks
-          .then(() => items);
+          .then(() => {
+            const activities = activitiesIn(items);
+            if (activities.length) {
+              this.trigger(`decrypted:activities`, activities);
+            }
+            return items;
+          });
       });
   },
 
@@ -848,6 +1027,24 @@ const Conversation = SparkPlugin.extend({
       });
   },
 
+  /**
+   * Posts a message without going through the outbox
+   * @param {Object} conversation
+   * @param {Object} message
+   * @param {Object} activity
+   * @private
+   * @returns {Promise<Activity>}
+   */
+  _post(conversation, message, activity) {
+    return this._inferConversationUrl(conversation)
+      .then(() => this.prepare(activity, {
+        verb: `post`,
+        target: this.prepareConversation(conversation),
+        object: Object.assign({objectType: `comment`}, message)
+      }))
+      .then((a) => this.submit(a));
+  },
+
   /**
    * @param {Object} params
    * @private
@@ -901,6 +1098,146 @@ const Conversation = SparkPlugin.extend({
     }
 
     return Promise.all(conversation.participants.items.map((participant) => this.spark.user.recordUUID(participant)));
+  },
+
+  /**
+   * Runs the steps of {@link Conversation#rotateKey} in order
+   * @param {Conversation~ConversationObject} conversation
+   * @param {Array<string>} steps
+   * @param {EventEmitter} emitter
+   * @private
+   * @returns {Promise<Conversation~ConversationObject>}
+   */
+  _rotateKey(conversation, steps, emitter) {
+    const state = {conversation};
+
+    return steps.reduce((promise, step, index) => promise
+      .then(() => {
+        this.logger.info(`conversation: key rotation: ${step}`);
+        return this[rotationSteps[step]](state);
+      })
+      .then(() => emitter.emit(`progress`, {
+        step,
+        completed: index + 1,
+        total: steps.length
+      })), Promise.resolve())
+      .then(() => {
+        pendingRotationsFor(this).delete(conversation.url);
+        this.logger.info(`conversation: key rotation complete`);
+        return conversation;
+      });
+  },
+
+  /**
+   * Creates the new key (or reuses the key from a previous, failed rotation)
+   * @param {Object} state
+   * @private
+   * @returns {Promise}
+   */
+  _rotateKeyCreateKey(state) {
+    const pending = pendingRotationsFor(this);
+    const {conversation} = state;
+
+    if (pending.has(conversation.url)) {
+      state.key = pending.get(conversation.url);
+      return Promise.resolve();
+    }
+
+    return this.spark.encryption.kms.createUnboundKeys({count: 1})
+      .then(([key]) => {
+        state.key = key;
+        pending.set(conversation.url, key);
+      });
+  },
+
+  /**
+   * Re-encrypts the conversation's avatar with the new key
+   * @param {Object} state
+   * @private
+   * @returns {Promise}
+   */
+  _rotateKeyReencryptAvatar(state) {
+    const {conversation, key} = state;
+
+    if (!conversation.avatar || conversation.avatarEncryptionKeyUrl === key.uri) {
+      return Promise.resolve();
+    }
+
+    return this.prepare(null, {
+      verb: `assign`,
+      target: this.prepareConversation(conversation),
+      object: cloneDeep(defaults(pick(conversation.avatar, `objectType`, `contentCategory`, `files`), {
+        objectType: `content`
+      }))
+    })
+      .then((a) => this.submit(a))
+      .then(() => {
+        conversation.avatarEncryptionKeyUrl = key.uri;
+      });
+  },
+
+  /**
+   * Re-encrypts the conversation's title with the new key
+   * @param {Object} state
+   * @private
+   * @returns {Promise}
+   */
+  _rotateKeyReencryptTitle(state) {
+    const {conversation, key} = state;
+
+    if (!conversation.displayName || conversation.encryptionKeyUrl === key.uri) {
+      return Promise.resolve();
+    }
+
+    return this.update(conversation, {
+      displayName: conversation.displayName,
+      objectType: `conversation`
+    })
+      .then(() => {
+        conversation.encryptionKeyUrl = key.uri;
+      });
+  },
+
+  /**
+   * Binds the new key to the conversation's KRO and makes it the conversation's
+   * default activity encryption key
+   * @param {Object} state
+   * @private
+   * @returns {Promise}
+   */
+  _rotateKeyUpdateKey(state) {
+    const {conversation, key} = state;
+
+    if (conversation.defaultActivityEncryptionKeyUrl === key.uri) {
+      return Promise.resolve();
+    }
+
+    return this._updateKey(conversation, key)
+      .then((activity) => {
+        conversation.kmsResourceObjectUrl = conversation.kmsResourceObjectUrl || get(activity, `kmsMessage.resource.uri`);
+        conversation.defaultActivityEncryptionKeyUrl = key.uri;
+      });
+  },
+
+  /**
+   * Shares files without going through the outbox
+   * @param {Object} conversation
+   * @param {ShareActivity|Object} activity
+   * @private
+   * @returns {Promise<Activity>}
+   */
+  _share(conversation, activity) {
+    return this._inferConversationUrl(conversation)
+      .then(() => {
+        if (!(activity instanceof ShareActivity)) {
+          activity = ShareActivity.create(conversation, activity, this.spark);
+        }
+
+        return this.prepare(activity, {
+          target: this.prepareConversation(conversation)
+        });
+      })
+      .then((a) => this.submit(a));
   }
 });
 
@@ -17,6 +17,7 @@ import S from 'string';
 
 import {transforms as encryptionTransforms} from './encryption-transforms';
 import {transforms as decryptionTransforms} from './decryption-transforms';
+import * as localEncryption from './local-encryption';
 
 registerPlugin(`conversation`, Conversation, {
   payloadTransformer: {
@@ -54,10 +55,21 @@ registerPlugin(`conversation`, Conversation, {
     transforms: [
       {
         name: `transformObjectArray`,
+        direction: `outbound`,
         fn(ctx, array) {
           return Promise.all(array.map((item) => ctx.transform(`transformObject`, item)));
         }
       },
+      {
+        name: `transformObjectArray`,
+        direction: `inbound`,
+        fn(ctx, array) {
+          // Fetch the whole page's keys up front so they go to the kms in one
+          // batch rather than one at a time as each item gets decrypted
+          return ctx.spark.encryption.prefetchKeys(array)
+            .then(() => Promise.all(array.map((item) => ctx.transform(`transformObject`, item))));
+        }
+      },
       {
         name: `transformObject`,
         direction: `outbound`,
@@ -215,3 +227,4 @@ registerPlugin(`conversation`, Conversation, {
 
 export {default as default} from './conversation';
 export {default as ShareActivity} from './share-activity';
+export {localEncryption};
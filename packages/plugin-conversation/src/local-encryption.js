@@ -0,0 +1,79 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {createHmac} from 'crypto';
+import jose from 'node-jose';
+
+const joseOptions = {
+  compact: true,
+  contentAlg: `A256GCM`,
+  protect: `*`
+};
+
+/**
+ * Derives a 256-bit key from `secret` via HKDF-SHA256 (RFC 5869)
+ * @param {string} secret
+ * @param {string} salt
+ * @param {string} info
+ * @private
+ * @returns {Buffer}
+ */
+function hkdf(secret, salt, info) {
+  const prk = createHmac(`sha256`, salt)
+    .update(secret)
+    .digest();
+
+  return createHmac(`sha256`, prk)
+    .update(Buffer.concat([Buffer.from(info), Buffer.from([1])]))
+    .digest();
+}
+
+/**
+ * Derives the JWK with which a particular user's data is encrypted at rest.
+ * `secret` must come from the app; it must never be kept alongside the data it
+ * protects.
+ * @param {string} secret
+ * @param {string} userId
+ * @param {string} info distinguishes keys used for different purposes
+ * @returns {Promise<jose.JWK.Key>}
+ */
+export function deriveKey(secret, userId, info) {
+  return jose.JWK.asKey({
+    kty: `oct`,
+    k: jose.util.base64url.encode(hkdf(secret, userId || ``, info))
+  });
+}
+
+/**
+ * Decrypts a value produced by {@link encrypt}
+ * @param {jose.JWK.Key} key
+ * @param {string} jwe
+ * @returns {Promise<Object>}
+ */
+export function decrypt(key, jwe) {
+  return jose.JWE
+    .createDecrypt(key)
+    .decrypt(jwe)
+    .then((result) => JSON.parse(result.plaintext.toString()));
+}
+
+/**
+ * Serializes and encrypts a value as a compact JWE
+ * @param {jose.JWK.Key} key
+ * @param {Object} value
+ * @returns {Promise<string>}
+ */
+export function encrypt(key, value) {
+  return jose.JWE
+    .createEncrypt(joseOptions, {
+      key,
+      header: {
+        alg: `dir`
+      },
+      reference: null
+    })
+    .final(JSON.stringify(value), `utf8`);
+}
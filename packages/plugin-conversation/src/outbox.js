@@ -0,0 +1,419 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {Defer, oneFlight, retry} from '@ciscospark/common';
+import {SparkHttpError, SparkPlugin} from '@ciscospark/spark-core';
+import {cloneDeep, pick} from 'lodash';
+import uuid from 'uuid';
+import {decrypt, deriveKey, encrypt} from './local-encryption';
+import ShareActivity from './share-activity';
+
+/**
+ * Status codes indicating the conversation can no longer accept the activity
+ * (typically, because the current user left it while the activity was queued)
+ * @private
+ * @type {Array<number>}
+ */
+const CONFLICT_STATUS_CODES = [403, 404, 409, 410];
+
+/**
+ * Status codes that may succeed if retried
+ * @private
+ * @type {Array<number>}
+ */
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+/**
+ * Indicates whether sending failed because there was no connectivity
+ * @param {Error} reason
+ * @private
+ * @returns {boolean}
+ */
+function isOffline(reason) {
+  return reason instanceof SparkHttpError.NetworkOrCORSError;
+}
+
+/**
+ * Indicates whether sending failed in a way that retrying won't fix
+ * @param {Error} reason
+ * @private
+ * @returns {boolean}
+ */
+function isPermanent(reason) {
+  const statusCode = reason && reason.statusCode;
+  return statusCode >= 400 && statusCode < 500 && !RETRYABLE_STATUS_CODES.includes(statusCode);
+}
+
+/**
+ * @typedef {Object} Outbox~Entry
+ * @property {string} clientTempId
+ * @property {string} verb one of `acknowledge`, `post`, or `share`
+ * @property {Object} conversation
+ * @property {Object} object
+ * @property {Object} activity for `share`, the prepared and encrypted activity,
+ * once its files have been uploaded
+ * @property {number} queued timestamp at which the entry was queued
+ * @property {boolean} conflict true if the entry failed because the
+ * conversation could no longer accept it
+ */
+
+/**
+ * Persistent queue of outbound `post`, `share`, and `acknowledge` activities.
+ * Activities are sent in the order they were queued; when there's no
+ * connectivity, they're held until Mercury (or the browser) reports that we're
+ * back online. The queue is only written to bounded storage if
+ * `config.storageSecret` is set, in which case it's encrypted with a key
+ * derived from it. A share only survives a reload if its files finished
+ * uploading first.
+ *
+ * Emits `queued`, `sent`, and `failed`.
+ * @class
+ */
+const Outbox = SparkPlugin.extend({
+  namespace: `Conversation`,
+
+  initialize(...args) {
+    Reflect.apply(SparkPlugin.prototype.initialize, this, args);
+
+    this.deferreds = new Map();
+    this.shares = new Map();
+
+    this.listenTo(this.spark, `change:mercury`, () => {
+      if (this.spark.mercury.connected) {
+        this._onOnline();
+      }
+    });
+
+    // The queue belongs to the current user; drop it on logout or when
+    // someone else logs in.
+    this.listenTo(this.spark, `change:device.userId`, () => this._reset());
+  },
+
+  /**
+   * Sends all queued activities, in order. Stops early (leaving the remaining
+   * activities queued) if there's no connectivity. Call once at startup to
+   * send activities queued before a reload.
+   * @returns {Promise}
+   */
+  @oneFlight
+  drain() {
+    return this._load()
+      .then(() => this._drainNext());
+  },
+
+  /**
+   * Queues an activity for sending
+   * @param {string} verb
+   * @param {Object} conversation
+   * @param {Object|ShareActivity} object the object of the activity or, for
+   * `share`, the ShareActivity
+   * @param {Object} activity
+   * @returns {Promise<Activity>} resolves when the activity is sent or rejects
+   * when it finally fails
+   */
+  enqueue(verb, conversation, object, activity) {
+    activity = activity || (verb === `share` ? object : {});
+    activity.clientTempId = activity.clientTempId || uuid.v4();
+
+    const entry = {
+      clientTempId: activity.clientTempId,
+      verb,
+      queued: Date.now()
+    };
+
+    if (verb !== `share`) {
+      entry.object = cloneDeep(object);
+      entry.activity = cloneDeep(activity);
+    }
+
+    const defer = new Defer();
+    this.deferreds.set(entry.clientTempId, defer);
+
+    return Promise.all([
+      this.parent._inferConversationUrl(conversation),
+      this._load()
+    ])
+      .then(([c, entries]) => {
+        entry.conversation = pick(c, `id`, `url`, `objectType`, `defaultActivityEncryptionKeyUrl`, `kmsResourceObjectUrl`);
+        // Files can't be serialized, so shares only get as far as memory
+        // until they've been uploaded and encrypted. The ShareActivity is
+        // built once so that retries reuse its uploads.
+        if (verb === `share`) {
+          this.shares.set(entry.clientTempId, ShareActivity.create(c, object, this.spark));
+        }
+
+        entries.push(entry);
+        return this._save();
+      })
+      .then(() => {
+        this.trigger(`queued`, entry);
+        this._drainInBackground();
+        return defer.promise;
+      });
+  },
+
+  /**
+   * Sends an entry, retrying with backoff on transient failures. Resolves with
+   * `{reason}` for failures that retrying won't fix.
+   * @param {Outbox~Entry} entry
+   * @private
+   * @returns {Promise<Object>}
+   */
+  @retry({
+    delay: 1000,
+    maxAttempts: 3,
+    maxDelay: 8000
+  })
+  _attempt(entry) {
+    return this._send(entry)
+      .then((activity) => ({activity}))
+      .catch((reason) => {
+        if (isPermanent(reason)) {
+          return {reason};
+        }
+
+        return Promise.reject(reason);
+      });
+  },
+
+  /**
+   * Sends the oldest entry, then the rest of the queue
+   * @private
+   * @returns {Promise}
+   */
+  _drainNext() {
+    const entry = this.entries && this.entries[0];
+    if (!entry) {
+      this._stopListeningForOnline();
+      return Promise.resolve();
+    }
+
+    return this._attempt(entry)
+      .catch((reason) => ({reason}))
+      .then(({activity, reason}) => {
+        if (reason && isOffline(reason)) {
+          this.logger.info(`conversation: outbox is offline, will retry when connectivity returns`);
+          this._listenForOnline();
+          return Promise.resolve();
+        }
+
+        return this._settle(entry, activity, reason)
+          .then(() => this._drainNext());
+      });
+  },
+
+  /**
+   * Drains the queue without making the caller wait for it
+   * @private
+   * @returns {undefined}
+   */
+  _drainInBackground() {
+    this.drain()
+      .catch((reason) => this.logger.error(`conversation: failed to drain outbox`, reason));
+  },
+
+  /**
+   * Produces the JWK with which the persisted queue is encrypted
+   * @private
+   * @returns {Promise<jose.JWK.Key>}
+   */
+  _getKey() {
+    if (!this.key) {
+      this.key = deriveKey(this.config.storageSecret, this.spark.device.userId, `conversation-outbox`)
+        .catch((reason) => {
+          this.key = null;
+          return Promise.reject(reason);
+        });
+    }
+
+    return this.key;
+  },
+
+  /**
+   * Drains the queue when the browser comes back online. Only listens while
+   * there are activities waiting for connectivity.
+   * @private
+   * @returns {undefined}
+   */
+  _listenForOnline() {
+    /* global window */
+    if (this.onlineListener || typeof window === `undefined` || !window.addEventListener) {
+      return;
+    }
+
+    this.onlineListener = () => this._onOnline();
+    window.addEventListener(`online`, this.onlineListener);
+  },
+
+  /**
+   * Loads the queue from storage the first time it's needed
+   * @private
+   * @returns {Promise<Array<Outbox~Entry>>}
+   */
+  @oneFlight
+  _load() {
+    if (this.entries) {
+      return Promise.resolve(this.entries);
+    }
+
+    if (!this.config.storageSecret) {
+      this.entries = [];
+      return Promise.resolve(this.entries);
+    }
+
+    return Promise.all([this._getKey(), this.boundedStorage.get(`outbox`)])
+      .then(([key, jwe]) => decrypt(key, jwe))
+      .catch(() => [])
+      .then((entries) => {
+        this.entries = this.entries || entries;
+        return this.entries;
+      });
+  },
+
+  /**
+   * Drains the queue when connectivity returns
+   * @private
+   * @returns {undefined}
+   */
+  _onOnline() {
+    if (this.config.enableOutbox) {
+      this._drainInBackground();
+    }
+  },
+
+  /**
+   * Prepares and encrypts a share once its files have been uploaded, then
+   * persists it so that it can be sent after a reload
+   * @param {Outbox~Entry} entry
+   * @param {Object} conversation
+   * @private
+   * @returns {Promise<Object>}
+   */
+  _prepareShare(entry, conversation) {
+    return this.parent._inferConversationUrl(conversation)
+      .then(() => this.parent.prepare(this.shares.get(entry.clientTempId), {
+        target: this.parent.prepareConversation(conversation)
+      }))
+      .then((activity) => this.spark.transform(`outbound`, {body: activity})
+        .then(() => {
+          entry.activity = cloneDeep(activity);
+          this.shares.delete(entry.clientTempId);
+          return this._save();
+        }))
+      .then(() => entry.activity);
+  },
+
+  /**
+   * Forgets the previous user's queue, rejecting anything still waiting to be
+   * sent
+   * @private
+   * @returns {undefined}
+   */
+  _reset() {
+    this._stopListeningForOnline();
+    this.key = null;
+    this.entries = null;
+    this.shares.clear();
+    this.deferreds.forEach((defer) => defer.reject(new Error(`The outbox was cleared because the current user changed`)));
+    this.deferreds.clear();
+  },
+
+  /**
+   * Persists the queue (encrypted) if there's a `storageSecret` with which to
+   * encrypt it. The in-memory queue is authoritative, so failing to persist it
+   * only costs us the ability to send its activities after a reload.
+   * @private
+   * @returns {Promise}
+   */
+  _save() {
+    if (!this.config.storageSecret) {
+      return Promise.resolve();
+    }
+
+    const entries = this.entries;
+    return this._getKey()
+      .then((key) => encrypt(key, entries))
+      .then((jwe) => this.boundedStorage.put(`outbox`, jwe))
+      .catch((reason) => this.logger.warn(`conversation: failed to persist outbox`, reason));
+  },
+
+  /**
+   * Hands an entry to the appropriate Conversation method
+   * @param {Outbox~Entry} entry
+   * @private
+   * @returns {Promise<Activity>}
+   */
+  _send(entry) {
+    const conversation = cloneDeep(entry.conversation);
+    switch (entry.verb) {
+    case `acknowledge`:
+      return this.parent._acknowledge(conversation, entry.object, cloneDeep(entry.activity));
+    case `post`:
+      return this.parent._post(conversation, entry.object, cloneDeep(entry.activity));
+    case `share`:
+      if (entry.activity) {
+        return this.parent.submit(cloneDeep(entry.activity));
+      }
+      if (!this.shares.has(entry.clientTempId)) {
+        return Promise.reject(new Error(`Cannot send a queued share after its files have been unloaded`));
+      }
+      return this._prepareShare(entry, conversation)
+        .then((activity) => this.parent.submit(cloneDeep(activity)));
+    default:
+      return Promise.reject(new Error(`Cannot send queued \`${entry.verb}\` activity`));
+    }
+  },
+
+  /**
+   * Removes a sent or failed entry from the queue and notifies listeners
+   * @param {Outbox~Entry} entry
+   * @param {Activity} activity
+   * @param {Error} reason
+   * @private
+   * @returns {Promise}
+   */
+  _settle(entry, activity, reason) {
+    if (this.entries && this.entries.includes(entry)) {
+      this.entries.splice(this.entries.indexOf(entry), 1);
+    }
+    this.shares.delete(entry.clientTempId);
+    const defer = this.deferreds.get(entry.clientTempId);
+    this.deferreds.delete(entry.clientTempId);
+
+    // Settle before persisting so that the caller hears about the activity
+    // no matter what happens to storage
+    if (reason) {
+      entry.conflict = CONFLICT_STATUS_CODES.includes(reason.statusCode);
+      this.logger.warn(`conversation: failed to send queued ${entry.verb} activity`, reason);
+      this.trigger(`failed`, entry, reason);
+      if (defer) {
+        defer.reject(reason);
+      }
+    }
+    else {
+      this.trigger(`sent`, entry, activity);
+      if (defer) {
+        defer.resolve(activity);
+      }
+    }
+
+    return this._save();
+  },
+
+  /**
+   * Stops listening for the browser's `online` event
+   * @private
+   * @returns {undefined}
+   */
+  _stopListeningForOnline() {
+    if (this.onlineListener) {
+      window.removeEventListener(`online`, this.onlineListener);
+      this.onlineListener = null;
+    }
+  }
+});
+
+export default Outbox;
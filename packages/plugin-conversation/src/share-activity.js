@@ -6,7 +6,7 @@
 
 import {proxyEvents, transferEvents} from '@ciscospark/common';
 import {detect} from '@ciscospark/http-core';
-import {SparkPlugin} from '@ciscospark/spark-core';
+import {resumeKeyFor, SparkPlugin, UploadController} from '@ciscospark/spark-core';
 import {filter, map, pick, some} from 'lodash';
 import {EventEmitter} from 'events';
 import mime from 'mime-types';
@@ -14,6 +14,7 @@ import processImage from './process-image';
 
 const EMITTER_SYMBOL = Symbol(`EMITTER_SYMBOL`);
 const PROMISE_SYMBOL = Symbol(`PROMISE_SYMBOL`);
+const CONTROLLER_SYMBOL = Symbol(`CONTROLLER_SYMBOL`);
 
 /**
  * @class
@@ -76,7 +77,11 @@ const ShareActivity = SparkPlugin.extend({
    * @param {File} file
    * @param {Object} options
    * @param {Object} options.actions
-   * @returns {EventEmittingPromise}
+   * @param {string} options.resumeKey identifies `file` across page loads so
+   * that an interrupted upload of it can resume; Files are identified by name,
+   * size and modification date when omitted, Buffers aren't resumable without it
+   * @returns {EventEmittingPromise} also exposes `pause()`, `resume()`, and
+   * `cancel()`
    */
   add(file, options) {
     options = options || {};
@@ -86,12 +91,14 @@ const ShareActivity = SparkPlugin.extend({
       return upload[PROMISE_SYMBOL];
     }
     const emitter = new EventEmitter();
+    const controller = new UploadController();
 
     upload = Object.assign({
       displayName: file.name,
       fileSize: file.size || file.byteLength || file.length,
       mimeType: file.type,
       objectType: `file`,
+      [CONTROLLER_SYMBOL]: controller,
       [EMITTER_SYMBOL]: emitter
     }, pick(options, `actions`));
 
@@ -111,13 +118,19 @@ const ShareActivity = SparkPlugin.extend({
         });
       })
       .then((imageData) => {
-        const main = this.spark.encryption.encryptBinary(file)
+        let resumeKey, uri;
+        const main = this.spaceUrl
+          .then((spaceUrl) => {
+            uri = `${spaceUrl}/upload_sessions`;
+            resumeKey = options.resumeKey ? `${uri}:${options.resumeKey}` : resumeKeyFor({uri, file});
+            return this._encrypt(file, resumeKey);
+          })
           .then(({scr, cdata}) => {
             upload.scr = scr;
-            return Promise.all([cdata, this.spaceUrl]);
-          })
-          .then(([cdata, spaceUrl]) => {
-            const uploadPromise = this._upload(cdata, `${spaceUrl}/upload_sessions`);
+            const uploadPromise = this._upload(cdata, uri, controller, {
+              resumeKey,
+              resumeData: resumeKey && {scr: scr.toJSON()}
+            });
             transferEvents(`progress`, uploadPromise, emitter);
             return uploadPromise;
           })
@@ -138,7 +151,7 @@ const ShareActivity = SparkPlugin.extend({
                 upload.image.scr = scr;
                 return Promise.all([cdata, this.hiddenSpaceUrl]);
               })
-              .then(([cdata, spaceUrl]) => this._upload(cdata, `${spaceUrl}/upload_sessions`))
+              .then(([cdata, spaceUrl]) => this._upload(cdata, `${spaceUrl}/upload_sessions`, controller))
               .then((metadata) => {
                 upload.image.url = upload.image.scr.loc = metadata.downloadUrl;
               });
@@ -152,7 +165,7 @@ const ShareActivity = SparkPlugin.extend({
     upload[PROMISE_SYMBOL] = promise;
 
     proxyEvents(emitter, promise);
-    return promise;
+    return controller.decorate(promise);
   },
 
   detect(file) {
@@ -176,18 +189,38 @@ const ShareActivity = SparkPlugin.extend({
       });
   },
 
+  /**
+   * Encrypts `file` with the SCR of an interrupted upload of it, if there is
+   * one, so that the upload can resume with identical ciphertext
+   * @param {File} file
+   * @param {string} resumeKey
+   * @private
+   * @returns {Promise<Object>} resolves with `{scr, cdata}`
+   */
+  _encrypt(file, resumeKey) {
+    return Promise.resolve(resumeKey && this.spark.getUploadResumeData(resumeKey))
+      .then((data) => this.spark.encryption.encryptBinary(file, data && data.scr));
+  },
+
   /**
    * @param {File} file
    * @param {string} uri
+   * @param {UploadController} controller
+   * @param {Object} options
+   * @param {string} options.resumeKey
+   * @param {Object} options.resumeData
    * @private
    * @returns {Promise}
    */
-  _upload(file, uri) {
+  _upload(file, uri, controller, options) {
     const fileSize = file.length || file.size || file.byteLength;
 
     return this.spark.upload({
       uri,
       file,
+      controller,
+      resumeKey: options && options.resumeKey,
+      resumeData: options && options.resumeData,
       qs: {
         transcode: true
       },
@@ -209,12 +242,16 @@ const ShareActivity = SparkPlugin.extend({
   },
 
   /**
-   * Removes the specified file from the share (Does not currently delete the
-   * uploaded file)
+   * Removes the specified file from the share, cancelling its upload if it's
+   * still in progress (Does not currently delete the uploaded file)
    * @param {File} file
    * @returns {Promise}
    */
   remove(file) {
+    const upload = this.uploads.get(file);
+    if (upload) {
+      upload[CONTROLLER_SYMBOL].cancel();
+    }
     this.uploads.delete(file);
     // Returns a promise for future-proofiness.
     return Promise.resolve();
@@ -0,0 +1,217 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {assert} from '@ciscospark/test-helper-chai';
+import MockSpark from '@ciscospark/test-helper-mock-spark';
+import sinon from '@ciscospark/test-helper-sinon';
+import Conversation from '../..';
+
+describe(`plugin-conversation`, () => {
+  describe(`ConversationCache`, () => {
+    const conversations = [{
+      id: `conversation1`,
+      url: `https://example.com/conversations/conversation1`,
+      displayName: `first`,
+      published: `2017-01-01T00:00:00.000Z`
+    }, {
+      id: `conversation2`,
+      url: `https://example.com/conversations/conversation2`,
+      displayName: `second`,
+      published: `2017-01-02T00:00:00.000Z`
+    }];
+
+    /**
+     * Produces a post activity
+     * @param {string} id
+     * @param {string} published
+     * @returns {Object}
+     */
+    function makeActivity(id, published) {
+      return {
+        id,
+        published,
+        verb: `post`,
+        object: {
+          objectType: `comment`,
+          displayName: `message ${id}`
+        },
+        target: {
+          objectType: `conversation`,
+          id: `conversation1`
+        }
+      };
+    }
+
+    let cache, spark;
+
+    beforeEach(() => {
+      spark = new MockSpark({
+        children: {
+          conversation: Conversation
+        }
+      });
+
+      Object.assign(spark.config.conversation, {
+        cacheActivityLimit: 200,
+        enableCache: true,
+        storageSecret: `secret`
+      });
+      cache = spark.conversation.cache;
+
+      sinon.stub(spark.conversation, `_listConversations`).returns(Promise.resolve(conversations));
+      sinon.stub(spark.conversation, `_get`).returns(Promise.resolve(conversations[0]));
+      sinon.stub(spark.conversation, `_listActivities`).returns(Promise.resolve([
+        makeActivity(`activity1`, `2017-01-03T00:00:00.000Z`),
+        makeActivity(`activity2`, `2017-01-04T00:00:00.000Z`)
+      ]));
+    });
+
+    describe(`#list()`, () => {
+      it(`stores conversations encrypted`, () => spark.conversation.list()
+        .then(() => spark.boundedStorage.get(`Conversation`, `cache:conversations`))
+        .then((jwe) => {
+          assert.isString(jwe);
+          assert.notInclude(jwe, `first`);
+          cache.memory.clear();
+          return cache._read(`conversations`);
+        })
+        .then((value) => assert.equal(value.items.conversation1.displayName, `first`)));
+
+      it(`does not store the key material alongside the cache`, () => spark.conversation.list()
+        .then(() => spark.boundedStorage.get(`Conversation`, `cache-secret`))
+        .then(() => assert.fail(`the key material should not be stored`), (reason) => assert.match(reason.message, /NotFound/)));
+
+      it(`keeps the cache in memory when there is no storageSecret`, () => {
+        spark.config.conversation.storageSecret = undefined;
+        return spark.conversation.list()
+          .then(() => spark.boundedStorage.get(`Conversation`, `cache:conversations`))
+          .then(() => assert.fail(`the cache should not be stored`), (reason) => assert.match(reason.message, /NotFound/))
+          .then(() => spark.conversation.list({cacheFirst: true}))
+          .then((items) => assert.deepEqual(items, conversations));
+      });
+
+      it(`merges filtered lists into the cache instead of replacing it`, () => spark.conversation.list()
+        .then(() => {
+          spark.conversation._listConversations.returns(Promise.resolve([conversations[1]]));
+          return spark.conversation.list({conversationsLimit: 1});
+        })
+        .then((items) => {
+          assert.lengthOf(items, 1);
+          return cache._read(`conversations`);
+        })
+        .then((value) => assert.sameMembers(Object.keys(value.items), [`conversation1`, `conversation2`])));
+
+      it(`forgets the key and cached entries when the user changes`, () => spark.conversation.list()
+        .then(() => cache._getKey())
+        .then((key) => {
+          spark.device.userId = `someone-else`;
+          spark.trigger(`change:device.userId`);
+          assert.lengthOf(Array.from(cache.memory.keys()), 0);
+          return cache._getKey()
+            .then((next) => assert.notEqual(next.toJSON(true).k, key.toJSON(true).k));
+        })
+        .then(() => cache._read(`conversations`))
+        .then((value) => assert.isUndefined(value)));
+
+      it(`serves cached conversations and fetches changes in the background`, () => spark.conversation.list()
+        .then(() => {
+          spark.conversation._listConversations.reset();
+          spark.conversation._listConversations.returns(Promise.resolve([Object.assign({}, conversations[1], {displayName: `renamed`})]));
+          return Promise.all([
+            spark.conversation.list({cacheFirst: true}),
+            cache.when(`updated:conversations`)
+          ]);
+        })
+        .then(([items]) => {
+          assert.deepEqual(items, conversations);
+          assert.calledOnce(spark.conversation._listConversations);
+          assert.isNumber(spark.conversation._listConversations.args[0][0].sinceDate);
+          return spark.conversation.list({cacheFirst: true});
+        })
+        .then((items) => {
+          assert.equal(items[0].displayName, `renamed`);
+          assert.deepEqual(items.map((c) => c.id), [`conversation2`, `conversation1`]);
+        }));
+
+      it(`serves cached conversations in the order the server listed them`, () => {
+        // The server lists the most recently active conversation first, which
+        // needn't be the most recently created one
+        spark.conversation._listConversations.returns(Promise.resolve(conversations.slice().reverse()));
+        return spark.conversation.list()
+          .then((network) => {
+            spark.conversation._listConversations.returns(Promise.resolve([]));
+            return spark.conversation.list({cacheFirst: true})
+              .then((cached) => assert.deepEqual(cached, network));
+          });
+      });
+    });
+
+    describe(`#get()`, () => {
+      it(`serves cached conversations`, () => spark.conversation.list()
+        .then(() => spark.conversation.get({url: conversations[1].url}, {cacheFirst: true}))
+        .then((conversation) => {
+          assert.equal(conversation.displayName, `second`);
+          assert.notCalled(spark.conversation._get);
+        }));
+
+      it(`fetches conversations that are not cached`, () => spark.conversation.get({id: `conversation1`}, {cacheFirst: true})
+        .then((conversation) => {
+          assert.equal(conversation.displayName, `first`);
+          assert.calledOnce(spark.conversation._get);
+        }));
+    });
+
+    describe(`#listActivities()`, () => {
+      it(`serves cached activities and fetches newer activities in the background`, () => spark.conversation.listActivities({conversationId: `conversation1`})
+        .then(() => {
+          spark.conversation._listActivities.reset();
+          spark.conversation._listActivities.returns(Promise.resolve([makeActivity(`activity3`, `2017-01-05T00:00:00.000Z`)]));
+          return Promise.all([
+            spark.conversation.listActivities({conversationId: `conversation1`, cacheFirst: true}),
+            cache.when(`updated:activities`)
+          ]);
+        })
+        .then(([items]) => {
+          assert.lengthOf(items, 2);
+          assert.calledWithMatch(spark.conversation._listActivities, {
+            conversationId: `conversation1`,
+            sinceDate: Date.parse(`2017-01-04T00:00:00.000Z`)
+          });
+          return spark.conversation.listActivities({conversationId: `conversation1`, cacheFirst: true});
+        })
+        .then((items) => assert.deepEqual(items.map((a) => a.id), [`activity1`, `activity2`, `activity3`])));
+
+      it(`sends paginated queries to the network`, () => spark.conversation.listActivities({conversationId: `conversation1`, maxDate: Date.now(), cacheFirst: true})
+        .then(() => spark.boundedStorage.get(`Conversation`, `cache:activities:conversation1`))
+        .then(() => assert.fail(`paginated results should not be cached`), (reason) => assert.match(reason.message, /NotFound/)));
+    });
+
+    describe(`#recordActivity()`, () => {
+      it(`adds activities to cached conversations`, () => spark.conversation.listActivities({conversationId: `conversation1`})
+        .then(() => cache.recordActivity(makeActivity(`activity3`, `2017-01-05T00:00:00.000Z`)))
+        .then(() => cache._read(`activities:conversation1`))
+        .then((value) => assert.deepEqual(value.items.map((a) => a.id), [`activity1`, `activity2`, `activity3`])));
+
+      it(`makes the activity's conversation the most recently active one`, () => {
+        spark.conversation._listConversations.returns(Promise.resolve(conversations.slice().reverse()));
+        return spark.conversation.list()
+          .then(() => cache.recordActivity(makeActivity(`activity3`, `2017-01-05T00:00:00.000Z`)))
+          .then(() => {
+            spark.conversation._listConversations.returns(Promise.resolve([]));
+            return spark.conversation.list({cacheFirst: true});
+          })
+          .then((items) => {
+            assert.deepEqual(items.map((c) => c.id), [`conversation1`, `conversation2`]);
+            assert.equal(items[0].lastRelevantActivityDate, `2017-01-05T00:00:00.000Z`);
+            assert.equal(items[0].lastReadableActivityDate, `2017-01-05T00:00:00.000Z`);
+          });
+      });
+
+      it(`ignores activities for conversations that are not cached`, () => cache.recordActivity(makeActivity(`activity3`, `2017-01-05T00:00:00.000Z`))
+        .then(() => cache._read(`activities:conversation1`))
+        .then((value) => assert.isUndefined(value)));
+    });
+  });
+});
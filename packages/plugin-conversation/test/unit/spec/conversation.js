@@ -0,0 +1,121 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {assert} from '@ciscospark/test-helper-chai';
+import MockSpark from '@ciscospark/test-helper-mock-spark';
+import sinon from '@ciscospark/test-helper-sinon';
+import Conversation from '../..';
+
+describe(`plugin-conversation`, () => {
+  describe(`Conversation`, () => {
+    let spark;
+
+    beforeEach(() => {
+      spark = new MockSpark({
+        children: {
+          conversation: Conversation
+        }
+      });
+    });
+
+    describe(`#rotateKey()`, () => {
+      const newKey = {uri: `kms://kms.example.com/keys/2`};
+      let conversation;
+
+      beforeEach(() => {
+        conversation = {
+          id: `conversation1`,
+          url: `https://example.com/conversations/conversation1`,
+          displayName: `title`,
+          encryptionKeyUrl: `kms://kms.example.com/keys/1`,
+          defaultActivityEncryptionKeyUrl: `kms://kms.example.com/keys/1`,
+          kmsResourceObjectUrl: `kms://kms.example.com/resources/1`,
+          avatarEncryptionKeyUrl: `kms://kms.example.com/keys/1`,
+          avatar: {
+            objectType: `content`,
+            contentCategory: `images`,
+            files: {
+              items: [{
+                objectType: `file`,
+                url: `https://files.example.com/avatar`,
+                scr: {}
+              }]
+            }
+          }
+        };
+
+        spark.encryption = {
+          kms: {
+            createUnboundKeys: sinon.stub().returns(Promise.resolve([newKey]))
+          }
+        };
+
+        sinon.stub(spark.conversation, `get`, () => Promise.resolve(Object.assign({}, conversation)));
+        sinon.stub(spark.conversation, `_updateKey`).returns(Promise.resolve({}));
+        sinon.stub(spark.conversation, `submit`, (activity) => Promise.resolve(activity));
+      });
+
+      it(`binds a new key and re-encrypts the title and avatar`, () => spark.conversation.rotateKey(conversation)
+        .then((c) => {
+          assert.calledOnce(spark.encryption.kms.createUnboundKeys);
+          assert.calledWith(spark.conversation._updateKey, sinon.match({url: conversation.url}), newKey);
+          assert.calledTwice(spark.conversation.submit);
+
+          const [update, assign] = spark.conversation.submit.args.map((args) => args[0]);
+          assert.equal(update.verb, `update`);
+          assert.equal(update.object.displayName, `title`);
+          assert.equal(update.target.defaultActivityEncryptionKeyUrl, newKey.uri);
+          assert.equal(assign.verb, `assign`);
+          assert.deepEqual(assign.object.files, conversation.avatar.files);
+          assert.equal(assign.target.defaultActivityEncryptionKeyUrl, newKey.uri);
+
+          assert.equal(c.defaultActivityEncryptionKeyUrl, newKey.uri);
+          assert.equal(c.encryptionKeyUrl, newKey.uri);
+          assert.equal(c.avatarEncryptionKeyUrl, newKey.uri);
+        }));
+
+      it(`emits progress after each step`, () => {
+        const spy = sinon.spy();
+        return spark.conversation.rotateKey(conversation, {reencryptAvatar: false})
+          .on(`progress`, spy)
+          .then(() => {
+            assert.deepEqual(spy.args.map((args) => args[0]), [
+              {step: `createKey`, completed: 1, total: 3},
+              {step: `updateKey`, completed: 2, total: 3},
+              {step: `reencryptTitle`, completed: 3, total: 3}
+            ]);
+            assert.calledOnce(spark.conversation.submit);
+          });
+      });
+
+      it(`resumes with the same key after a failure`, () => {
+        spark.conversation.submit.restore();
+        sinon.stub(spark.conversation, `submit`).returns(Promise.resolve({}));
+        spark.conversation.submit.onCall(0).returns(Promise.reject(new Error(`network failure`)));
+        return assert.isRejected(spark.conversation.rotateKey(conversation))
+          .then(() => {
+            // the server now reflects the key update that succeeded
+            conversation.defaultActivityEncryptionKeyUrl = newKey.uri;
+            return spark.conversation.rotateKey(conversation);
+          })
+          .then(() => {
+            assert.calledOnce(spark.encryption.kms.createUnboundKeys);
+            assert.calledOnce(spark.conversation._updateKey);
+            assert.calledThrice(spark.conversation.submit);
+          });
+      });
+
+      it(`skips the title and avatar when they do not exist`, () => {
+        Reflect.deleteProperty(conversation, `displayName`);
+        Reflect.deleteProperty(conversation, `avatar`);
+        return spark.conversation.rotateKey(conversation)
+          .then(() => {
+            assert.calledOnce(spark.conversation._updateKey);
+            assert.notCalled(spark.conversation.submit);
+          });
+      });
+    });
+  });
+});
@@ -0,0 +1,239 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {assert} from '@ciscospark/test-helper-chai';
+import MockSpark from '@ciscospark/test-helper-mock-spark';
+import sinon from '@ciscospark/test-helper-sinon';
+import {SparkHttpError} from '@ciscospark/spark-core';
+import Conversation, {ShareActivity} from '../..';
+
+describe(`plugin-conversation`, () => {
+  describe(`Outbox`, () => {
+    const conversation = {
+      id: `conversation1`,
+      url: `https://example.com/conversations/conversation1`
+    };
+
+    let outbox, spark;
+
+    /**
+     * Produces a MockSpark with the outbox enabled
+     * @param {Object} initialBoundedStorage
+     * @returns {MockSpark}
+     */
+    function makeSpark(initialBoundedStorage) {
+      const s = new MockSpark({
+        attrs: {initialBoundedStorage},
+        children: {
+          conversation: Conversation
+        }
+      });
+
+      Object.assign(s.config.conversation, {
+        enableOutbox: true,
+        storageSecret: `secret`
+      });
+
+      return s;
+    }
+
+    beforeEach(() => {
+      spark = makeSpark();
+      outbox = spark.conversation.outbox;
+
+      sinon.stub(spark.conversation, `_post`, (c, message, activity) => Promise.resolve(Object.assign({id: `activity-${message.displayName}`}, activity)));
+    });
+
+    /**
+     * Produces an error as it would be received from a failed request
+     * @param {string} name
+     * @param {number} statusCode
+     * @returns {SparkHttpError}
+     */
+    function makeError(name, statusCode) {
+      return new SparkHttpError[name]({
+        statusCode,
+        options: {
+          headers: {},
+          method: `POST`,
+          uri: `https://example.com/activities`
+        }
+      });
+    }
+
+    describe(`when disabled`, () => {
+      it(`sends activities directly`, () => {
+        spark.config.conversation.enableOutbox = false;
+        sinon.spy(outbox, `enqueue`);
+        return spark.conversation.post(conversation, `hello`)
+          .then(() => {
+            assert.notCalled(outbox.enqueue);
+            assert.calledOnce(spark.conversation._post);
+          });
+      });
+    });
+
+    describe(`#enqueue()`, () => {
+      it(`sends activities in order, keeping their clientTempIds`, () => {
+        const queued = sinon.spy();
+        const sent = sinon.spy();
+        outbox.on(`queued`, queued);
+        outbox.on(`sent`, sent);
+
+        const first = {};
+        const second = {clientTempId: `second`};
+
+        return Promise.all([
+          spark.conversation.post(conversation, `one`, first),
+          spark.conversation.post(conversation, `two`, second)
+        ])
+          .then(([a1, a2]) => {
+            assert.isDefined(first.clientTempId);
+            assert.equal(a1.clientTempId, first.clientTempId);
+            assert.equal(a2.clientTempId, `second`);
+            assert.calledTwice(queued);
+            assert.calledTwice(sent);
+            assert.deepEqual(spark.conversation._post.args.map((args) => args[1].displayName), [`one`, `two`]);
+            assert.lengthOf(outbox.entries, 0);
+          });
+      });
+
+      it(`sends activities even if the queue cannot be persisted`, () => {
+        const sent = sinon.spy();
+        outbox.on(`sent`, sent);
+        sinon.stub(spark.boundedStorage, `put`, () => Promise.reject(new Error(`QuotaExceededError`)));
+
+        return Promise.all([
+          spark.conversation.post(conversation, `one`),
+          spark.conversation.post(conversation, `two`)
+        ])
+          .then(([a1, a2]) => {
+            assert.called(spark.boundedStorage.put);
+            assert.equal(a1.id, `activity-one`);
+            assert.equal(a2.id, `activity-two`);
+            assert.calledTwice(sent);
+            assert.lengthOf(outbox.entries, 0);
+          });
+      });
+
+      it(`persists queued activities encrypted`, () => {
+        sinon.stub(outbox, `_attempt`).returns(Promise.reject(makeError(`NetworkOrCORSError`, 0)));
+        spark.conversation.post(conversation, `hello`);
+
+        return outbox.when(`queued`)
+          .then(() => outbox.drain())
+          .then(() => spark.boundedStorage.get(`Conversation`, `outbox`))
+          .then((jwe) => {
+            assert.isString(jwe);
+            assert.notInclude(jwe, `hello`);
+          });
+      });
+
+      it(`does not persist queued activities without a storageSecret`, () => {
+        spark.config.conversation.storageSecret = undefined;
+        sinon.stub(outbox, `_attempt`).returns(Promise.reject(makeError(`NetworkOrCORSError`, 0)));
+        spark.conversation.post(conversation, `hello`);
+
+        return outbox.when(`queued`)
+          .then(() => outbox.drain())
+          .then(() => {
+            assert.lengthOf(outbox.entries, 1);
+            return spark.boundedStorage.get(`Conversation`, `outbox`);
+          })
+          .then(() => assert.fail(`the outbox should not be stored`), (reason) => assert.match(reason.message, /NotFound/));
+      });
+    });
+
+    describe(`#drain()`, () => {
+      it(`sends activities queued before a reload`, () => {
+        sinon.stub(outbox, `_attempt`).returns(Promise.reject(makeError(`NetworkOrCORSError`, 0)));
+        spark.conversation.post(conversation, `hello`);
+
+        return outbox.when(`queued`)
+          .then(() => outbox.drain())
+          .then(() => {
+            const reloaded = makeSpark(spark.boundedStorage.data);
+            sinon.stub(reloaded.conversation, `_post`, (c, message, activity) => Promise.resolve(Object.assign({id: `activity-${message.displayName}`}, activity)));
+            return reloaded.conversation.outbox.drain()
+              .then(() => {
+                assert.calledOnce(reloaded.conversation._post);
+                assert.equal(reloaded.conversation._post.args[0][1].displayName, `hello`);
+                assert.lengthOf(reloaded.conversation.outbox.entries, 0);
+              });
+          });
+      });
+    });
+
+    describe(`#enqueue(\`share\`)`, () => {
+      const file = {
+        name: `sample.txt`,
+        type: `text/plain`
+      };
+
+      beforeEach(() => {
+        sinon.stub(ShareActivity.prototype, `add`);
+        sinon.stub(ShareActivity.prototype, `prepare`).returns(Promise.resolve({
+          verb: `share`,
+          object: {
+            objectType: `content`,
+            files: {
+              items: [{displayName: file.name}]
+            }
+          }
+        }));
+        spark.transform = sinon.spy((direction, options) => {
+          options.body.encryptionKeyUrl = `kms://example.com/keys/1`;
+          return Promise.resolve(options);
+        });
+        sinon.stub(spark.conversation, `submit`).returns(Promise.resolve({id: `activity-share`}));
+      });
+
+      afterEach(() => {
+        ShareActivity.prototype.add.restore();
+        ShareActivity.prototype.prepare.restore();
+      });
+
+      it(`keeps the files when retrying`, () => {
+        sinon.stub(outbox, `_attempt`).returns(Promise.reject(makeError(`NetworkOrCORSError`, 0)));
+        spark.conversation.submit.onFirstCall().returns(Promise.reject(makeError(`NetworkOrCORSError`, 0)));
+        spark.conversation.share(conversation, [file]);
+
+        return outbox.when(`queued`)
+          .then(() => {
+            const [entry] = outbox.entries;
+            return assert.isRejected(outbox._send(entry))
+              .then(() => outbox._send(entry));
+          })
+          .then(() => {
+            assert.calledOnce(ShareActivity.prototype.add);
+            assert.calledOnce(ShareActivity.prototype.prepare);
+            assert.calledTwice(spark.conversation.submit);
+            spark.conversation.submit.args.forEach(([activity]) => assert.lengthOf(activity.object.files.items, 1));
+          });
+      });
+
+      it(`sends shares whose files were uploaded before a reload`, () => {
+        sinon.stub(outbox, `_attempt`).returns(Promise.reject(makeError(`NetworkOrCORSError`, 0)));
+        spark.conversation.submit.returns(Promise.reject(makeError(`NetworkOrCORSError`, 0)));
+        spark.conversation.share(conversation, [file]);
+
+        return outbox.when(`queued`)
+          .then(() => assert.isRejected(outbox._send(outbox.entries[0])))
+          .then(() => {
+            const reloaded = makeSpark(spark.boundedStorage.data);
+            sinon.stub(reloaded.conversation, `submit`, (activity) => Promise.resolve(activity));
+            return reloaded.conversation.outbox.drain()
+              .then(() => {
+                assert.calledOnce(reloaded.conversation.submit);
+                const activity = reloaded.conversation.submit.args[0][0];
+                assert.equal(activity.encryptionKeyUrl, `kms://example.com/keys/1`);
+                assert.lengthOf(activity.object.files.items, 1);
+                assert.lengthOf(reloaded.conversation.outbox.entries, 0);
+              });
+          });
+      });
+    });
+  });
+});
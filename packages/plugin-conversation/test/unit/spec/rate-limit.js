@@ -0,0 +1,72 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import '../..';
+import {assert} from '@ciscospark/test-helper-chai';
+import sinon from '@ciscospark/test-helper-sinon';
+import Spark from '@ciscospark/spark-core';
+
+describe(`plugin-conversation`, () => {
+  describe(`when a conversation request is throttled`, () => {
+    const activity = {
+      objectType: `activity`,
+      verb: `post`,
+      encryptionKeyUrl: `kms://kms.example.com/keys/1`,
+      object: {
+        objectType: `comment`,
+        displayName: `ciphertext:hello`
+      }
+    };
+
+    let spark, transport;
+
+    beforeEach(() => {
+      spark = new Spark({
+        config: {
+          rateLimit: {
+            initialDelay: 1
+          }
+        }
+      });
+
+      // Only ciphertext decrypts; decrypting the same payload twice fails
+      // just like the real thing
+      spark.encryption.decryptText = sinon.spy((key, text) => {
+        if (!text.startsWith(`ciphertext:`)) {
+          return Promise.reject(new Error(`not a JWE`));
+        }
+        return Promise.resolve(text.replace(`ciphertext:`, ``));
+      });
+
+      // Throttles the first attempt, like the real transport would resolve
+      // with a 429
+      transport = sinon.spy((options) => Promise.resolve(transport.callCount === 1 ? {
+        statusCode: 429,
+        headers: {'retry-after': `0`},
+        body: {message: `Too Many Requests`},
+        options
+      } : {
+        statusCode: 200,
+        headers: {},
+        body: JSON.parse(JSON.stringify(activity)),
+        options
+      }));
+    });
+
+    it(`retries it and decrypts the response once`, () => spark.request({
+      method: `GET`,
+      uri: `https://conv.example.com/conversation/api/v1/activities/1`,
+      headers: {
+        authorization: `Bearer token`
+      },
+      transport
+    })
+      .then((res) => {
+        assert.calledTwice(transport);
+        assert.calledOnce(spark.encryption.decryptText);
+        assert.equal(res.body.object.displayName, `hello`);
+      }));
+  });
+});
@@ -0,0 +1,78 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import '../..';
+import {assert} from '@ciscospark/test-helper-chai';
+import {Recorder} from '@ciscospark/http-core';
+import Spark from '@ciscospark/spark-core';
+import jose from 'node-jose';
+
+describe(`plugin-conversation`, () => {
+  describe(`when replaying a recording`, () => {
+    const activityUrl = `https://conv.example.com/conversation/api/v1/activities/1`;
+    const keyUri = `kms://kms.example.com/keys/1`;
+    let fixture;
+
+    // Records an encrypted activity and the kms response for its key the way
+    // HTTP_FIXTURES=record would, then saves the recording as JSON
+    beforeEach(() => {
+      const recorder = new Recorder({mode: `record`});
+      let key;
+
+      return jose.JWK.createKeyStore().generate(`oct`, 256)
+        .then((k) => {
+          key = k;
+          return jose.JWE
+            .createEncrypt({compact: true, contentAlg: `A256GCM`, protect: `*`}, {
+              key,
+              header: {
+                alg: `dir`
+              },
+              reference: null
+            })
+            .final(`hello`, `utf8`);
+        })
+        .then((ciphertext) => recorder.transport({method: `GET`, uri: activityUrl}, () => Promise.resolve({
+          statusCode: 200,
+          headers: {},
+          body: {
+            objectType: `activity`,
+            verb: `post`,
+            encryptionKeyUrl: keyUri,
+            object: {
+              objectType: `comment`,
+              displayName: ciphertext
+            }
+          }
+        })))
+        .then(() => recorder.intercept(`kms`, {method: `retrieve`, uri: keyUri, body: {}}, () => Promise.resolve({
+          status: 200,
+          key: {
+            uri: keyUri,
+            jwk: key.toJSON(true)
+          }
+        })))
+        .then(() => {
+          fixture = JSON.parse(JSON.stringify(recorder));
+        });
+    });
+
+    afterEach(() => Recorder.uninstall());
+
+    it(`decrypts activities with the recorded keys`, () => {
+      Recorder.install(new Recorder({fixture, mode: `replay`}));
+      const spark = new Spark();
+
+      return spark.request({
+        method: `GET`,
+        uri: activityUrl,
+        headers: {
+          authorization: `Bearer token`
+        }
+      })
+        .then((res) => assert.equal(res.body.object.displayName, `hello`));
+    });
+  });
+});
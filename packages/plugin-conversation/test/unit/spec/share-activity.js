@@ -4,10 +4,117 @@
  */
 
 import {assert} from '@ciscospark/test-helper-chai';
+import sinon from '@ciscospark/test-helper-sinon';
+import Spark from '@ciscospark/spark-core';
+import {EventEmitter} from 'events';
 import {ShareActivity} from '../..';
 
 describe(`plugin-conversation`, () => {
   describe(`ShareActivity`, () => {
+    describe(`#add()`, () => {
+      const conversation = {
+        url: `https://conv.example.com/conversation/api/v1/conversations/1`,
+        _spaceUrl: `https://files.example.com/spaces/1`,
+        _hiddenSpaceUrl: `https://files.example.com/spaces/2`
+      };
+      const session = {
+        uploadUrl: `https://upload.example.com/upload`,
+        finishUploadUrl: `https://upload.example.com/finish`
+      };
+
+      let file, spark;
+
+      /**
+       * Lists the parts sent so far
+       * @returns {Array<Buffer>}
+       */
+      function parts() {
+        return spark.request.args
+          .filter(([options]) => options.method === `PUT`)
+          .map(([options]) => options.body);
+      }
+
+      /**
+       * Lists the content-range headers of the parts sent so far
+       * @returns {Array<string>}
+       */
+      function ranges() {
+        return spark.request.args
+          .filter(([options]) => options.method === `PUT`)
+          .map(([options]) => options.headers[`content-range`]);
+      }
+
+      beforeEach(() => {
+        spark = new Spark({
+          config: {
+            upload: {
+              chunkSize: 4
+            }
+          }
+        });
+
+        // ampersand only lets spark.request be set once
+        Reflect.defineProperty(spark, `request`, {
+          configurable: true,
+          writable: true,
+          value: null
+        });
+
+        // Drops the connection while sending the second part
+        spark.request = sinon.spy((options) => {
+          options.upload = new EventEmitter();
+          if (options.method === `PUT`) {
+            if (options.headers[`content-range`] === `bytes 4-7/9`) {
+              return Promise.reject(new Error(`connection dropped`));
+            }
+            return Promise.resolve({statusCode: 200});
+          }
+
+          if (options.uri === session.finishUploadUrl) {
+            return Promise.resolve({body: {downloadUrl: `https://files.example.com/download`}});
+          }
+
+          return Promise.resolve({body: session});
+        });
+
+        file = Buffer.from(`resumable`);
+        file.type = `text/plain`;
+      });
+
+      it(`resumes an interrupted upload of the same file with a new ShareActivity`, () => {
+        const first = new ShareActivity({conversation}, {parent: spark});
+        let sent;
+
+        return assert.isRejected(first.add(file, {resumeKey: `file-1`}), /connection dropped/)
+          .then(() => {
+            sent = parts()[0];
+            spark.request = sinon.spy((options) => {
+              options.upload = new EventEmitter();
+              if (options.uri === session.finishUploadUrl) {
+                return Promise.resolve({body: {downloadUrl: `https://files.example.com/download`}});
+              }
+              return Promise.resolve({statusCode: 200});
+            });
+
+            const second = new ShareActivity({conversation}, {parent: spark});
+            return second.add(file, {resumeKey: `file-1`})
+              .then(() => second.uploads.get(file));
+          })
+          .then((upload) => {
+            assert.neverCalledWith(spark.request, sinon.match({uri: `${conversation._spaceUrl}/upload_sessions`}));
+            assert.deepEqual(ranges(), [
+              `bytes 4-7/9`,
+              `bytes 8-8/9`
+            ]);
+
+            // The parts sent before and after the interruption only decrypt
+            // together if both ShareActivities encrypted with the same scr
+            return spark.encryption.decryptBinary(upload.scr, Buffer.concat([sent].concat(parts())));
+          })
+          .then((plaintext) => assert.equal(plaintext.toString(), `resumable`));
+      });
+    });
+
     describe(`#_determineContentCategory`, () => {
       let sa;
       beforeEach(() => {
@@ -7,6 +7,13 @@
 export default {
   credentials: {
     clientType: `public`,
+    // Set to true to have public clients log in via the Authorization Code
+    // Grant with PKCE instead of the Implicit Grant
+    pkce: false,
+    // PKCE normally requires WebCrypto to compute an S256 code_challenge. Set
+    // to true to send the code_verifier itself (code_challenge_method=plain)
+    // in browsers without crypto.subtle rather than refusing to log in.
+    pkceAllowPlain: false,
 
     // eslint-disable-next-line camelcase
     client_id: process.env.CISCOSPARK_CLIENT_ID,
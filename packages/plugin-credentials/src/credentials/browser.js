@@ -22,6 +22,56 @@ import {deprecated} from 'core-decorators';
  */
 function noop() {/* eslint no-empty:[0] */}
 
+/**
+ * boundedStorage key under which the PKCE code_verifier survives the redirect
+ * @private
+ * @type {string}
+ */
+const codeVerifierKey = `pkce-code-verifier`;
+
+/**
+ * Generates a PKCE code_verifier: 32 random bytes, base64url-encoded
+ * @private
+ * @returns {string}
+ */
+function generateCodeVerifier() {
+  const bytes = new Uint8Array(32);
+  (window.crypto || window.msCrypto).getRandomValues(bytes);
+  return base64.toBase64Url(new Buffer(bytes));
+}
+
+/**
+ * Indicates whether WebCrypto can compute the S256 code_challenge
+ * @private
+ * @returns {boolean}
+ */
+function canDigest() {
+  return Boolean(window.crypto && window.crypto.subtle);
+}
+
+/**
+ * Derives the code_challenge for `codeVerifier` using `method` (`S256` or, as
+ * RFC 7636 allows for clients that can't compute digests, `plain`)
+ * @param {string} codeVerifier
+ * @param {string} method
+ * @private
+ * @returns {Promise<Object>} `code_challenge` and `code_challenge_method`
+ */
+function generateCodeChallenge(codeVerifier, method) {
+  if (method === `plain`) {
+    return Promise.resolve({
+      code_challenge: codeVerifier,
+      code_challenge_method: `plain`
+    });
+  }
+
+  return Promise.resolve(window.crypto.subtle.digest(`SHA-256`, new Buffer(codeVerifier)))
+    .then((digest) => ({
+      code_challenge: base64.toBase64Url(new Buffer(new Uint8Array(digest))),
+      code_challenge_method: `S256`
+    }));
+}
+
 const Credentials = SparkPlugin.extend(Object.assign({}, common, {
   session: Object.assign(common.session, {
     isLoggingIn: {
@@ -53,6 +103,9 @@ const Credentials = SparkPlugin.extend(Object.assign({}, common, {
     case `confidential`:
       return this.initiateAuthorizationCodeGrant(options);
     case `public`:
+      if (this.config.pkce) {
+        return this.initiatePKCEGrant(options);
+      }
       return this.initiateImplicitGrant(options);
     default:
       return Promise.reject(new Error(`\`config.credentials.clientType\` must be defined`));
@@ -105,6 +158,80 @@ const Credentials = SparkPlugin.extend(Object.assign({}, common, {
     return new Promise(noop);
   },
 
+  /**
+   * Starts the Authorization Code Grant with PKCE (RFC 7636): stores a fresh
+   * code_verifier and redirects to the authorization page with its
+   * code_challenge. No client secret is involved, so this is the flow for
+   * public clients. Rejects in browsers without `crypto.subtle` unless
+   * `config.credentials.pkceAllowPlain` permits the `plain` challenge method.
+   * @param {Object} options
+   * @returns {Promise} never resolves; the browser navigates away
+   */
+  @waitForValue(`@`)
+  initiatePKCEGrant(options) {
+    const vars = {
+      client_id: `CLIENT_ID`,
+      redirect_uri: `REDIRECT_URI`,
+      scope: `SCOPE`
+    };
+
+    for (const key in vars) {
+      if (!has(this.config, key)) {
+        const baseVar = vars[key];
+        return Promise.reject(new Error(`config.credentials.${key} or CISCOSPARK_${baseVar} or COMMON_IDENTITY_${baseVar} or ${baseVar} must be defined`));
+      }
+    }
+
+    let method = `S256`;
+    if (!canDigest()) {
+      if (!this.config.pkceAllowPlain) {
+        return Promise.reject(new Error(`crypto.subtle is unavailable; set config.credentials.pkceAllowPlain to use the plain code_challenge_method`));
+      }
+
+      this.logger.warn(`credentials(shim): crypto.subtle is unavailable; using the plain code_challenge_method`);
+      method = `plain`;
+    }
+
+    this.logger.info(`credentials(shim): initiating authorization code grant flow with pkce`);
+
+    const codeVerifier = generateCodeVerifier();
+    return Promise.all([
+      generateCodeChallenge(codeVerifier, method),
+      this.boundedStorage.put(codeVerifierKey, codeVerifier)
+    ])
+      .then(([challenge]) => {
+        this._redirect(this.buildOAuthUrl(Object.assign({response_type: `code`}, challenge, options)));
+        return new Promise(noop);
+      });
+  },
+
+  /**
+   * Finishes the PKCE flow: consumes the stored code_verifier, checks the csrf
+   * token in `query.state`, then exchanges `query.code` and the code_verifier
+   * for a supertoken
+   * @param {Object} query
+   * @param {string} query.code
+   * @param {string} query.state
+   * @returns {Promise}
+   */
+  requestPKCEGrant(query) {
+    this.logger.info(`credentials(shim): completing authorization code grant flow with pkce`);
+
+    return this.boundedStorage.get(codeVerifierKey)
+      .catch(() => Promise.reject(new Error(`Cannot complete the pkce flow without a stored code_verifier`)))
+      // The verifier is single-use; drop it before anything else can fail
+      .then((codeVerifier) => this.boundedStorage.del(codeVerifierKey)
+        .then(() => {
+          const state = querystring.parse(base64.fromBase64url(query.state || ``));
+          this._verifySecurityToken(state.csrf_token);
+
+          return this.requestAuthorizationCodeGrant({
+            code: query.code,
+            code_verifier: codeVerifier
+          });
+        }));
+  },
+
   @persist(`@`)
   initialize(...args) {
     // AmpersandState is a little weird about initialization order. Code that
@@ -122,12 +249,9 @@ const Credentials = SparkPlugin.extend(Object.assign({}, common, {
 
         this._updateLocation(location);
 
-        // Though initialize is a synchronous call, it should be safe to
-        // call authenticate() because it'll get called again later but end
-        // up cached via oneFlight.
-        // Call spark.authenticate to make sure we trigger a device refresh.
-        this.spark.credentials.requestAuthorizationCodeGrant(query);
-        return Promise.resolve();
+        // Failures are surfaced as `error` events
+        return this._completeCodeGrant(query)
+          .catch(noop);
       }
 
       if (query.access_token) {
@@ -171,6 +295,47 @@ const Credentials = SparkPlugin.extend(Object.assign({}, common, {
       });
   },
 
+  /**
+   * Exchanges the code the authorization page redirected back with. Only a
+   * login started by initiatePKCEGrant() leaves a code_verifier behind; any
+   * other code belongs to a confidential client. If the PKCE exchange fails,
+   * triggers `error` with the reason and rejects.
+   * @param {Object} query
+   * @private
+   * @returns {Promise}
+   */
+  _completeCodeGrant(query) {
+    return this._hasCodeVerifier()
+      .then((hasCodeVerifier) => {
+        if (hasCodeVerifier) {
+          return this.requestPKCEGrant(query)
+            .catch((reason) => {
+              this.logger.error(`credentials(shim): pkce grant failed`, reason);
+              this.trigger(`error`, reason);
+              return Promise.reject(reason);
+            });
+        }
+
+        // Though initialize is a synchronous call, it should be safe to
+        // call authenticate() because it'll get called again later but end
+        // up cached via oneFlight.
+        // Call spark.authenticate to make sure we trigger a device refresh.
+        this.spark.credentials.requestAuthorizationCodeGrant(query);
+        return Promise.resolve();
+      });
+  },
+
+  /**
+   * Indicates whether a PKCE code_verifier is waiting to be exchanged
+   * @private
+   * @returns {Promise<boolean>}
+   */
+  _hasCodeVerifier() {
+    return this.boundedStorage.get(codeVerifierKey)
+      .then(() => true)
+      .catch(() => false);
+  },
+
   _redirect(location) {
     window.location = location;
   },
@@ -253,9 +253,12 @@ export default {
   },
 
   /**
-   * Exchanges an authorization code for an access token
+   * Exchanges an authorization code for an access token. With
+   * `options.code_verifier` (i.e., at the end of a PKCE flow), the client
+   * identifies itself by `client_id` alone rather than with its secret.
    * @param {Object} options
    * @param {Object} options.code
+   * @param {string} options.code_verifier
    * @returns {Promise}
    */
   @whileInFlight(`isAuthenticating`)
@@ -269,7 +272,7 @@ export default {
       return Promise.reject(new Error(`\`options.code\` is required`));
     }
 
-    return this.spark.request({
+    const requestOptions = {
       method: `POST`,
       api: `oauth`,
       resource: `access_token`,
@@ -279,13 +282,24 @@ export default {
         code: options.code,
         self_contained_token: true
       },
-      auth: {
+      shouldRefreshAccessToken: false
+    };
+
+    if (options.code_verifier) {
+      Object.assign(requestOptions.form, {
+        client_id: this.config.client_id,
+        code_verifier: options.code_verifier
+      });
+    }
+    else {
+      requestOptions.auth = {
         user: this.config.client_id,
         pass: this.config.client_secret,
         sendImmediately: true
-      },
-      shouldRefreshAccessToken: false
-    })
+      };
+    }
+
+    return this.spark.request(requestOptions)
       .then((res) => new Token(res.body, {parent: this}))
       .then((token) => this._receiveSupertoken(token))
       .catch((res) => {
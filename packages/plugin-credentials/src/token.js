@@ -185,7 +185,8 @@ const Token = SparkPlugin.extend({
   refresh() {
     this.logger.info(`token: refreshing access token`);
     this.isRefreshing = true;
-    return this.request({
+
+    const options = {
       method: `POST`,
       service: `oauth`,
       resource: `access_token`,
@@ -194,13 +195,23 @@ const Token = SparkPlugin.extend({
         redirect_uri: this.config.oauth.redirect_uri,
         refresh_token: this.refresh_token
       },
-      auth: {
+      shouldRefreshAccessToken: false
+    };
+
+    // Public clients (e.g. browser apps that logged in via PKCE) don't have a
+    // secret, so they identify themselves by client_id alone
+    if (this.config.oauth.client_secret) {
+      options.auth = {
         user: this.config.oauth.client_id,
         pass: this.config.oauth.client_secret,
         sendImmediately: true
-      },
-      shouldRefreshAccessToken: false
-    })
+      };
+    }
+    else {
+      options.form.client_id = this.config.oauth.client_id;
+    }
+
+    return this.request(options)
       .then((res) => {
         // If the authentication server did not send back a refresh token, copy
         // the current refresh token and related values to the response (note:
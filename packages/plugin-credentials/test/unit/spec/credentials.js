@@ -5,12 +5,14 @@
  */
 
 /* eslint camelcase: [0] */
+/* global sessionStorage, window */
 
-import {Defer} from '@ciscospark/common';
+import {base64, Defer} from '@ciscospark/common';
 import {assert} from '@ciscospark/test-helper-chai';
 import {nodeOnly, browserOnly} from '@ciscospark/test-helper-mocha';
 import sinon from '@ciscospark/test-helper-sinon';
 import MockSpark from '@ciscospark/test-helper-mock-spark';
+import querystring from 'querystring';
 import uuid from 'uuid';
 import CiscoSpark, {grantErrors} from '@ciscospark/spark-core';
 import Credentials, {
@@ -322,6 +324,109 @@ describe(`plugin-credentials`, () => {
         return assert.isFulfilled(promise)
           .then(() => assert.isFalse(spark.credentials.isAuthenticating));
       });
+
+      it(`authenticates with the client secret`, () => spark.credentials.requestAuthorizationCodeGrant({code: 5})
+        .then(() => {
+          const options = spark.request.args[0][0];
+          assert.equal(options.auth.pass, `fake`);
+          assert.notProperty(options.form, `code_verifier`);
+        }));
+
+      describe(`when given a \`code_verifier\``, () => {
+        it(`identifies the client without a secret`, () => spark.credentials.requestAuthorizationCodeGrant({code: 5, code_verifier: `CV`})
+          .then(() => {
+            const options = spark.request.args[0][0];
+            assert.notProperty(options, `auth`);
+            assert.equal(options.form.code_verifier, `CV`);
+            assert.equal(options.form.client_id, spark.config.credentials.client_id);
+          }));
+      });
+    });
+
+    describe(`#initiatePKCEGrant()`, () => {
+      browserOnly(it)(`stores a code_verifier and redirects with its code_challenge`, () => {
+        const redirected = new Defer();
+        spark.credentials._redirect = sinon.spy((link) => redirected.resolve(link));
+        spark.credentials.initiatePKCEGrant({state: {}});
+        return redirected.promise
+          .then((link) => {
+            assert.calledOnce(spark.credentials._redirect);
+            assert.include(link, `response_type=code`);
+            assert.include(link, `code_challenge=`);
+            return spark.boundedStorage.get(`Credentials`, `pkce-code-verifier`);
+          })
+          .then((codeVerifier) => assert.match(codeVerifier, /^[A-Za-z0-9_-]{43}$/));
+      });
+
+      browserOnly(describe)(`when crypto.subtle is unavailable`, () => {
+        beforeEach(() => {
+          Reflect.defineProperty(window.crypto, `subtle`, {
+            configurable: true,
+            value: undefined
+          });
+          spark.credentials._redirect = sinon.spy();
+        });
+
+        afterEach(() => Reflect.deleteProperty(window.crypto, `subtle`));
+
+        it(`rejects without redirecting`, () => assert.isRejected(spark.credentials.initiatePKCEGrant({state: {}}), /pkceAllowPlain/)
+          .then(() => assert.notCalled(spark.credentials._redirect)));
+
+        it(`redirects with a plain code_challenge when config.credentials.pkceAllowPlain is set`, () => {
+          spark.config.credentials.pkceAllowPlain = true;
+          const redirected = new Defer();
+          spark.credentials._redirect = sinon.spy((link) => redirected.resolve(link));
+          spark.credentials.initiatePKCEGrant({state: {}});
+          return redirected.promise
+            .then((link) => assert.include(link, `code_challenge_method=plain`));
+        });
+      });
+    });
+
+    browserOnly(describe)(`#_completeCodeGrant()`, () => {
+      beforeEach(() => spark.boundedStorage.put(`Credentials`, `pkce-code-verifier`, `CV`));
+
+      it(`triggers \`error\` and rejects when the pkce grant fails`, () => {
+        const error = new Error(`grant failed`);
+        const spy = sinon.spy();
+        spark.credentials.on(`error`, spy);
+        spark.credentials.requestPKCEGrant = sinon.spy(() => Promise.reject(error));
+
+        return assert.isRejected(spark.credentials._completeCodeGrant({code: 5}), /grant failed/)
+          .then(() => assert.calledWith(spy, error));
+      });
+    });
+
+    browserOnly(describe)(`#requestPKCEGrant()`, () => {
+      /**
+       * Produces the `state` param the authorization page sends back
+       * @param {string} csrf_token
+       * @returns {string}
+       */
+      function makeState(csrf_token) {
+        return base64.toBase64Url(querystring.stringify({csrf_token}));
+      }
+
+      beforeEach(() => {
+        sessionStorage.setItem(`oauth2-csrf-token`, `CSRF`);
+        return spark.boundedStorage.put(`Credentials`, `pkce-code-verifier`, `CV`);
+      });
+
+      it(`sends the code_verifier, then deletes it`, () => spark.credentials.requestPKCEGrant({code: 5, state: makeState(`CSRF`)})
+        .then(() => {
+          assert.equal(spark.request.args[0][0].form.code_verifier, `CV`);
+          return assert.isRejected(spark.boundedStorage.get(`Credentials`, `pkce-code-verifier`));
+        }));
+
+      it(`rejects and deletes the code_verifier when the csrf token does not match`, () => assert.isRejected(spark.credentials.requestPKCEGrant({code: 5, state: makeState(`not CSRF`)}), /CSRF token/)
+        .then(() => {
+          assert.notCalled(spark.request);
+          return assert.isRejected(spark.boundedStorage.get(`Credentials`, `pkce-code-verifier`));
+        }));
+
+      it(`rejects when there is no stored code_verifier`, () => spark.boundedStorage.del(`Credentials`, `pkce-code-verifier`)
+        .then(() => assert.isRejected(spark.credentials.requestPKCEGrant({code: 5, state: makeState(`CSRF`)}), /code_verifier/))
+        .then(() => assert.notCalled(spark.request)));
     });
 
     describe(`#_getSamlBearerToken`, () => {
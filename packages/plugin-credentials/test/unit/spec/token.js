@@ -201,6 +201,26 @@ describe(`plugin-credentials`, () => {
             assert.equal(spark.request.args[1][0].resource, `/revoke`);
           });
       });
+
+      it(`identifies public clients by client_id alone`, () => {
+        Reflect.deleteProperty(spark.config.credentials.oauth, `client_secret`);
+        spark.request.returns(Promise.resolve({
+          statusCode: 200,
+          body: {
+            access_token: `AT2`,
+            expires_in: 10000,
+            token_type: `Fake`
+          }
+        }));
+
+        return token.refresh()
+          .then(() => {
+            const options = spark.request.args[0][0];
+            assert.notProperty(options, `auth`);
+            assert.equal(options.form.client_id, spark.config.credentials.oauth.client_id);
+            assert.equal(options.form.refresh_token, `RT`);
+          });
+      });
     });
 
     describe(`#revoke()`, () => {
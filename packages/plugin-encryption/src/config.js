@@ -32,6 +32,20 @@ export default {
      * Debounce max wait before sending a kms metric
      * @type {Number}
      */
-    batcherMaxWait: 150
+    batcherMaxWait: 150,
+
+    /**
+     * Maximum number of keys to keep in the key cache; the least recently
+     * used keys are evicted first
+     * @type {Number}
+     */
+    keyCacheMaxSize: 2000,
+
+    /**
+     * Maximum age (in milliseconds) of a cached key before it gets fetched
+     * from the kms again
+     * @type {Number}
+     */
+    keyCacheMaxAge: 30 * 24 * 60 * 60 * 1000
   }
 };
@@ -0,0 +1,27 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {createDecipheriv} from 'crypto';
+import jose from 'node-jose';
+
+/**
+ * Creates an AES-GCM decipher for the file described by `scr`. The decipher
+ * verifies the SCR's auth tag when it's finalized.
+ * @param {SCR} scr
+ * @returns {Decipher}
+ */
+export default function createDecipher(scr) {
+  const {aad, enc, iv, key, tag} = scr.toJSON();
+  if (enc !== `A256GCM`) {
+    throw new Error(`Cannot stream files encrypted with \`${enc}\``);
+  }
+
+  const decipher = createDecipheriv(`aes-256-gcm`, jose.util.base64url.decode(key), jose.util.base64url.decode(iv));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(jose.util.base64url.decode(tag));
+
+  return decipher;
+}
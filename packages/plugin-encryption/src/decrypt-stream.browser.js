@@ -0,0 +1,47 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+/* eslint-env browser */
+
+import createDecipher from './create-decipher';
+
+/**
+ * Decrypts `source` as it's read. The stream errors if the auth tag doesn't
+ * match once all the ciphertext has been read.
+ * @param {SCR} scr
+ * @param {ReadableStream} source ciphertext
+ * @returns {ReadableStream} plaintext
+ */
+export default function decryptStream(scr, source) {
+  const decipher = createDecipher(scr);
+  const reader = source.getReader();
+
+  return new ReadableStream({
+    pull(controller) {
+      return reader.read()
+        .then(({done, value}) => {
+          if (done) {
+            // final() throws if the auth tag doesn't match, which errors the
+            // stream
+            const rest = decipher.final();
+            if (rest.length) {
+              controller.enqueue(new Uint8Array(rest));
+            }
+            controller.close();
+            return;
+          }
+
+          const chunk = decipher.update(Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+          if (chunk.length) {
+            controller.enqueue(new Uint8Array(chunk));
+          }
+        });
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+}
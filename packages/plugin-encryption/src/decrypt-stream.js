@@ -0,0 +1,20 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import createDecipher from './create-decipher';
+
+/**
+ * Decrypts `source` as it's read. The stream emits `error` if the auth tag
+ * doesn't match once all the ciphertext has been read.
+ * @param {SCR} scr
+ * @param {stream.Readable} source ciphertext
+ * @returns {stream.Readable} plaintext
+ */
+export default function decryptStream(scr, source) {
+  const decipher = createDecipher(scr);
+  source.on(`error`, (error) => decipher.emit(`error`, error));
+  return source.pipe(decipher);
+}
@@ -5,16 +5,20 @@
  */
 
 import {SparkPlugin} from '@ciscospark/spark-core';
-import {proxyEvents, tap, transferEvents} from '@ciscospark/common';
+import {proxyEvents, transferEvents} from '@ciscospark/common';
 import {EventEmitter} from 'events';
+import {isArray, isPlainObject, isString} from 'lodash';
 import jose from 'node-jose';
 import SCR from 'node-scr';
+import decryptStream from './decrypt-stream';
 import ensureBuffer from './ensure-buffer';
 
+import KeyCache from './key-cache';
 import KMS from './kms';
 
 const Encryption = SparkPlugin.extend({
   children: {
+    keyCache: KeyCache,
     kms: KMS
   },
 
@@ -76,6 +80,44 @@ const Encryption = SparkPlugin.extend({
     return promise;
   },
 
+  /**
+   * Downloads and decrypts the file described by `scr` without buffering it in
+   * memory. Resolves with a Node `Readable` in Node and a WHATWG
+   * `ReadableStream` in browsers as soon as the download begins; the stream
+   * errors if the file's auth tag doesn't verify once it has been read
+   * completely. Note that plaintext is made available before the auth tag can
+   * be verified, so consumers shouldn't act on the contents until the stream
+   * ends successfully.
+   * @param {SCR} scr
+   * @returns {EventEmittingPromise<stream.Readable|ReadableStream>} emits
+   * `progress` as ciphertext is downloaded
+   */
+  downloadStream(scr) {
+    /* istanbul ignore if */
+    if (!scr.loc) {
+      return Promise.reject(new Error(`\`scr.loc\` is required`));
+    }
+
+    const shunt = new EventEmitter();
+    const promise = this._fetchDownloadUrl(scr)
+      .then((uri) => {
+        const options = {
+          method: `GET`,
+          uri,
+          responseType: `stream`
+        };
+
+        const ret = this.request(options);
+        transferEvents(`progress`, options.download, shunt);
+
+        return ret;
+      })
+      .then((res) => decryptStream(scr, res.body));
+
+    proxyEvents(shunt, promise);
+    return promise;
+  },
+
   _fetchDownloadUrl(scr) {
     this.logger.info(`encryption: retrieving download url for encrypted file`);
 
@@ -105,9 +147,17 @@ const Encryption = SparkPlugin.extend({
       });
   },
 
-  encryptBinary(file) {
+  /**
+   * Encrypts `file` with a new SCR or, when `json` is specified, with the SCR
+   * it describes so that the same file produces the same ciphertext (e.g. to
+   * resume an interrupted upload)
+   * @param {File|Blob|Buffer|ArrayBuffer} file
+   * @param {Object} json (optional) output of a previous `scr.toJSON()`
+   * @returns {Promise<Object>} resolves with `{scr, cdata}`
+   */
+  encryptBinary(file, json) {
     return ensureBuffer(file)
-      .then((buffer) => SCR.create()
+      .then((buffer) => (json ? SCR.fromJSON(json) : SCR.create())
         .then((scr) => scr.encrypt(buffer)
           .then(ensureBuffer)
           // eslint-disable-next-line max-nested-callbacks
@@ -141,28 +191,54 @@ const Encryption = SparkPlugin.extend({
       return this.kms.asKey(uri);
     }
 
-    return this.unboundedStorage.get(uri)
-      .then((keyString) => JSON.parse(keyString))
-      .then((keyObject) => this.kms.asKey(keyObject))
-      .catch(() => this.kms.fetchKey({uri})
-        .then(tap((key) => this.unboundedStorage.put(key.uri, JSON.stringify(key, replacer)))));
+    return this.keyCache.get(uri);
+  },
+
+  /**
+   * Fetches (in as few kms requests as possible) every key referenced by an
+   * `encryptionKeyUrl`-like property of `objects` (e.g. a page of
+   * conversations or activities) that isn't already cached
+   * @param {Array<Object>|Object} objects
+   * @returns {Promise}
+   */
+  prefetchKeys(objects) {
+    return this.keyCache.prefetch(Array.from(findKeyUrls(objects)));
+  },
+
+  /**
+   * Removes all cached keys (e.g. on logout)
+   * @returns {Promise}
+   */
+  clearKeys() {
+    return this.keyCache.clear();
   }
 });
 
 /**
- * JSON.stringify replacer that ensures private key data is serialized.
- * @param {string} k
- * @param {mixed} v
- * @returns {mixed}
+ * Recursively collects the values of `encryptionKeyUrl`,
+ * `defaultActivityEncryptionKeyUrl`, etc
+ * @param {mixed} value
+ * @param {Set<string>} urls
+ * @param {Set<Object>} seen
+ * @private
+ * @returns {Set<string>}
  */
-function replacer(k, v) {
-  if (k === `jwk`) {
-    // note: this[k] and v may be different representations of the same value
-    // eslint-disable-next-line no-invalid-this
-    const json = this[k].toJSON(true);
-    return json;
+function findKeyUrls(value, urls = new Set(), seen = new Set()) {
+  if (!(isArray(value) || isPlainObject(value)) || seen.has(value)) {
+    return urls;
   }
-  return v;
+
+  seen.add(value);
+  Object.keys(value).forEach((key) => {
+    if (/encryptionKeyUrl$/i.test(key) && isString(value[key])) {
+      urls.add(value[key]);
+    }
+    else {
+      findKeyUrls(value[key], urls, seen);
+    }
+  });
+
+  return urls;
 }
 
 export default Encryption;
@@ -0,0 +1,310 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {SparkPlugin} from '@ciscospark/spark-core';
+import {sortBy, uniq} from 'lodash';
+
+const INDEX_KEY = `key-cache-index`;
+
+/**
+ * JSON.stringify replacer that ensures private key data is serialized.
+ * @param {string} k
+ * @param {mixed} v
+ * @returns {mixed}
+ */
+function replacer(k, v) {
+  if (k === `jwk`) {
+    // note: this[k] and v may be different representations of the same value
+    // eslint-disable-next-line no-invalid-this
+    const json = this[k].toJSON(true);
+    return json;
+  }
+  return v;
+}
+
+/**
+ * Usage statistics for a cached key
+ * @typedef {Object} KeyCache~KeyStats
+ * @property {number} fetchedAt when the key was retrieved from the kms
+ * @property {number} lastUsed when the key was last requested via
+ * {@link KeyCache#get}
+ * @property {number} uses number of times the key has been requested
+ */
+
+/**
+ * Keeps kms keys in memory and in unbounded storage. The cache holds at most
+ * `config.keyCacheMaxSize` keys, evicting the least recently used first, and
+ * refetches keys older than `config.keyCacheMaxAge`. The index of cached keys
+ * (and their {@link KeyCache~KeyStats}) is persisted whenever a key is added or
+ * removed.
+ * @class
+ */
+const KeyCache = SparkPlugin.extend({
+  namespace: `Encryption`,
+
+  initialize(...args) {
+    Reflect.apply(SparkPlugin.prototype.initialize, this, args);
+
+    this.index = new Map();
+    this.inflight = new Map();
+    this.memory = new Map();
+  },
+
+  /**
+   * Drops all cached keys from memory and from storage
+   * @returns {Promise}
+   */
+  clear() {
+    const uris = Array.from(this.index.keys());
+
+    this.index.clear();
+    this.inflight.clear();
+    this.memory.clear();
+    this.loading = Promise.resolve();
+
+    return Promise.all(uris.concat(INDEX_KEY).map((uri) => this.unboundedStorage.del(uri)));
+  },
+
+  /**
+   * Retrieves a key from the cache, fetching it from the kms if necessary
+   * @param {string} uri
+   * @returns {Promise<Key>}
+   */
+  get(uri) {
+    return this._loadIndex()
+      .then(() => this._read(uri))
+      .catch(() => this._fetch(uri))
+      .then((key) => {
+        const stats = this.index.get(uri);
+        if (stats) {
+          stats.lastUsed = Date.now();
+          stats.uses += 1;
+        }
+        return key;
+      });
+  },
+
+  /**
+   * Retrieves the usage statistics for a cached key
+   * @param {string} uri
+   * @returns {KeyCache~KeyStats|undefined}
+   */
+  getStats(uri) {
+    const stats = this.index.get(uri);
+    return stats && Object.assign({}, stats);
+  },
+
+  /**
+   * Fetches any of the specified keys that are not already cached. Requests
+   * are issued together so that {@link KMSBatcher} can send them to the kms
+   * in a single batch. Keys that cannot be fetched are logged and skipped.
+   * @param {Array<string>} uris
+   * @returns {Promise}
+   */
+  prefetch(uris) {
+    uris = uniq(uris);
+    return this._loadIndex()
+      .then(() => Promise.all(uris.map((uri) => this._isCached(uri))))
+      .then((cached) => {
+        const misses = uris.filter((uri, index) => !cached[index]);
+        if (misses.length === 0) {
+          return Promise.resolve();
+        }
+
+        this.logger.info(`key-cache: prefetching ${misses.length} keys`);
+        return Promise.all(misses.map((uri) => this._prefetch(uri)));
+      });
+  },
+
+  /**
+   * Adds a key to the cache
+   * @param {Key} key
+   * @returns {Promise}
+   */
+  put(key) {
+    const now = Date.now();
+
+    this.memory.set(key.uri, Promise.resolve(key));
+    this.index.set(key.uri, {
+      fetchedAt: now,
+      lastUsed: now,
+      uses: 0
+    });
+
+    return this.unboundedStorage.put(key.uri, JSON.stringify(key, replacer))
+      .then(() => this._evict())
+      .then(() => this._saveIndex());
+  },
+
+  /**
+   * Removes a key from the cache
+   * @param {string} uri
+   * @returns {Promise}
+   */
+  remove(uri) {
+    this.index.delete(uri);
+    this.memory.delete(uri);
+
+    return this.unboundedStorage.del(uri)
+      .then(() => this._saveIndex());
+  },
+
+  /**
+   * Removes the least recently used keys until the cache fits within
+   * `config.keyCacheMaxSize`
+   * @private
+   * @returns {Promise}
+   */
+  _evict() {
+    const excess = this.index.size - this.config.keyCacheMaxSize;
+    if (excess <= 0) {
+      return Promise.resolve();
+    }
+
+    const uris = sortBy(Array.from(this.index.keys()), (uri) => this.index.get(uri).lastUsed)
+      .slice(0, excess);
+
+    this.logger.info(`key-cache: evicting ${uris.length} keys`);
+    uris.forEach((uri) => {
+      this.index.delete(uri);
+      this.memory.delete(uri);
+    });
+
+    return Promise.all(uris.map((uri) => this.unboundedStorage.del(uri)));
+  },
+
+  /**
+   * Fetches a key from the kms and caches it. Concurrent requests for the
+   * same key share a single kms request.
+   * @param {string} uri
+   * @private
+   * @returns {Promise<Key>}
+   */
+  _fetch(uri) {
+    if (!this.inflight.has(uri)) {
+      this.inflight.set(uri, this.spark.encryption.kms.fetchKey({uri})
+        .then((key) => {
+          this.inflight.delete(uri);
+          return this.put(key)
+            .then(() => key);
+        })
+        .catch((reason) => {
+          this.inflight.delete(uri);
+          return Promise.reject(reason);
+        }));
+    }
+
+    return this.inflight.get(uri);
+  },
+
+  /**
+   * Indicates if an unexpired copy of the specified key is available locally
+   * @param {string} uri
+   * @private
+   * @returns {Promise<boolean>}
+   */
+  _isCached(uri) {
+    return this._read(uri)
+      .then(() => true)
+      .catch(() => false);
+  },
+
+  /**
+   * Loads the persisted index (once)
+   * @private
+   * @returns {Promise}
+   */
+  _loadIndex() {
+    if (!this.loading) {
+      this.loading = this.unboundedStorage.get(INDEX_KEY)
+        .then((json) => {
+          const saved = JSON.parse(json);
+          Object.keys(saved).forEach((uri) => {
+            if (!this.index.has(uri)) {
+              this.index.set(uri, saved[uri]);
+            }
+          });
+        })
+        .catch(() => undefined);
+    }
+
+    return this.loading;
+  },
+
+  /**
+   * Fetches a key for {@link KeyCache#prefetch}, logging rather than rejecting
+   * on failure
+   * @param {string} uri
+   * @private
+   * @returns {Promise}
+   */
+  _prefetch(uri) {
+    return this._fetch(uri)
+      .catch((reason) => this.logger.warn(`key-cache: failed to prefetch key`, reason));
+  },
+
+  /**
+   * Retrieves an unexpired key from memory or storage; rejects if the key
+   * isn't cached
+   * @param {string} uri
+   * @private
+   * @returns {Promise<Key>}
+   */
+  _read(uri) {
+    const stats = this.index.get(uri);
+    if (stats && Date.now() - stats.fetchedAt > this.config.keyCacheMaxAge) {
+      return this.remove(uri)
+        .then(() => Promise.reject(new Error(`key-cache: key expired`)));
+    }
+
+    if (!this.memory.has(uri)) {
+      const promise = this.unboundedStorage.get(uri)
+        .then((keyString) => this.spark.encryption.kms.asKey(JSON.parse(keyString)))
+        .then((key) => {
+          // Keys cached before the index existed are adopted into it
+          if (!this.index.has(uri)) {
+            this.index.set(uri, {
+              fetchedAt: Date.now(),
+              lastUsed: 0,
+              uses: 0
+            });
+          }
+          return key;
+        })
+        .catch((reason) => {
+          this.memory.delete(uri);
+          return Promise.reject(reason);
+        });
+
+      this.memory.set(uri, promise);
+    }
+
+    return this.memory.get(uri);
+  },
+
+  /**
+   * Persists the index. Calls made in the same tick share a single write.
+   * @private
+   * @returns {Promise}
+   */
+  _saveIndex() {
+    if (!this.saving) {
+      this.saving = Promise.resolve()
+        .then(() => {
+          this.saving = null;
+          const saved = {};
+          this.index.forEach((stats, uri) => {
+            saved[uri] = stats;
+          });
+          return this.unboundedStorage.put(INDEX_KEY, JSON.stringify(saved));
+        });
+    }
+
+    return this.saving;
+  }
+});
+
+export default KeyCache;
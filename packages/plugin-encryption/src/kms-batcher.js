@@ -86,7 +86,9 @@ const KmsBatcher = Batcher.extend({
       method: `POST`,
       service: `encryption`,
       resource: `/kms/messages`,
-      body: payload
+      body: payload,
+      // see KMS#request()
+      shouldRecord: false
     });
   },
 
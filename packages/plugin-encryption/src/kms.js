@@ -5,10 +5,12 @@
  */
 
 import {SparkPlugin} from '@ciscospark/spark-core';
+import {Recorder} from '@ciscospark/http-core';
 import {Context, Request, Response} from 'node-kms';
 import KMSBatcher, {TIMEOUT_SYMBOL} from './kms-batcher';
 import jose from 'node-jose';
 import {omit} from 'lodash';
+import querystring from 'querystring';
 
 const contexts = new WeakMap();
 const kmsDetails = new WeakMap();
@@ -24,6 +26,42 @@ const KMS = SparkPlugin.extend({
     batcher: KMSBatcher
   },
 
+  /**
+   * Authorizes additional users to access a KMS Resource (and, therefore, its
+   * keys)
+   * @param {Object} options
+   * @param {KMSResourceObject} options.kro
+   * @param {string} options.kroUri
+   * @param {Array<string>} options.userIds
+   * @returns {Promise<Array<KMSAuthorization>>}
+   */
+  addAuthorization({kro, kroUri, userIds}) {
+    kroUri = kroUri || kro && kro.uri;
+
+    /* istanbul ignore if */
+    if (!kroUri) {
+      return Promise.reject(new Error(`\`kro\` or \`kroUri\` is required`));
+    }
+
+    /* istanbul ignore if */
+    if (!userIds || userIds.length === 0) {
+      return Promise.reject(new Error(`\`userIds\` is required`));
+    }
+
+    this.logger.info(`kms: adding authorizations to resource`);
+
+    return this.request({
+      method: `create`,
+      uri: `/authorizations`,
+      resourceUri: kroUri,
+      userIds
+    })
+      .then((res) => {
+        this.logger.info(`kms: added authorizations to resource`);
+        return res.authorizations;
+      });
+  },
+
   /**
    * Binds a key to a resource
    * @param {Object} options
@@ -152,6 +190,33 @@ const KMS = SparkPlugin.extend({
       });
   },
 
+  /**
+   * Lists the users authorized to access a KMS Resource
+   * @param {Object} options
+   * @param {KMSResourceObject} options.kro
+   * @param {string} options.kroUri
+   * @returns {Promise<Array<KMSAuthorization>>}
+   */
+  listAuthorizations({kro, kroUri}) {
+    kroUri = kroUri || kro && kro.uri;
+
+    /* istanbul ignore if */
+    if (!kroUri) {
+      return Promise.reject(new Error(`\`kro\` or \`kroUri\` is required`));
+    }
+
+    this.logger.info(`kms: listing resource authorizations`);
+
+    return this.request({
+      method: `retrieve`,
+      uri: `${kroUri}/authorizations`
+    })
+      .then((res) => {
+        this.logger.info(`kms: listed resource authorizations`);
+        return res.authorizations;
+      });
+  },
+
   /**
    * Pings the kms. Mostly for testing
    * @returns {Promise}
@@ -163,6 +228,39 @@ const KMS = SparkPlugin.extend({
     });
   },
 
+  /**
+   * Revokes a user's access to a KMS Resource
+   * @param {Object} options
+   * @param {KMSResourceObject} options.kro
+   * @param {string} options.kroUri
+   * @param {string} options.userId
+   * @returns {Promise<Array<KMSAuthorization>>}
+   */
+  removeAuthorization({kro, kroUri, userId}) {
+    kroUri = kroUri || kro && kro.uri;
+
+    /* istanbul ignore if */
+    if (!kroUri) {
+      return Promise.reject(new Error(`\`kro\` or \`kroUri\` is required`));
+    }
+
+    /* istanbul ignore if */
+    if (!userId) {
+      return Promise.reject(new Error(`\`userId\` is required`));
+    }
+
+    this.logger.info(`kms: removing authorization from resource`);
+
+    return this.request({
+      method: `delete`,
+      uri: `${kroUri}/authorizations?${querystring.stringify({authId: userId})}`
+    })
+      .then((res) => {
+        this.logger.info(`kms: removed authorization from resource`);
+        return res.authorizations;
+      });
+  },
+
   /**
    * Ensures a key obect is Key instance
    * @param {Object} key
@@ -265,6 +363,28 @@ const KMS = SparkPlugin.extend({
    * @returns {Promise<Object>}
    */
   request(payload, timeout) {
+    const recorder = Recorder.current;
+    if (!recorder) {
+      return this._request(payload, timeout);
+    }
+
+    // KMS envelopes are encrypted with an ephemeral key negotiated per
+    // session, so they're recorded unwrapped and the wrapped traffic is kept
+    // out of the recording.
+    return recorder.intercept(`kms`, {
+      method: payload.method,
+      uri: payload.uri,
+      body: omit(payload, `method`, `uri`)
+    }, () => this._request(payload, timeout));
+  },
+
+  /**
+   * @param {Object} payload
+   * @param {Number} timeout
+   * @private
+   * @returns {Promise<Object>}
+   */
+  _request(payload, timeout) {
     timeout = timeout || this.config.kmsInitialTimeout;
 
     // Note: this should only happen when we're using the async kms batcher;
@@ -300,7 +420,7 @@ const KMS = SparkPlugin.extend({
             timeout = 0;
           }
 
-          return this.request(payload, timeout);
+          return this._request(payload, timeout);
         }
 
         return Promise.reject(reason);
@@ -363,7 +483,8 @@ const KMS = SparkPlugin.extend({
       this.logger.info(`kms: fetching KMS details`);
       details = this.spark.request({
         service: `encryption`,
-        resource: `/kms/${this.spark.device.userId}`
+        resource: `/kms/${this.spark.device.userId}`,
+        shouldRecord: false
       })
         .then((res) => {
           this.logger.info(`kms: fetched KMS details`);
@@ -11,6 +11,7 @@ import sinon from '@ciscospark/test-helper-sinon';
 import CiscoSpark from '@ciscospark/spark-core';
 import testUsers from '@ciscospark/test-helper-test-users';
 // import {browserOnly} from '@ciscospark/test-helper-mocha';
+import {skipInBrowser} from '@ciscospark/test-helper-mocha';
 import makeLocalUrl from '@ciscospark/test-helper-make-local-url';
 
 describe(`Encryption`, function() {
@@ -169,6 +170,66 @@ describe(`Encryption`, function() {
     });
   });
 
+  skipInBrowser(describe)(`#downloadStream()`, () => {
+    /**
+     * Encrypts and uploads FILE, optionally tampering with the ciphertext
+     * @param {Function} tamper
+     * @returns {Promise<SCR>}
+     */
+    function upload(tamper) {
+      return spark.encryption.encryptBinary(FILE)
+        .then(({scr, cdata}) => {
+          if (tamper) {
+            tamper(cdata);
+          }
+
+          return spark.request({
+            method: `POST`,
+            uri: makeLocalUrl(`/files/upload`),
+            body: cdata
+          })
+            .then((res) => {
+              scr.loc = makeLocalUrl(res.body.loc, {full: true});
+              return scr;
+            });
+        });
+    }
+
+    /**
+     * Reads a stream to completion
+     * @param {stream.Readable} stream
+     * @returns {Promise<Buffer>}
+     */
+    function read(stream) {
+      return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on(`data`, (chunk) => chunks.push(chunk));
+        stream.on(`error`, reject);
+        stream.on(`end`, () => resolve(Buffer.concat(chunks)));
+      });
+    }
+
+    it(`downloads and decrypts an encrypted file as a stream`, () => upload()
+      .then((scr) => spark.encryption.downloadStream(scr))
+      .then(read)
+      .then((f) => assert.becomes(file.isMatchingFile(f, FILE), true)));
+
+    it(`emits progress events`, () => {
+      const spy = sinon.spy();
+      return upload()
+        .then((scr) => spark.encryption.downloadStream(scr)
+          .on(`progress`, spy))
+        .then(read)
+        .then(() => assert.called(spy));
+    });
+
+    it(`errors if the file has been tampered with`, () => upload((cdata) => {
+      cdata[0] = cdata[0] === 0 ? 1 : 0;
+    })
+      .then((scr) => spark.encryption.downloadStream(scr))
+      .then((stream) => assert.isRejected(read(stream))));
+  });
+
   describe(`#encryptBinary()`, () => {
     it(`encrypts a binary file`, () => spark.encryption.encryptBinary(FILE)
       .then(({scr, cdata}) => {
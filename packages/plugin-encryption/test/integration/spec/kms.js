@@ -46,12 +46,69 @@ describe(`Encryption`, function() {
     });
 
     describe(`#addAuthorization()`, () => {
-      it(`authorizes a user to a key`);
+      let kro, otherUser;
+      before(`create another user`, () => testUsers.create({count: 1})
+        .then(([u]) => {
+          otherUser = u;
+        }));
+
+      beforeEach(() => spark.encryption.kms.createUnboundKeys({count: 1})
+        .then(([key]) => spark.encryption.kms.createResource({
+          userIds: [spark.device.userId],
+          key
+        }))
+        .then((k) => {
+          kro = k;
+        }));
+
+      it(`authorizes a user to a key`, () => spark.encryption.kms.addAuthorization({kro, userIds: [otherUser.id]})
+        .then(() => spark.encryption.kms.listAuthorizations({kro}))
+        .then((authorizations) => {
+          const authIds = authorizations.map((a) => a.authId);
+          assert.include(authIds, spark.device.userId);
+          assert.include(authIds, otherUser.id);
+        }));
+
       it(`authorizes a resource to a key`);
     });
 
+    describe(`#listAuthorizations()`, () => {
+      it(`lists a resource's authorizations`, () => spark.encryption.kms.createUnboundKeys({count: 1})
+        .then(([key]) => spark.encryption.kms.createResource({
+          userIds: [spark.device.userId],
+          key
+        }))
+        .then((kro) => spark.encryption.kms.listAuthorizations({kroUri: kro.uri}))
+        .then((authorizations) => {
+          assert.lengthOf(authorizations, 1);
+          assert.equal(authorizations[0].authId, spark.device.userId);
+        }));
+    });
+
     describe(`#removeAuthorization()`, () => {
-      it(`deauthorizes a user from a key`);
+      let kro, otherUser;
+      before(`create another user`, () => testUsers.create({count: 1})
+        .then(([u]) => {
+          otherUser = u;
+        }));
+
+      beforeEach(() => spark.encryption.kms.createUnboundKeys({count: 1})
+        .then(([key]) => spark.encryption.kms.createResource({
+          userIds: [spark.device.userId, otherUser.id],
+          key
+        }))
+        .then((k) => {
+          kro = k;
+        }));
+
+      it(`deauthorizes a user from a key`, () => spark.encryption.kms.removeAuthorization({kro, userId: otherUser.id})
+        .then(() => spark.encryption.kms.listAuthorizations({kro}))
+        .then((authorizations) => {
+          const authIds = authorizations.map((a) => a.authId);
+          assert.include(authIds, spark.device.userId);
+          assert.notInclude(authIds, otherUser.id);
+        }));
+
       it(`deauthorizes a resource from a key`);
     });
 
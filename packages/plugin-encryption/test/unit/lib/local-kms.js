@@ -0,0 +1,156 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {randomBytes} from 'crypto';
+import jose from 'node-jose';
+import uuid from 'uuid';
+
+/**
+ * Splits a request uri into its path and query
+ * @param {Object} req
+ * @private
+ * @returns {Object}
+ */
+function parse(req) {
+  const [uri, search] = req.uri.split(`?`);
+  const query = {};
+  if (search) {
+    search.split(`&`).forEach((pair) => {
+      const [key, value] = pair.split(`=`).map(decodeURIComponent);
+      query[key] = value;
+    });
+  }
+  return {uri, query};
+}
+
+/**
+ * Produces a kmsMessage as the batcher receives it
+ * @param {Object} req
+ * @param {number} status
+ * @param {Object} body
+ * @private
+ * @returns {Object}
+ */
+function respond(req, status, body) {
+  body = Object.assign({
+    requestId: req.requestId,
+    status
+  }, body);
+
+  return {
+    requestId: req.requestId,
+    status,
+    body
+  };
+}
+
+/**
+ * In-memory stand-in for the KMS. Requests still pass through the real
+ * {@link KMSBatcher}, but skip ECDHE negotiation and the (mercury-delivered)
+ * wrapped responses.
+ */
+export default class LocalKMS {
+  /**
+   * @returns {LocalKMS}
+   */
+  constructor() {
+    this.keys = new Map();
+    this.resources = new Map();
+  }
+
+  /**
+   * Routes `kms`'s requests to this instance
+   * @param {KMS} kms
+   * @returns {LocalKMS}
+   */
+  attach(kms) {
+    kms.prepareRequest = (payload) => {
+      const req = Object.assign({requestId: uuid.v4()}, payload);
+      req.wrapped = Object.assign({}, req);
+      return Promise.resolve(req);
+    };
+    kms._getKMSCluster = () => Promise.resolve(`kms://kms.example.com`);
+    kms.batcher.submitHttpRequest = ({kmsMessages}) => {
+      const responses = kmsMessages.map((req) => this.handle(req));
+      // Responses arrive via mercury, so deliver them after the http response
+      Promise.resolve()
+        .then(() => kms.batcher.processKmsMessageEvent({
+          encryption: {
+            kmsMessages: responses
+          }
+        }));
+      return Promise.resolve({statusCode: 202});
+    };
+
+    return this;
+  }
+
+  /**
+   * Creates a KRO to which `userIds` are authorized
+   * @param {Array<string>} userIds
+   * @returns {string} the new KRO's uri
+   */
+  createResource(userIds) {
+    const uri = `kms://kms.example.com/resources/${uuid.v4()}`;
+    this.resources.set(uri, new Set(userIds));
+    return uri;
+  }
+
+  /**
+   * Produces a response to a single (unwrapped) KMS request
+   * @param {Object} req
+   * @returns {Object}
+   */
+  handle(req) {
+    if (req.method === `retrieve` && req.uri.includes(`/keys/`)) {
+      return this.retrieveKey(req);
+    }
+
+    const {uri, query} = parse(req);
+    const kroUri = req.resourceUri || uri.replace(/\/authorizations$/, ``);
+    const authIds = this.resources.get(kroUri);
+    if (!authIds) {
+      return respond(req, 404, {reason: `KMS resource ${kroUri} not found`});
+    }
+
+    if (req.method === `create`) {
+      req.userIds.forEach((userId) => authIds.add(userId));
+    }
+    else if (req.method === `delete`) {
+      authIds.delete(query.authId);
+    }
+
+    return respond(req, 200, {
+      authorizations: Array.from(authIds).map((authId) => ({
+        authId,
+        resourceUri: kroUri,
+        uri: `${kroUri}/authorizations/${authId}`
+      }))
+    });
+  }
+
+  /**
+   * Produces a response to a key retrieval, generating the key the first time
+   * it's requested
+   * @param {Object} req
+   * @returns {Object}
+   */
+  retrieveKey(req) {
+    if (!this.keys.has(req.uri)) {
+      this.keys.set(req.uri, {
+        uri: req.uri,
+        jwk: {
+          kty: `oct`,
+          kid: req.uri,
+          k: jose.util.base64url.encode(randomBytes(32))
+        }
+      });
+    }
+
+    return respond(req, 200, {
+      key: Object.assign({}, this.keys.get(req.uri))
+    });
+  }
+}
@@ -0,0 +1,153 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {assert} from '@ciscospark/test-helper-chai';
+import MockSpark from '@ciscospark/test-helper-mock-spark';
+import sinon from '@ciscospark/test-helper-sinon';
+import Encryption from '../..';
+import LocalKMS from '../lib/local-kms';
+
+describe(`plugin-encryption`, () => {
+  describe(`KeyCache`, () => {
+    /**
+     * Produces a key uri
+     * @param {number} id
+     * @returns {string}
+     */
+    function keyUri(id) {
+      return `kms://kms.example.com/keys/${id}`;
+    }
+
+    let kms, spark;
+
+    beforeEach(() => {
+      spark = new MockSpark({
+        children: {
+          encryption: Encryption
+        }
+      });
+
+      Object.assign(spark.config.encryption, {
+        kmsInitialTimeout: 6000,
+        kmsMaxTimeout: 32000,
+        batcherWait: 50,
+        batcherMaxCalls: 50,
+        batcherMaxWait: 150,
+        keyCacheMaxSize: 3,
+        keyCacheMaxAge: 60000
+      });
+      spark.mercury.connect = () => Promise.resolve();
+
+      kms = spark.encryption.kms;
+      new LocalKMS().attach(kms);
+      sinon.spy(kms, `fetchKey`);
+      sinon.spy(kms.batcher, `submitHttpRequest`);
+    });
+
+    describe(`#getKey()`, () => {
+      it(`fetches each key from the kms once`, () => spark.encryption.getKey(keyUri(1))
+        .then((key) => {
+          assert.equal(key.uri, keyUri(1));
+          assert.property(key, `jwk`);
+          return spark.encryption.getKey(keyUri(1));
+        })
+        .then(() => {
+          assert.calledOnce(kms.fetchKey);
+          assert.equal(spark.encryption.keyCache.getStats(keyUri(1)).uses, 2);
+        }));
+
+      it(`shares concurrent fetches of the same key`, () => Promise.all([
+        spark.encryption.getKey(keyUri(1)),
+        spark.encryption.getKey(keyUri(1))
+      ])
+        .then(() => assert.calledOnce(kms.fetchKey)));
+
+      it(`reads keys from storage`, () => spark.encryption.getKey(keyUri(1))
+        .then(() => {
+          spark.encryption.keyCache.memory.clear();
+          return spark.encryption.getKey(keyUri(1));
+        })
+        .then((key) => {
+          assert.equal(key.uri, keyUri(1));
+          assert.calledOnce(kms.fetchKey);
+        }));
+
+      it(`refetches expired keys`, () => spark.encryption.getKey(keyUri(1))
+        .then(() => {
+          spark.encryption.keyCache.index.get(keyUri(1)).fetchedAt -= 60001;
+          return spark.encryption.getKey(keyUri(1));
+        })
+        .then(() => assert.calledTwice(kms.fetchKey)));
+
+      describe(`when the cache is full`, () => {
+        // Ensures every operation sees a distinct timestamp
+        beforeEach(() => {
+          let now = 0;
+          sinon.stub(Date, `now`, () => {
+            now += 1;
+            return now;
+          });
+        });
+
+        afterEach(() => Date.now.restore());
+
+        it(`evicts the least recently used keys`, () => spark.encryption.getKey(keyUri(1))
+          .then(() => spark.encryption.getKey(keyUri(2)))
+          .then(() => spark.encryption.getKey(keyUri(3)))
+          .then(() => spark.encryption.getKey(keyUri(1)))
+          .then(() => spark.encryption.getKey(keyUri(4)))
+          .then(() => {
+            const {keyCache} = spark.encryption;
+            assert.isDefined(keyCache.getStats(keyUri(1)));
+            assert.isUndefined(keyCache.getStats(keyUri(2)));
+            assert.isDefined(keyCache.getStats(keyUri(3)));
+            assert.isDefined(keyCache.getStats(keyUri(4)));
+            return assert.isRejected(spark.unboundedStorage.get(`Encryption`, keyUri(2)));
+          }));
+      });
+    });
+
+    describe(`#prefetchKeys()`, () => {
+      const page = [{
+        objectType: `conversation`,
+        encryptionKeyUrl: keyUri(1),
+        defaultActivityEncryptionKeyUrl: keyUri(2),
+        activities: {
+          items: [{
+            objectType: `activity`,
+            encryptionKeyUrl: keyUri(3)
+          }]
+        }
+      }, {
+        objectType: `conversation`,
+        encryptionKeyUrl: keyUri(1)
+      }];
+
+      it(`fetches all of a page's keys in a single kms request`, () => spark.encryption.prefetchKeys(page)
+        .then(() => {
+          assert.calledThrice(kms.fetchKey);
+          assert.calledOnce(kms.batcher.submitHttpRequest);
+          assert.lengthOf(kms.batcher.submitHttpRequest.args[0][0].kmsMessages, 3);
+          return spark.encryption.getKey(keyUri(3));
+        })
+        .then(() => assert.calledThrice(kms.fetchKey)));
+
+      it(`skips keys that are already cached`, () => spark.encryption.getKey(keyUri(1))
+        .then(() => spark.encryption.prefetchKeys(page))
+        .then(() => assert.calledThrice(kms.fetchKey)));
+    });
+
+    describe(`#clearKeys()`, () => {
+      it(`removes all cached keys`, () => spark.encryption.getKey(keyUri(1))
+        .then(() => spark.encryption.clearKeys())
+        .then(() => {
+          assert.isUndefined(spark.encryption.keyCache.getStats(keyUri(1)));
+          return assert.isRejected(spark.unboundedStorage.get(`Encryption`, keyUri(1)));
+        })
+        .then(() => spark.encryption.getKey(keyUri(1)))
+        .then(() => assert.calledTwice(kms.fetchKey)));
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {assert} from '@ciscospark/test-helper-chai';
+import MockSpark from '@ciscospark/test-helper-mock-spark';
+import Encryption, {KmsError} from '../..';
+import LocalKMS from '../lib/local-kms';
+
+describe(`plugin-encryption`, () => {
+  describe(`KMS`, () => {
+    let kms, kroUri, localKMS, spark;
+
+    beforeEach(() => {
+      spark = new MockSpark({
+        children: {
+          encryption: Encryption
+        }
+      });
+
+      Object.assign(spark.config.encryption, {
+        kmsInitialTimeout: 6000,
+        kmsMaxTimeout: 32000,
+        batcherWait: 0,
+        batcherMaxCalls: 50,
+        batcherMaxWait: 0
+      });
+      spark.mercury.connect = () => Promise.resolve();
+
+      kms = spark.encryption.kms;
+      localKMS = new LocalKMS().attach(kms);
+      kroUri = localKMS.createResource([`user1`]);
+    });
+
+    describe(`#listAuthorizations()`, () => {
+      it(`lists the users authorized to a resource`, () => kms.listAuthorizations({kroUri})
+        .then((authorizations) => {
+          assert.lengthOf(authorizations, 1);
+          assert.equal(authorizations[0].authId, `user1`);
+          assert.equal(authorizations[0].resourceUri, kroUri);
+        }));
+
+      it(`accepts a kro`, () => kms.listAuthorizations({kro: {uri: kroUri}})
+        .then((authorizations) => assert.lengthOf(authorizations, 1)));
+
+      it(`rejects with a KmsError when the resource does not exist`, () => assert.isRejected(kms.listAuthorizations({kroUri: `${kroUri}-nope`}))
+        .then((reason) => {
+          assert.instanceOf(reason, KmsError);
+          assert.equal(reason.status, 404);
+          assert.match(reason.message, /not found/);
+        }));
+    });
+
+    describe(`#addAuthorization()`, () => {
+      it(`authorizes users to a resource`, () => kms.addAuthorization({kroUri, userIds: [`user2`, `user3`]})
+        .then((authorizations) => {
+          assert.sameMembers(authorizations.map((a) => a.authId), [`user1`, `user2`, `user3`]);
+          return kms.listAuthorizations({kroUri});
+        })
+        .then((authorizations) => assert.lengthOf(authorizations, 3)));
+    });
+
+    describe(`#removeAuthorization()`, () => {
+      it(`deauthorizes a user from a resource`, () => kms.addAuthorization({kroUri, userIds: [`user2`]})
+        .then(() => kms.removeAuthorization({kroUri, userId: `user1`}))
+        .then((authorizations) => {
+          assert.deepEqual(authorizations.map((a) => a.authId), [`user2`]);
+          return kms.listAuthorizations({kroUri});
+        })
+        .then((authorizations) => assert.lengthOf(authorizations, 1)));
+    });
+  });
+});
@@ -174,6 +174,60 @@ const Locus = SparkPlugin.extend({
       });
   },
 
+  /**
+   * Places the current user's participation in the specified Locus on hold
+   * @param {Types~Locus} locus
+   * @returns {Promise<Types~Locus>}
+   */
+  hold(locus) {
+    return this.request({
+      method: `PUT`,
+      uri: `${locus.self.url}/hold`,
+      body: {
+        deviceUrl: this.spark.device.url
+      }
+    })
+      .then((res) => res.body.locus);
+  },
+
+  /**
+   * Takes the current user's participation in the specified Locus off hold
+   * @param {Types~Locus} locus
+   * @returns {Promise<Types~Locus>}
+   */
+  resume(locus) {
+    return this.request({
+      method: `PUT`,
+      uri: `${locus.self.url}/resume`,
+      body: {
+        deviceUrl: this.spark.device.url
+      }
+    })
+      .then((res) => res.body.locus);
+  },
+
+  /**
+   * Hands the current user's participation in the specified Locus to
+   * `invitee` (blind transfer). The current user leaves the Locus once the
+   * transfer is accepted.
+   * @param {Types~Locus} locus
+   * @param {string} invitee email address, user id, or sip uri
+   * @returns {Promise<Types~Locus>}
+   */
+  transfer(locus, invitee) {
+    return this.request({
+      method: `PUT`,
+      uri: `${locus.self.url}/transfer`,
+      body: {
+        deviceUrl: this.spark.device.url,
+        invitee: {
+          invitee
+        }
+      }
+    })
+      .then((res) => res.body.locus);
+  },
+
   /**
    * Send a new sdp to Linus via the Locus API to update media state (e.g. to
    * start or stop sending audio or video)
@@ -16,6 +16,66 @@ export default {
      * Maximum number of entries to store in the log buffer.
      * @type {Number}
      */
-    historyLength: 1000
+    historyLength: 1000,
+
+    /**
+     * Per-namespace levels, which take precedence over `level`. A namespace
+     * is the prefix of a log statement (e.g. `mercury` for
+     * `mercury: connecting`).
+     * @type {Object|string} e.g. `mercury=debug,kms=warn`
+     */
+    namespaceLevels: process.env.CISCOSPARK_LOG_NAMESPACES,
+
+    /**
+     * Format of console output and of the log buffer
+     * @type {string} text|json
+     */
+    format: process.env.CISCOSPARK_LOG_FORMAT || `text`,
+
+    /**
+     * Rules for removing secrets and personal data from logs before they're
+     * printed, buffered or handed to transports. The selected profile's
+     * rules (see `profiles` in `redact.js`) are always applied; any rules
+     * listed here are applied in addition.
+     * @type {Object}
+     */
+    redaction: {
+      /**
+       * @type {string} strict|default|debug
+       */
+      profile: process.env.CISCOSPARK_LOG_REDACTION || `default`,
+
+      /**
+       * Property names whose values should be removed
+       * @type {Array<RegExp|string>}
+       */
+      keys: [],
+
+      /**
+       * Patterns to replace within string values
+       * @type {Array<RegExp>}
+       */
+      values: [],
+
+      /**
+       * Paths (e.g. `body.items[*].displayName` or `**.jwk`) to remove
+       * @type {Array<string>}
+       */
+      paths: [],
+
+      /**
+       * Called with each primitive value and its path; returns the value to
+       * log in its place
+       * @type {Array<Function>}
+       */
+      functions: []
+    },
+
+    /**
+     * Additional destinations for log records (e.g. {@link FileTransport},
+     * {@link IndexedDBTransport}, {@link HttpTransport})
+     * @type {Array<Transport>}
+     */
+    transports: []
   }
 };
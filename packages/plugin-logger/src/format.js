@@ -0,0 +1,92 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {isString} from 'lodash';
+
+/**
+ * A single log statement, as delivered to each {@link Transport}
+ * @typedef {Object} LogRecord
+ * @property {string} timestamp ISO 8601 timestamp
+ * @property {string} level
+ * @property {string} namespace the prefix (e.g. `mercury` for
+ * `mercury: connecting`) of the log statement, if it has one
+ * @property {string} trackingId the trackingid of the request the log
+ * statement describes, if any
+ * @property {Array<mixed>} args the log statement's (filtered) arguments
+ */
+
+/**
+ * JSON.stringify replacer that serializes errors and breaks cycles
+ * @returns {Function}
+ */
+function makeReplacer() {
+  const seen = new WeakSet();
+  return function replacer(key, value) {
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: value.toString(),
+        stack: value.stack
+      };
+    }
+
+    if (value && typeof value === `object`) {
+      if (seen.has(value)) {
+        return `[Circular]`;
+      }
+      seen.add(value);
+    }
+
+    return value;
+  };
+}
+
+/**
+ * Serializes a value to JSON without throwing on errors or cycles
+ * @param {mixed} value
+ * @returns {string}
+ */
+export function stringify(value) {
+  return JSON.stringify(value, makeReplacer());
+}
+
+/**
+ * Renders a record as a single line of JSON
+ * @param {LogRecord} record
+ * @returns {string}
+ */
+export function toJSON(record) {
+  return stringify(record);
+}
+
+/**
+ * Renders a record as a single line of human-readable text
+ * @param {LogRecord} record
+ * @returns {string}
+ */
+export function toText(record) {
+  const args = record.args.map((arg) => {
+    if (isString(arg)) {
+      return arg;
+    }
+    if (arg instanceof Error) {
+      return arg.toString();
+    }
+    return stringify(arg);
+  });
+
+  return [record.timestamp, record.level.toUpperCase()].concat(args).join(` `);
+}
+
+/**
+ * Renders a record in the specified format
+ * @param {LogRecord} record
+ * @param {string} type `json` or `text`
+ * @returns {string}
+ */
+export default function format(record, type) {
+  return type === `json` ? toJSON(record) : toText(record);
+}
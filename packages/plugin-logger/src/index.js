@@ -17,3 +17,9 @@ export {
   default as default,
   levels
 } from './logger';
+export {default as format} from './format';
+export {profiles as redactionProfiles} from './redact';
+export {default as ConsoleTransport} from './transports/console';
+export {default as FileTransport} from './transports/file';
+export {default as HttpTransport} from './transports/http';
+export {default as IndexedDBTransport} from './transports/indexeddb';
@@ -4,8 +4,6 @@
  * @private
  */
 
-import {patterns} from '@ciscospark/common';
-
 import {
   SparkHttpError,
   SparkPlugin
@@ -13,11 +11,14 @@ import {
 
 import {
   cloneDeep,
-  isArray,
-  isObject,
+  get,
   isString
 } from 'lodash';
 
+import {toJSON} from './format';
+import redact, {compile} from './redact';
+import ConsoleTransport from './transports/console';
+
 const precedence = {
   silent: 0,
   error: 1,
@@ -30,42 +31,100 @@ const precedence = {
 
 export const levels = Object.keys(precedence).filter((level) => level !== `silent`);
 
-const fallbacks = {
-  error: [`log`],
-  warn: [`error`, `log`],
-  info: [`log`],
-  debug: [`info`, `log`],
-  trace: [`debug`, `info`, `log`]
-};
+/**
+ * Receives log records. The console transport is always present; others may
+ * be added via `config.logger.transports`.
+ * @typedef {Object} Transport
+ * @property {string} level (optional) maximum level the transport should
+ * receive. It can only make the transport stricter than the logger's (or
+ * namespace's) level, never more verbose.
+ * @property {Function} write called with each {@link LogRecord}
+ * @property {Function} flush (optional) returns a Promise that resolves once
+ * all pending records have been written
+ */
 
-const authTokenKeyPattern = /[Aa]uthorization/;
+const namespacePattern = /^([\w-]+):/;
+
+const trackingIdPattern = /^WEBEX_TRACKINGID:/;
 
 /**
- * Recursively strips "authorization" fields from the specified object
- * @param {Object} object
+ * Extracts the namespace (e.g. `mercury` from `mercury: connecting`) from a
+ * log statement
+ * @param {Array<mixed>} args
+ * @returns {string|undefined}
+ */
+function namespaceOf(args) {
+  const match = isString(args[0]) && namespacePattern.exec(args[0]);
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Extracts the trackingid from a log statement, either from a request or
+ * response object or from a `WEBEX_TRACKINGID:` label
+ * @param {Array<mixed>} args
+ * @returns {string|undefined}
+ */
+function trackingIdOf(args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (isString(arg) && trackingIdPattern.test(arg) && isString(args[i + 1])) {
+      return args[i + 1];
+    }
+
+    const trackingId = get(arg, `headers.trackingid`) || get(arg, `options.headers.trackingid`);
+    if (trackingId) {
+      return trackingId;
+    }
+  }
+
+  return undefined;
+}
+
+let lastNamespaceLevels, parsedNamespaceLevels;
+
+/**
+ * Parses per-namespace levels specified as `mercury=debug,kms=warn`; invalid
+ * levels are ignored
+ * @param {Object|string} namespaceLevels
  * @returns {Object}
  */
-function walkAndFilter(object) {
-  if (isArray(object)) {
-    return object.map(walkAndFilter);
+function parseNamespaceLevels(namespaceLevels) {
+  if (!isString(namespaceLevels)) {
+    return namespaceLevels || {};
   }
-  if (!isObject(object)) {
-    if (isString(object)) {
-      if (patterns.email.test(object)) {
-        return `-- REDACTED --`;
+
+  if (namespaceLevels !== lastNamespaceLevels) {
+    lastNamespaceLevels = namespaceLevels;
+    parsedNamespaceLevels = namespaceLevels.split(`,`).reduce((parsed, pair) => {
+      const [namespace, level] = pair.split(`=`).map((str) => str.trim());
+      if (namespace && precedence.hasOwnProperty(level)) {
+        parsed[namespace] = level;
       }
-    }
-    return object;
+      return parsed;
+    }, {});
   }
-  for (const key in object) {
-    if (authTokenKeyPattern.test(key)) {
-      Reflect.deleteProperty(object, key);
-    }
-    else {
-      object[key] = walkAndFilter(object[key]);
-    }
+
+  return parsedNamespaceLevels;
+}
+
+const redactionFields = [`profile`, `keys`, `values`, `paths`, `functions`];
+
+let compiledRedaction, lastRedaction = [];
+
+/**
+ * Compiles `config.redaction`, reusing the previous result until the config
+ * (or one of its rule lists) is replaced
+ * @param {Object} redaction
+ * @returns {Object}
+ */
+function compileRedaction(redaction) {
+  const current = [redaction].concat(redactionFields.map((field) => get(redaction, field)));
+  if (!compiledRedaction || current.some((value, index) => value !== lastRedaction[index])) {
+    lastRedaction = current;
+    compiledRedaction = compile(redaction);
   }
-  return object;
+
+  return compiledRedaction;
 }
 
 const Logger = SparkPlugin.extend({
@@ -88,17 +147,33 @@ const Logger = SparkPlugin.extend({
     }
   },
 
+  initialize(...args) {
+    Reflect.apply(SparkPlugin.prototype.initialize, this, args);
+
+    this.console = new ConsoleTransport({
+      prefix: () => {
+        /* istanbul ignore if */
+        if (process.env.NODE_ENV === `test` && this.spark && this.spark.device && this.spark.device.url) {
+          return this.spark.device.url.slice(-3);
+        }
+        return undefined;
+      }
+    });
+  },
+
   /**
-   * Ensures auth headers don't get printed in logs
+   * Applies the redaction rules in `config.redaction` to log arguments
    * @param {Array<mixed>} args
    * @private
    * @returns {Array<mixed>}
    */
   filter(...args) {
+    const rules = compileRedaction(this.config.redaction);
     return args.map((arg) => {
-      // SparkHttpError already ensures auth tokens don't get printed, so, no
-      // need to alter it here.
       if (arg instanceof Error) {
+        // redact() copies errors rather than modifying them
+        arg = redact(arg, rules);
+
         // karma logs won't print subclassed errors correctly, so we need
         // explicitly call their tostring methods.
         if (process.env.NODE_ENV === `test` && typeof window !== `undefined`) {
@@ -113,19 +188,59 @@ const Logger = SparkPlugin.extend({
       }
 
       arg = cloneDeep(arg);
-      return walkAndFilter(arg);
+      return redact(arg, rules);
     });
   },
 
+  /**
+   * Resolves once every transport has written all pending records
+   * @returns {Promise}
+   */
+  flush() {
+    return Promise.all(this.getTransports().map((transport) => transport.flush && transport.flush()));
+  },
+
+  /**
+   * Lists the transports that receive log records: the console and any
+   * specified via `config.transports`
+   * @returns {Array<Transport>}
+   */
+  getTransports() {
+    this.console.format = this.config.format;
+    return [this.console].concat(this.config.transports || []);
+  },
+
   /**
    * Determines if the current level allows logs at the speicified level to be
-   * printed
+   * printed. The namespace's level (or else the logger's) applies, capped by
+   * the transport's level if it has one.
    * @param {string} level
+   * @param {string} namespace
+   * @param {Transport} transport
    * @private
    * @returns {boolean}
    */
-  shouldPrint(level) {
-    return precedence[level] <= precedence[this.getCurrentLevel()];
+  shouldPrint(level, namespace, transport) {
+    let threshold = this.getNamespaceLevel(namespace) || this.getCurrentLevel();
+    if (transport && precedence.hasOwnProperty(transport.level) && precedence[transport.level] < precedence[threshold]) {
+      threshold = transport.level;
+    }
+    return precedence[level] <= precedence[threshold];
+  },
+
+  /**
+   * Indicates the level configured for the specified namespace via
+   * `config.namespaceLevels`, if any
+   * @param {string} namespace
+   * @private
+   * @returns {string|undefined}
+   */
+  getNamespaceLevel(namespace) {
+    if (!namespace) {
+      return undefined;
+    }
+
+    return parseNamespaceLevels(this.config.namespaceLevels)[namespace];
   },
 
   /**
@@ -165,38 +280,37 @@ const Logger = SparkPlugin.extend({
 });
 
 levels.forEach((level) => {
-  let impls = fallbacks[level];
-  let impl = level;
-  if (impls) {
-    impls = impls.slice();
-    // eslint-disable-next-line no-console
-    while (!console[impl]) {
-      impl = impls.pop();
-    }
-  }
-
   Logger.prototype[level] = function wrappedConsoleMethod(...args) {
     try {
       const filtered = this.filter(...args);
-      const stringified = filtered.map((item) => {
-        if (item instanceof SparkHttpError) {
-          return item.toString();
+      const record = {
+        timestamp: new Date().toISOString(),
+        level,
+        namespace: namespaceOf(filtered),
+        trackingId: trackingIdOf(filtered),
+        args: filtered
+      };
+
+      this.getTransports().forEach((transport) => {
+        if (this.shouldPrint(level, record.namespace, transport)) {
+          transport.write(record);
         }
-        return item;
       });
 
-      if (this.shouldPrint(level)) {
-        const toPrint = typeof window === `undefined` ? filtered : stringified;
-        /* istanbul ignore if */
-        if (process.env.NODE_ENV === `test` && this.spark && this.spark.device && this.spark.device.url) {
-          toPrint.unshift(this.spark.device.url.slice(-3));
-        }
-        // eslint-disable-next-line no-console
-        console[impl](...toPrint);
+      if (this.config.format === `json`) {
+        this.buffer.push(toJSON(record));
+      }
+      else {
+        const stringified = filtered.map((item) => {
+          if (item instanceof SparkHttpError) {
+            return item.toString();
+          }
+          return item;
+        });
+        stringified.unshift(Date.now());
+        this.buffer.push(stringified);
       }
 
-      stringified.unshift(Date.now());
-      this.buffer.push(stringified);
       if (this.buffer.length > this.config.historyLength) {
         this.buffer.shift();
       }
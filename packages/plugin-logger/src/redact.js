@@ -0,0 +1,286 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {patterns} from '@ciscospark/common';
+import {cloneDeep, escapeRegExp, isArray, isObject, isPlainObject, isRegExp, isString, pick} from 'lodash';
+
+export const REDACTED = `-- REDACTED --`;
+
+/**
+ * Declarative redaction rules. Properties matched by `keys` or `paths` are
+ * removed; substrings matched by `values` are replaced with `-- REDACTED --`
+ * (if a `values` regex has a capturing group, the first group is kept, e.g.
+ * to keep the name of a query string parameter); finally, each of
+ * `functions` is called with every remaining primitive value and its path
+ * and returns the value to log in its place.
+ * @typedef {Object} RedactionRules
+ * @property {Array<RegExp|string>} keys property names (strings match
+ * exactly, ignoring case)
+ * @property {Array<RegExp>} values
+ * @property {Array<string>} paths JSONPath-like paths relative to each log
+ * argument, e.g. `options.headers.trackingid`, `items[*].displayName`,
+ * `**.jwk` (`*` matches one segment, `**` any number of segments)
+ * @property {Array<Function>} functions
+ */
+
+const secrets = {
+  keys: [
+    /authorization/i,
+    /^(access|refresh|id)?_?token$/i,
+    /^client_?secret$/i,
+    /^password$/i,
+    /^jwk$/
+  ],
+  values: [
+    /([?&#](?:access_token|refresh_token|id_token|code|client_secret|password)=)[^&#\s]+/gi,
+    /(Bearer )[\w.~+/=-]+/g
+  ]
+};
+
+/**
+ * Built-in redaction profiles; `config.logger.redaction` rules are applied in
+ * addition to those of the selected profile
+ * @type {Object<string, RedactionRules>}
+ */
+export const profiles = {
+  /**
+   * Removes credentials and keys only
+   * @type {RedactionRules}
+   */
+  debug: secrets,
+
+  /**
+   * Also removes values that are entirely an email address
+   * @type {RedactionRules}
+   */
+  default: {
+    keys: secrets.keys,
+    values: secrets.values.concat(patterns.email)
+  },
+
+  /**
+   * Also removes names, message content, email addresses and phone numbers
+   * wherever they appear
+   * @type {RedactionRules}
+   */
+  strict: {
+    keys: secrets.keys.concat(
+      /^(display|given|family|first|last|user)?_?name$/i,
+      /^(content|text|title)$/i,
+      /^emails?(Address(es)?)?$/i,
+      /^(phone|sip|tel)(Numbers?|Uris?)?$/i
+    ),
+    values: secrets.values.concat(
+      /[^\s@<>"',;]+@[^\s@<>"',;]+\.[a-z]{2,}/gi,
+      /(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g,
+      /\+\d{8,15}\b/g
+    )
+  }
+};
+
+const globals = new WeakMap();
+
+const exact = new Map();
+
+/**
+ * Converts a key rule to a RegExp
+ * @param {RegExp|string} key
+ * @returns {RegExp}
+ */
+function keyPattern(key) {
+  if (isRegExp(key)) {
+    return key;
+  }
+  if (!exact.has(key)) {
+    exact.set(key, new RegExp(`^${escapeRegExp(key)}$`, `i`));
+  }
+  return exact.get(key);
+}
+
+/**
+ * Ensures `re` replaces all of its matches
+ * @param {RegExp} re
+ * @returns {RegExp}
+ */
+function globalize(re) {
+  if (re.global) {
+    return re;
+  }
+  if (!globals.has(re)) {
+    globals.set(re, new RegExp(re.source, `${re.flags || ``}g`));
+  }
+  return globals.get(re);
+}
+
+/**
+ * Splits a JSONPath-like path into segments
+ * @param {string} path
+ * @returns {Array<string>}
+ */
+function parsePath(path) {
+  return path
+    .replace(/^\$\.?/, ``)
+    .replace(/\[['"]?([^\]'"]+)['"]?\]/g, `.$1`)
+    .split(`.`)
+    .filter(Boolean);
+}
+
+/**
+ * Indicates if the path to a property matches a parsed path pattern
+ * @param {Array<string>} pattern
+ * @param {Array<string>} path
+ * @returns {boolean}
+ */
+function matchPath(pattern, path) {
+  if (pattern.length === 0) {
+    return path.length === 0;
+  }
+
+  const [head, ...rest] = pattern;
+  if (head === `**`) {
+    for (let i = 0; i <= path.length; i++) {
+      if (matchPath(rest, path.slice(i))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  return path.length > 0 && (head === `*` || head === path[0]) && matchPath(rest, path.slice(1));
+}
+
+/**
+ * Combines the selected profile with the configured rules
+ * @param {Object} config `config.logger.redaction`
+ * @returns {Object}
+ */
+export function compile(config) {
+  config = config || {};
+  const profile = profiles[config.profile] || profiles.default;
+
+  return {
+    keys: profile.keys.concat(config.keys || []).map(keyPattern),
+    values: profile.values.concat(config.values || []).map(globalize),
+    paths: (config.paths || []).map(parsePath),
+    functions: config.functions || []
+  };
+}
+
+/**
+ * String#replace callback that keeps the first capturing group, if any
+ * @param {string} match
+ * @param {string|number} prefix the first group, or the offset of the match
+ * if there are no groups
+ * @returns {string}
+ */
+function replacer(match, prefix) {
+  return isString(prefix) ? `${prefix}${REDACTED}` : REDACTED;
+}
+
+/**
+ * Replaces the substrings of `value` that match any value rule
+ * @param {mixed} value
+ * @param {Object} rules
+ * @returns {mixed}
+ */
+function redactString(value, rules) {
+  if (!isString(value)) {
+    return value;
+  }
+
+  return rules.values.reduce((str, re) => str.replace(re, replacer), value);
+}
+
+/**
+ * Indicates if the property at `path` should be removed
+ * @param {string} key
+ * @param {Array<string>} path
+ * @param {Object} rules
+ * @returns {boolean}
+ */
+function shouldRemove(key, path, rules) {
+  return rules.keys.some((re) => re.test(key)) || rules.paths.some((pattern) => matchPath(pattern, path));
+}
+
+/**
+ * The parts of an http error's `options` worth keeping on its redacted copy;
+ * the rest (interceptors, bodies, etc) can be large or circular
+ * @type {Array<string>}
+ */
+const errorOptionKeys = [`headers`, `method`, `qs`, `resource`, `service`, `uri`, `url`];
+
+/**
+ * Produces a copy of `err` with the same prototype (so it still prints as the
+ * same kind of error) whose message, stack and data properties (e.g.
+ * `options.headers`) have been redacted. Properties holding anything but
+ * primitives, plain objects, arrays and errors (sockets, responses, etc) are
+ * left off the copy. `err` itself is not modified; whoever logged it
+ * probably still needs it.
+ * @param {Error} err
+ * @param {Object} rules
+ * @param {Array<string>} path
+ * @returns {Error}
+ */
+function redactError(err, rules, path) {
+  const copy = Object.create(Reflect.getPrototypeOf(err));
+  const props = Reflect.ownKeys(err).filter(isString).reduce((result, key) => {
+    const value = key === `options` && isObject(err.options) ? pick(err.options, errorOptionKeys) : err[key];
+    if (value instanceof Error) {
+      result[key] = value;
+    }
+    else if (!isObject(value) || isPlainObject(value) || isArray(value)) {
+      result[key] = cloneDeep(value);
+    }
+    return result;
+  }, {});
+
+  const redacted = redact(props, rules, path);
+  Object.keys(redacted).forEach((key) => {
+    Reflect.defineProperty(copy, key, {
+      configurable: true,
+      enumerable: Reflect.getOwnPropertyDescriptor(err, key).enumerable,
+      value: redacted[key],
+      writable: true
+    });
+  });
+
+  return copy;
+}
+
+/**
+ * Recursively applies compiled rules to `value`, modifying it in place (errors
+ * are replaced with redacted copies instead)
+ * @param {mixed} value
+ * @param {Object} rules
+ * @param {Array<string>} path
+ * @returns {mixed}
+ */
+export default function redact(value, rules, path) {
+  path = path || [];
+
+  if (value instanceof Error) {
+    return redactError(value, rules, path);
+  }
+
+  if (isArray(value)) {
+    return value.map((item, index) => redact(item, rules, path.concat(String(index))));
+  }
+
+  if (isObject(value)) {
+    Object.keys(value).forEach((key) => {
+      const keyPath = path.concat(key);
+      if (shouldRemove(key, keyPath, rules)) {
+        Reflect.deleteProperty(value, key);
+      }
+      else {
+        value[key] = redact(value[key], rules, keyPath);
+      }
+    });
+    return value;
+  }
+
+  return rules.functions.reduce((result, fn) => fn(result, path), redactString(value, rules));
+}
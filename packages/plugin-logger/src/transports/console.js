@@ -0,0 +1,83 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {SparkHttpError} from '@ciscospark/spark-core';
+import {toJSON} from '../format';
+
+const fallbacks = {
+  error: [`log`],
+  warn: [`error`, `log`],
+  info: [`log`],
+  debug: [`info`, `log`],
+  trace: [`debug`, `info`, `log`]
+};
+
+/**
+ * Finds the console method that should print logs at the specified level
+ * @param {string} level
+ * @returns {string}
+ */
+function methodFor(level) {
+  let impls = fallbacks[level];
+  let impl = level;
+  if (impls) {
+    impls = impls.slice();
+    // eslint-disable-next-line no-console
+    while (!console[impl]) {
+      impl = impls.pop();
+    }
+  }
+  return impl;
+}
+
+/**
+ * Prints log records to the console. In `text` format, the record's args are
+ * passed to the console as-is so that objects remain inspectable.
+ * @class
+ */
+export default class ConsoleTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.format `text` (default) or `json`
+   * @param {string} options.level maximum level to print; defaults to the
+   * logger's level
+   * @param {Function} options.prefix returns a value to print ahead of each
+   * `text` record
+   * @returns {ConsoleTransport}
+   */
+  constructor(options) {
+    Object.assign(this, options);
+  }
+
+  /**
+   * @param {LogRecord} record
+   * @returns {undefined}
+   */
+  write(record) {
+    const impl = methodFor(record.level);
+
+    if (this.format === `json`) {
+      // eslint-disable-next-line no-console
+      console[impl](toJSON(record));
+      return;
+    }
+
+    const toPrint = typeof window === `undefined` ? record.args.slice() : record.args.map((item) => {
+      if (item instanceof SparkHttpError) {
+        return item.toString();
+      }
+      return item;
+    });
+
+    const prefix = this.prefix && this.prefix();
+    if (prefix) {
+      toPrint.unshift(prefix);
+    }
+
+    // eslint-disable-next-line no-console
+    console[impl](...toPrint);
+  }
+}
@@ -0,0 +1,19 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+/**
+ * Browser stand-in for the Node FileTransport; use
+ * {@link IndexedDBTransport} instead.
+ * @class
+ */
+export default class FileTransport {
+  /**
+   * @returns {FileTransport}
+   */
+  constructor() {
+    throw new Error(`FileTransport is not supported in browsers; use IndexedDBTransport instead`);
+  }
+}
@@ -0,0 +1,126 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import fs from 'fs';
+import format from '../format';
+
+/**
+ * Promisified wrapper around an fs method
+ * @param {string} method
+ * @param {Array<mixed>} args
+ * @returns {Promise}
+ */
+function call(method, ...args) {
+  return new Promise((resolve, reject) => {
+    fs[method](...args, (err, result) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Appends log records to a file, one per line, rotating it once it grows past
+ * `maxSize` bytes. `path` is renamed to `path.1`, `path.1` to `path.2`, and so
+ * on; at most `maxFiles` rotated files are kept. Node only.
+ * @class
+ */
+export default class FileTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.path
+   * @param {string} options.format `json` (default) or `text`
+   * @param {string} options.level maximum level to write; defaults to the
+   * logger's level
+   * @param {number} options.maxFiles number of rotated files to keep
+   * @param {number} options.maxSize size in bytes at which the file rotates
+   * @returns {FileTransport}
+   */
+  constructor(options) {
+    if (!options || !options.path) {
+      throw new Error(`\`options.path\` is required`);
+    }
+
+    Object.assign(this, {
+      format: `json`,
+      maxFiles: 5,
+      maxSize: 10 * 1024 * 1024
+    }, options);
+
+    this.queue = call(`stat`, this.path)
+      .then((stats) => {
+        this.size = stats.size;
+      })
+      .catch(() => {
+        this.size = 0;
+      });
+  }
+
+  /**
+   * Resolves once all pending records have been written
+   * @returns {Promise}
+   */
+  flush() {
+    return this.queue;
+  }
+
+  /**
+   * @param {LogRecord} record
+   * @returns {undefined}
+   */
+  write(record) {
+    const line = `${format(record, this.format)}\n`;
+
+    this.queue = this.queue
+      .then(() => {
+        if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxSize) {
+          return this._rotate();
+        }
+        return Promise.resolve();
+      })
+      .then(() => call(`appendFile`, this.path, line))
+      .then(() => {
+        this.size += Buffer.byteLength(line);
+      })
+      // eslint-disable-next-line no-console
+      .catch((reason) => console.warn(`logger: failed to write to ${this.path}`, reason));
+  }
+
+  /**
+   * Shifts each rotated file up by one, dropping the oldest
+   * @private
+   * @returns {Promise}
+   */
+  _rotate() {
+    return call(`unlink`, `${this.path}.${this.maxFiles}`)
+      .catch(() => undefined)
+      .then(() => this._shift())
+      .then(() => {
+        this.size = 0;
+      });
+  }
+
+  /**
+   * Renames `path.n` to `path.n+1`, oldest first, then `path` to `path.1`
+   * @private
+   * @returns {Promise}
+   */
+  _shift() {
+    const renames = [];
+    for (let i = this.maxFiles - 1; i > 0; i--) {
+      renames.push([`${this.path}.${i}`, `${this.path}.${i + 1}`]);
+    }
+    renames.push([this.path, `${this.path}.1`]);
+
+    // Files that don't exist yet simply fail to rename
+    return renames.reduce((promise, [from, to]) => promise
+      .then(() => call(`rename`, from, to))
+      .catch(() => undefined), Promise.resolve());
+  }
+}
@@ -0,0 +1,101 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {request} from '@ciscospark/http-core';
+import {stringify} from '../format';
+
+/**
+ * Ships log records to an HTTP endpoint. Records are POSTed as a JSON array
+ * in batches of up to `batchSize`, at most every `flushInterval`
+ * milliseconds. Requests bypass the Spark client (and its interceptors) so
+ * that shipping logs neither logs nor authenticates; use `headers` to supply
+ * credentials. Batches that fail to send are dropped, and no more than
+ * `maxQueueSize` records are held while waiting to send.
+ * @class
+ */
+export default class HttpTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.url
+   * @param {number} options.batchSize
+   * @param {number} options.flushInterval
+   * @param {Object} options.headers
+   * @param {string} options.level maximum level to ship; defaults to the
+   * logger's level
+   * @param {number} options.maxQueueSize
+   * @returns {HttpTransport}
+   */
+  constructor(options) {
+    if (!options || !options.url) {
+      throw new Error(`\`options.url\` is required`);
+    }
+
+    Object.assign(this, {
+      batchSize: 100,
+      flushInterval: 5000,
+      headers: {},
+      maxQueueSize: 10000
+    }, options);
+
+    this.pending = [];
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Sends all pending records immediately
+   * @returns {Promise}
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.pending.length) {
+      const batch = this.pending.splice(0, this.batchSize);
+      this.queue = this.queue
+        .then(() => this._send(batch));
+    }
+
+    return this.queue;
+  }
+
+  /**
+   * @param {LogRecord} record
+   * @returns {undefined}
+   */
+  write(record) {
+    this.pending.push(JSON.parse(stringify(record)));
+    if (this.pending.length > this.maxQueueSize) {
+      this.pending.shift();
+    }
+
+    if (this.pending.length >= this.batchSize) {
+      this.flush();
+    }
+    else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushInterval);
+      // Don't keep node processes alive just to ship logs
+      if (this.timer.unref) {
+        this.timer.unref();
+      }
+    }
+  }
+
+  /**
+   * @param {Array<LogRecord>} batch
+   * @private
+   * @returns {Promise}
+   */
+  _send(batch) {
+    return request({
+      method: `POST`,
+      uri: this.url,
+      headers: this.headers,
+      body: batch
+    })
+      // eslint-disable-next-line no-console
+      .catch((reason) => console.warn(`logger: failed to ship ${batch.length} log records`, reason));
+  }
+}
@@ -0,0 +1,131 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+/* eslint-env browser */
+
+import format from '../format';
+
+/**
+ * Wraps an IDBRequest in a Promise
+ * @param {IDBRequest} req
+ * @returns {Promise}
+ */
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Keeps the most recent `maxRecords` log records in an IndexedDB object
+ * store. Records written in the same tick are stored in a single transaction.
+ * Browser only.
+ * @class
+ */
+export default class IndexedDBTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.dbName
+   * @param {string} options.format `json` (default) or `text`
+   * @param {string} options.level maximum level to store; defaults to the
+   * logger's level
+   * @param {number} options.maxRecords
+   * @returns {IndexedDBTransport}
+   */
+  constructor(options) {
+    if (typeof indexedDB === `undefined`) {
+      throw new Error(`IndexedDBTransport requires IndexedDB`);
+    }
+
+    Object.assign(this, {
+      dbName: `ciscospark-logs`,
+      format: `json`,
+      maxRecords: 10000
+    }, options);
+
+    this.pending = [];
+    this.queue = Promise.resolve();
+
+    const req = indexedDB.open(this.dbName, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(`logs`, {autoIncrement: true});
+    this.db = promisify(req);
+  }
+
+  /**
+   * Deletes all stored records
+   * @returns {Promise}
+   */
+  clear() {
+    return this.flush()
+      .then(() => this.db)
+      .then((db) => promisify(db.transaction(`logs`, `readwrite`).objectStore(`logs`).clear()));
+  }
+
+  /**
+   * Resolves once all pending records have been stored
+   * @returns {Promise}
+   */
+  flush() {
+    return this.queue;
+  }
+
+  /**
+   * Retrieves the stored records, oldest first, as formatted lines
+   * @returns {Promise<Array<string>>}
+   */
+  read() {
+    return this.flush()
+      .then(() => this.db)
+      .then((db) => promisify(db.transaction(`logs`).objectStore(`logs`).getAll()));
+  }
+
+  /**
+   * @param {LogRecord} record
+   * @returns {undefined}
+   */
+  write(record) {
+    this.pending.push(format(record, this.format));
+    if (this.pending.length === 1) {
+      this.queue = this.queue
+        .then(() => this.db)
+        .then((db) => this._store(db))
+        // eslint-disable-next-line no-console
+        .catch((reason) => console.warn(`logger: failed to write to IndexedDB`, reason));
+    }
+  }
+
+  /**
+   * Stores all pending records and drops the oldest records beyond
+   * `maxRecords`
+   * @param {IDBDatabase} db
+   * @private
+   * @returns {Promise}
+   */
+  _store(db) {
+    const lines = this.pending;
+    this.pending = [];
+
+    const tx = db.transaction(`logs`, `readwrite`);
+    const store = tx.objectStore(`logs`);
+    lines.forEach((line) => store.add(line));
+
+    return promisify(store.count())
+      .then((count) => {
+        const excess = count - this.maxRecords;
+        if (excess <= 0) {
+          return Promise.resolve();
+        }
+
+        return promisify(store.getAllKeys(null, excess))
+          .then((keys) => store.delete(IDBKeyRange.upperBound(keys[keys.length - 1])));
+      })
+      .then(() => new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      }));
+  }
+}
@@ -284,6 +284,112 @@ describe(`plugin-logger`, () => {
     });
   });
 
+  describe(`transports`, () => {
+    let transport;
+    beforeEach(() => {
+      transport = {write: sinon.spy()};
+      spark.config.logger.transports = [transport];
+    });
+
+    afterEach(() => {
+      spark.config.logger.transports = [];
+      spark.config.logger.namespaceLevels = undefined;
+      spark.config.logger.format = `text`;
+    });
+
+    it(`receive structured records`, () => {
+      spark.config.logger.level = `trace`;
+      spark.logger.info(`mercury: connecting`, {
+        headers: {
+          Authorization: `Bearer`,
+          trackingid: `abc_1`
+        }
+      });
+      assert.calledOnce(transport.write);
+      const [record] = transport.write.args[0];
+      assert.isString(record.timestamp);
+      assert.equal(record.level, `info`);
+      assert.equal(record.namespace, `mercury`);
+      assert.equal(record.trackingId, `abc_1`);
+      assert.deepEqual(record.args, [`mercury: connecting`, {headers: {trackingid: `abc_1`}}]);
+    });
+
+    it(`extract trackingids from labels`, () => {
+      spark.config.logger.level = `trace`;
+      spark.logger.info(`WEBEX_TRACKINGID: `, `abc_2`);
+      assert.equal(transport.write.args[0][0].trackingId, `abc_2`);
+    });
+
+    it(`respect their own levels`, () => {
+      spark.config.logger.level = `debug`;
+      transport.level = `info`;
+      spark.logger.info(`test`);
+      assert.calledOnce(transport.write);
+      assert.calledOnce(console.info);
+      spark.logger.debug(`test`);
+      assert.calledOnce(transport.write);
+    });
+
+    it(`never receive more than the logger's level allows`, () => {
+      spark.config.logger.level = `error`;
+      transport.level = `info`;
+      spark.logger.info(`test`);
+      assert.notCalled(transport.write);
+      spark.logger.error(`test`);
+      assert.calledOnce(transport.write);
+    });
+
+    it(`cap per-namespace levels`, () => {
+      spark.config.logger.level = `info`;
+      spark.config.logger.namespaceLevels = `mercury=debug`;
+      transport.level = `error`;
+      spark.logger.debug(`mercury: connecting`);
+      spark.logger.warn(`mercury: reconnecting`);
+      spark.logger.error(`mercury: failed`);
+      assert.deepEqual(transport.write.args.map((args) => args[0].args[0]), [
+        `mercury: failed`
+      ]);
+    });
+
+    it(`respect per-namespace levels`, () => {
+      spark.config.logger.level = `error`;
+      spark.config.logger.namespaceLevels = `mercury=debug, kms=warn`;
+      spark.logger.debug(`mercury: connecting`);
+      spark.logger.info(`kms: fetching key`);
+      spark.logger.warn(`kms: request timed out`);
+      spark.logger.warn(`conversation: failed`);
+      assert.deepEqual(transport.write.args.map((args) => args[0].args[0]), [
+        `mercury: connecting`,
+        `kms: request timed out`
+      ]);
+    });
+
+    it(`are flushed by #flush()`, () => {
+      transport.flush = sinon.stub().returns(Promise.resolve());
+      return spark.logger.flush()
+        .then(() => assert.calledOnce(transport.flush));
+    });
+
+    describe(`when the format is json`, () => {
+      it(`prints json to the console`, () => {
+        spark.config.logger.level = `trace`;
+        spark.config.logger.format = `json`;
+        spark.logger.log(`kms: test`);
+        const record = JSON.parse(console.log.args[0][0]);
+        assert.equal(record.level, `log`);
+        assert.equal(record.namespace, `kms`);
+        assert.deepEqual(record.args, [`kms: test`]);
+      });
+
+      it(`buffers json`, () => {
+        spark.config.logger.format = `json`;
+        spark.logger.log(`test`, {email: `test@example.com`});
+        const record = JSON.parse(spark.logger.buffer[0]);
+        assert.deepEqual(record.args, [`test`, {email: `-- REDACTED --`}]);
+      });
+    });
+  });
+
   describe(`#filter`, () => {
     it(`redacts email addresses`, () => {
       const message = {
@@ -327,6 +433,126 @@ describe(`plugin-logger`, () => {
       assert.deepProperty(msg, `options.headers.TrackingID`, `it does not remove other header values`);
       assert.deepProperty(filtered, `options.headers.TrackingID`, `it does not remove other header values`);
     });
+
+    describe(`redaction`, () => {
+      afterEach(() => {
+        spark.config.logger.redaction = undefined;
+      });
+
+      it(`removes tokens from query strings and kms keys`, () => {
+        assert.deepEqual(spark.logger.filter({
+          uri: `https://example.com/?access_token=abc&page=2`,
+          keys: [{
+            uri: `kms://kms.example.com/keys/1`,
+            jwk: {k: `secret`}
+          }]
+        }), [{
+          uri: `https://example.com/?access_token=-- REDACTED --&page=2`,
+          keys: [{
+            uri: `kms://kms.example.com/keys/1`
+          }]
+        }]);
+      });
+
+      it(`removes personal data in the strict profile`, () => {
+        spark.config.logger.redaction = {profile: `strict`};
+        assert.deepEqual(spark.logger.filter(`sent to a.b@example.com, +1 555-123-4567`, {
+          id: `activity1`,
+          actor: {displayName: `Name`, emailAddress: `test@example.com`},
+          object: {displayName: `Hello`, content: `<p>Hello</p>`}
+        }), [`sent to -- REDACTED --, -- REDACTED --`, {
+          id: `activity1`,
+          actor: {},
+          object: {}
+        }]);
+      });
+
+      it(`keeps email addresses in the debug profile`, () => {
+        spark.config.logger.redaction = {profile: `debug`};
+        assert.deepEqual(spark.logger.filter(`test@example.com`, {authorization: `Bearer`}), [`test@example.com`, {}]);
+      });
+
+      it(`applies configured keys, values, paths and functions`, () => {
+        spark.config.logger.redaction = {
+          keys: [`secretKey`],
+          values: [/(pin: )\d+/],
+          paths: [`items[*].title`, `**.hidden`],
+          functions: [(value, path) => {
+            if (path[path.length - 1] === `id`) {
+              return value.slice(0, 3);
+            }
+            return value;
+          }]
+        };
+        assert.deepEqual(spark.logger.filter({
+          secretkey: 1,
+          message: `pin: 1234`,
+          items: [{id: `abcdef`, title: `t`}],
+          a: {b: {hidden: true}}
+        }), [{
+          message: `pin: -- REDACTED --`,
+          items: [{id: `abc`}],
+          a: {b: {}}
+        }]);
+      });
+
+      it(`recompiles the rules when they change`, () => {
+        spark.config.logger.redaction = {keys: [`first`]};
+        assert.deepEqual(spark.logger.filter({first: 1, second: 2}), [{second: 2}]);
+
+        spark.config.logger.redaction.keys = [`second`];
+        assert.deepEqual(spark.logger.filter({first: 1, second: 2}), [{first: 1}]);
+
+        spark.config.logger.redaction = {profile: `strict`};
+        assert.deepEqual(spark.logger.filter({first: 1, displayName: `Name`}), [{first: 1}]);
+      });
+
+      it(`redacts copies of errors`, () => {
+        const error = new Error(`GET https://example.com/?access_token=abc failed`);
+        error.email = `test@example.com`;
+
+        const [filtered] = spark.logger.filter(error);
+        assert.instanceOf(filtered, Error);
+        assert.equal(filtered.message, `GET https://example.com/?access_token=-- REDACTED -- failed`);
+        assert.notInclude(filtered.stack, `access_token=abc`);
+        assert.equal(filtered.email, `-- REDACTED --`);
+
+        assert.equal(error.message, `GET https://example.com/?access_token=abc failed`);
+        assert.equal(error.email, `test@example.com`);
+      });
+
+      it(`redacts the request options of http errors`, () => {
+        const error = new SparkHttpError({
+          statusCode: 401,
+          body: {
+            error: `Unauthorized`
+          },
+          options: {
+            method: `GET`,
+            uri: `https://example.com/?access_token=abc`,
+            headers: {
+              authorization: `Bearer abc`,
+              trackingid: `123`
+            }
+          }
+        });
+
+        const [filtered] = spark.logger.filter(error);
+        assert.instanceOf(filtered, SparkHttpError);
+        assert.notInclude(filtered.toString(), `access_token=abc`);
+        assert.equal(filtered.options.uri, `https://example.com/?access_token=-- REDACTED --`);
+        assert.deepEqual(filtered.options.headers, {trackingid: `123`});
+        assert.equal(filtered.statusCode, 401);
+
+        assert.equal(error.options.headers.authorization, `Bearer abc`);
+      });
+
+      it(`applies to the log buffer`, () => {
+        spark.config.logger.redaction = {profile: `strict`};
+        spark.logger.log({displayName: `Name`});
+        assert.deepEqual(spark.logger.buffer[0][1], {});
+      });
+    });
   });
 
   [
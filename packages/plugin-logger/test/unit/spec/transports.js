@@ -0,0 +1,124 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {assert} from '@ciscospark/test-helper-chai';
+import sinon from '@ciscospark/test-helper-sinon';
+import {nodeOnly} from '@ciscospark/test-helper-mocha';
+import {FileTransport, HttpTransport} from '../..';
+
+describe(`plugin-logger`, () => {
+  /**
+   * Produces a log record
+   * @param {string} message
+   * @returns {LogRecord}
+   */
+  function makeRecord(message) {
+    return {
+      timestamp: `2017-01-01T00:00:00.000Z`,
+      level: `info`,
+      args: [message]
+    };
+  }
+
+  nodeOnly(describe)(`FileTransport`, () => {
+    /**
+     * Reads a file's contents
+     * @param {string} file
+     * @returns {Promise<string>}
+     */
+    function read(file) {
+      return new Promise((resolve, reject) => {
+        fs.readFile(file, `utf8`, (err, contents) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve(contents);
+        });
+      });
+    }
+
+    let filename;
+    beforeEach(() => {
+      filename = path.join(os.tmpdir(), `plugin-logger-${Date.now()}.log`);
+    });
+
+    // Files that were never written simply fail to unlink
+    afterEach(() => Promise.all([``, `.1`, `.2`].map((suffix) => new Promise((resolve) => {
+      fs.unlink(`${filename}${suffix}`, resolve);
+    }))));
+
+    it(`appends a line per record`, () => {
+      const transport = new FileTransport({path: filename});
+      transport.write(makeRecord(`one`));
+      transport.write(makeRecord(`two`));
+      return transport.flush()
+        .then(() => read(filename))
+        .then((contents) => {
+          const lines = contents.trim().split(`\n`);
+          assert.deepEqual(lines.map((line) => JSON.parse(line).args[0]), [`one`, `two`]);
+        });
+    });
+
+    it(`rotates files that grow past maxSize`, () => {
+      const transport = new FileTransport({
+        path: filename,
+        format: `text`,
+        maxFiles: 2,
+        maxSize: 40
+      });
+      [`one`, `two`, `three`].forEach((message) => transport.write(makeRecord(message)));
+      return transport.flush()
+        .then(() => Promise.all([filename, `${filename}.1`, `${filename}.2`].map(read)))
+        .then((contents) => assert.deepEqual(contents, [
+          `2017-01-01T00:00:00.000Z INFO three\n`,
+          `2017-01-01T00:00:00.000Z INFO two\n`,
+          `2017-01-01T00:00:00.000Z INFO one\n`
+        ]));
+    });
+  });
+
+  describe(`HttpTransport`, () => {
+    let transport;
+    beforeEach(() => {
+      transport = new HttpTransport({
+        url: `https://logs.example.com`,
+        batchSize: 2
+      });
+      sinon.stub(transport, `_send`).returns(Promise.resolve());
+    });
+
+    afterEach(() => transport.flush());
+
+    it(`ships full batches immediately`, () => {
+      transport.write(makeRecord(`one`));
+      assert.notCalled(transport._send);
+      transport.write(makeRecord(`two`));
+      return transport.queue
+        .then(() => {
+          assert.calledOnce(transport._send);
+          assert.deepEqual(transport._send.args[0][0], [makeRecord(`one`), makeRecord(`two`)]);
+        });
+    });
+
+    it(`ships partial batches on flush`, () => {
+      transport.write(makeRecord(`one`));
+      return transport.flush()
+        .then(() => assert.calledWith(transport._send, [makeRecord(`one`)]));
+    });
+
+    it(`drops the oldest records when its queue is full`, () => {
+      transport.batchSize = 10;
+      transport.maxQueueSize = 2;
+      [`one`, `two`, `three`].forEach((message) => transport.write(makeRecord(message)));
+      return transport.flush()
+        .then(() => assert.calledWith(transport._send, [makeRecord(`two`), makeRecord(`three`)]));
+    });
+  });
+});
@@ -30,6 +30,18 @@ export default {
      * discarding it
      * @type {[type]}
      */
-    forceCloseDelay: process.env.MERCURY_FORCE_CLOSE_DELAY || 2000
+    forceCloseDelay: process.env.MERCURY_FORCE_CLOSE_DELAY || 2000,
+    /**
+     * When true, a gap in the Mercury sequence numbers causes Mercury to fetch
+     * the activities and loci it missed and replay them as `event:*` events
+     * @type {boolean}
+     */
+    recoverFromSequenceMismatch: true,
+    /**
+     * Maximum number of conversations whose missed activities are fetched at
+     * once while recovering from a sequence mismatch
+     * @type {number}
+     */
+    recoveryConcurrency: 4
   }
 };
@@ -6,7 +6,7 @@
 import {SparkPlugin} from '@ciscospark/spark-core';
 import {deprecated} from 'core-decorators';
 import {oneFlight} from '@ciscospark/common';
-import {set} from 'lodash';
+import {flatten, set, sortBy, times, uniqBy} from 'lodash';
 import S from 'string';
 import backoff from 'backoff';
 import Socket from './socket';
@@ -19,6 +19,49 @@ const normalReconnectReasons = [
   `pong mismatch`
 ];
 
+/**
+ * Number of recently-emitted activity ids to remember so that activities
+ * recovered after a sequence mismatch aren't emitted twice
+ * @type {number}
+ */
+const RECENT_ACTIVITY_LIMIT = 100;
+
+/**
+ * Calls `fn` on each of `items`, with no more than `limit` calls in flight at
+ * once
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn
+ * @private
+ * @returns {Promise<Array>} resolves with the results in the order of `items`
+ */
+function mapWithConcurrency(items, limit, fn) {
+  const results = [];
+  let next = 0;
+
+  /**
+   * Processes items until none are left
+   * @private
+   * @returns {Promise}
+   */
+  function work() {
+    if (next >= items.length) {
+      return Promise.resolve();
+    }
+
+    const i = next;
+    next += 1;
+    return Promise.resolve(fn(items[i]))
+      .then((result) => {
+        results[i] = result;
+        return work();
+      });
+  }
+
+  return Promise.all(times(Math.min(Math.max(limit, 1), items.length), work))
+    .then(() => results);
+}
+
 const Mercury = SparkPlugin.extend({
   namespace: `Mercury`,
 
@@ -32,7 +75,13 @@ const Mercury = SparkPlugin.extend({
       type: `boolean`
     },
     socket: `object`,
-    localClusterServiceUrls: `object`
+    localClusterServiceUrls: `object`,
+    /**
+     * Timestamp of the most recent `conversation.activity` received; used to
+     * recover activities after a sequence mismatch
+     * @type {number}
+     */
+    lastActivityPublished: `number`
   },
 
   derived: {
@@ -109,7 +158,7 @@ const Mercury = SparkPlugin.extend({
     const socket = new Socket();
     socket.on(`close`, (...args) => this._onclose(...args));
     socket.on(`message`, (...args) => this._onmessage(...args));
-    socket.on(`sequence-mismatch`, (...args) => this._emit(`sequence-mismatch`, ...args));
+    socket.on(`sequence-mismatch`, (...args) => this._onsequencemismatch(...args));
 
     let webSocketUrl = this.spark.device.webSocketUrl;
 
@@ -313,16 +362,186 @@ const Mercury = SparkPlugin.extend({
           .catch((reason) => this.logger.error(`mercury: error occurred in autowired event handler for ${data.eventType}`, reason));
       }), Promise.resolve())
       .then(() => {
-        this._emit(`event`, event.data);
-        const [namespace] = data.eventType.split(`.`);
-        this._emit(`event:${namespace}`, envelope);
-        this._emit(`event:${data.eventType}`, envelope);
+        this._recordActivity(data);
+        this._recordLocus(data);
+        this._emitEnvelope(envelope);
       })
       .catch((reason) => {
         this.logger.error(`mercury: error occurred processing socket message`, reason);
       });
   },
 
+  _onsequencemismatch(actual, expected) {
+    this._emit(`sequence-mismatch`, actual, expected);
+
+    if (!this.config.recoverFromSequenceMismatch) {
+      return Promise.resolve();
+    }
+
+    return this._recoverMissedEvents()
+      .catch((reason) => {
+        this.logger.error(`mercury: failed to recover from sequence mismatch`, reason);
+      });
+  },
+
+  _emitEnvelope(envelope) {
+    const data = envelope.data;
+    this._emit(`event`, envelope);
+    const [namespace] = data.eventType.split(`.`);
+    this._emit(`event:${namespace}`, envelope);
+    this._emit(`event:${data.eventType}`, envelope);
+  },
+
+  /**
+   * Fetches the activities published since the most recent activity we
+   * received. Activities fetched this way have already been through the
+   * inbound transforms, so they must not be passed to the autowired handlers
+   * again.
+   * @private
+   * @returns {Promise<Array<Object>>}
+   */
+  _fetchMissedActivities() {
+    const conversation = this.spark.conversation;
+    if (!conversation || !this.lastActivityPublished) {
+      return Promise.resolve([]);
+    }
+
+    const sinceDate = this.lastActivityPublished;
+    return conversation.list({sinceDate})
+      .then((conversations) => mapWithConcurrency(conversations, this.config.recoveryConcurrency, (c) => conversation.listActivities({
+        conversationId: c.id,
+        sinceDate
+      })))
+      .then((activities) => sortBy(uniqBy(flatten(activities), `id`), (activity) => Date.parse(activity.published)))
+      .then((activities) => activities.filter((activity) => !this._recentActivityIds.includes(activity.id)));
+  },
+
+  /**
+   * Fetches the current state of every active locus that has changed since
+   * the last locus event we received for it
+   * @private
+   * @returns {Promise<Array<Types~Locus>>}
+   */
+  _fetchMissedLoci() {
+    const locus = this.spark.locus;
+    if (!locus) {
+      return Promise.resolve([]);
+    }
+
+    return locus.list()
+      .then((loci) => uniqBy(loci || [], `url`))
+      .then((loci) => loci.filter((l) => this._hasLocusChanged(l)));
+  },
+
+  /**
+   * Indicates if `locus` is newer than the last version of it we emitted.
+   * Replaying a locus we've already seen would, for example, make an
+   * unanswered call ring again.
+   * @param {Types~Locus} locus
+   * @private
+   * @returns {boolean}
+   */
+  _hasLocusChanged(locus) {
+    const previous = this._recentLoci && this._recentLoci.get(locus.url);
+    if (!previous) {
+      return true;
+    }
+
+    if (!previous.sequence || !locus.sequence || !this.spark.locus.compare) {
+      return true;
+    }
+
+    const action = this.spark.locus.compare(previous, locus);
+    return action !== `EQUAL` && action !== `USE_CURRENT`;
+  },
+
+  _recordActivity(data) {
+    if (!data || data.eventType !== `conversation.activity` || !data.activity) {
+      return;
+    }
+
+    const {id, published} = data.activity;
+    if (published) {
+      const timestamp = Date.parse(published);
+      if (!this.lastActivityPublished || timestamp > this.lastActivityPublished) {
+        this.lastActivityPublished = timestamp;
+      }
+    }
+
+    if (id) {
+      this._recentActivityIds = (this._recentActivityIds || [])
+        .concat(id)
+        .slice(-RECENT_ACTIVITY_LIMIT);
+    }
+  },
+
+  /**
+   * Remembers the most recent state of each locus we've emitted an event for
+   * @param {Object} data
+   * @private
+   * @returns {undefined}
+   */
+  _recordLocus(data) {
+    if (!data || !data.eventType || !data.eventType.startsWith(`locus.`) || !data.locus || !data.locus.url) {
+      return;
+    }
+
+    this._recentLoci = this._recentLoci || new Map();
+    this._recentLoci.set(data.locus.url, data.locus);
+  },
+
+  /**
+   * Fetches events that were lost to a gap in the Mercury sequence numbers
+   * and replays them through the normal `event:*` emitters
+   * @emits sequence-mismatch.recovered
+   * @private
+   * @returns {Promise}
+   */
+  @oneFlight
+  _recoverMissedEvents() {
+    this.logger.info(`mercury: attempting to recover missed events`);
+    this._recentActivityIds = this._recentActivityIds || [];
+
+    return Promise.all([
+      this._fetchMissedActivities(),
+      this._fetchMissedLoci()
+    ])
+      .then(([activities, loci]) => {
+        this.logger.info(`mercury: recovered ${activities.length} activities and ${loci.length} loci`);
+
+        // Check again right before emitting in case any of the fetched
+        // activities arrived via the socket while we were waiting.
+        activities = activities.filter((activity) => !this._recentActivityIds.includes(activity.id));
+        activities.forEach((activity) => {
+          const data = {
+            eventType: `conversation.activity`,
+            activity
+          };
+          this._recordActivity(data);
+          this._emitEnvelope({
+            data,
+            recovered: true,
+            timestamp: Date.now()
+          });
+        });
+
+        loci.forEach((locus) => {
+          const data = {
+            eventType: `locus.difference`,
+            locus
+          };
+          this._recordLocus(data);
+          this._emitEnvelope({
+            data,
+            recovered: true,
+            timestamp: Date.now()
+          });
+        });
+
+        this._emit(`sequence-mismatch.recovered`, {activities, loci});
+      });
+  },
+
   _reconnect() {
     this.logger.info(`mercury: reconnecting`);
     return this.connect();
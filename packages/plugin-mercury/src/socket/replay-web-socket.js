@@ -0,0 +1,79 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {Recorder} from '@ciscospark/http-core';
+
+/**
+ * Stands in for the WebSocket while a {@link Recorder} replays: it completes
+ * the authorization handshake, answers pings and delivers the recorded
+ * Mercury frames as the recorder releases them.
+ * @private
+ * @class
+ */
+export default class ReplayWebSocket {
+  /**
+   * @param {string} url
+   * @returns {ReplayWebSocket}
+   */
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sequenceNumber = 0;
+    this.deliverLater = (data) => process.nextTick(() => this.deliver(data));
+
+    process.nextTick(() => {
+      this.readyState = 1;
+      this.onopen();
+    });
+  }
+
+  /**
+   * @param {number} code
+   * @param {string} reason
+   * @returns {undefined}
+   */
+  close(code, reason) {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+
+    this.readyState = 3;
+    process.nextTick(() => this.onclose({code, reason}));
+  }
+
+  /**
+   * Delivers `data` as though the server sent it
+   * @param {Object} data
+   * @private
+   * @returns {undefined}
+   */
+  deliver(data) {
+    if (this.readyState !== 1) {
+      return;
+    }
+
+    this.sequenceNumber += 1;
+    this.onmessage({
+      data: JSON.stringify(Object.assign({}, data, {sequenceNumber: this.sequenceNumber}))
+    });
+  }
+
+  /**
+   * @param {string} data
+   * @returns {undefined}
+   */
+  send(data) {
+    const message = JSON.parse(data);
+    if (message.type === `authorization`) {
+      process.nextTick(() => {
+        this.deliver({data: {eventType: `mercury.buffer_state`}});
+        this.unsubscribe = Recorder.current.subscribe(`mercury`, this.deliverLater);
+      });
+    }
+    else if (message.type === `ping`) {
+      process.nextTick(() => this.deliver({id: message.id, type: `pong`}));
+    }
+  }
+}
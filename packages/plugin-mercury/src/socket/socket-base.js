@@ -6,11 +6,44 @@
 import {EventEmitter} from 'events';
 import {AuthorizationError, ConnectionError} from '../errors';
 import {checkRequired} from '@ciscospark/common';
+import {Recorder} from '@ciscospark/http-core';
 import {defaults, has, isObject} from 'lodash';
 import uuid from 'uuid';
+import ReplayWebSocket from './replay-web-socket';
 
 const sockets = new WeakMap();
 
+/**
+ * Frames a replay doesn't need: {@link ReplayWebSocket} produces its own
+ * handshake and pongs and the encryption plugin records KMS responses itself.
+ * @private
+ * @type {Array<string>}
+ */
+const unrecordedEventTypes = [
+  `encryption.kms_message`,
+  `mercury.buffer_state`,
+  `mercury.registration_status`
+];
+
+/**
+ * Passes inbound frames to the installed {@link Recorder}, if it's recording
+ * @param {Object} data
+ * @private
+ * @returns {undefined}
+ */
+function recordFrame(data) {
+  const recorder = Recorder.current;
+  if (!recorder || recorder.mode !== `record` || data.type === `pong`) {
+    return;
+  }
+
+  if (data.data && unrecordedEventTypes.includes(data.data.eventType)) {
+    return;
+  }
+
+  recorder.recordFrame(`mercury`, data);
+}
+
 /**
  * Generalized socket abstraction
  */
@@ -191,7 +224,8 @@ export default class Socket extends EventEmitter {
         url += `${url.includes(`?`) ? `&` : `?`}bufferStates=true`;
       }
 
-      const WebSocket = Socket.getWebSocketConstructor();
+      const recorder = Recorder.current;
+      const WebSocket = recorder && recorder.mode === `replay` ? ReplayWebSocket : Socket.getWebSocketConstructor();
 
       this.logger.info(`socket: creating WebSocket`);
       const socket = new WebSocket(url);
@@ -253,6 +287,7 @@ export default class Socket extends EventEmitter {
   onmessage(event) {
     try {
       const data = JSON.parse(event.data);
+      recordFrame(data);
       const sequenceNumber = parseInt(data.sequenceNumber, 10);
       this.logger.debug(`socket: sequence number: `, sequenceNumber);
       if (this.expectedSequenceNumber && sequenceNumber !== this.expectedSequenceNumber) {
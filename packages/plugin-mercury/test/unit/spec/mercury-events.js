@@ -11,7 +11,7 @@ import MockWebSocket from '@ciscospark/test-helper-mock-web-socket';
 import uuid from 'uuid';
 import promiseTick from '../lib/promise-tick';
 import lolex from 'lolex';
-import {wrap} from 'lodash';
+import {times, wrap} from 'lodash';
 
 describe(`plugin-mercury`, () => {
   describe(`Mercury`, () => {
@@ -404,6 +404,180 @@ describe(`plugin-mercury`, () => {
               assert.called(spy);
             });
         });
+
+        describe(`when recovery is enabled`, () => {
+          /**
+           * Hands Mercury an event the way the socket would
+           * @param {Object} data
+           * @returns {Promise}
+           */
+          function receive(data) {
+            return mercury._onmessage({
+              data: {
+                id: uuid.v4(),
+                data
+              }
+            });
+          }
+
+          /**
+           * Signals a gap in the sequence numbers the way the socket would
+           * @returns {Promise} resolves with the recovered events
+           */
+          function skip() {
+            const recovered = new Promise((resolve) => mercury.once(`sequence-mismatch.recovered`, resolve));
+            return mercury._onsequencemismatch(4, 3)
+              .then(() => recovered);
+          }
+
+          const activity1 = {
+            id: `activity1`,
+            published: new Date(Date.now() - 3000).toISOString()
+          };
+          const activity2 = {
+            id: `activity2`,
+            published: new Date(Date.now() - 2000).toISOString()
+          };
+          const activity3 = {
+            id: `activity3`,
+            published: new Date(Date.now() - 1000).toISOString()
+          };
+          const locus = {
+            url: `https://locus.example.com/loci/1`
+          };
+
+          beforeEach(() => {
+            spark.conversation = {
+              list: sinon.stub().returns(Promise.resolve([{id: `conversation1`}])),
+              listActivities: sinon.stub().returns(Promise.resolve([activity3, activity1, activity2, activity3]))
+            };
+            spark.locus = {
+              list: sinon.stub().returns(Promise.resolve([locus, locus]))
+            };
+          });
+
+          it(`replays the missed events in order without duplicates`, () => {
+            const activitySpy = sinon.spy();
+            const locusSpy = sinon.spy();
+            mercury.on(`event:conversation.activity`, activitySpy);
+            mercury.on(`event:locus`, locusSpy);
+
+            return receive({
+              eventType: `conversation.activity`,
+              activity: activity1
+            })
+              .then(skip)
+              .then(() => {
+                assert.calledWith(spark.conversation.list, {sinceDate: Date.parse(activity1.published)});
+                assert.calledWith(spark.conversation.listActivities, {
+                  conversationId: `conversation1`,
+                  sinceDate: Date.parse(activity1.published)
+                });
+
+                const ids = activitySpy.args
+                  .filter((args) => args[0].recovered)
+                  .map((args) => args[0].data.activity.id);
+                assert.deepEqual(ids, [`activity2`, `activity3`]);
+
+                assert.calledOnce(locusSpy);
+                assert.equal(locusSpy.args[0][0].data.eventType, `locus.difference`);
+                assert.equal(locusSpy.args[0][0].data.locus, locus);
+              });
+          });
+
+          it(`fetches no more than config.mercury.recoveryConcurrency conversations' activities at once`, () => {
+            spark.config.mercury = Object.assign({}, mercuryConfig.mercury, {recoveryConcurrency: 2});
+            spark.conversation.list = sinon.stub().returns(Promise.resolve(times(5, (i) => ({id: `conversation${i}`}))));
+
+            let inFlight = 0;
+            let maxInFlight = 0;
+            spark.conversation.listActivities = sinon.spy(() => {
+              inFlight += 1;
+              maxInFlight = Math.max(maxInFlight, inFlight);
+              return promiseTick(3)
+                .then(() => {
+                  inFlight -= 1;
+                  return [activity2];
+                });
+            });
+
+            return receive({
+              eventType: `conversation.activity`,
+              activity: activity1
+            })
+              .then(skip)
+              .then(({activities}) => {
+                assert.equal(spark.conversation.listActivities.callCount, 5);
+                assert.equal(maxInFlight, 2);
+                assert.deepEqual(activities, [activity2]);
+              });
+          });
+
+          it(`only replays loci that changed since their last event`, () => {
+            const seen = {
+              url: `https://locus.example.com/loci/1`,
+              sequence: {entries: [1]}
+            };
+            const changed = {
+              url: `https://locus.example.com/loci/2`,
+              sequence: {entries: [2]}
+            };
+            const unseen = {
+              url: `https://locus.example.com/loci/3`,
+              sequence: {entries: [1]}
+            };
+            spark.locus.list = sinon.stub().returns(Promise.resolve([seen, Object.assign({}, changed, {sequence: {entries: [3]}}), unseen]));
+            spark.locus.compare = sinon.spy((current, incoming) => {
+              if (current.sequence.entries[0] < incoming.sequence.entries[0]) {
+                return `USE_INCOMING`;
+              }
+              return `EQUAL`;
+            });
+
+            const locusSpy = sinon.spy();
+            mercury.on(`event:locus`, locusSpy);
+
+            return Promise.all([seen, changed].map((l) => receive({
+              eventType: `locus.difference`,
+              locus: l
+            })))
+              .then(skip)
+              .then(({loci}) => {
+                assert.deepEqual(loci.map((l) => l.url), [changed.url, unseen.url]);
+                assert.deepEqual(locusSpy.args
+                  .filter((args) => args[0].recovered)
+                  .map((args) => args[0].data.locus.url), [changed.url, unseen.url]);
+              })
+              // Replayed loci count as seen
+              .then(skip)
+              .then(({loci}) => assert.lengthOf(loci, 0));
+          });
+
+          it(`does not fetch activities if none have been received`, () => skip()
+            .then(() => {
+              assert.notCalled(spark.conversation.list);
+              assert.called(spark.locus.list);
+            }));
+        });
+
+        describe(`when recovery is disabled`, () => {
+          it(`does not fetch missed events`, () => {
+            spark.config.mercury = Object.assign({}, mercuryConfig.mercury, {recoverFromSequenceMismatch: false});
+            spark.locus = {
+              list: sinon.stub().returns(Promise.resolve([]))
+            };
+
+            const promise = mercury.connect();
+            mockWebSocket.open();
+            return promise
+              .then(() => {
+                mockWebSocket.emit(`message`, {data: JSON.stringify({sequenceNumber: 2, id: `mockid`})});
+                mockWebSocket.emit(`message`, {data: JSON.stringify({sequenceNumber: 4, id: `mockid`})});
+                return promiseTick(10);
+              })
+              .then(() => assert.notCalled(spark.locus.list));
+          });
+        });
       });
     });
   });
@@ -13,19 +13,21 @@ import {
   USE_INCOMING,
   FETCH
 } from '@ciscospark/plugin-locus';
-import {debounce, defaults, find, get, set} from 'lodash';
+import {debounce, defaults, find, get, isString, omit, set} from 'lodash';
 import {
   activeParticipants,
   direction,
   isActive,
   joined,
   joinedOnThisDevice,
+  participantIsHeld,
   participantIsJoined,
   remoteAudioMuted,
   remoteParticipant,
   remoteVideoMuted
 } from './state-parsers';
 import boolToStatus from './bool-to-status';
+import {networkQuality, normalizeStats} from './stats';
 
 import WebRTCMedia from './web-rtc-media';
 import uuid from 'uuid';
@@ -60,12 +62,49 @@ import uuid from 'uuid';
  * @memberof Call
  */
 
+/**
+ * @event remoteScreenStream:change
+ * @instance
+ * @memberof Call
+ */
+
 /**
  * @event error
  * @instance
  * @memberof Call
  */
 
+/**
+ * Emitted as each tone sent via {@link Call#sendDTMF} begins playing
+ * @event dtmf:tone
+ * @instance
+ * @memberof Call
+ * @type {string}
+ */
+
+/**
+ * @event held:change
+ * @instance
+ * @memberof Call
+ */
+
+/**
+ * Emitted periodically (see `config.phone.statsInterval`) while the call is
+ * connected
+ * @event stats
+ * @instance
+ * @memberof Call
+ * @type {Types~CallStats}
+ */
+
+/**
+ * Emitted when {@link Call#networkQuality} changes
+ * @event network-quality
+ * @instance
+ * @memberof Call
+ * @type {string}
+ */
+
 /**
  * Payload for {@link Call#sendFeedback}
  * @typedef {Object} Types~Feedback
@@ -78,7 +117,29 @@ import uuid from 'uuid';
  * generated by the sdk will be uploaded to the Spark Cloud. Care has been taken
  * to avoid including PII in these logs, but if you've taken advantage of the
  * SDK's logger, you should make sure to avoid logging PII as well.
+ * @property {Boolean} includeStats set to true to attach the call's current
+ * {@link Types~CallStats} to the feedback
+ */
+
+/**
+ * Converts hydra person ids into the uuids that locus expects; leaves other
+ * dial strings alone
+ * @param {string} invitee
+ * @private
+ * @returns {string}
  */
+function normalizeInvitee(invitee) {
+  if (base64.validate(invitee)) {
+    const parsed = base64.decode(invitee).split(`/`);
+    const resourceType = parsed[3];
+    const id = parsed[4];
+    if (resourceType === `PEOPLE`) {
+      return id;
+    }
+  }
+
+  return invitee;
+}
 
 /**
  * @class
@@ -137,6 +198,20 @@ const Call = SparkPlugin.extend({
       default: false,
       type: `boolean`
     },
+    /**
+     * Rating of the call's network conditions, derived from its stats and
+     * `config.phone.networkQualityThresholds`. One of `good`, `fair`, `poor`,
+     * or `unknown`.
+     * @instance
+     * @memberof Call
+     * @type {string}
+     * @readonly
+     */
+    networkQuality: {
+      default: `unknown`,
+      type: `string`,
+      values: [`good`, `fair`, `poor`, `unknown`]
+    },
     /**
      * Object URL that refers to {@link Call#remoteMediaStream}. Will be
      * automatically deallocated when the call ends
@@ -191,6 +266,20 @@ const Call = SparkPlugin.extend({
         return this.locus && joinedOnThisDevice(this.spark, this.locus);
       }
     },
+    /**
+     * Indicates the current user has placed the call on hold
+     * @instance
+     * @memberof Call
+     * @member {boolean}
+     * @readonly
+     */
+    held: {
+      deps: [`local`],
+      default: false,
+      fn() {
+        return participantIsHeld(this.local);
+      }
+    },
     locusUrl: {
       deps: [`locus`],
       fn() {
@@ -322,12 +411,32 @@ const Call = SparkPlugin.extend({
         return this.media.remoteMediaStream;
       }
     },
+    /**
+     * Access to the remote party’s screen share `MediaStream`, if they're
+     * sharing their screen.
+     * @instance
+     * @memberof Call
+     * @member {MediaStream}
+     * @readonly
+     */
+    remoteScreenStream: {
+      deps: [`media.remoteScreenStream`],
+      fn() {
+        return this.media.remoteScreenStream;
+      }
+    },
     receivingAudio: {
       deps: [`media.receivingAudio`],
       fn() {
         return this.media.receivingAudio;
       }
     },
+    receivingScreen: {
+      deps: [`media.receivingScreen`],
+      fn() {
+        return this.media.receivingScreen;
+      }
+    },
     receivingVideo: {
       deps: [`media.receivingVideo`],
       fn() {
@@ -340,6 +449,12 @@ const Call = SparkPlugin.extend({
         return this.media.sendingAudio;
       }
     },
+    sendingScreen: {
+      deps: [`media.sendingScreen`],
+      fn() {
+        return this.media.sendingScreen;
+      }
+    },
     sendingVideo: {
       deps: [`media.sendingVideo`],
       fn() {
@@ -360,6 +475,8 @@ const Call = SparkPlugin.extend({
 
     this.listenTo(this.spark.mercury, `event:locus`, (event) => this._onLocusEvent(event));
     this.listenTo(this.media, `error`, (error) => this.trigger(`error`, error));
+    this.listenTo(this.media, `dtmf:tone`, (tone) => this.trigger(`dtmf:tone`, tone));
+    this.dtmfQueue = Promise.resolve();
     this.on(`disconnected`, () => {
       this.stopListening(this.spark.mercury);
       this.off();
@@ -432,10 +549,12 @@ const Call = SparkPlugin.extend({
     [
       `remoteMediaStream`,
       `remoteMediaStreamUrl`,
+      `remoteScreenStream`,
       `localMediaStream`,
       `localMediaStreamUrl`,
       `remoteAudioMuted`,
-      `remoteVideoMuted`
+      `remoteVideoMuted`,
+      `held`
     ].forEach((key) => {
       this.on(`change:${key}`, () => this.trigger(`${key}:change`));
     });
@@ -453,7 +572,10 @@ const Call = SparkPlugin.extend({
 
     this.on(`change:activeParticipantsCount`, () => {
       const previousLocus = this.previousAttributes().locus;
-      if (this.joinedOnThisDevice && this.activeParticipantsCount === 1 && previousLocus && activeParticipants(previousLocus).length > 1) {
+      // Derived properties may not have caught up with the new locus yet (e.g.
+      // when it reports that we left because of a transfer), so check it
+      // directly rather than via this.joinedOnThisDevice
+      if (joinedOnThisDevice(this.spark, this.locus) && this.activeParticipantsCount === 1 && previousLocus && activeParticipants(previousLocus).length > 1) {
         this.logger.info(`call: hanging up due to last participant in call`);
         this.hangup();
       }
@@ -465,9 +587,11 @@ const Call = SparkPlugin.extend({
         this.trigger(`ringing`);
         break;
       case `connected`:
+        this._startStatsMonitor();
         this.trigger(`connected`);
         break;
       case `disconnected`:
+        this._stopStatsMonitor();
         this.trigger(`disconnected`);
         break;
       default:
@@ -532,15 +656,7 @@ const Call = SparkPlugin.extend({
     this.locusJoinInFlight = true;
     this.logger.info(`call: dialing`);
 
-    if (base64.validate(invitee)) {
-      // eslint-disable-next-line no-unused-vars
-      const parsed = base64.decode(invitee).split(`/`);
-      const resourceType = parsed[3];
-      const id = parsed[4];
-      if (resourceType === `PEOPLE`) {
-        invitee = id;
-      }
-    }
+    invitee = normalizeInvitee(invitee);
 
     this.logger.info(this.registered, !!this.spark.device.url, this.connected, this.spark.mercury.connected, this.spark.device.url);
 
@@ -643,6 +759,94 @@ const Call = SparkPlugin.extend({
       .then(tap(() => this.logger.info(`call: rejected`)));
   },
 
+  /**
+   * Places the call on hold. Local media is left alone: once the Cisco Spark
+   * cloud marks the current user as holding, it stops relaying their media
+   * (and {@link Call#held} becomes true).
+   * @instance
+   * @memberof Call
+   * @returns {Promise}
+   */
+  @oneFlight
+  hold() {
+    if (this.held) {
+      return Promise.resolve();
+    }
+
+    if (this.status !== `connected`) {
+      return Promise.reject(new Error(`Cannot hold a call that is not connected`));
+    }
+
+    this.logger.info(`call: holding`);
+    return this.spark.locus.hold(this.locus)
+      .then((locus) => this._setLocus(locus))
+      .then(tap(() => this.logger.info(`call: held`)));
+  },
+
+  /**
+   * Takes the call off hold
+   * @instance
+   * @memberof Call
+   * @returns {Promise}
+   */
+  @oneFlight
+  resume() {
+    if (!this.held) {
+      return Promise.resolve();
+    }
+
+    this.logger.info(`call: resuming`);
+    return this.spark.locus.resume(this.locus)
+      .then((locus) => this._setLocus(locus))
+      .then(tap(() => this.logger.info(`call: resumed`)));
+  },
+
+  /**
+   * Transfers the call to another party (blind transfer). The current user
+   * leaves the call once the transfer completes.
+   * @instance
+   * @memberof Call
+   * @param {string} dialString email address, person id, or sip uri
+   * @returns {Promise}
+   */
+  @oneFlight
+  transfer(dialString) {
+    if (!dialString) {
+      return Promise.reject(new Error(`\`dialString\` is required`));
+    }
+
+    if (this.status !== `connected`) {
+      return Promise.reject(new Error(`Cannot transfer a call that is not connected`));
+    }
+
+    this.logger.info(`call: transferring`);
+    return this.spark.locus.transfer(this.locus, normalizeInvitee(dialString))
+      .then(tap(() => this.media.end()))
+      .then((locus) => this._setLocus(locus))
+      .then(tap(() => this.logger.info(`call: transferred`)));
+  },
+
+  /**
+   * Retrieves the call's current media statistics: bitrate, packet loss,
+   * jitter, and round trip time for each kind of media in each direction, plus
+   * resolution and frame rate for video
+   * @instance
+   * @memberof Call
+   * @returns {Promise<Types~CallStats>}
+   */
+  getStats() {
+    if (!this.media.peer) {
+      return Promise.reject(new Error(`Cannot get stats for a call without a peer connection`));
+    }
+
+    return this.media.peer.getStats()
+      .then((report) => {
+        const stats = normalizeStats(report, this._lastStats && this._lastStats.raw);
+        this._lastStats = stats;
+        return stats;
+      });
+  },
+
   /**
    * Replaces the current mediaStrem with one with identical constraints, except
    * for an opposite facing mode. If the current facing mode cannot be
@@ -765,6 +969,83 @@ const Call = SparkPlugin.extend({
     return this.sendingVideo ? this.stopSendingVideo() : this.startSendingVideo();
   },
 
+  /**
+   * Starts sharing a screen (or window or tab) alongside the camera. Prompts
+   * the user via `getDisplayMedia()` unless `options.localScreenStream` is
+   * provided. Sharing stops automatically if the user ends it via the
+   * browser's own controls.
+   * @instance
+   * @memberof Call
+   * @param {Object} options
+   * @param {MediaStreamConstraints} options.constraints passed to
+   * `getDisplayMedia()` (default `{video: true}`)
+   * @param {MediaStream} options.localScreenStream
+   * @returns {Promise}
+   */
+  startScreenShare(options) {
+    // Browsers only allow getDisplayMedia() in response to a user gesture, so
+    // this can't wait for the call to connect the way sendDTMF() does
+    if (this.status !== `connected`) {
+      return Promise.reject(new Error(`Cannot share a screen until the call is connected`));
+    }
+
+    return this.media.startScreenShare(options);
+  },
+
+  /**
+   * Stops sharing a screen
+   * @instance
+   * @memberof Call
+   * @returns {Promise}
+   */
+  stopScreenShare() {
+    return this.media.stopScreenShare();
+  },
+
+  /**
+   * Toggles sharing a screen
+   * @instance
+   * @memberof Call
+   * @param {Object} options see {@link Call#startScreenShare}
+   * @returns {Promise}
+   */
+  toggleScreenShare(options) {
+    return this.sendingScreen ? this.stopScreenShare() : this.startScreenShare(options);
+  },
+
+  /**
+   * Sends DTMF tones (e.g. to navigate an IVR). If the call is still
+   * connecting, the tones are queued until it connects. Successive
+   * invocations play in order.
+   * @instance
+   * @memberof Call
+   * @param {string} tones any combination of `0-9`, `A-D`, `#`, and `*`; `,`
+   * inserts a two second pause
+   * @param {Object} options
+   * @param {number} options.duration milliseconds per tone (default 100)
+   * @param {number} options.gap milliseconds between tones (default 70)
+   * @returns {Promise} resolves once all tones have played; rejects if the
+   * remote party did not negotiate telephone-event or the tones don't finish
+   * playing
+   */
+  sendDTMF(tones, options) {
+    if (!isString(tones) || !/^[0-9A-D#*,]+$/i.test(tones)) {
+      return Promise.reject(new Error(`\`tones\` may only contain 0-9, A-D, #, *, and ,`));
+    }
+
+    options = defaults({}, options, {
+      duration: 100,
+      gap: 70
+    });
+
+    const promise = this.dtmfQueue
+      .then(() => this._waitForConnection())
+      .then(() => this.media.sendDTMF(tones, options));
+
+    this.dtmfQueue = promise.catch(() => undefined);
+    return promise;
+  },
+
   /**
    * Sends feedback about the call to the Cisco Spark cloud
    * @instance
@@ -773,7 +1054,13 @@ const Call = SparkPlugin.extend({
    * @returns {Promise}
    */
   sendFeedback(feedback) {
-    return this.spark.metrics.submit(`meetup_call_user_rating`, feedback);
+    if (!feedback || !feedback.includeStats) {
+      return this.spark.metrics.submit(`meetup_call_user_rating`, feedback);
+    }
+
+    return this.getStats()
+      .catch(() => this._lastStats)
+      .then((stats) => this.spark.metrics.submit(`meetup_call_user_rating`, Object.assign(omit(feedback, `includeStats`), {stats})));
   },
 
   /**
@@ -902,6 +1189,79 @@ const Call = SparkPlugin.extend({
     }
   },
 
+  /**
+   * Collects stats every `config.statsInterval` milliseconds, emitting `stats`
+   * and, as appropriate, `network-quality`
+   * @private
+   * @returns {undefined}
+   */
+  _startStatsMonitor() {
+    const interval = get(this, `config.statsInterval`);
+    if (!interval || this.statsTimer) {
+      return;
+    }
+
+    this.statsTimer = setInterval(() => {
+      if (this.status !== `connected` || !this.media.peer) {
+        this._stopStatsMonitor();
+        return;
+      }
+
+      this.getStats()
+        .then((stats) => {
+          this.trigger(`stats`, stats);
+          const quality = networkQuality(stats, this.config.networkQualityThresholds);
+          if (quality !== this.networkQuality) {
+            this.networkQuality = quality;
+            this.trigger(`network-quality`, quality);
+          }
+        })
+        .catch((reason) => this.logger.warn(`call: failed to collect stats`, reason));
+    }, interval);
+  },
+
+  /**
+   * Stops collecting stats
+   * @private
+   * @returns {undefined}
+   */
+  _stopStatsMonitor() {
+    clearInterval(this.statsTimer);
+    this.statsTimer = undefined;
+  },
+
+  /**
+   * Resolves once the call is connected; rejects if it disconnects first
+   * @private
+   * @returns {Promise}
+   */
+  _waitForConnection() {
+    if (this.status === `connected`) {
+      return Promise.resolve();
+    }
+
+    if (this.status === `disconnected`) {
+      return Promise.reject(new Error(`Call is disconnected`));
+    }
+
+    this.logger.info(`call: waiting for call to connect`);
+    return new Promise((resolve, reject) => {
+      const onStatusChange = () => {
+        if (this.status === `connected`) {
+          this.off(`change:status`, onStatusChange);
+          resolve();
+        }
+
+        if (this.status === `disconnected`) {
+          this.off(`change:status`, onStatusChange);
+          reject(new Error(`Call disconnected before it connected`));
+        }
+      };
+
+      this.on(`change:status`, onStatusChange);
+    });
+  },
+
   _setLocus(incoming) {
     const current = this.locus;
     if (!current) {
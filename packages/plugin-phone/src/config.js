@@ -0,0 +1,34 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+export default {
+  phone: {
+    /**
+     * Milliseconds between `stats` events on connected calls. Set to `0` to
+     * disable periodic stats collection.
+     * @type {number}
+     */
+    statsInterval: 5000,
+    /**
+     * Thresholds at which a call's network quality is considered `fair` or
+     * `poor`. `packetLoss` is a fraction between 0 and 1; `jitter` and `rtt`
+     * are in milliseconds.
+     * @type {Object}
+     */
+    networkQualityThresholds: {
+      fair: {
+        packetLoss: 0.02,
+        jitter: 30,
+        rtt: 300
+      },
+      poor: {
+        packetLoss: 0.1,
+        jitter: 100,
+        rtt: 800
+      }
+    }
+  }
+};
@@ -9,10 +9,14 @@ import '@ciscospark/plugin-metrics';
 
 import {registerPlugin} from '@ciscospark/spark-core';
 import Phone from './phone';
+import config from './config';
 
-registerPlugin(`phone`, Phone);
+registerPlugin(`phone`, Phone, {
+  config
+});
 
 export default Phone;
 export {default as Call} from './call';
 export {default as WebRTCMedia} from './web-rtc-media';
 export {default as boolToStatus} from './bool-to-status';
+export {networkQuality, normalizeStats} from './stats';
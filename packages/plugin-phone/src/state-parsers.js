@@ -4,7 +4,7 @@
  * @private
  */
 
-import {filter} from 'lodash';
+import {filter, get} from 'lodash';
 
 /**
  * Finds the Locus's active participants
@@ -90,6 +90,16 @@ export function mediaDirection(mediaType, participant) {
   return (participant.status[`${mediaType}Status`] || `inactive`).toLowerCase();
 }
 
+/**
+ * Indicates if the specified participant has been placed on hold
+ * @param {Types~LocusParticipant} participant
+ * @private
+ * @returns {Boolean}
+ */
+export function participantIsHeld(participant) {
+  return Boolean(participant && participantIsJoined(participant) && get(participant, `controls.hold.enabled`));
+}
+
 /**
  * Indicates if the specified participant has joined the Locus
  * @param {Types~LocusParticipant} participant
@@ -0,0 +1,277 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {get, isFunction, values} from 'lodash';
+
+/**
+ * Normalized statistics for one kind of media flowing in one direction
+ * @typedef {Object} Types~MediaStats
+ * @property {number} bitrate bits per second
+ * @property {number} packetLoss fraction (between 0 and 1) of packets lost
+ * since the previous sample
+ * @property {number} jitter milliseconds
+ * @property {number} rtt round trip time in milliseconds
+ * @property {number} width video only; frame width in pixels
+ * @property {number} height video only; frame height in pixels
+ * @property {number} frameRate video only; frames per second
+ */
+
+/**
+ * Normalized statistics for a {@link Call}
+ * @typedef {Object} Types~CallStats
+ * @property {number} timestamp
+ * @property {number} rtt round trip time of the active candidate pair in
+ * milliseconds
+ * @property {Object} audio
+ * @property {Types~MediaStats} audio.send
+ * @property {Types~MediaStats} audio.receive
+ * @property {Object} video
+ * @property {Types~MediaStats} video.send
+ * @property {Types~MediaStats} video.receive
+ */
+
+const qualities = [`good`, `fair`, `poor`];
+
+/**
+ * Converts seconds to milliseconds, leaving missing values missing
+ * @param {number} seconds
+ * @private
+ * @returns {number}
+ */
+function toMs(seconds) {
+  return typeof seconds === `number` ? Math.round(seconds * 1000) : undefined;
+}
+
+/**
+ * Removes undefined values
+ * @param {Object} obj
+ * @private
+ * @returns {Object}
+ */
+function compact(obj) {
+  Object.keys(obj).forEach((key) => {
+    if (obj[key] === undefined) {
+      Reflect.deleteProperty(obj, key);
+    }
+  });
+  return obj;
+}
+
+/**
+ * Converts an RTCStatsReport (which is Map-like) into a plain object keyed by
+ * stat id
+ * @param {RTCStatsReport} report
+ * @private
+ * @returns {Object}
+ */
+function toObject(report) {
+  if (!isFunction(report.forEach)) {
+    return report;
+  }
+
+  const stats = {};
+  report.forEach((stat, id) => {
+    stats[stat.id || id] = stat;
+  });
+  return stats;
+}
+
+/**
+ * Computes bits per second between two byte counts
+ * @param {Object} stat
+ * @param {Object} previous
+ * @param {string} key
+ * @private
+ * @returns {number}
+ */
+function bitrate(stat, previous, key) {
+  if (!previous || stat.timestamp <= previous.timestamp) {
+    return undefined;
+  }
+
+  return Math.round((stat[key] - previous[key]) * 8 * 1000 / (stat.timestamp - previous.timestamp));
+}
+
+/**
+ * Computes the fraction of packets lost between two samples
+ * @param {Object} stat
+ * @param {Object} previous
+ * @param {string} key the counter of successfully transferred packets
+ * @private
+ * @returns {number}
+ */
+function packetLoss(stat, previous, key) {
+  if (typeof stat.packetsLost !== `number`) {
+    return undefined;
+  }
+
+  const lost = stat.packetsLost - get(previous, `packetsLost`, 0);
+  const transferred = stat[key] - get(previous, key, 0);
+  if (lost + transferred <= 0) {
+    return 0;
+  }
+
+  return lost / (lost + transferred);
+}
+
+/**
+ * Finds the video resolution and framerate for an rtp stat, falling back to
+ * its track stat for browsers that report them there
+ * @param {Object} stat
+ * @param {Object} stats
+ * @private
+ * @returns {Object}
+ */
+function videoDetails(stat, stats) {
+  const track = stats[stat.trackId] || {};
+  return {
+    width: stat.frameWidth || track.frameWidth,
+    height: stat.frameHeight || track.frameHeight,
+    frameRate: stat.framesPerSecond || track.framesPerSecond
+  };
+}
+
+/**
+ * Produces normalized stats for an `outbound-rtp` stat
+ * @param {Object} stat
+ * @param {Object} stats
+ * @param {Object} previous
+ * @private
+ * @returns {Types~MediaStats}
+ */
+function normalizeOutbound(stat, stats, previous) {
+  // The remote side's view of our stream is where we learn about loss and
+  // jitter
+  const remote = stats[stat.remoteId] || values(stats).find((s) => s.type === `remote-inbound-rtp` && s.ssrc === stat.ssrc) || {};
+  const previousRemote = previous && (previous[stat.remoteId] || values(previous).find((s) => s.type === `remote-inbound-rtp` && s.ssrc === stat.ssrc));
+
+  return compact(Object.assign({
+    bitrate: bitrate(stat, previous && previous[stat.id], `bytesSent`),
+    packetLoss: remote.fractionLost === undefined ? packetLoss(remote, previousRemote, `packetsReceived`) : remote.fractionLost,
+    jitter: toMs(remote.jitter),
+    rtt: toMs(remote.roundTripTime)
+  }, stat.kind === `video` ? videoDetails(stat, stats) : {}));
+}
+
+/**
+ * Produces normalized stats for an `inbound-rtp` stat
+ * @param {Object} stat
+ * @param {Object} stats
+ * @param {Object} previous
+ * @private
+ * @returns {Types~MediaStats}
+ */
+function normalizeInbound(stat, stats, previous) {
+  const prev = previous && previous[stat.id];
+
+  return compact(Object.assign({
+    bitrate: bitrate(stat, prev, `bytesReceived`),
+    packetLoss: packetLoss(stat, prev, `packetsReceived`),
+    jitter: toMs(stat.jitter)
+  }, stat.kind === `video` ? videoDetails(stat, stats) : {}));
+}
+
+/**
+ * Indicates if any of a media stream's stats meet or exceed a threshold
+ * @param {Types~MediaStats} sample
+ * @param {Object} threshold
+ * @private
+ * @returns {boolean}
+ */
+function exceeds(sample, threshold) {
+  return [`packetLoss`, `jitter`, `rtt`].some((key) => sample[key] >= threshold[key]);
+}
+
+/**
+ * Rates a single media stream's stats against the thresholds
+ * @param {Types~MediaStats} sample
+ * @param {Object} thresholds
+ * @private
+ * @returns {string}
+ */
+function rate(sample, thresholds) {
+  return [`poor`, `fair`].find((level) => exceeds(sample, thresholds[level])) || `good`;
+}
+
+/**
+ * Converts an RTCStatsReport into {@link Types~CallStats}
+ * @param {RTCStatsReport|Object} report
+ * @param {Object} previous the raw stats (as returned by this function's
+ * `raw` property) from the previous sample, used to compute rates
+ * @returns {Types~CallStats}
+ */
+export function normalizeStats(report, previous) {
+  const stats = toObject(report);
+  const result = {
+    timestamp: Date.now(),
+    audio: {
+      send: {},
+      receive: {}
+    },
+    video: {
+      send: {},
+      receive: {}
+    }
+  };
+
+  values(stats).forEach((stat) => {
+    const kind = stat.kind || stat.mediaType;
+    if (stat.isRemote || !result[kind]) {
+      if (stat.type === `candidate-pair` && stat.nominated && stat.state === `succeeded`) {
+        result.rtt = toMs(stat.currentRoundTripTime);
+      }
+      return;
+    }
+
+    if (stat.type === `outbound-rtp`) {
+      result[kind].send = normalizeOutbound(stat, stats, previous);
+    }
+
+    if (stat.type === `inbound-rtp`) {
+      result[kind].receive = normalizeInbound(stat, stats, previous);
+    }
+  });
+
+  [`audio`, `video`].forEach((kind) => {
+    if (result.rtt !== undefined && result[kind].send.rtt === undefined && Object.keys(result[kind].send).length) {
+      result[kind].send.rtt = result.rtt;
+    }
+  });
+
+  Reflect.defineProperty(result, `raw`, {
+    enumerable: false,
+    value: stats
+  });
+
+  return compact(result);
+}
+
+/**
+ * Rates the network quality indicated by a set of stats as `good`, `fair`,
+ * or `poor`. The rating is determined by the worst of packet loss, jitter, and
+ * round trip time across all media streams.
+ * @param {Types~CallStats} stats
+ * @param {Object} thresholds e.g. `{fair: {packetLoss, jitter, rtt}, poor:
+ * {packetLoss, jitter, rtt}}`
+ * @returns {string} `good`, `fair`, `poor`, or `unknown` if there's no data
+ */
+export function networkQuality(stats, thresholds) {
+  const samples = [
+    stats.audio.send,
+    stats.audio.receive,
+    stats.video.send,
+    stats.video.receive
+  ].filter((sample) => Object.keys(sample).length);
+
+  if (!samples.length) {
+    return `unknown`;
+  }
+
+  return samples.reduce((quality, sample) => {
+    const rating = rate(sample, thresholds);
+    return qualities.indexOf(rating) > qualities.indexOf(quality) ? rating : quality;
+  }, `good`);
+}
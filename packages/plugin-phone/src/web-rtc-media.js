@@ -4,11 +4,16 @@ import {debounce, isBoolean, isObject} from 'lodash';
 
 import {
   acceptAnswer,
+  addScreenStream,
   addStream,
   createOffer,
   end,
   ensureH264,
+  getCameraStreams,
+  getDisplayMedia,
+  getDTMFSender,
   getUserMedia,
+  removeScreenStream,
   removeStream,
   startSendingAudio,
   startSendingVideo,
@@ -29,6 +34,25 @@ const sending = {
   }
 };
 
+/**
+ * Extra time (beyond the tones themselves) {@link WebRTCMedia#sendDTMF} allows
+ * before giving up on the RTCDTMFSender
+ * @type {number}
+ */
+const dtmfTimeoutMargin = 1000;
+
+/**
+ * Computes how long the RTCDTMFSender should take to play `tones`
+ * @param {string} tones
+ * @param {Object} options
+ * @param {number} options.duration milliseconds per tone
+ * @param {number} options.gap milliseconds between tones
+ * @returns {number}
+ */
+function getDTMFDuration(tones, options) {
+  return tones.split(``).reduce((total, tone) => total + (tone === `,` ? 2000 : options.duration + options.gap), 0);
+}
+
 /**
  * Determines if the peer connection is receiving the specified kind of media
  * @param {string} kind audio|video
@@ -77,6 +101,15 @@ function getRemoteMediaStatus(kind, pc) {
   return false;
 }
 
+/**
+ * Determines if the specified stream has a live video track
+ * @param {MediaStream} stream
+ * @returns {bool}
+ */
+function hasLiveVideo(stream) {
+  return Boolean(stream) && stream.getVideoTracks().some((track) => track.readyState !== `ended`);
+}
+
 /**
  * Determines if the peer connection is sending the specified kind of media
  * @param {string} kind audio|video
@@ -84,7 +117,7 @@ function getRemoteMediaStatus(kind, pc) {
  * @returns {bool} true if sending, false if not
  */
 function getLocalMediaStatus(kind, pc) {
-  const res = pc.getLocalStreams().reduce((isFlowing, stream) => {
+  const res = getCameraStreams(pc).reduce((isFlowing, stream) => {
     const isStreamFlowing = stream.getTracks().reduce((isFlowingForTracks, track) => {
       const isTrackFlowing = track.kind === kind && track.enabled;
       return isFlowingForTracks || isTrackFlowing;
@@ -109,6 +142,10 @@ const WebRTCMedia = AmpState.extend({
       default: undefined,
       type: `object`
     },
+    localScreenStream: {
+      default: undefined,
+      type: `object`
+    },
     offerToReceiveAudio: {
       default: false,
       type: `boolean`
@@ -124,6 +161,10 @@ const WebRTCMedia = AmpState.extend({
       default: false,
       type: `boolean`
     },
+    receivingScreen: {
+      default: false,
+      type: `boolean`
+    },
     receivingVideo: {
       default: false,
       type: `boolean`
@@ -132,10 +173,18 @@ const WebRTCMedia = AmpState.extend({
       default: undefined,
       type: `object`
     },
+    remoteScreenStream: {
+      default: undefined,
+      type: `object`
+    },
     sendingAudio: {
       default: false,
       type: `boolean`
     },
+    sendingScreen: {
+      default: false,
+      type: `boolean`
+    },
     sendingVideo: {
       default: false,
       type: `boolean`
@@ -152,6 +201,7 @@ const WebRTCMedia = AmpState.extend({
       .then(() => {
         this.set({
           sendingAudio: getLocalMediaStatus(`audio`, this.peer),
+          sendingScreen: hasLiveVideo(this.localScreenStream),
           sendingVideo: getLocalMediaStatus(`video`, this.peer)
         });
       })
@@ -162,28 +212,7 @@ const WebRTCMedia = AmpState.extend({
     if (!this.peer) {
       this.peer = new RTCPeerConnection({iceServers: []});
 
-      this.peer.ontrack = (event) => {
-        this.remoteMediaStream = event.streams[0];
-
-        this.remoteMediaStream.getTracks().forEach((track) => {
-          track.onended = () => {
-            try {
-              if (track.kind === `audio`) {
-                this.receivingAudio = getRemoteMediaStatus(`audio`, this.peer);
-              }
-              else {
-                this.receivingVideo = getRemoteMediaStatus(`video`, this.peer);
-              }
-            }
-            catch (e) {
-              this.emit(`error`, e);
-            }
-          };
-        });
-
-        this.receivingAudio = getRemoteMediaStatus(`audio`, this.peer);
-        this.receivingVideo = getRemoteMediaStatus(`video`, this.peer);
-      };
+      this.peer.ontrack = (event) => this._onTrack(event);
     }
 
     let p;
@@ -222,8 +251,17 @@ const WebRTCMedia = AmpState.extend({
       if (this.peer && this.peer.signalingState !== `closed`) {
         end(this.peer);
       }
+      if (this.localScreenStream) {
+        removeScreenStream(this.peer, this.localScreenStream);
+      }
       this.unset(`localMediaStream`);
+      this.unset(`localScreenStream`);
       this.unset(`remoteMediaStream`);
+      this.unset(`remoteScreenStream`);
+      this.set({
+        receivingScreen: false,
+        sendingScreen: false
+      });
       this.ended = true;
     }
   },
@@ -287,7 +325,7 @@ const WebRTCMedia = AmpState.extend({
         return;
       }
 
-      const streams = this.peer.getLocalStreams();
+      const streams = getCameraStreams(this.peer);
       if (!streams.includes(this.localMediaStream)) {
         streams.forEach((stream) => {
           removeStream(this.peer, stream);
@@ -306,6 +344,116 @@ const WebRTCMedia = AmpState.extend({
     });
   },
 
+  /**
+   * Starts sending a screen stream alongside the camera stream. Resolves once
+   * the resulting renegotiation completes.
+   * @param {Object} options
+   * @param {MediaStreamConstraints} options.constraints passed to
+   * `getDisplayMedia()`
+   * @param {MediaStream} options.localScreenStream share this stream instead of
+   * prompting via `getDisplayMedia()`
+   * @returns {Promise}
+   */
+  startScreenShare(options) {
+    options = options || {};
+    if (!this.peer) {
+      return Promise.reject(new Error(`Cannot share a screen before the call has started`));
+    }
+
+    return Promise.resolve(options.localScreenStream || getDisplayMedia(options.constraints || {video: true}))
+      .then((stream) => new Promise((resolve) => {
+        this.once(`answeraccepted`, resolve);
+
+        if (this.localScreenStream) {
+          removeScreenStream(this.peer, this.localScreenStream);
+        }
+
+        // Stop sharing when the user ends the share via the browser's own UI
+        stream.getVideoTracks().forEach((track) => {
+          track.onended = () => {
+            if (this.localScreenStream === stream) {
+              this.stopScreenShare();
+            }
+          };
+        });
+
+        addScreenStream(this.peer, stream);
+        this.localScreenStream = stream;
+      }));
+  },
+
+  /**
+   * Stops sending the screen stream. Resolves once the resulting
+   * renegotiation completes.
+   * @returns {Promise}
+   */
+  stopScreenShare() {
+    if (!this.localScreenStream) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.once(`answeraccepted`, resolve);
+      removeScreenStream(this.peer, this.localScreenStream);
+      this.unset(`localScreenStream`);
+    });
+  },
+
+  /**
+   * Handles the peer's `track` events. A video-only stream arriving alongside
+   * the existing remote stream is the remote party's screen; anything else
+   * belongs to the remote camera/microphone stream.
+   * @param {RTCTrackEvent} event
+   * @private
+   * @returns {undefined}
+   */
+  _onTrack(event) {
+    if (this.remoteMediaStream && event.streams[0] !== this.remoteMediaStream && event.track.kind === `video` && !event.streams[0].getAudioTracks().length) {
+      this._onRemoteScreenTrack(event.streams[0], event.track);
+      return;
+    }
+
+    this.remoteMediaStream = event.streams[0];
+
+    this.remoteMediaStream.getTracks().forEach((track) => {
+      track.onended = () => {
+        try {
+          if (track.kind === `audio`) {
+            this.receivingAudio = getRemoteMediaStatus(`audio`, this.peer);
+          }
+          else {
+            this.receivingVideo = getRemoteMediaStatus(`video`, this.peer);
+          }
+        }
+        catch (e) {
+          this.emit(`error`, e);
+        }
+      };
+    });
+
+    this.receivingAudio = getRemoteMediaStatus(`audio`, this.peer);
+    this.receivingVideo = getRemoteMediaStatus(`video`, this.peer);
+  },
+
+  /**
+   * Tracks the remote party's screen stream
+   * @param {MediaStream} stream
+   * @param {MediaStreamTrack} track
+   * @private
+   * @returns {undefined}
+   */
+  _onRemoteScreenTrack(stream, track) {
+    track.onended = () => {
+      if (this.remoteScreenStream === stream && !hasLiveVideo(stream)) {
+        this.unset(`remoteScreenStream`);
+        this.receivingScreen = false;
+      }
+    };
+
+    this.remoteScreenStream = stream;
+    this.receivingScreen = true;
+  },
+
   /**
    * Binds events that should be bound one time only once the session has been
    * fully negotiated
@@ -330,6 +478,42 @@ const WebRTCMedia = AmpState.extend({
     });
   },
 
+  /**
+   * Sends DTMF tones via the peer connection's audio sender. Emits `dtmf:tone`
+   * as each tone begins playing.
+   * @param {string} tones
+   * @param {Object} options
+   * @param {number} options.duration milliseconds per tone
+   * @param {number} options.gap milliseconds between tones
+   * @returns {Promise} resolves once all tones have played; rejects if they
+   * haven't finished well after they should have
+   */
+  sendDTMF(tones, options) {
+    return new Promise((resolve, reject) => {
+      const dtmf = getDTMFSender(this.peer);
+
+      // The sender stops reporting tone changes if its track ends or the peer
+      // closes mid-sequence
+      const timer = setTimeout(() => {
+        dtmf.ontonechange = undefined;
+        reject(new Error(`Timed out waiting for DTMF tones to play`));
+      }, getDTMFDuration(tones, options) + dtmfTimeoutMargin);
+
+      dtmf.ontonechange = (event) => {
+        if (event.tone) {
+          this.trigger(`dtmf:tone`, event.tone);
+          return;
+        }
+
+        clearTimeout(timer);
+        dtmf.ontonechange = undefined;
+        resolve();
+      };
+
+      dtmf.insertDTMF(tones, options.duration, options.gap);
+    });
+  },
+
   set(key, value, options) {
     let attrs;
     // Handle both `"key", value` and `{key: value}` -style arguments.
@@ -11,9 +11,13 @@ import transform from 'sdp-transform';
 import {curry, defaults, find} from 'lodash';
 import {tap} from '@ciscospark/common';
 
+// Screen streams travel over the same peer connection as camera streams, but
+// must not be affected when camera audio/video is toggled
+const screenStreams = new WeakSet();
+
 const startSendingMedia = curry((kind, pc) => {
   let foundKind = false;
-  pc.getLocalStreams().forEach((stream) => {
+  getCameraStreams(pc).forEach((stream) => {
     stream.getTracks().forEach((track) => {
       if (track.kind === kind) {
         foundKind = true;
@@ -31,7 +35,7 @@ const startSendingMedia = curry((kind, pc) => {
 
     return getUserMedia(constraints)
       .then((stream) => {
-        const localStream = pc.getLocalStreams()[0];
+        const localStream = getCameraStreams(pc)[0];
         if (localStream) {
           if (pc.addTrack) {
             stream.getTracks().forEach((track) => {
@@ -69,7 +73,7 @@ const startSendingMedia = curry((kind, pc) => {
 });
 
 const stopSendingMedia = curry((kind, pc) => {
-  pc.getLocalStreams().forEach((stream) => {
+  getCameraStreams(pc).forEach((stream) => {
     stream.getTracks().forEach((track) => {
       if (track.kind === kind) {
         track.enabled = false;
@@ -78,6 +82,45 @@ const stopSendingMedia = curry((kind, pc) => {
   });
 });
 
+/**
+ * Lists the specified RTCPeerConnection's local streams, excluding screen
+ * streams
+ * @param {RTCPeerConnection} pc
+ * @private
+ * @returns {Array<MediaStream>}
+ */
+export function getCameraStreams(pc) {
+  return pc.getLocalStreams().filter((stream) => !screenStreams.has(stream));
+}
+
+/**
+ * Adds a screen stream to the specified RTCPeerConnection
+ * @param {RTCPeerConnection} pc
+ * @param {MediaStream} stream
+ * @private
+ * @returns {undefined}
+ */
+export function addScreenStream(pc, stream) {
+  screenStreams.add(stream);
+  addStream(pc, stream);
+}
+
+/**
+ * Removes a screen stream from the specified RTCPeerConnection and stops its
+ * tracks
+ * @param {RTCPeerConnection} pc
+ * @param {MediaStream} stream
+ * @private
+ * @returns {undefined}
+ */
+export function removeScreenStream(pc, stream) {
+  if (pc.signalingState !== `closed` && pc.getLocalStreams().includes(stream)) {
+    removeStream(pc, stream);
+  }
+  stopStream(stream);
+  screenStreams.delete(stream);
+}
+
 /**
  * Adds a bandwith limit line to the sdp; without this line, calling fails
  * @param {string} sdp SDP
@@ -167,6 +210,20 @@ export function getUserMedia(constraints) {
   return navigator.mediaDevices.getUserMedia(constraints);
 }
 
+/**
+ * Prompts the user to choose a screen, window, or tab to share
+ * @param {MediaStreamConstraints} constraints
+ * @private
+ * @returns {Promise<MediaStream>}
+ */
+export function getDisplayMedia(constraints) {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+    return Promise.reject(new Error(`Screen sharing is not supported in this browser`));
+  }
+
+  return navigator.mediaDevices.getDisplayMedia(constraints);
+}
+
 /**
  * Creates an offer sdp based on the state of the specified RTCPeerConnection and
  * offer options
@@ -352,3 +409,75 @@ export const ensureH264 = curry((wantsVideo, offer) => {
   }
   return offer;
 });
+
+/**
+ * Indicates whether the remote party negotiated the telephone-event codec
+ * (RFC 4733), without which DTMF tones cannot be sent
+ * @param {RTCPeerConnection} pc
+ * @private
+ * @returns {Boolean}
+ */
+export function supportsTelephoneEvent(pc) {
+  if (!pc.remoteDescription || !pc.remoteDescription.sdp) {
+    return false;
+  }
+
+  const sdp = transform.parse(pc.remoteDescription.sdp);
+  const media = find(sdp.media, {type: `audio`});
+  return Boolean(media && find(media.rtp, (rtp) => rtp.codec.toLowerCase() === `telephone-event`));
+}
+
+/**
+ * Finds (or, in browsers that predate RTCRtpSender#dtmf, creates) the
+ * RTCDTMFSender for the specified RTCPeerConnection's audio track
+ * @param {RTCPeerConnection} pc
+ * @private
+ * @returns {RTCDTMFSender}
+ */
+function findDTMFSender(pc) {
+  if (pc.getSenders) {
+    const sender = find(pc.getSenders(), (s) => s.track && s.track.kind === `audio`);
+    if (sender && sender.dtmf) {
+      return sender.dtmf;
+    }
+  }
+
+  if (pc.createDTMFSender) {
+    let track;
+    pc.getLocalStreams().forEach((stream) => {
+      track = track || stream.getAudioTracks()[0];
+    });
+    if (track) {
+      return pc.createDTMFSender(track);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Produces the RTCDTMFSender for the specified RTCPeerConnection
+ * @param {RTCPeerConnection} pc
+ * @private
+ * @returns {RTCDTMFSender}
+ */
+export function getDTMFSender(pc) {
+  if (!pc || pc.signalingState === `closed`) {
+    throw new Error(`Cannot send DTMF without an active peer connection`);
+  }
+
+  if (!supportsTelephoneEvent(pc)) {
+    throw new Error(`Cannot send DTMF: the remote party did not negotiate telephone-event`);
+  }
+
+  const dtmf = findDTMFSender(pc);
+  if (!dtmf) {
+    throw new Error(`Cannot send DTMF without a local audio track`);
+  }
+
+  if (dtmf.canInsertDTMF === false) {
+    throw new Error(`Cannot send DTMF: the audio sender cannot currently insert DTMF`);
+  }
+
+  return dtmf;
+}
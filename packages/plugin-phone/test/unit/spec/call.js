@@ -6,7 +6,11 @@
 import {assert} from '@ciscospark/test-helper-chai';
 import sinon from '@ciscospark/test-helper-sinon';
 import MockSpark from '@ciscospark/test-helper-mock-spark';
+import {Recorder} from '@ciscospark/http-core';
 import {Call} from '../..';
+import Locus from '@ciscospark/plugin-locus';
+import fixture from '../fixtures/locus-hold.json';
+import {cloneDeep} from 'lodash';
 import {EventEmitter} from 'events';
 
 describe(`plugin-phone`, function() {
@@ -14,6 +18,40 @@ describe(`plugin-phone`, function() {
 
   describe(`Call`, () => {
     let call;
+
+    /**
+     * Produces a locus in which the remote participant is in the specified
+     * state
+     * @param {string} remoteState
+     * @returns {Types~Locus}
+     */
+    function makeLocus(remoteState) {
+      return {
+        url: `https://locus.example.com/loci/1`,
+        fullState: {
+          state: `ACTIVE`
+        },
+        self: {
+          url: `https://locus.example.com/participant/self`,
+          state: `JOINED`,
+          devices: []
+        },
+        participants: [{
+          url: `https://locus.example.com/participant/self`,
+          type: `USER`,
+          state: `JOINED`
+        }, {
+          url: `https://locus.example.com/participant/remote`,
+          type: `USER`,
+          state: remoteState,
+          status: {
+            audioStatus: `SENDRECV`,
+            videoStatus: `SENDRECV`
+          }
+        }]
+      };
+    }
+
     beforeEach(() => {
       sinon.spy(URL, `revokeObjectURL`);
     });
@@ -294,5 +332,200 @@ describe(`plugin-phone`, function() {
           });
       });
     });
+
+    describe(`#sendDTMF()`, () => {
+      beforeEach(() => {
+        call = new Call({
+          parent: new MockSpark({
+            mercury: new EventEmitter()
+          })
+        });
+        sinon.stub(call.media, `sendDTMF`).returns(Promise.resolve());
+      });
+
+      it(`rejects invalid tones`, () => assert.isRejected(call.sendDTMF(`12x`), /may only contain/)
+        .then(() => assert.notCalled(call.media.sendDTMF)));
+
+      it(`sends tones on connected calls`, () => {
+        call.locus = makeLocus(`JOINED`);
+        assert.equal(call.status, `connected`);
+        return call.sendDTMF(`1#`, {duration: 200})
+          .then(() => assert.calledWith(call.media.sendDTMF, `1#`, {
+            duration: 200,
+            gap: 70
+          }));
+      });
+
+      it(`queues tones until the call connects`, () => {
+        call.locus = makeLocus(`NOTIFIED`);
+        assert.equal(call.status, `ringing`);
+        const promise = call.sendDTMF(`123`);
+        return Promise.resolve()
+          .then(() => {
+            assert.notCalled(call.media.sendDTMF);
+            call.locus = makeLocus(`JOINED`);
+            return promise;
+          })
+          .then(() => assert.calledWith(call.media.sendDTMF, `123`));
+      });
+
+      it(`rejects queued tones if the call disconnects`, () => {
+        call.locus = makeLocus(`NOTIFIED`);
+        const promise = call.sendDTMF(`123`);
+        call.locus = makeLocus(`DECLINED`);
+        return assert.isRejected(promise, /disconnected/)
+          .then(() => assert.notCalled(call.media.sendDTMF));
+      });
+
+      it(`emits dtmf:tone as tones play`, () => {
+        const spy = sinon.spy();
+        call.on(`dtmf:tone`, spy);
+        call.media.trigger(`dtmf:tone`, `1`);
+        assert.calledWith(spy, `1`);
+      });
+    });
+
+    describe(`#toggleScreenShare()`, () => {
+      beforeEach(() => {
+        call = new Call({
+          parent: new MockSpark({
+            mercury: new EventEmitter()
+          })
+        });
+        sinon.stub(call.media, `startScreenShare`).returns(Promise.resolve());
+        sinon.stub(call.media, `stopScreenShare`).returns(Promise.resolve());
+      });
+
+      it(`refuses to share a screen before the call connects`, () => {
+        call.locus = makeLocus(`NOTIFIED`);
+        return assert.isRejected(call.toggleScreenShare(), /until the call is connected/)
+          .then(() => assert.notCalled(call.media.startScreenShare));
+      });
+
+      it(`starts sharing when not sharing`, () => {
+        call.locus = makeLocus(`JOINED`);
+        const options = {constraints: {video: true}};
+        return call.toggleScreenShare(options)
+          .then(() => assert.calledWith(call.media.startScreenShare, options));
+      });
+
+      it(`stops sharing when sharing`, () => {
+        call.locus = makeLocus(`JOINED`);
+        call.media.sendingScreen = true;
+        assert.isTrue(call.sendingScreen);
+        return call.toggleScreenShare()
+          .then(() => {
+            assert.calledOnce(call.media.stopScreenShare);
+            assert.notCalled(call.media.startScreenShare);
+          });
+      });
+
+      it(`emits remoteScreenStream:change`, () => {
+        const spy = sinon.spy();
+        call.on(`remoteScreenStream:change`, spy);
+        call.media.set({
+          receivingScreen: true,
+          remoteScreenStream: {}
+        });
+        assert.called(spy);
+        assert.isTrue(call.receivingScreen);
+      });
+    });
+
+    describe(`#hold()`, () => {
+      // Responses recorded from the Locus service for a call that is held,
+      // resumed and then transferred
+      const [joinedRecording] = fixture.entries;
+      let recorder;
+
+      beforeEach(() => {
+        recorder = new Recorder({fixture, mode: `replay`});
+        call = new Call({
+          parent: new MockSpark({
+            mercury: new EventEmitter(),
+            children: {
+              locus: Locus
+            },
+            request: sinon.spy((options) => recorder.transport(options))
+          })
+        });
+        call.spark.device.url = joinedRecording.response.body.self.deviceUrl;
+        sinon.stub(call, `stopSendingAudio`).returns(Promise.resolve());
+        sinon.stub(call, `stopSendingVideo`).returns(Promise.resolve());
+
+        return call.spark.locus.get(joinedRecording.response.body)
+          .then((locus) => {
+            call.locus = locus;
+            call.media.set({
+              sendingAudio: true,
+              sendingVideo: true
+            });
+          });
+      });
+
+      it(`refuses to hold a call that is not connected`, () => {
+        // i.e., the current user answered on another device
+        const locus = cloneDeep(joinedRecording.response.body);
+        locus.self.deviceUrl = `https://wdm-a.wbx2.com/wdm/api/v1/devices/another-device`;
+        call.locus = locus;
+        assert.notEqual(call.status, `connected`);
+        return assert.isRejected(call.hold(), /not connected/)
+          .then(() => assert.isFalse(call.spark.request.args.some(([options]) => /\/hold$/.test(options.uri))));
+      });
+
+      it(`holds the call via locus without touching local media`, () => {
+        const spy = sinon.spy();
+        call.on(`change:held`, spy);
+        assert.equal(call.status, `connected`);
+
+        return call.hold()
+          .then(() => {
+            assert.equal(call.spark.request.args[1][0].method, `PUT`);
+            assert.match(call.spark.request.args[1][0].uri, /\/hold$/);
+            assert.isTrue(call.held);
+            assert.called(spy);
+            assert.equal(call.status, `connected`);
+            assert.notCalled(call.stopSendingAudio);
+            assert.notCalled(call.stopSendingVideo);
+            assert.isTrue(call.sendingAudio);
+            assert.isTrue(call.sendingVideo);
+          });
+      });
+
+      it(`is a noop for calls that are already held`, () => call.hold()
+        .then(() => call.hold())
+        .then(() => assert.lengthOf(call.spark.request.args, 2)));
+
+      describe(`#resume()`, () => {
+        it(`takes the call off hold via locus`, () => call.hold()
+          .then(() => call.resume())
+          .then(() => {
+            assert.match(call.spark.request.args[2][0].uri, /\/resume$/);
+            assert.isFalse(call.held);
+            assert.equal(call.status, `connected`);
+            assert.isTrue(call.sendingAudio);
+            assert.isTrue(call.sendingVideo);
+          }));
+
+        it(`is a noop for calls that are not held`, () => call.resume()
+          .then(() => assert.lengthOf(call.spark.request.args, 1)));
+      });
+
+      describe(`#transfer()`, () => {
+        it(`requires a dialString`, () => assert.isRejected(call.transfer(), /dialString/));
+
+        it(`transfers the call`, () => {
+          sinon.stub(call.media, `end`);
+          return call.transfer(`sip:someone@example.com`)
+            .then(() => {
+              const options = call.spark.request.args[1][0];
+              assert.match(options.uri, /\/transfer$/);
+              assert.deepEqual(options.body.invitee, {invitee: `sip:someone@example.com`});
+              assert.calledOnce(call.media.end);
+              assert.equal(call.status, `disconnected`);
+            });
+        });
+      });
+    });
   });
 });
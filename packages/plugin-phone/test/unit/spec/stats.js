@@ -0,0 +1,118 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {assert} from '@ciscospark/test-helper-chai';
+import {networkQuality, normalizeStats} from '../..';
+
+describe(`plugin-phone`, () => {
+  describe(`normalizeStats()`, () => {
+    const thresholds = {
+      fair: {
+        packetLoss: 0.02,
+        jitter: 30,
+        rtt: 300
+      },
+      poor: {
+        packetLoss: 0.1,
+        jitter: 100,
+        rtt: 800
+      }
+    };
+
+    /**
+     * Produces a Map-like stats report as returned by
+     * RTCPeerConnection#getStats()
+     * @param {number} timestamp
+     * @param {number} multiplier
+     * @returns {Map}
+     */
+    function makeReport(timestamp, multiplier) {
+      return new Map([
+        [`out-video`, {
+          id: `out-video`,
+          type: `outbound-rtp`,
+          kind: `video`,
+          ssrc: 1,
+          timestamp,
+          bytesSent: 125000 * multiplier,
+          packetsSent: 1000 * multiplier,
+          remoteId: `remote-video`,
+          frameWidth: 640,
+          frameHeight: 480,
+          framesPerSecond: 30
+        }],
+        [`remote-video`, {
+          id: `remote-video`,
+          type: `remote-inbound-rtp`,
+          kind: `video`,
+          ssrc: 1,
+          timestamp,
+          packetsLost: 5 * multiplier,
+          packetsReceived: 995 * multiplier,
+          jitter: 0.012,
+          roundTripTime: 0.05
+        }],
+        [`in-audio`, {
+          id: `in-audio`,
+          type: `inbound-rtp`,
+          kind: `audio`,
+          ssrc: 2,
+          timestamp,
+          bytesReceived: 4000 * multiplier,
+          packetsReceived: 50 * multiplier,
+          packetsLost: 0,
+          jitter: 0.004
+        }],
+        [`pair`, {
+          id: `pair`,
+          type: `candidate-pair`,
+          nominated: true,
+          state: `succeeded`,
+          currentRoundTripTime: 0.04
+        }]
+      ]);
+    }
+
+    it(`normalizes loss, jitter, rtt, and video details`, () => {
+      const stats = normalizeStats(makeReport(1000, 1));
+      assert.equal(stats.rtt, 40);
+      assert.equal(stats.video.send.packetLoss, 0.005);
+      assert.equal(stats.video.send.jitter, 12);
+      assert.equal(stats.video.send.rtt, 50);
+      assert.equal(stats.video.send.width, 640);
+      assert.equal(stats.video.send.height, 480);
+      assert.equal(stats.video.send.frameRate, 30);
+      assert.equal(stats.audio.receive.jitter, 4);
+      assert.equal(stats.audio.receive.packetLoss, 0);
+      assert.notProperty(stats.audio.receive, `bitrate`);
+      assert.deepEqual(stats.audio.send, {});
+    });
+
+    it(`computes bitrates relative to the previous sample`, () => {
+      const previous = normalizeStats(makeReport(1000, 1));
+      const stats = normalizeStats(makeReport(2000, 2), previous.raw);
+      assert.equal(stats.video.send.bitrate, 1000000);
+      assert.equal(stats.audio.receive.bitrate, 32000);
+    });
+
+    describe(`networkQuality()`, () => {
+      it(`rates stats below all thresholds as good`, () => {
+        assert.equal(networkQuality(normalizeStats(makeReport(1000, 1)), thresholds), `good`);
+      });
+
+      it(`rates stats by the worst stream`, () => {
+        const stats = normalizeStats(makeReport(1000, 1));
+        stats.audio.receive.jitter = 45;
+        assert.equal(networkQuality(stats, thresholds), `fair`);
+        stats.video.send.packetLoss = 0.2;
+        assert.equal(networkQuality(stats, thresholds), `poor`);
+      });
+
+      it(`is unknown without any media`, () => {
+        assert.equal(networkQuality(normalizeStats(new Map()), thresholds), `unknown`);
+      });
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import sinon from '@ciscospark/test-helper-sinon';
+import lolex from 'lolex';
 import handleErrorEvent from '../../integration/lib/handle-error-event';
 import {assert} from '@ciscospark/test-helper-chai';
 import {WebRTCMedia} from '../..';
@@ -73,6 +74,275 @@ describe(`plugin-phone`, () => {
       m.on(`negotiationneeded`, negSpy);
     });
 
+    describe(`#sendDTMF()`, () => {
+      const sdp = [
+        `v=0`,
+        `o=- 0 0 IN IP4 127.0.0.1`,
+        `s=-`,
+        `t=0 0`,
+        `m=audio 9 UDP/TLS/RTP/SAVPF 111 126`,
+        `a=rtpmap:111 opus/48000/2`,
+        `a=rtpmap:126 telephone-event/8000`,
+        ``
+      ].join(`\r\n`);
+
+      let clock, dtmf;
+      beforeEach(() => {
+        clock = lolex.install(Date.now());
+        dtmf = {
+          insertDTMF: sinon.spy()
+        };
+        m.peer = {
+          signalingState: `stable`,
+          remoteDescription: {sdp},
+          getSenders: () => [{track: {kind: `audio`}, dtmf}]
+        };
+      });
+
+      afterEach(() => clock.uninstall());
+
+      it(`resolves once the last tone has played`, () => {
+        const spy = sinon.spy();
+        m.on(`dtmf:tone`, spy);
+        const promise = m.sendDTMF(`1`, {duration: 100, gap: 70});
+        assert.calledWith(dtmf.insertDTMF, `1`, 100, 70);
+        dtmf.ontonechange({tone: `1`});
+        dtmf.ontonechange({tone: ``});
+        return promise
+          .then(() => assert.calledWith(spy, `1`));
+      });
+
+      it(`rejects if the tones never finish playing`, () => {
+        const promise = m.sendDTMF(`1,2`, {duration: 100, gap: 70});
+        dtmf.ontonechange({tone: `1`});
+
+        // two tones, a two second pause, and a one second margin
+        clock.tick(3339);
+        assert.isFunction(dtmf.ontonechange);
+        clock.tick(1);
+
+        return assert.isRejected(promise, /Timed out waiting for DTMF tones to play/)
+          .then(() => assert.isUndefined(dtmf.ontonechange));
+      });
+    });
+
+    describe(`screen sharing`, () => {
+      /**
+       * Fakes a MediaStreamTrack
+       * @param {string} kind
+       * @returns {Object}
+       */
+      function makeTrack(kind) {
+        const track = {
+          enabled: true,
+          kind,
+          readyState: `live`,
+          stop: sinon.spy(() => {
+            track.readyState = `ended`;
+          })
+        };
+        return track;
+      }
+
+      /**
+       * Fakes a MediaStream
+       * @param {Array<Object>} tracks
+       * @returns {Object}
+       */
+      function makeStream(...tracks) {
+        return {
+          getAudioTracks: () => tracks.filter((track) => track.kind === `audio`),
+          getTracks: () => tracks,
+          getVideoTracks: () => tracks.filter((track) => track.kind === `video`)
+        };
+      }
+
+      /**
+       * Fakes an RTCPeerConnection that only supports the stream apis
+       * @param {Array<Object>} localStreams
+       * @param {Array<Object>} remoteStreams
+       * @returns {Object}
+       */
+      function makePeer(localStreams = [], remoteStreams = []) {
+        return {
+          signalingState: `stable`,
+          addStream: sinon.spy((stream) => localStreams.push(stream)),
+          getLocalStreams: () => localStreams.slice(),
+          getRemoteStreams: () => remoteStreams,
+          removeStream: sinon.spy((stream) => localStreams.splice(localStreams.indexOf(stream), 1))
+        };
+      }
+
+      /**
+       * Shares `stream` and completes the resulting renegotiation
+       * @param {Object} stream
+       * @returns {Promise}
+       */
+      function share(stream) {
+        const promise = m.startScreenShare({localScreenStream: stream});
+        return maxWaitForEvent(1000, `change:localScreenStream`, m)
+          .then(() => m.trigger(`answeraccepted`))
+          .then(() => promise);
+      }
+
+      let camera;
+      beforeEach(() => {
+        camera = makeStream(makeTrack(`audio`), makeTrack(`video`));
+        m.peer = makePeer([camera]);
+      });
+
+      describe(`#startScreenShare()`, () => {
+        afterEach(() => Reflect.deleteProperty(navigator.mediaDevices, `getDisplayMedia`));
+
+        it(`shares the stream from getDisplayMedia() once the renegotiation completes`, () => {
+          const screen = makeStream(makeTrack(`video`));
+          Reflect.defineProperty(navigator.mediaDevices, `getDisplayMedia`, {
+            configurable: true,
+            value: sinon.spy(() => Promise.resolve(screen))
+          });
+
+          const spy = sinon.spy();
+          const promise = m.startScreenShare({constraints: {video: {frameRate: 5}}})
+            .then(spy);
+
+          return maxWaitForEvent(1000, `change:localScreenStream`, m)
+            .then(() => {
+              assert.calledWith(navigator.mediaDevices.getDisplayMedia, {video: {frameRate: 5}});
+              assert.notCalled(spy);
+              assert.deepEqual(m.peer.getLocalStreams(), [camera, screen]);
+              assert.equal(m.localScreenStream, screen);
+              m.trigger(`answeraccepted`);
+              return promise;
+            })
+            .then(() => assert.calledOnce(spy));
+        });
+
+        it(`rejects when the browser cannot share screens`, () => {
+          Reflect.defineProperty(navigator.mediaDevices, `getDisplayMedia`, {
+            configurable: true,
+            value: undefined
+          });
+
+          return assert.isRejected(m.startScreenShare(), /Screen sharing is not supported/)
+            .then(() => assert.deepEqual(m.peer.getLocalStreams(), [camera]));
+        });
+
+        it(`rejects before the call has started`, () => {
+          m.unset(`peer`);
+          return assert.isRejected(m.startScreenShare(), /before the call has started/);
+        });
+
+        it(`replaces the screen it is already sharing without touching the camera`, () => {
+          const first = makeStream(makeTrack(`video`));
+          const second = makeStream(makeTrack(`video`));
+
+          return share(first)
+            .then(() => share(second))
+            .then(() => {
+              assert.deepEqual(m.peer.getLocalStreams(), [camera, second]);
+              assert.equal(m.localScreenStream, second);
+              assert.calledOnce(first.getTracks()[0].stop);
+              assert.notCalled(second.getTracks()[0].stop);
+              camera.getTracks().forEach((track) => assert.notCalled(track.stop));
+            });
+        });
+
+        it(`stops sharing when the user ends the screen track`, () => {
+          const screen = makeStream(makeTrack(`video`));
+
+          return share(screen)
+            .then(() => {
+              screen.getTracks()[0].onended();
+              assert.calledWith(m.peer.removeStream, screen);
+              assert.deepEqual(m.peer.getLocalStreams(), [camera]);
+              assert.isUndefined(m.localScreenStream);
+            });
+        });
+      });
+
+      describe(`#stopScreenShare()`, () => {
+        it(`removes and stops the screen stream but leaves the camera alone`, () => {
+          const screen = makeStream(makeTrack(`video`));
+
+          return share(screen)
+            .then(() => {
+              const p = m.stopScreenShare();
+              m.trigger(`answeraccepted`);
+              return p;
+            })
+            .then(() => {
+              assert.deepEqual(m.peer.getLocalStreams(), [camera]);
+              assert.isUndefined(m.localScreenStream);
+              assert.calledOnce(screen.getTracks()[0].stop);
+              camera.getTracks().forEach((track) => assert.notCalled(track.stop));
+            });
+        });
+
+        it(`resolves immediately when nothing is being shared`, () => m.stopScreenShare()
+          .then(() => assert.notCalled(m.peer.removeStream)));
+      });
+
+      describe(`#_onTrack()`, () => {
+        let remoteCamera;
+        beforeEach(() => {
+          remoteCamera = makeStream(makeTrack(`audio`), makeTrack(`video`));
+          m.peer = makePeer([camera], [remoteCamera]);
+        });
+
+        it(`treats the first stream as the remote camera stream`, () => {
+          m._onTrack({streams: [remoteCamera], track: remoteCamera.getVideoTracks()[0]});
+          assert.equal(m.remoteMediaStream, remoteCamera);
+          assert.isTrue(m.receivingAudio);
+          assert.isTrue(m.receivingVideo);
+          assert.isFalse(m.receivingScreen);
+        });
+
+        it(`treats a video-only first stream as the remote camera stream`, () => {
+          const videoOnly = makeStream(makeTrack(`video`));
+          m._onTrack({streams: [videoOnly], track: videoOnly.getVideoTracks()[0]});
+          assert.equal(m.remoteMediaStream, videoOnly);
+          assert.isUndefined(m.remoteScreenStream);
+          assert.isFalse(m.receivingScreen);
+        });
+
+        it(`treats another video track on the remote camera stream as camera video`, () => {
+          m._onTrack({streams: [remoteCamera], track: remoteCamera.getAudioTracks()[0]});
+          m._onTrack({streams: [remoteCamera], track: remoteCamera.getVideoTracks()[0]});
+          assert.equal(m.remoteMediaStream, remoteCamera);
+          assert.isUndefined(m.remoteScreenStream);
+        });
+
+        it(`treats a second stream with audio as a replacement camera stream`, () => {
+          const replacement = makeStream(makeTrack(`audio`), makeTrack(`video`));
+          m._onTrack({streams: [remoteCamera], track: remoteCamera.getVideoTracks()[0]});
+          m._onTrack({streams: [replacement], track: replacement.getVideoTracks()[0]});
+          assert.equal(m.remoteMediaStream, replacement);
+          assert.isUndefined(m.remoteScreenStream);
+        });
+
+        it(`treats a video-only stream alongside the remote camera stream as the remote screen`, () => {
+          const screen = makeStream(makeTrack(`video`));
+          m._onTrack({streams: [remoteCamera], track: remoteCamera.getVideoTracks()[0]});
+          m._onTrack({streams: [screen], track: screen.getVideoTracks()[0]});
+          assert.equal(m.remoteMediaStream, remoteCamera);
+          assert.equal(m.remoteScreenStream, screen);
+          assert.isTrue(m.receivingScreen);
+        });
+
+        it(`stops receiving the screen once its track ends`, () => {
+          const screen = makeStream(makeTrack(`video`));
+          m._onTrack({streams: [remoteCamera], track: remoteCamera.getVideoTracks()[0]});
+          m._onTrack({streams: [screen], track: screen.getVideoTracks()[0]});
+
+          screen.getVideoTracks()[0].stop();
+          screen.getVideoTracks()[0].onended();
+          assert.isUndefined(m.remoteScreenStream);
+          assert.isFalse(m.receivingScreen);
+          assert.equal(m.remoteMediaStream, remoteCamera);
+        });
+      });
+    });
+
     describe(`#acceptAnswer()`, () => {
       it(`accepts an answer`, () => {
         m.set({
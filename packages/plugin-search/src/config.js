@@ -5,5 +5,26 @@
  */
 
 export default {
-  search: {}
+  search: {
+    /**
+     * When true, decrypted `post` and `share` activities are indexed locally
+     * so that they can be searched via `search({local: true})` and so that
+     * `search()` still produces results while offline
+     * @type {Boolean}
+     */
+    enableLocalIndex: false,
+    /**
+     * Maximum number of activities to keep in the local index; the oldest are
+     * dropped first
+     * @type {number}
+     */
+    localIndexActivityLimit: 5000,
+    /**
+     * Milliseconds to wait after an activity is indexed before persisting the
+     * index; activities indexed in the meantime are persisted in the same
+     * write
+     * @type {number}
+     */
+    localIndexSaveDelay: 2000
+  }
 };
@@ -10,6 +10,9 @@ import config from './config';
 import {has} from 'lodash';
 
 import '@ciscospark/plugin-encryption';
+// The local index listens to the conversation plugin, so it must be registered
+// first
+import '@ciscospark/plugin-conversation';
 
 registerPlugin(`search`, Search, {
   config,
@@ -0,0 +1,439 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {localEncryption} from '@ciscospark/plugin-conversation';
+import {SparkPlugin} from '@ciscospark/spark-core';
+import {get, sortBy, sortedIndex} from 'lodash';
+
+const STORAGE_KEY = `local-index`;
+
+const INDEXED_VERBS = [`post`, `share`];
+
+const filters = {
+  actorId: (doc, actorId) => doc.actorId === actorId,
+  conversationId: (doc, conversationId) => doc.conversationId === conversationId,
+  maxDate: (doc, maxDate) => doc.published <= new Date(maxDate).getTime(),
+  sinceDate: (doc, sinceDate) => doc.published >= new Date(sinceDate).getTime()
+};
+
+/**
+ * Lowercases `text` and strips its diacritics
+ * @param {string} text
+ * @private
+ * @returns {string}
+ */
+function fold(text) {
+  if (text.normalize) {
+    text = text.normalize(`NFD`).replace(/[\u0300-\u036f]/g, ``);
+  }
+
+  return text.toLowerCase();
+}
+
+/**
+ * Splits `text` into case- and diacritic-insensitive tokens
+ * @param {string} text
+ * @private
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return fold(text)
+    .split(/[\s\u0021-\u002f\u003a-\u0040\u005b-\u0060\u007b-\u00bf\u2000-\u206f\u3000-\u303f]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Extracts the searchable text from an activity
+ * @param {Activity} activity
+ * @private
+ * @returns {string}
+ */
+function textOf(activity) {
+  const {object} = activity;
+  const parts = [
+    object.displayName,
+    object.content && object.content.replace(/<[^>]*>/g, ` `)
+  ];
+
+  get(object, `files.items`, []).forEach((file) => parts.push(file.displayName));
+
+  return parts.filter(Boolean).join(` `);
+}
+
+/**
+ * Indicates if an activity's content should be indexed
+ * @param {Activity} activity
+ * @private
+ * @returns {boolean}
+ */
+function isIndexable(activity) {
+  return Boolean(activity && activity.id && activity.object && INDEXED_VERBS.includes(activity.verb));
+}
+
+/**
+ * Indicates if a document passes all of the specified filters
+ * @param {Object} doc
+ * @param {Object} options
+ * @private
+ * @returns {boolean}
+ */
+function matches(doc, options) {
+  return Object.keys(filters).every((key) => options[key] === undefined || filters[key](doc, options[key]));
+}
+
+/**
+ * Opt-in (via `config.search.enableLocalIndex`), client-side full-text index
+ * of decrypted `post` and `share` activities. The index is fed by the
+ * conversation plugin's `decrypted:activities` event, which it emits for every
+ * page of activities it lists and for every activity Mercury delivers (Mercury
+ * hands `conversation.activity` events to
+ * {@link Conversation#processActivityEvent}). If
+ * `config.conversation.storageSecret` is set, the index is kept in bounded
+ * storage, encrypted with a key derived from it and the current user's id;
+ * otherwise, it lives only in memory.
+ * @class
+ */
+const LocalIndex = SparkPlugin.extend({
+  namespace: `Search`,
+
+  initialize(...args) {
+    Reflect.apply(SparkPlugin.prototype.initialize, this, args);
+
+    this.documents = new Map();
+    this.postings = new Map();
+    this.writes = Promise.resolve();
+
+    // The key and the index belong to the current user; drop them on logout
+    // or when someone else logs in.
+    this.listenTo(this.spark, `change:device.userId`, () => this._reset());
+
+    if (this.spark.conversation) {
+      this.listenTo(this.spark.conversation, `decrypted:activities`, (activities) => {
+        if (this.config.enableLocalIndex) {
+          this.add(activities);
+        }
+      });
+    }
+  },
+
+  /**
+   * Indexes `post` and `share` activities and removes the targets of `delete`
+   * activities
+   * @param {Array<Activity>} activities
+   * @returns {Promise} resolves once the index (including any activities added
+   * within `config.localIndexSaveDelay`) has been persisted
+   */
+  add(activities) {
+    return this._load()
+      .then(() => {
+        activities.forEach((activity) => {
+          if (activity.verb === `delete` && activity.object) {
+            this._unindex(activity.object.id);
+          }
+          else if (isIndexable(activity)) {
+            this._index(activity);
+          }
+        });
+
+        this._trim();
+        return this._save();
+      });
+  },
+
+  /**
+   * Removes everything from the index
+   * @returns {Promise}
+   */
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.sortedTerms = null;
+    this.loading = Promise.resolve();
+
+    const cleared = this.writes
+      .then(() => this.boundedStorage.del(STORAGE_KEY));
+
+    // Later writes shouldn't be stuck behind a failed delete
+    this.writes = cleared.catch(() => undefined);
+
+    return cleared;
+  },
+
+  /**
+   * Searches the index. All query tokens must match (either completely or as
+   * a prefix of a word); results are ranked by relevance and then by recency.
+   * @param {Object} options
+   * @param {string} options.query
+   * @param {string} options.conversationId
+   * @param {string} options.actorId the author's id
+   * @param {Date|number|string} options.sinceDate
+   * @param {Date|number|string} options.maxDate
+   * @param {number} options.limit
+   * @returns {Promise<Array<Activity>>}
+   */
+  search(options) {
+    options = options || {};
+    const tokens = tokenize(options.query || ``);
+    if (tokens.length === 0) {
+      return Promise.resolve([]);
+    }
+
+    return this._load()
+      .then(() => {
+        const results = [];
+        this._score(tokens).forEach((score, id) => {
+          const doc = this.documents.get(id);
+          if (matches(doc, options)) {
+            results.push({doc, score});
+          }
+        });
+
+        return sortBy(results, [(r) => -r.score, (r) => -r.doc.published])
+          .slice(0, options.limit || results.length)
+          .map((r) => r.doc.activity);
+      });
+  },
+
+  /**
+   * Produces the JWK with which the persisted index is encrypted
+   * @private
+   * @returns {Promise<jose.JWK.Key>}
+   */
+  _getKey() {
+    if (!this.key) {
+      this.key = localEncryption.deriveKey(this._getStorageSecret(), this.spark.device.userId, `search-local-index`)
+        .catch((reason) => {
+          this.key = null;
+          return Promise.reject(reason);
+        });
+    }
+
+    return this.key;
+  },
+
+  /**
+   * @private
+   * @returns {string} `config.conversation.storageSecret`
+   */
+  _getStorageSecret() {
+    return get(this.spark, `config.conversation.storageSecret`);
+  },
+
+  /**
+   * Adds a single activity to the index, replacing any previous version
+   * @param {Activity} activity
+   * @private
+   * @returns {undefined}
+   */
+  _index(activity) {
+    this._unindex(activity.id);
+
+    const terms = new Map();
+    tokenize(textOf(activity)).forEach((token) => terms.set(token, (terms.get(token) || 0) + 1));
+
+    this.documents.set(activity.id, {
+      activity,
+      actorId: get(activity, `actor.id`),
+      conversationId: get(activity, `target.id`),
+      published: Date.parse(activity.published) || 0,
+      terms
+    });
+
+    terms.forEach((count, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+        this.sortedTerms = null;
+      }
+      this.postings.get(term).add(activity.id);
+    });
+  },
+
+  /**
+   * Loads the persisted index (once)
+   * @private
+   * @returns {Promise}
+   */
+  _load() {
+    if (!this.loading) {
+      this.loading = this._getStorageSecret() ? this._read() : Promise.resolve();
+    }
+
+    return this.loading;
+  },
+
+  /**
+   * Reads (and decrypts) the persisted index
+   * @private
+   * @returns {Promise}
+   */
+  _read() {
+    return Promise.all([this._getKey(), this.boundedStorage.get(STORAGE_KEY)])
+      .then(([key, jwe]) => localEncryption.decrypt(key, jwe))
+      .then((value) => value.activities.forEach((activity) => this._index(activity)))
+      .catch(() => undefined);
+  },
+
+  /**
+   * Forgets the current user's key and index
+   * @private
+   * @returns {undefined}
+   */
+  _reset() {
+    this.key = null;
+    this.loading = null;
+    this.documents.clear();
+    this.postings.clear();
+    this.sortedTerms = null;
+  },
+
+  /**
+   * Schedules a write of the index. Calls made before the write begins share
+   * it, so indexing a burst of activities rewrites the index only once.
+   * @private
+   * @returns {Promise} resolves once the write completes
+   */
+  _save() {
+    if (!this.pendingSave) {
+      this.pendingSave = new Promise((resolve) => setTimeout(resolve, this.config.localIndexSaveDelay))
+        .then(() => {
+          this.pendingSave = null;
+          return this._write();
+        });
+    }
+
+    return this.pendingSave;
+  },
+
+  /**
+   * Scores every document that matches all of `tokens`
+   * @param {Array<string>} tokens
+   * @private
+   * @returns {Map<string, number>}
+   */
+  _score(tokens) {
+    return tokens.reduce((scores, token) => {
+      const tokenScores = this._scoreToken(token);
+      if (!scores) {
+        return tokenScores;
+      }
+
+      scores.forEach((score, id) => {
+        if (tokenScores.has(id)) {
+          scores.set(id, score + tokenScores.get(id));
+        }
+        else {
+          scores.delete(id);
+        }
+      });
+      return scores;
+    }, null);
+  },
+
+  /**
+   * Scores documents containing `token` (or a word it prefixes) by tf-idf;
+   * prefix matches count for half
+   * @param {string} token
+   * @private
+   * @returns {Map<string, number>}
+   */
+  _scoreToken(token) {
+    const scores = new Map();
+    this._termsWithPrefix(token).forEach((term) => {
+      const ids = this.postings.get(term);
+      const weight = Math.log(1 + this.documents.size / ids.size) * (term === token ? 1 : 0.5);
+      ids.forEach((id) => {
+        const score = this.documents.get(id).terms.get(term) * weight;
+        scores.set(id, Math.max(scores.get(id) || 0, score));
+      });
+    });
+
+    return scores;
+  },
+
+  /**
+   * Finds the indexed terms that start with `prefix` via binary search of the
+   * sorted term list (which is rebuilt only after terms are added or removed)
+   * @param {string} prefix
+   * @private
+   * @returns {Array<string>}
+   */
+  _termsWithPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.postings.keys()).sort();
+    }
+
+    const found = [];
+    for (let i = sortedIndex(this.sortedTerms, prefix); i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i += 1) {
+      found.push(this.sortedTerms[i]);
+    }
+
+    return found;
+  },
+
+  /**
+   * Drops the oldest activities once the index exceeds
+   * `config.localIndexActivityLimit`
+   * @private
+   * @returns {undefined}
+   */
+  _trim() {
+    const excess = this.documents.size - this.config.localIndexActivityLimit;
+    if (excess > 0) {
+      sortBy(Array.from(this.documents.values()), `published`)
+        .slice(0, excess)
+        .forEach((doc) => this._unindex(doc.activity.id));
+    }
+  },
+
+  /**
+   * Removes an activity from the index
+   * @param {string} id
+   * @private
+   * @returns {undefined}
+   */
+  _unindex(id) {
+    const doc = this.documents.get(id);
+    if (!doc) {
+      return;
+    }
+
+    this.documents.delete(id);
+    doc.terms.forEach((count, term) => {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    });
+  },
+
+  /**
+   * Persists the index, encrypted, if there's a `storageSecret` with which to
+   * encrypt it
+   * @private
+   * @returns {Promise}
+   */
+  _write() {
+    if (!this._getStorageSecret()) {
+      return Promise.resolve();
+    }
+
+    const value = {
+      activities: Array.from(this.documents.values()).map((doc) => doc.activity)
+    };
+
+    this.writes = this.writes
+      .then(() => this._getKey())
+      .then((key) => localEncryption.encrypt(key, value))
+      .then((jwe) => this.boundedStorage.put(STORAGE_KEY, jwe))
+      .catch((reason) => this.logger.warn(`search: failed to save local index`, reason));
+
+    return this.writes;
+  }
+});
+
+export default LocalIndex;
@@ -4,13 +4,25 @@
  * @private
  */
 
-import {get} from 'lodash';
+import {get, omit} from 'lodash';
 import {oneFlight} from '@ciscospark/common';
-import {SparkPlugin} from '@ciscospark/spark-core';
+import {SparkHttpError, SparkPlugin} from '@ciscospark/spark-core';
+import LocalIndex from './local-index';
 
 const Search = SparkPlugin.extend({
   namespace: `Search`,
 
+  children: {
+    localIndex: LocalIndex
+  },
+
+  /**
+   * Searches the directory for people
+   * @param {Object} options
+   * @param {string} options.queryString
+   * @param {AbortSignal} options.signal
+   * @returns {Promise<Array>}
+   */
   people(options) {
     options = options || {};
 
@@ -27,7 +39,8 @@ const Search = SparkPlugin.extend({
       api: `argonaut`,
       resource: `directory`,
       method: `POST`,
-      body: options
+      body: omit(options, `signal`),
+      signal: options.signal
     })
       .then((res) => res.body);
   },
@@ -42,6 +55,15 @@ const Search = SparkPlugin.extend({
         .then(() => this.spark.device.set(`searchEncryptionKeyUrl`, key.uri)));
   },
 
+  /**
+   * Searches the content of the current user's conversations
+   * @param {Object} options
+   * @param {string} options.query
+   * @param {boolean} options.local when true, searches the local index (see
+   * {@link LocalIndex#search} for additional options) instead of the server
+   * @param {AbortSignal} options.signal
+   * @returns {Promise<Array<Activity>>}
+   */
   search(options) {
     /* eslint max-nested-callbacks: [0] */
     options = options || {};
@@ -50,6 +72,11 @@ const Search = SparkPlugin.extend({
       return Promise.resolve([]);
     }
 
+    const localOptions = omit(options, `local`);
+    if (options.local) {
+      return this.localIndex.search(localOptions);
+    }
+
     let promise = Promise.resolve();
     if (!this.spark.device.searchEncryptionKeyUrl) {
       promise = this.bindSearchKey();
@@ -60,11 +87,20 @@ const Search = SparkPlugin.extend({
         service: `argonaut`,
         resource: `search`,
         method: `POST`,
-        body: Object.assign(options, {
+        body: Object.assign(omit(options, `signal`), {
           searchEncryptionKeyUrl: this.spark.device.searchEncryptionKeyUrl
-        })
+        }),
+        signal: options.signal
       }))
-      .then((res) => get(res, `body.activities.items`) || []);
+      .then((res) => get(res, `body.activities.items`) || [])
+      .catch((reason) => {
+        if (this.config.enableLocalIndex && reason instanceof SparkHttpError.NetworkOrCORSError) {
+          this.logger.info(`search: could not reach the server; searching the local index`);
+          return this.localIndex.search(localOptions);
+        }
+
+        return Promise.reject(reason);
+      });
   }
 
 });
@@ -0,0 +1,271 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {assert} from '@ciscospark/test-helper-chai';
+import MockSpark from '@ciscospark/test-helper-mock-spark';
+import sinon from '@ciscospark/test-helper-sinon';
+import Conversation from '@ciscospark/plugin-conversation';
+import {SparkHttpError} from '@ciscospark/spark-core';
+import Search from '../..';
+
+describe(`plugin-search`, () => {
+  describe(`LocalIndex`, () => {
+    /**
+     * Produces a post activity
+     * @param {string} id
+     * @param {string} displayName
+     * @param {Object} options
+     * @returns {Object}
+     */
+    function makeActivity(id, displayName, options) {
+      options = options || {};
+      return {
+        id,
+        objectType: `activity`,
+        verb: options.verb || `post`,
+        published: options.published || `2017-01-01T00:00:00.000Z`,
+        actor: {
+          objectType: `person`,
+          id: options.actorId || `person1`
+        },
+        object: {
+          objectType: `comment`,
+          displayName
+        },
+        target: {
+          objectType: `conversation`,
+          id: options.conversationId || `conversation1`
+        }
+      };
+    }
+
+    let index, spark;
+
+    beforeEach(() => {
+      spark = new MockSpark({
+        children: {
+          conversation: Conversation,
+          search: Search
+        }
+      });
+
+      Object.assign(spark.config.search, {
+        enableLocalIndex: true,
+        localIndexActivityLimit: 100,
+        localIndexSaveDelay: 0
+      });
+      spark.config.conversation.storageSecret = `secret`;
+      index = spark.search.localIndex;
+    });
+
+    afterEach(() => {
+      Object.assign(spark.config.search, {
+        enableLocalIndex: false,
+        localIndexActivityLimit: 5000,
+        localIndexSaveDelay: 2000
+      });
+      spark.config.conversation.storageSecret = undefined;
+    });
+
+    /**
+     * Empties the in-memory index so that the next search loads it from
+     * storage
+     * @returns {undefined}
+     */
+    function forget() {
+      index.documents.clear();
+      index.postings.clear();
+      index.sortedTerms = null;
+      index.loading = null;
+    }
+
+    describe(`#search()`, () => {
+      beforeEach(() => index.add([
+        makeActivity(`activity1`, `Crème brûlée for dessert`),
+        makeActivity(`activity2`, `Let's get CREME BRULEE again`, {
+          actorId: `person2`,
+          published: `2017-01-02T00:00:00.000Z`
+        }),
+        makeActivity(`activity3`, `Brûlée, brûlée, brûlée`, {
+          conversationId: `conversation2`,
+          published: `2017-01-03T00:00:00.000Z`
+        }),
+        makeActivity(`activity4`, `Something else entirely`)
+      ]));
+
+      it(`matches regardless of case and diacritics`, () => index.search({query: `creme BRÛLÉE`})
+        .then((results) => assert.sameMembers(results.map((a) => a.id), [`activity1`, `activity2`])));
+
+      it(`matches word prefixes`, () => index.search({query: `dess`})
+        .then((results) => assert.deepEqual(results.map((a) => a.id), [`activity1`])));
+
+      it(`ranks by relevance, then recency`, () => index.search({query: `brulee`})
+        .then((results) => assert.deepEqual(results.map((a) => a.id), [`activity3`, `activity2`, `activity1`])));
+
+      it(`filters by conversation`, () => index.search({query: `brulee`, conversationId: `conversation1`})
+        .then((results) => assert.deepEqual(results.map((a) => a.id), [`activity2`, `activity1`])));
+
+      it(`filters by author`, () => index.search({query: `brulee`, actorId: `person2`})
+        .then((results) => assert.deepEqual(results.map((a) => a.id), [`activity2`])));
+
+      it(`filters by date`, () => index.search({
+        query: `brulee`,
+        sinceDate: `2017-01-02T00:00:00.000Z`,
+        maxDate: new Date(`2017-01-02T12:00:00.000Z`)
+      })
+        .then((results) => assert.deepEqual(results.map((a) => a.id), [`activity2`])));
+
+      it(`hydrates results to activities`, () => index.search({query: `else`})
+        .then(([activity]) => assert.deepEqual(activity, makeActivity(`activity4`, `Something else entirely`))));
+
+      it(`matches prefixes of words added after the last search`, () => index.search({query: `dess`})
+        .then(() => index.add([makeActivity(`activity5`, `Desserts`)]))
+        .then(() => index.search({query: `dess`}))
+        .then((results) => assert.sameMembers(results.map((a) => a.id), [`activity1`, `activity5`])));
+
+      it(`forgets deleted activities`, () => index.add([{
+        id: `activity5`,
+        verb: `delete`,
+        object: {
+          objectType: `activity`,
+          id: `activity4`
+        }
+      }])
+        .then(() => index.search({query: `else`}))
+        .then((results) => assert.lengthOf(results, 0)));
+    });
+
+    describe(`#add()`, () => {
+      it(`ignores activities other than posts and shares`, () => index.add([makeActivity(`activity1`, `renamed`, {verb: `update`})])
+        .then(() => index.search({query: `renamed`}))
+        .then((results) => assert.lengthOf(results, 0)));
+
+      it(`drops the oldest activities when full`, () => {
+        spark.config.search.localIndexActivityLimit = 1;
+        return index.add([
+          makeActivity(`activity2`, `hello`, {published: `2017-01-02T00:00:00.000Z`}),
+          makeActivity(`activity1`, `hello`)
+        ])
+          .then(() => index.search({query: `hello`}))
+          .then((results) => assert.deepEqual(results.map((a) => a.id), [`activity2`]));
+      });
+
+      it(`persists the index`, () => index.add([makeActivity(`activity1`, `hello`)])
+        .then(() => {
+          forget();
+          return index.search({query: `hello`});
+        })
+        .then((results) => assert.lengthOf(results, 1)));
+
+      it(`encrypts the persisted index`, () => index.add([makeActivity(`activity1`, `hello`)])
+        .then(() => index.boundedStorage.get(`local-index`))
+        .then((value) => {
+          assert.isString(value);
+          assert.notInclude(value, `hello`);
+        }));
+
+      it(`persists a burst of activities in a single write`, () => {
+        sinon.spy(index, `_write`);
+        return Promise.all([
+          index.add([makeActivity(`activity1`, `hello`)]),
+          index.add([makeActivity(`activity2`, `hello again`)])
+        ])
+          .then(() => {
+            assert.calledOnce(index._write);
+            forget();
+            return index.search({query: `hello`});
+          })
+          .then((results) => assert.lengthOf(results, 2));
+      });
+
+      it(`keeps the index in memory when there is no storageSecret`, () => {
+        spark.config.conversation.storageSecret = undefined;
+        return index.add([makeActivity(`activity1`, `hello`)])
+          .then(() => index.search({query: `hello`}))
+          .then((results) => {
+            assert.lengthOf(results, 1);
+            return assert.isRejected(index.boundedStorage.get(`local-index`));
+          });
+      });
+
+      it(`forgets the index when the user changes`, () => index.add([makeActivity(`activity1`, `hello`)])
+        .then(() => {
+          spark.device.userId = `user2`;
+          spark.trigger(`change:device.userId`);
+          return index.search({query: `hello`});
+        })
+        .then((results) => assert.lengthOf(results, 0)));
+    });
+
+    describe(`#clear()`, () => {
+      beforeEach(() => index.add([makeActivity(`activity1`, `hello`)]));
+
+      it(`removes the persisted index`, () => index.clear()
+        .then(() => {
+          forget();
+          return index.search({query: `hello`});
+        })
+        .then((results) => assert.lengthOf(results, 0)));
+
+      it(`persists later activities even if the index could not be removed`, () => {
+        sinon.stub(index.boundedStorage, `del`).returns(Promise.reject(new Error(`storage is broken`)));
+        return assert.isRejected(index.clear(), /storage is broken/)
+          .then(() => index.add([makeActivity(`activity2`, `hello again`)]))
+          .then(() => {
+            forget();
+            return index.search({query: `again`});
+          })
+          .then((results) => assert.deepEqual(results.map((a) => a.id), [`activity2`]));
+      });
+    });
+
+    describe(`when the conversation plugin decrypts activities`, () => {
+      it(`indexes them`, () => {
+        spark.conversation.trigger(`decrypted:activities`, [makeActivity(`activity1`, `hello`)]);
+        return index.search({query: `hello`})
+          .then((results) => assert.lengthOf(results, 1));
+      });
+
+      it(`indexes the activities Mercury delivers`, () => {
+        spark.transform = sinon.stub().returns(Promise.resolve());
+        return spark.conversation.processActivityEvent({activity: makeActivity(`activity1`, `hello`)})
+          .then(() => index.search({query: `hello`}))
+          .then((results) => assert.lengthOf(results, 1));
+      });
+
+      it(`does nothing unless enabled`, () => {
+        spark.config.search.enableLocalIndex = false;
+        spark.conversation.trigger(`decrypted:activities`, [makeActivity(`activity1`, `hello`)]);
+        return index.search({query: `hello`})
+          .then((results) => assert.lengthOf(results, 0));
+      });
+    });
+
+    describe(`Search#search()`, () => {
+      beforeEach(() => index.add([makeActivity(`activity1`, `hello`)]));
+
+      it(`searches the local index when asked to`, () => spark.search.search({query: `hello`, local: true})
+        .then((results) => {
+          assert.lengthOf(results, 1);
+          assert.notCalled(spark.request);
+        }));
+
+      it(`falls back to the local index when offline`, () => {
+        spark.device.searchEncryptionKeyUrl = `kms://kms.example.com/keys/1`;
+        spark.request.returns(Promise.reject(new SparkHttpError.NetworkOrCORSError({
+          statusCode: 0,
+          options: {
+            headers: {},
+            method: `POST`,
+            uri: `https://example.com/search`
+          }
+        })));
+
+        return spark.search.search({query: `hello`})
+          .then((results) => assert.deepEqual(results.map((a) => a.id), [`activity1`]));
+      });
+    });
+  });
+});
@@ -41,8 +41,52 @@ export default {
     predicates: [],
     transforms: []
   },
+  rateLimit: {
+    /**
+     * Base delay, in milliseconds, for retries that don't get a `Retry-After`
+     * @type {number}
+     */
+    initialDelay: 1000,
+    /**
+     * Longest delay, in milliseconds, to wait before a retry. Requests whose
+     * `Retry-After` asks for more than this fail instead.
+     * @type {number}
+     */
+    maxDelay: 60000,
+    /**
+     * Number of times to retry a throttled or transiently failed request
+     * @type {number}
+     */
+    maxRetries: 3,
+    /**
+     * Requests per second allowed to each host; `0` disables the limiter.
+     * Override per host via `hosts` (e.g.
+     * `hosts: {'conv-a.wbx2.com': {requestsPerSecond: 10, burst: 20}}`)
+     * @type {number}
+     */
+    requestsPerSecond: 0,
+    /**
+     * Requests allowed in a burst; defaults to `requestsPerSecond`
+     * @type {number}
+     */
+    burst: 0,
+    hosts: {}
+  },
   storage: {
     boundedAdapter: MemoryStoreAdapter,
     unboundedAdapter: MemoryStoreAdapter
+  },
+  upload: {
+    /**
+     * Files larger than this many bytes are uploaded in parts of this size
+     * @type {number}
+     */
+    chunkSize: 5 * 1024 * 1024,
+    /**
+     * Milliseconds after which an interrupted upload's resume token is
+     * discarded rather than resumed
+     * @type {number}
+     */
+    resumeTokenMaxAge: 24 * 60 * 60 * 1000
   }
 };
@@ -20,13 +20,20 @@ export {
 export {
   children,
   default as default,
-  registerPlugin
+  registerPlugin,
+  resumeKeyFor
 } from './spark-core';
 
+export {
+  abortable,
+  AbortController,
+  AbortError
+} from '@ciscospark/http-core';
 export {default as SparkHttpError} from './lib/spark-http-error';
 export {default as SparkPlugin} from './lib/spark-plugin';
 export {default as NetworkTimingInterceptor} from './interceptors/network-timing';
 export {default as PayloadTransformerInterceptor} from './interceptors/payload-transformer';
+export {default as RateLimitInterceptor} from './interceptors/rate-limit';
 export {default as RedirectInterceptor} from './interceptors/redirect';
 export {default as ResponseLoggerInterceptor} from './interceptors/response-logger';
 export {default as RequestLoggerInterceptor} from './interceptors/request-logger';
@@ -40,5 +47,12 @@ export {
   grantErrors
 } from './plugins/credentials';
 
+export {
+  default as UploadController,
+  UploadCancelledError
+} from './lib/upload-controller';
+
 export {default as Batcher} from './lib/batcher';
 export {default as Page} from './lib/page';
+export {default as RateLimiter} from './lib/rate-limiter';
+export {default as TokenBucket} from './lib/token-bucket';
@@ -0,0 +1,244 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ * @private
+ */
+
+import {AbortError, Interceptor} from '@ciscospark/http-core';
+
+/**
+ * Methods that may be safely resent after a transient server failure
+ * @private
+ * @type {Array<string>}
+ */
+const idempotentMethods = [`DELETE`, `GET`, `HEAD`, `OPTIONS`, `PUT`];
+
+/**
+ * Status codes indicating the server may succeed if asked again later
+ * @private
+ * @type {Array<number>}
+ */
+const transientStatusCodes = [502, 503, 504];
+
+/**
+ * Converts a `Retry-After` header (either delay-seconds or an HTTP-date) to
+ * milliseconds
+ * @param {string} value
+ * @private
+ * @returns {number} `undefined` if the header is missing or unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (isNaN(date)) {
+    return undefined;
+  }
+
+  return Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Requests whose transport we've already taken over
+ * @private
+ * @type {WeakSet}
+ */
+const wrapped = new WeakSet();
+
+/**
+ * Lets go of a response body we're not going to read so its socket can be
+ * reused
+ * @param {HttpResponse} response
+ * @private
+ * @returns {undefined}
+ */
+function discard(response) {
+  if (response.body && typeof response.body.resume === `function`) {
+    response.body.resume();
+  }
+}
+
+/**
+ * Waits for the per-host {@link RateLimiter} before sending each request and
+ * retries requests that were throttled (`429`, or `503` with `Retry-After`)
+ * or, for idempotent methods, failed with a transient server error. Retries
+ * wait for the server's `Retry-After` if it sent one or use jittered
+ * exponential backoff if it didn't.
+ *
+ * Retries happen at the transport level, beneath every other interceptor, so
+ * the request isn't transformed (e.g. encrypted) again and only the final
+ * response is transformed (e.g. decrypted) once.
+ *
+ * Triggers `rate-limited` on the spark instance whenever the server throttles
+ * a request.
+ * @class
+ */
+export default class RateLimitInterceptor extends Interceptor {
+  /**
+   * @returns {RateLimitInterceptor}
+   */
+  static create() {
+    return new RateLimitInterceptor({spark: this});
+  }
+
+  /**
+   * @see Interceptor#onRequest
+   * @param {Object} options
+   * @returns {Object}
+   */
+  onRequest(options) {
+    if (!options.uri) {
+      return options;
+    }
+
+    return this.wait(options)
+      .then(() => {
+        // Replayed requests (e.g. after reauthenticating) already go through
+        // our transport
+        if (!wrapped.has(options)) {
+          wrapped.add(options);
+          const next = options.transport;
+          options.transport = (opts, send) => this.send(opts, next ? (o) => next(o, send) : send);
+        }
+        return options;
+      });
+  }
+
+  /**
+   * Sends the request, resending it for as long as the server throttles it
+   * (or transiently fails) and we're willing to wait
+   * @param {Object} options
+   * @param {Function} send the underlying transport
+   * @returns {Promise<HttpResponse>}
+   */
+  send(options, send) {
+    return send(options)
+      .then((response) => this.retry(options, response, send));
+  }
+
+  /**
+   * Resends the request if `response` calls for it; otherwise resolves with
+   * `response` so the remaining interceptors see it exactly once
+   * @param {Object} options
+   * @param {HttpResponse} response
+   * @param {Function} send the underlying transport
+   * @returns {Promise<HttpResponse>}
+   */
+  retry(options, response, send) {
+    const throttled = this.isThrottled(response);
+    if (!throttled && !this.isTransient(options, response)) {
+      return Promise.resolve(response);
+    }
+
+    const attempt = (options.$retryCount || 0) + 1;
+    const retryAfter = parseRetryAfter(response.headers && response.headers[`retry-after`]);
+    const delay = typeof retryAfter === `undefined` ? this.backoff(attempt) : retryAfter;
+    const willRetry = this.shouldRetry(options, attempt, delay);
+
+    if (typeof retryAfter !== `undefined`) {
+      // Never hold up other requests to this host for longer than we'd be
+      // willing to wait for this one
+      this.spark.rateLimiter.pause(options.uri, Math.min(retryAfter, this.spark.config.rateLimit.maxDelay));
+    }
+
+    if (throttled) {
+      this.spark.trigger(`rate-limited`, {
+        attempt,
+        delay,
+        method: options.method,
+        statusCode: response.statusCode,
+        uri: options.uri,
+        willRetry
+      });
+    }
+
+    if (!willRetry) {
+      return Promise.resolve(response);
+    }
+
+    discard(response);
+    options.$retryCount = attempt;
+    this.spark.logger.info(`rate-limit: received ${response.statusCode}, retrying request in ${delay}ms (attempt ${attempt})`);
+
+    return new Promise((resolve) => setTimeout(resolve, delay))
+      .then(() => {
+        if (options.signal && options.signal.aborted) {
+          return Promise.reject(new AbortError());
+        }
+        return this.wait(options);
+      })
+      .then(() => this.send(options, send));
+  }
+
+  /**
+   * Waits for the rate limiter to let a request to `options.uri` through
+   * @param {Object} options
+   * @returns {Promise}
+   */
+  wait(options) {
+    return this.spark.rateLimiter.take(options.uri)
+      .then((delay) => {
+        if (delay) {
+          this.spark.logger.info(`rate-limit: delayed request to ${options.uri} by ${delay}ms`);
+        }
+      });
+  }
+  /**
+   * Computes a "full jitter" exponential backoff delay
+   * @param {number} attempt
+   * @returns {number}
+   */
+  backoff(attempt) {
+    const {initialDelay, maxDelay} = this.spark.config.rateLimit;
+    return Math.round(Math.random() * Math.min(maxDelay, initialDelay * Math.pow(2, attempt - 1)));
+  }
+
+  /**
+   * Indicates whether the server throttled the request
+   * @param {HttpResponse} response
+   * @returns {boolean}
+   */
+  isThrottled(response) {
+    if (response.statusCode === 429) {
+      return true;
+    }
+
+    return response.statusCode === 503 && Boolean(response.headers && response.headers[`retry-after`]);
+  }
+
+  /**
+   * Indicates whether the request failed in a way that resending it is likely
+   * to fix and is safe to resend
+   * @param {Object} options
+   * @param {HttpResponse} response
+   * @returns {boolean}
+   */
+  isTransient(options, response) {
+    const method = (options.method || `GET`).toUpperCase();
+    return idempotentMethods.includes(method) && transientStatusCodes.includes(response.statusCode);
+  }
+
+  /**
+   * Indicates whether the request should be retried. Requests may opt out via
+   * `options.shouldRetry: false`; server-requested delays longer than
+   * `config.rateLimit.maxDelay` are not waited out.
+   * @param {Object} options
+   * @param {number} attempt
+   * @param {number} delay
+   * @returns {boolean}
+   */
+  shouldRetry(options, attempt, delay) {
+    if (options.shouldRetry === false) {
+      return false;
+    }
+
+    const {maxDelay, maxRetries} = this.spark.config.rateLimit;
+    return attempt <= maxRetries && delay <= maxDelay;
+  }
+}
@@ -9,6 +9,7 @@ import {
   cappedDebounce,
   Defer
 } from '@ciscospark/common';
+import {AbortError, abortable} from '@ciscospark/http-core';
 import SparkHttpError from './spark-http-error';
 
 /**
@@ -45,11 +46,20 @@ const Batcher = SparkPlugin.extend({
   /**
    * Requests an item from a batched API
    * @param {Object} item
+   * @param {Object} options
+   * @param {AbortSignal} options.signal rejects this caller's promise with an
+   * {@link AbortError}. Items aborted before they're queued aren't requested;
+   * once queued, they're still sent with the rest of the batch.
    * @returns {Promise<mixed>}
    */
-  request(item) {
+  request(item, options) {
     // So far, I can't find a way to avoid three layers of nesting here.
     /* eslint max-nested-callbacks: [0] */
+    const {signal} = options || {};
+    if (signal && signal.aborted) {
+      return Promise.reject(new AbortError());
+    }
+
     const defer = new Defer();
     this.fingerprintRequest(item)
       .then((idx) => {
@@ -75,7 +85,7 @@ const Batcher = SparkPlugin.extend({
       })
       .catch((reason) => defer.reject(reason));
 
-    return defer.promise;
+    return abortable(defer.promise, signal);
   },
 
   /**
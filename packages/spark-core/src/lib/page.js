@@ -4,10 +4,18 @@
  * @private
  */
 
+import {abortable} from '@ciscospark/http-core';
+
 const itemsMap = new WeakMap();
 const linksMap = new WeakMap();
+const requestsMap = new WeakMap();
+const signalsMap = new WeakMap();
 const sparksMap = new WeakMap();
 
+// Fall back to the same registry key transpilers use when the runtime doesn't
+// provide Symbol.asyncIterator
+const asyncIterator = Symbol.asyncIterator || Symbol.for(`Symbol.asyncIterator`);
+
 /**
  * @class Page
  */
@@ -51,6 +59,8 @@ export default class Page {
   constructor(res, spark) {
     itemsMap.set(this, res.body.items);
     linksMap.set(this, Page.parseLinkHeaders(res.headers.link));
+    requestsMap.set(this, new Map());
+    signalsMap.set(this, res.options && res.options.signal);
     sparksMap.set(this, spark);
 
     return this;
@@ -83,10 +93,12 @@ export default class Page {
 
   /**
    * Get next page
+   * @param {Object} options
+   * @param {AbortSignal} options.signal
    * @returns {Function}
    */
-  next() {
-    return this.getLink(`next`);
+  next(options) {
+    return this.getLink(`next`, options);
   }
 
   /**
@@ -99,10 +111,12 @@ export default class Page {
 
   /**
    * Get previous page
+   * @param {Object} options
+   * @param {AbortSignal} options.signal
    * @returns {Page}
    */
-  previous() {
-    return this.getLink(`previous`);
+  previous(options) {
+    return this.getLink(`previous`, options);
   }
 
   /**
@@ -114,16 +128,103 @@ export default class Page {
   }
 
   /**
-   * Retrieves the `Page` at url specified by `link`
+   * Starts fetching the next page (if there is one) so that it's ready by the
+   * time it's needed. Safe to call any number of times; only one request will
+   * be made.
+   * @returns {Promise<Page>} Resolves with the next page or undefined if this
+   * is the last page
+   */
+  prefetch() {
+    if (!this.hasNext()) {
+      return Promise.resolve();
+    }
+
+    return this.next();
+  }
+
+  /**
+   * Retrieves the items from this page and all subsequent pages
+   * @param {Object} options
+   * @param {number} options.max stop fetching pages once this many items have
+   * been retrieved
+   * @param {AbortSignal} options.signal
+   * @returns {Promise<Array>}
+   */
+  all(options) {
+    const {max, signal} = options || {};
+    const items = [];
+
+    /**
+     * Adds the page's items to the result set and fetches the next page if
+     * more items are needed
+     * @param {Page} page
+     * @private
+     * @returns {Array|Promise<Array>}
+     */
+    function collect(page) {
+      items.push(...page.items);
+      if (items.length >= max || !page.hasNext()) {
+        return items.slice(0, max);
+      }
+
+      return page.next({signal})
+        .then(collect);
+    }
+
+    return Promise.resolve(collect(this));
+  }
+
+  /**
+   * Retrieves the first `count` items from this page and, if needed,
+   * subsequent pages
+   * @param {number} count
+   * @param {Object} options
+   * @param {AbortSignal} options.signal
+   * @returns {Promise<Array>}
+   */
+  take(count, options) {
+    return this.all(Object.assign({}, options, {max: count}));
+  }
+
+  /**
+   * Retrieves the `Page` at url specified by `link`. Concurrent (and
+   * subsequent) calls for the same link share a single request; failed
+   * requests are forgotten so they may be retried.
+   *
+   * The shared request inherits the signal of the request that produced this
+   * page, so aborting a listing aborts its subsequent pages too.
+   * `options.signal` only abandons this caller's interest in the result.
+   *
+   * The async iterator releases each page's shared request once it has moved
+   * on to the next page so that a long iteration doesn't keep every page it
+   * has visited reachable from the first.
    * @param {string} link Specifies which link header to return
+   * @param {Object} options
+   * @param {AbortSignal} options.signal
    * @private
    * @returns {Promise<Page>}
    */
-  getLink(link) {
-    return this.spark.request({
+  getLink(link, options) {
+    const {signal} = options || {};
+    const requests = requestsMap.get(this);
+    if (requests.has(link)) {
+      return abortable(requests.get(link), signal);
+    }
+
+    const requestOptions = {
       uri: this.links[link]
-    })
+    };
+    if (signalsMap.get(this)) {
+      requestOptions.signal = signalsMap.get(this);
+    }
+
+    const promise = this.spark.request(requestOptions)
       .then((res) => new Page(res, this.spark));
+
+    requests.set(link, promise);
+    promise.catch(() => requests.delete(link));
+
+    return abortable(promise, signal);
   }
 
   /**
@@ -155,4 +256,64 @@ export default class Page {
       }
     };
   }
+
+  /**
+   * Async Iterator. Walks every item on this page and all subsequent pages,
+   * fetching each page only as it's needed (while prefetching the one after
+   * it). Allows, for example,
+   * `for await (const room of await ciscospark.rooms.list()) {}`
+   * @returns {Object}
+   */
+  [asyncIterator]() {
+    const cursor = {
+      page: this,
+      index: 0
+    };
+    let queue = Promise.resolve();
+
+    cursor.page.prefetch();
+
+    /**
+     * Produces the next iteration result, fetching the next page when the
+     * current one has been exhausted
+     * @private
+     * @returns {Object|Promise<Object>}
+     */
+    function step() {
+      const {page, index} = cursor;
+      if (index < page.length) {
+        cursor.index += 1;
+        return {
+          done: false,
+          value: page.items[index]
+        };
+      }
+
+      if (!page.hasNext()) {
+        return {done: true};
+      }
+
+      return page.next()
+        .then((nextPage) => {
+          requestsMap.get(page).delete(`next`);
+          cursor.page = nextPage;
+          cursor.index = 0;
+          nextPage.prefetch();
+          return step();
+        });
+    }
+
+    return {
+      // Chain each call to the previous one so that callers who don't wait
+      // for each result still receive items in order
+      next: () => {
+        const result = queue.then(step);
+        queue = result.catch(() => undefined);
+        return result;
+      },
+      [asyncIterator]() {
+        return this;
+      }
+    };
+  }
 }
@@ -0,0 +1,67 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import url from 'url';
+import TokenBucket from './token-bucket';
+
+/**
+ * Keeps one {@link TokenBucket} per host so that throttling by one service
+ * doesn't hold up requests to the others.
+ * @class RateLimiter
+ */
+export default class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerSecond default rate for every host
+   * @param {number} options.burst default burst for every host
+   * @param {Object} options.hosts per-host overrides of `requestsPerSecond`
+   * and `burst`, keyed by host (e.g. `conv-a.wbx2.com`)
+   * @returns {RateLimiter}
+   */
+  constructor(options) {
+    this.options = options || {};
+    this.buckets = new Map();
+  }
+
+  /**
+   * Returns (creating it if needed) the bucket for `uri`'s host
+   * @param {string} uri
+   * @returns {TokenBucket}
+   */
+  bucketFor(uri) {
+    const host = url.parse(uri).host || ``;
+    let bucket = this.buckets.get(host);
+    if (!bucket) {
+      const hosts = this.options.hosts || {};
+      bucket = new TokenBucket(Object.assign({
+        burst: this.options.burst,
+        requestsPerSecond: this.options.requestsPerSecond
+      }, hosts[host]));
+      this.buckets.set(host, bucket);
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Stops releasing requests to `uri`'s host for `ms` milliseconds
+   * @param {string} uri
+   * @param {number} ms
+   * @returns {undefined}
+   */
+  pause(uri, ms) {
+    this.bucketFor(uri).pause(ms);
+  }
+
+  /**
+   * Waits for permission to send a request to `uri`
+   * @param {string} uri
+   * @returns {Promise<number>} resolves with the number of milliseconds it
+   * waited
+   */
+  take(uri) {
+    return this.bucketFor(uri).take();
+  }
+}
@@ -0,0 +1,86 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+/**
+ * Classic token bucket: holds at most `burst` tokens and gains
+ * `requestsPerSecond` tokens per second. Each {@link TokenBucket#take} spends
+ * one token; when the bucket is empty, callers go into debt and wait until the
+ * bucket refills, so requests are released in the order they asked.
+ *
+ * A `requestsPerSecond` of `0` disables limiting; {@link TokenBucket#pause}
+ * still applies.
+ * @class TokenBucket
+ */
+export default class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerSecond
+   * @param {number} options.burst defaults to `requestsPerSecond`
+   * @returns {TokenBucket}
+   */
+  constructor(options) {
+    options = options || {};
+    this.requestsPerSecond = options.requestsPerSecond || 0;
+    this.burst = options.burst || Math.max(this.requestsPerSecond, 1);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Milliseconds until a token taken now would be available, without taking
+   * it
+   * @returns {number}
+   */
+  get delay() {
+    const paused = Math.max(this.pausedUntil - Date.now(), 0);
+    if (!this.requestsPerSecond) {
+      return paused;
+    }
+
+    this.refill();
+    const debt = Math.max(1 - this.tokens, 0);
+    return Math.max(paused, Math.ceil(debt / this.requestsPerSecond * 1000));
+  }
+
+  /**
+   * Stops releasing tokens for `ms` milliseconds (e.g. because the server sent
+   * a `Retry-After`). Never shortens an existing pause.
+   * @param {number} ms
+   * @returns {undefined}
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Adds the tokens accrued since the last refill
+   * @private
+   * @returns {undefined}
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / 1000 * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Takes a token
+   * @returns {Promise<number>} resolves, with the number of milliseconds it
+   * waited, once the token is available
+   */
+  take() {
+    const delay = this.delay;
+    if (this.requestsPerSecond) {
+      this.tokens -= 1;
+    }
+
+    if (!delay) {
+      return Promise.resolve(0);
+    }
+
+    return new Promise((resolve) => setTimeout(() => resolve(delay), delay));
+  }
+}
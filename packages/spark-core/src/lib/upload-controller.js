@@ -0,0 +1,117 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import {Defer, Exception} from '@ciscospark/common';
+
+const cancelledMap = new WeakMap();
+const pausedMap = new WeakMap();
+
+/**
+ * Thrown (well, rejected) by {@link SparkCore#upload} when an upload is
+ * cancelled via {@link UploadController#cancel}
+ */
+export class UploadCancelledError extends Exception {
+  static defaultMessage = `The upload was cancelled`;
+}
+
+/**
+ * Pauses, resumes, and cancels a chunked upload. Pausing and cancelling take
+ * effect at the next chunk boundary; the chunk in flight is allowed to finish.
+ *
+ * Callers that need to do asynchronous work before invoking
+ * {@link SparkCore#upload} can construct their own controller, pass it as
+ * `options.controller`, and use {@link UploadController#decorate} to expose
+ * its methods on whatever promise they return.
+ * @class UploadController
+ */
+export default class UploadController {
+  /**
+   * @returns {UploadController}
+   */
+  constructor() {
+    cancelledMap.set(this, false);
+  }
+
+  /**
+   * @type {boolean}
+   */
+  get cancelled() {
+    return cancelledMap.get(this);
+  }
+
+  /**
+   * @type {boolean}
+   */
+  get paused() {
+    return pausedMap.has(this);
+  }
+
+  /**
+   * Abandons the upload
+   * @returns {undefined}
+   */
+  cancel() {
+    cancelledMap.set(this, true);
+    this.resume();
+  }
+
+  /**
+   * Stops the upload once the current chunk completes
+   * @returns {undefined}
+   */
+  pause() {
+    if (!this.paused && !this.cancelled) {
+      pausedMap.set(this, new Defer());
+    }
+  }
+
+  /**
+   * Continues a paused upload
+   * @returns {undefined}
+   */
+  resume() {
+    const defer = pausedMap.get(this);
+    if (defer) {
+      pausedMap.delete(this);
+      defer.resolve();
+    }
+  }
+
+  /**
+   * Adds `pause()`, `resume()`, and `cancel()` to `promise`
+   * @param {Promise} promise
+   * @returns {Promise}
+   */
+  decorate(promise) {
+    [
+      `cancel`,
+      `pause`,
+      `resume`
+    ].forEach((key) => {
+      promise[key] = () => {
+        this[key]();
+        return promise;
+      };
+    });
+
+    return promise;
+  }
+
+  /**
+   * Resolves once the upload is allowed to continue; rejects if the upload
+   * has been cancelled
+   * @returns {Promise}
+   */
+  wait() {
+    return Promise.resolve(this.paused && pausedMap.get(this).promise)
+      .then(() => {
+        if (this.cancelled) {
+          return Promise.reject(new UploadCancelledError());
+        }
+
+        return Promise.resolve();
+      });
+  }
+}
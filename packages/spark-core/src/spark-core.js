@@ -4,18 +4,21 @@
  * @private
  */
 
-import {proxyEvents, retry, transferEvents} from '@ciscospark/common';
-import {HttpStatusInterceptor, defaults as requestDefaults} from '@ciscospark/http-core';
-import {defaults, get, has, isFunction, isString, last, merge, omit} from 'lodash';
+import {proxyEvents, retry, tap} from '@ciscospark/common';
+import {AbortError, HttpStatusInterceptor, onAbort, ProgressEvent, RecorderInterceptor, defaults as requestDefaults} from '@ciscospark/http-core';
+import {clone, defaults, get, has, isFunction, isString, last, mapValues, merge, omit} from 'lodash';
 import AmpState from 'ampersand-state';
 import NetworkTimingInterceptor from './interceptors/network-timing';
 import PayloadTransformerInterceptor from './interceptors/payload-transformer';
+import RateLimitInterceptor from './interceptors/rate-limit';
+import RateLimiter from './lib/rate-limiter';
 import RedirectInterceptor from './interceptors/redirect';
 import RequestLoggerInterceptor from './interceptors/request-logger';
 import RequestTimingInterceptor from './interceptors/request-timing';
 import ResponseLoggerInterceptor from './interceptors/response-logger';
 import SparkHttpError from './lib/spark-http-error';
 import SparkTrackingIdInterceptor from './interceptors/spark-tracking-id';
+import UploadController, {UploadCancelledError} from './lib/upload-controller';
 import config from './config';
 import {makeSparkStore} from './lib/storage';
 import uuid from 'uuid';
@@ -38,6 +41,8 @@ const interceptors = {
   PayloadTransformerInterceptor: PayloadTransformerInterceptor.create,
   ConversationInterceptor: undefined,
   RedirectInterceptor: RedirectInterceptor.create,
+  RateLimitInterceptor: RateLimitInterceptor.create,
+  RecorderInterceptor: RecorderInterceptor.create,
   HttpStatusInterceptor() {
     return HttpStatusInterceptor.create({
       error: SparkHttpError
@@ -58,6 +63,59 @@ const postInterceptors = [
   `RequestLoggerInterceptor`
 ];
 
+// Options consumed by SparkCore#upload that must not be sent to the server
+const uploadOptions = [
+  `chunkSize`,
+  `controller`,
+  `file`,
+  `phases`,
+  `resumeData`,
+  `resumeKey`
+];
+
+// Where the index of persisted resume tokens (and when each was last
+// written) lives in the `Upload` namespace
+const uploadIndexKey = `@index`;
+
+// Pending writes to each instance's upload index, so that concurrent uploads
+// don't overwrite each other's entries
+const uploadIndexWrites = new WeakMap();
+
+// Status codes indicating a resumed upload session no longer exists
+const expiredSessionStatusCodes = [404, 410];
+
+/**
+ * Determines the size in bytes of a File, Blob, Buffer, or ArrayBuffer
+ * @param {File|Blob|Buffer|ArrayBuffer} file
+ * @private
+ * @returns {number}
+ */
+function sizeOf(file) {
+  return file.size || file.byteLength || file.length || 0;
+}
+
+/**
+ * Derives a resume key for uploading `options.file` to `options.uri` (or
+ * `options.service`). Only `File`s can be identified this way (by name, size,
+ * and modification date); anything else must specify `options.resumeKey` to be
+ * resumable. Callers that transform files before uploading them (e.g. encrypt
+ * them) should derive the key from the original file.
+ * @param {Object} options
+ * @param {File|Blob|Buffer|ArrayBuffer} options.file
+ * @param {string} options.uri
+ * @param {string} options.service
+ * @returns {string} `undefined` if `options.file` can't be identified
+ */
+export function resumeKeyFor(options) {
+  const {file} = options;
+  const target = options.uri || options.service;
+  if (!file || !file.name || !file.lastModified) {
+    return undefined;
+  }
+
+  return `${target}:${file.name}:${sizeOf(file)}:${file.lastModified}`;
+}
+
 const SparkCore = AmpState.extend({
   derived: {
     boundedStorage: {
@@ -78,6 +136,10 @@ const SparkCore = AmpState.extend({
     config: {
       type: `object`
     },
+    rateLimiter: {
+      setOnce: true,
+      type: `object`
+    },
     request: {
       setOnce: true,
       // It's supposed to be a function, but that's not a type defined in
@@ -177,6 +239,9 @@ const SparkCore = AmpState.extend({
       });
     });
 
+    // Needs to exist before the interceptors are created
+    this.rateLimiter = new RateLimiter(this.config.rateLimit);
+
     const addInterceptor = (ints, key) => {
       const interceptor = interceptors[key];
 
@@ -222,6 +287,12 @@ const SparkCore = AmpState.extend({
         }
         return Promise.resolve();
       })
+      .then(() => {
+        if (this.encryption) {
+          return this.encryption.clearKeys();
+        }
+        return Promise.resolve();
+      })
       .then(() => Promise.all([
         this.boundedStorage.clear(),
         this.unboundedStorage.clear()
@@ -242,6 +313,30 @@ const SparkCore = AmpState.extend({
     return Promise.resolve();
   },
 
+  /**
+   * Uploads a file via the three-phase (initialize, upload, finalize) upload
+   * session flow. Files larger than `options.chunkSize` (default
+   * `config.upload.chunkSize`) are sent in parts, each of which is retried
+   * independently. When the upload has a resume key (`options.resumeKey` or,
+   * for a `File`, one derived by {@link resumeKeyFor}), a resume token is
+   * persisted to bounded storage after each part so that an interrupted
+   * upload picks up where it left off. Tokens that haven't been written for
+   * `config.upload.resumeTokenMaxAge` are discarded.
+   *
+   * Aborting `options.signal` aborts the phase in flight and abandons the
+   * upload like `cancel()` does, but rejects with an {@link AbortError}.
+   * @param {Object} options
+   * @param {File|Blob|Buffer|ArrayBuffer} options.file
+   * @param {number} options.chunkSize
+   * @param {UploadController} options.controller
+   * @param {string} options.resumeKey
+   * @param {Object} options.resumeData persisted with the resume token (see
+   * {@link SparkCore#getUploadResumeData})
+   * @param {AbortSignal} options.signal
+   * @param {Object} options.phases
+   * @returns {EventEmittingPromise} emits `progress` after each part; exposes
+   * `pause()`, `resume()`, and `cancel()`
+   */
   upload(options) {
     if (!options.file) {
       return Promise.reject(new Error(`\`options.file\` is required`));
@@ -254,11 +349,12 @@ const SparkCore = AmpState.extend({
 
     defaults(options.phases.initialize, {
       method: `POST`
-    }, omit(options, `file`, `phases`));
+    }, omit(options, uploadOptions));
 
     defaults(options.phases.upload, {
       method: `PUT`,
       json: false,
+      signal: options.signal,
       withCredentials: false,
       body: options.file,
       headers: {
@@ -269,29 +365,56 @@ const SparkCore = AmpState.extend({
 
     defaults(options.phases.finalize, {
       method: `POST`
-    }, omit(options, `file`, `phases`));
+    }, omit(options, uploadOptions));
+
+    const upload = {
+      chunkSize: options.chunkSize || this.config.upload.chunkSize,
+      controller: options.controller || new UploadController(),
+      emitter: new EventEmitter(),
+      data: options.resumeData,
+      key: options.resumeKey || resumeKeyFor(options),
+      offset: 0,
+      total: sizeOf(options.file)
+    };
 
-    const shunt = new EventEmitter();
+    // Wake the upload if it's paused so that it notices the abort
+    const off = onAbort(options.signal, () => upload.controller.cancel());
 
-    const promise = this._uploadPhaseInitialize(options)
-      .then(() => {
-        const p = this._uploadPhaseUpload(options);
-        transferEvents(`progress`, p, shunt);
-        return p;
-      })
+    const promise = this._uploadStart(options, upload)
+      .then(() => this._uploadPhaseUpload(options, upload))
+      .catch((reason) => this._uploadRestart(options, upload, reason))
       .then((...args) => this._uploadPhaseFinalize(options, ...args))
-      .then((res) => res.body);
+      .then((res) => this._uploadClearToken(upload)
+        .then(() => res.body))
+      .catch((reason) => this._uploadFail(options, upload, reason))
+      .then(tap(off), (reason) => {
+        off();
+        return Promise.reject(reason);
+      });
 
-    proxyEvents(shunt, promise);
+    proxyEvents(upload.emitter, promise);
 
-    return promise;
+    return upload.controller.decorate(promise);
+  },
+
+  /**
+   * Retrieves the `resumeData` persisted with an interrupted upload's resume
+   * token. Callers that transform files before uploading them use it to
+   * reproduce the bytes the interrupted upload was sending (e.g. by encrypting
+   * with the same key).
+   * @param {string} resumeKey
+   * @returns {Promise<Object>} `undefined` if there's no live resume token
+   */
+  getUploadResumeData(resumeKey) {
+    return this._uploadGetToken(resumeKey)
+      .then((token) => token && token.data);
   },
 
   _uploadPhaseInitialize: function _uploadPhaseInitialize(options) {
     this.logger.debug(`client: initiating upload session`);
 
     return this.request(options.phases.initialize)
-      .then((...args) => this._uploadApplySession(options, ...args))
+      .then(tap((res) => this._uploadApplySession(options, res)))
       .then((res) => {
         this.logger.debug(`client: initiated upload session`);
         return res;
@@ -314,26 +437,272 @@ const SparkCore = AmpState.extend({
     }, options.phases);
   },
 
+  /**
+   * Sends a single part of the file
+   * @param {Object} options
+   * @param {Object} upload
+   * @param {number} start
+   * @param {number} end
+   * @private
+   * @returns {Promise<HttpResponse>}
+   */
   @retry
-  _uploadPhaseUpload(options) {
+  _uploadChunk(options, upload, start, end) {
+    const chunked = upload.total > upload.chunkSize;
+    const chunkOptions = Object.assign({}, options.phases.upload, {
+      body: chunked ? options.file.slice(start, end) : options.file,
+      headers: Object.assign({}, options.phases.upload.headers, chunked ? {
+        'content-range': `bytes ${start}-${end - 1}/${upload.total}`
+      } : {})
+    });
+
+    const promise = this.request(chunkOptions);
+
+    chunkOptions.upload.on(`progress`, (event) => {
+      upload.emitter.emit(`progress`, new ProgressEvent(start + event.loaded, upload.total));
+    });
+
+    return promise;
+  },
+
+  /**
+   * Removes the upload's resume token from storage
+   * @param {Object} upload
+   * @private
+   * @returns {Promise}
+   */
+  _uploadClearToken(upload) {
+    if (!upload.key) {
+      return Promise.resolve();
+    }
+
+    return this.boundedStorage.del(`Upload`, upload.key)
+      .catch((reason) => this.logger.warn(`client: failed to remove upload resume token`, reason))
+      .then(() => this._uploadUpdateIndex((index) => {
+        Reflect.deleteProperty(index, upload.key);
+      }));
+  },
+
+  /**
+   * Retrieves the resume token stored under `key`, discarding it if it has
+   * expired
+   * @param {string} key
+   * @private
+   * @returns {Promise<Object>} `undefined` if there's no live token
+   */
+  _uploadGetToken(key) {
+    if (!key) {
+      return Promise.resolve();
+    }
+
+    return this.boundedStorage.get(`Upload`, key)
+      .catch(() => undefined)
+      .then((token) => {
+        if (token && Date.now() - token.updated > this.config.upload.resumeTokenMaxAge) {
+          return this._uploadClearToken({key});
+        }
+        return token;
+      });
+  },
+
+  /**
+   * Applies `fn` to the persisted index of resume tokens (a map of resume
+   * key to the time the token was last written) and saves the result
+   * @param {Function} fn may return `false` to indicate it changed nothing
+   * @private
+   * @returns {Promise}
+   */
+  _uploadUpdateIndex(fn) {
+    const write = (uploadIndexWrites.get(this) || Promise.resolve())
+      .then(() => this.boundedStorage.get(`Upload`, uploadIndexKey))
+      .catch(() => ({}))
+      .then((index) => {
+        if (fn(index) === false) {
+          return undefined;
+        }
+        return this.boundedStorage.put(`Upload`, uploadIndexKey, index);
+      })
+      .catch((reason) => this.logger.warn(`client: failed to update upload resume index`, reason));
+
+    uploadIndexWrites.set(this, write);
+    return write;
+  },
+
+  /**
+   * Discards resume tokens that haven't been written for
+   * `config.upload.resumeTokenMaxAge` (e.g. those of uploads that were never
+   * retried)
+   * @private
+   * @returns {Promise}
+   */
+  _uploadSweepTokens() {
+    const now = Date.now();
+    let expired = [];
+
+    return this._uploadUpdateIndex((index) => {
+      expired = Object.keys(index).filter((key) => now - index[key] > this.config.upload.resumeTokenMaxAge);
+      expired.forEach((key) => Reflect.deleteProperty(index, key));
+      return expired.length > 0;
+    })
+      .then(() => Promise.all(expired.map((key) => this.boundedStorage.del(`Upload`, key))))
+      .catch((reason) => this.logger.warn(`client: failed to remove expired upload resume token`, reason));
+  },
+
+  /**
+   * Cleans up after a failed upload. Cancelled and aborted uploads won't be
+   * resumed, so their resume tokens are discarded.
+   * @param {Object} options
+   * @param {Object} upload
+   * @param {Error} reason
+   * @private
+   * @returns {Promise} rejects with `reason` or, if `options.signal` was
+   * aborted, an {@link AbortError}
+   */
+  _uploadFail(options, upload, reason) {
+    if (options.signal && options.signal.aborted) {
+      reason = new AbortError();
+    }
+
+    if (reason instanceof UploadCancelledError || reason instanceof AbortError) {
+      this.logger.info(`client: upload ${reason instanceof AbortError ? `aborted` : `cancelled`}`);
+      return this._uploadClearToken(upload)
+        .then(() => Promise.reject(reason));
+    }
+
+    return Promise.reject(reason);
+  },
+
+  /**
+   * Sends the file, one part at a time
+   * @param {Object} options
+   * @param {Object} upload
+   * @private
+   * @returns {Promise<HttpResponse>}
+   */
+  _uploadPhaseUpload(options, upload) {
     this.logger.debug(`client: uploading file`);
 
-    const promise = this.request(options.phases.upload)
-      .then((res) => {
-        this.logger.debug(`client: uploaded file`);
-        return res;
+    return upload.controller.wait()
+      .then(() => {
+        const start = upload.offset;
+        const end = Math.min(start + upload.chunkSize, upload.total);
+        return this._uploadChunk(options, upload, start, end)
+          .then((res) => this._uploadNextChunk(options, upload, end, res));
       });
+  },
 
-    proxyEvents(options.phases.upload.upload, promise);
+  /**
+   * Records a completed part and, if there's more to send, sends the next one
+   * @param {Object} options
+   * @param {Object} upload
+   * @param {number} offset
+   * @param {HttpResponse} res
+   * @private
+   * @returns {Promise<HttpResponse>}
+   */
+  _uploadNextChunk(options, upload, offset, res) {
+    upload.offset = offset;
+    upload.resumed = false;
+    upload.emitter.emit(`progress`, new ProgressEvent(offset, upload.total));
 
     /* istanbul ignore else */
     if (process.env.NODE_ENV === `test`) {
-      promise.on(`progress`, (event) => {
-        this.logger.info(`upload progress`, event.loaded, event.total);
-      });
+      this.logger.info(`upload progress`, offset, upload.total);
     }
 
-    return promise;
+    if (offset >= upload.total) {
+      this.logger.debug(`client: uploaded file`);
+      return Promise.resolve(res);
+    }
+
+    return this._uploadSaveToken(upload)
+      .then(() => this._uploadPhaseUpload(options, upload));
+  },
+
+  /**
+   * Starts the upload over if a resumed upload session turns out to have
+   * expired
+   * @param {Object} options
+   * @param {Object} upload
+   * @param {Error} reason
+   * @private
+   * @returns {Promise<HttpResponse>}
+   */
+  _uploadRestart(options, upload, reason) {
+    if (!upload.resumed || !expiredSessionStatusCodes.includes(reason.statusCode)) {
+      return Promise.reject(reason);
+    }
+
+    this.logger.info(`client: resumed upload session has expired, starting over`);
+    options.phases = upload.phases;
+    Object.assign(upload, {
+      offset: 0,
+      resumed: false
+    });
+
+    return this._uploadClearToken(upload)
+      .then(() => this._uploadPhaseInitialize(options))
+      .then(tap((res) => {
+        upload.session = res.body;
+      }))
+      .then(() => this._uploadPhaseUpload(options, upload));
+  },
+
+  /**
+   * Persists the upload's resume token
+   * @param {Object} upload
+   * @private
+   * @returns {Promise}
+   */
+  _uploadSaveToken(upload) {
+    if (!upload.key) {
+      return Promise.resolve();
+    }
+
+    const updated = Date.now();
+    return this.boundedStorage.put(`Upload`, upload.key, {
+      data: upload.data,
+      offset: upload.offset,
+      session: upload.session,
+      updated
+    })
+      .then(() => this._uploadUpdateIndex((index) => {
+        index[upload.key] = updated;
+      }))
+      .catch((reason) => this.logger.warn(`client: failed to save upload resume token`, reason));
+  },
+
+  /**
+   * Initializes a new upload session or, if there's a resume token for this
+   * upload, reuses the session it describes
+   * @param {Object} options
+   * @param {Object} upload
+   * @private
+   * @returns {Promise}
+   */
+  _uploadStart(options, upload) {
+    // Keep pristine copies of the phases in case we need to start over
+    upload.phases = mapValues(options.phases, clone);
+
+    return this._uploadSweepTokens()
+      .then(() => this._uploadGetToken(upload.key))
+      .then((t) => {
+        if (t && t.offset < upload.total) {
+          this.logger.info(`client: resuming upload at byte ${t.offset}`);
+          this._uploadApplySession(options, {body: t.session});
+          Object.assign(upload, {
+            offset: t.offset,
+            resumed: true,
+            session: t.session
+          });
+          return Promise.resolve();
+        }
+
+        return this._uploadPhaseInitialize(options)
+          .then((res) => {
+            upload.session = res.body;
+          });
+      });
   },
 
   _uploadPhaseFinalize: function _uploadPhaseFinalize(options) {
@@ -0,0 +1,260 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import lolex from 'lolex';
+import {assert} from '@ciscospark/test-helper-chai';
+import sinon from '@ciscospark/test-helper-sinon';
+import {RateLimiter, RateLimitInterceptor} from '../../..';
+
+describe(`spark-core`, () => {
+  describe(`Interceptors`, () => {
+    describe(`RateLimitInterceptor`, () => {
+      let clock, interceptor, spark;
+
+      beforeEach(() => {
+        // Whole seconds, since HTTP-dates can't express anything finer
+        clock = lolex.install(Math.floor(Date.now() / 1000) * 1000);
+        spark = {
+          config: {
+            rateLimit: {
+              initialDelay: 1000,
+              maxDelay: 60000,
+              maxRetries: 3
+            }
+          },
+          logger: {
+            info: sinon.spy()
+          },
+          rateLimiter: new RateLimiter({}),
+          trigger: sinon.spy()
+        };
+        interceptor = Reflect.apply(RateLimitInterceptor.create, spark, []);
+        sinon.stub(Math, `random`).returns(0.5);
+      });
+
+      afterEach(() => {
+        Math.random.restore();
+        clock.uninstall();
+      });
+
+      /**
+       * Produces a transport that responds with each of `responses` in turn
+       * and with `200` after that
+       * @param {Array<Object>} responses
+       * @returns {Function}
+       */
+      function makeTransport(...responses) {
+        const transport = sinon.stub();
+        responses.forEach((response, index) => transport.onCall(index).returns(Promise.resolve(response)));
+        transport.returns(Promise.resolve({statusCode: 200}));
+        return transport;
+      }
+
+      /**
+       * Lets the interceptor schedule each retry timer before advancing the
+       * clock past it
+       * @param {Promise} promise
+       * @param {number} ms
+       * @returns {Promise}
+       */
+      function settle(promise, ms) {
+        return flush()
+          .then(() => clock.tick(ms))
+          .then(() => promise);
+      }
+
+      /**
+       * Waits for a few turns of the microtask queue
+       * @param {number} turns
+       * @returns {Promise}
+       */
+      function flush(turns = 10) {
+        return turns ? Promise.resolve().then(() => flush(turns - 1)) : Promise.resolve();
+      }
+
+      describe(`#onRequest()`, () => {
+        it(`waits for the rate limiter`, () => {
+          sinon.spy(spark.rateLimiter, `take`);
+          const options = {uri: `https://example.com/resource`};
+          return interceptor.onRequest(options)
+            .then((result) => {
+              assert.equal(result, options);
+              assert.calledWith(spark.rateLimiter.take, options.uri);
+            });
+        });
+
+        it(`retries beneath any transport the request already has`, () => {
+          const next = sinon.stub().returns(Promise.resolve({statusCode: 200}));
+          const send = sinon.spy();
+          const options = {transport: next, uri: `https://example.com/resource`};
+          return interceptor.onRequest(options)
+            .then(() => options.transport(options, send))
+            .then((res) => {
+              assert.equal(res.statusCode, 200);
+              assert.calledWith(next, options, send);
+            });
+        });
+
+        it(`takes over a replayed request's transport only once`, () => {
+          const options = {uri: `https://example.com/resource`};
+          return interceptor.onRequest(options)
+            .then(() => {
+              const {transport} = options;
+              return interceptor.onRequest(options)
+                .then(() => assert.equal(options.transport, transport));
+            });
+        });
+      });
+
+      describe(`#send()`, () => {
+        it(`retries a 429 after the Retry-After delay`, () => {
+          const options = {method: `POST`, uri: `https://example.com/resource`};
+          const send = makeTransport({statusCode: 429, headers: {'retry-after': `2`}});
+
+          return settle(interceptor.send(options, send), 2000)
+            .then((res) => {
+              assert.equal(res.statusCode, 200);
+              assert.calledTwice(send);
+              assert.alwaysCalledWith(send, options);
+              assert.equal(options.$retryCount, 1);
+            });
+        });
+
+        it(`accepts an HTTP-date Retry-After`, () => {
+          const options = {method: `GET`, uri: `https://example.com/resource`};
+          const retryAfter = new Date(Date.now() + 5000).toUTCString();
+          const send = makeTransport({statusCode: 429, headers: {'retry-after': retryAfter}});
+
+          return settle(interceptor.send(options, send), 5000)
+            .then(() => {
+              assert.calledTwice(send);
+              assert.calledWithMatch(spark.trigger, `rate-limited`, {delay: 5000});
+            });
+        });
+
+        it(`pauses the host when the server sends Retry-After`, () => {
+          const options = {method: `GET`, uri: `https://example.com/resource`};
+          const send = makeTransport({statusCode: 429, headers: {'retry-after': `3`}});
+          const promise = interceptor.send(options, send);
+
+          return flush()
+            .then(() => {
+              assert.equal(spark.rateLimiter.bucketFor(`https://example.com/other`).delay, 3000);
+              assert.equal(spark.rateLimiter.bucketFor(`https://example.org/resource`).delay, 0);
+              return settle(promise, 3000);
+            });
+        });
+
+        it(`triggers rate-limited`, () => {
+          const options = {method: `GET`, uri: `https://example.com/resource`};
+          const send = makeTransport({statusCode: 429, headers: {'retry-after': `1`}});
+
+          return settle(interceptor.send(options, send), 1000)
+            .then(() => assert.calledWith(spark.trigger, `rate-limited`, {
+              attempt: 1,
+              delay: 1000,
+              method: `GET`,
+              statusCode: 429,
+              uri: options.uri,
+              willRetry: true
+            }));
+        });
+
+        it(`uses jittered backoff when there is no Retry-After`, () => {
+          const options = {method: `GET`, uri: `https://example.com/resource`, $retryCount: 2};
+          const send = makeTransport({statusCode: 429});
+
+          // initialDelay * 2^2 * Math.random()
+          return settle(interceptor.send(options, send), 2000)
+            .then(() => {
+              assert.calledWithMatch(spark.trigger, `rate-limited`, {attempt: 3, delay: 2000});
+              assert.calledTwice(send);
+            });
+        });
+
+        it(`retries transient failures of idempotent requests`, () => {
+          const options = {method: `PUT`, uri: `https://example.com/resource`};
+          const send = makeTransport({statusCode: 502});
+
+          return settle(interceptor.send(options, send), 500)
+            .then(() => {
+              assert.calledTwice(send);
+              assert.notCalled(spark.trigger);
+            });
+        });
+
+        it(`drains the body of a streamed response before retrying`, () => {
+          const body = {resume: sinon.spy()};
+          const options = {method: `GET`, responseType: `stream`, uri: `https://example.com/resource`};
+          const send = makeTransport({statusCode: 503, headers: {'retry-after': `1`}, body});
+
+          return settle(interceptor.send(options, send), 1000)
+            .then(() => assert.calledOnce(body.resume));
+        });
+
+        it(`does not resend an aborted request`, () => {
+          const options = {
+            method: `GET`,
+            signal: {aborted: false},
+            uri: `https://example.com/resource`
+          };
+          const send = makeTransport({statusCode: 429, headers: {'retry-after': `1`}});
+          const promise = interceptor.send(options, send);
+          options.signal.aborted = true;
+
+          return assert.isRejected(settle(promise, 1000))
+            .then((err) => {
+              assert.equal(err.name, `AbortError`);
+              assert.calledOnce(send);
+            });
+        });
+
+        it(`does not retry transient failures of non-idempotent requests`, () => {
+          const response = {statusCode: 503};
+          return interceptor.send({method: `POST`, uri: `https://example.com/resource`}, makeTransport(response))
+            .then((res) => assert.equal(res, response));
+        });
+
+        it(`does not retry other errors`, () => {
+          const send = makeTransport({statusCode: 404});
+          return interceptor.send({method: `GET`, uri: `https://example.com/resource`}, send)
+            .then((res) => {
+              assert.equal(res.statusCode, 404);
+              assert.calledOnce(send);
+            });
+        });
+
+        it(`gives up after config.rateLimit.maxRetries`, () => {
+          const options = {method: `GET`, uri: `https://example.com/resource`, $retryCount: 3};
+          const send = makeTransport({statusCode: 429});
+          return interceptor.send(options, send)
+            .then((res) => {
+              assert.equal(res.statusCode, 429);
+              assert.calledOnce(send);
+              assert.calledWithMatch(spark.trigger, `rate-limited`, {willRetry: false});
+            });
+        });
+
+        it(`gives up when Retry-After exceeds config.rateLimit.maxDelay`, () => {
+          const options = {method: `GET`, uri: `https://example.com/resource`};
+          const send = makeTransport({statusCode: 429, headers: {'retry-after': `120`}});
+          return interceptor.send(options, send)
+            .then((res) => {
+              assert.equal(res.statusCode, 429);
+              assert.calledOnce(send);
+              assert.isAtMost(spark.rateLimiter.bucketFor(options.uri).delay, spark.config.rateLimit.maxDelay);
+            });
+        });
+
+        it(`does not retry requests that opt out`, () => {
+          const options = {method: `GET`, shouldRetry: false, uri: `https://example.com/resource`};
+          const send = makeTransport({statusCode: 429});
+          return interceptor.send(options, send)
+            .then(() => assert.calledOnce(send));
+        });
+      });
+    });
+  });
+});
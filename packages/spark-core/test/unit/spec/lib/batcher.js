@@ -7,7 +7,7 @@ import lolex from 'lolex';
 import {assert} from '@ciscospark/test-helper-chai';
 import MockSpark from '@ciscospark/test-helper-mock-spark';
 import sinon from '@ciscospark/test-helper-sinon';
-import {Batcher} from '../../..';
+import {AbortController, AbortError, Batcher} from '../../..';
 
 function promiseTick(count) {
   let promise = Promise.resolve();
@@ -252,6 +252,38 @@ describe(`spark-core`, () => {
         });
       });
 
+      describe(`when given an AbortSignal`, () => {
+        it(`does not queue items whose signal is already aborted`, () => {
+          const controller = new AbortController();
+          controller.abort();
+
+          return assert.isRejected(spark.batcher.request(1, {signal: controller.signal}))
+            .then((err) => {
+              assert.instanceOf(err, AbortError);
+              assert.lengthOf(spark.batcher.queue, 0);
+            });
+        });
+
+        it(`rejects only the aborted caller`, () => {
+          spark.request.returns(Promise.resolve({body: [1]}));
+          const controller = new AbortController();
+
+          const p1 = spark.batcher.request(1, {signal: controller.signal});
+          const p2 = spark.batcher.request(1);
+          controller.abort();
+
+          return promiseTick(50)
+            .then(() => {
+              clock.tick(2);
+              return promiseTick(50);
+            })
+            .then(() => Promise.all([
+              assert.isRejected(p1, AbortError),
+              assert.becomes(p2, 1)
+            ]));
+        });
+      });
+
       describe(`when it's overridden to handle out-of-band responses`, () => {
         it(`resolves as expected`, () => {
           sinon.spy(spark.outOfBandBatcher, `fingerprintResponse`);
@@ -5,7 +5,7 @@
 
 import {assert} from '@ciscospark/test-helper-chai';
 import sinon from '@ciscospark/test-helper-sinon';
-import {Page} from '../../..';
+import {AbortController, AbortError, Page} from '../../..';
 
 describe(`spark-core`, () => {
   describe(`page`, () => {
@@ -118,6 +118,200 @@ describe(`spark-core`, () => {
       });
     });
 
+    describe(`paging through multiple pages`, () => {
+      const asyncIterator = Symbol.asyncIterator || Symbol.for(`Symbol.asyncIterator`);
+      let page, spark;
+
+      beforeEach(() => {
+        const responses = {
+          'https://www.cisco.com/2': {
+            body: {
+              items: [4, 5, 6]
+            },
+            headers: {
+              link: `<https://www.cisco.com/3>; rel=next`
+            }
+          },
+          'https://www.cisco.com/3': {
+            body: {
+              items: [7]
+            },
+            headers: {}
+          }
+        };
+
+        // Like http-core, include the request options in each response
+        spark = {
+          request: sinon.spy((options) => Promise.resolve(Object.assign({options}, responses[options.uri])))
+        };
+
+        page = new Page({
+          body: {
+            items: [1, 2, 3]
+          },
+          headers: {
+            link: `<https://www.cisco.com/2>; rel=next`
+          }
+        }, spark);
+      });
+
+      describe(`#prefetch()`, () => {
+        it(`only requests the next page once`, () => Promise.all([
+          page.prefetch(),
+          page.prefetch(),
+          page.next()
+        ])
+          .then(([p1, p2, p3]) => {
+            assert.calledOnce(spark.request);
+            assert.equal(p1, p2);
+            assert.equal(p1, p3);
+            assert.deepEqual(p1.items, [4, 5, 6]);
+          }));
+
+        it(`resolves with undefined when there is no next page`, () => {
+          page = new Page({body: {items: []}, headers: {}}, spark);
+          return page.prefetch()
+            .then((next) => {
+              assert.isUndefined(next);
+              assert.notCalled(spark.request);
+            });
+        });
+
+        it(`retries after a failed request`, () => {
+          spark.request = sinon.stub();
+          spark.request.onCall(0).returns(Promise.reject(new Error(`fake failure`)));
+          spark.request.onCall(1).returns(Promise.resolve({body: {items: [4]}, headers: {}}));
+
+          return assert.isRejected(page.prefetch())
+            .then(() => page.next())
+            .then((next) => {
+              assert.calledTwice(spark.request);
+              assert.deepEqual(next.items, [4]);
+            });
+        });
+      });
+
+      describe(`#all()`, () => {
+        it(`retrieves the items from every page`, () => page.all()
+          .then((items) => assert.deepEqual(items, [1, 2, 3, 4, 5, 6, 7])));
+
+        it(`stops fetching pages once \`max\` items have been retrieved`, () => page.all({max: 2})
+          .then((items) => {
+            assert.deepEqual(items, [1, 2]);
+            assert.notCalled(spark.request);
+          }));
+      });
+
+      describe(`#take()`, () => {
+        it(`retrieves the first \`count\` items`, () => page.take(5)
+          .then((items) => {
+            assert.deepEqual(items, [1, 2, 3, 4, 5]);
+            assert.calledOnce(spark.request);
+          }));
+      });
+
+      describe(`with an AbortSignal`, () => {
+        it(`passes the signal of the first page's request to subsequent requests`, () => {
+          const controller = new AbortController();
+          page = new Page({
+            body: {
+              items: [1, 2, 3]
+            },
+            headers: {
+              link: `<https://www.cisco.com/2>; rel=next`
+            },
+            options: {
+              signal: controller.signal
+            }
+          }, spark);
+
+          return page.all()
+            .then(() => {
+              assert.calledTwice(spark.request);
+              assert.calledWith(spark.request, sinon.match({signal: controller.signal}));
+              assert.neverCalledWith(spark.request, sinon.match({signal: undefined}));
+            });
+        });
+
+        it(`rejects next() with an AbortError when the caller's signal is aborted`, () => {
+          const controller = new AbortController();
+          const promise = page.next({signal: controller.signal});
+          controller.abort();
+          return assert.isRejected(promise)
+            .then((err) => assert.instanceOf(err, AbortError));
+        });
+
+        it(`does not abort other callers waiting for the same page`, () => {
+          const controller = new AbortController();
+          const aborted = page.next({signal: controller.signal});
+          const next = page.next();
+          controller.abort();
+          return Promise.all([
+            assert.isRejected(aborted),
+            next.then((nextPage) => assert.deepEqual(nextPage.items, [4, 5, 6]))
+          ]);
+        });
+
+        it(`stops all() when aborted`, () => {
+          const controller = new AbortController();
+          controller.abort();
+          return assert.isRejected(page.all({signal: controller.signal}))
+            .then((err) => assert.instanceOf(err, AbortError));
+        });
+      });
+
+      describe(`[Symbol.asyncIterator]()`, () => {
+        it(`walks every item on every page`, () => {
+          const iterator = page[asyncIterator]();
+          const items = [];
+
+          /**
+           * Drains the iterator
+           * @private
+           * @returns {Promise}
+           */
+          function drain() {
+            return iterator.next()
+              .then(({done, value}) => {
+                if (done) {
+                  return Promise.resolve();
+                }
+                items.push(value);
+                return drain();
+              });
+          }
+
+          return drain()
+            .then(() => {
+              assert.deepEqual(items, [1, 2, 3, 4, 5, 6, 7]);
+              assert.calledTwice(spark.request);
+            });
+        });
+
+        it(`releases each page's next page once it has moved past it`, () => {
+          const iterator = page[asyncIterator]();
+          return Promise.all([1, 2, 3, 4, 5, 6, 7, 8].map(() => iterator.next()))
+            .then(() => {
+              assert.calledTwice(spark.request);
+              return page.next();
+            })
+            .then((next) => {
+              assert.calledThrice(spark.request);
+              assert.deepEqual(next.items, [4, 5, 6]);
+            });
+        });
+
+        it(`produces items in order when next() is called concurrently`, () => {
+          const iterator = page[asyncIterator]();
+          return Promise.all([1, 2, 3, 4, 5, 6, 7, 8].map(() => iterator.next()))
+            .then((results) => {
+              assert.deepEqual(results.map((result) => result.value), [1, 2, 3, 4, 5, 6, 7, undefined]);
+              assert.isTrue(results[7].done);
+            });
+        });
+      });
+    });
+
     describe(`#parseLinkHeaders`, () => {
       const singleLinkHeader = `<https://www.cisco.com>; rel=cisco`;
       const multipleLinkHeader = [
@@ -0,0 +1,98 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+import lolex from 'lolex';
+import {assert} from '@ciscospark/test-helper-chai';
+import {RateLimiter, TokenBucket} from '../../..';
+
+describe(`spark-core`, () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = lolex.install(Date.now());
+  });
+
+  afterEach(() => {
+    clock.uninstall();
+  });
+
+  describe(`TokenBucket`, () => {
+    describe(`#take()`, () => {
+      it(`resolves immediately while tokens remain`, () => {
+        const bucket = new TokenBucket({requestsPerSecond: 2, burst: 2});
+        return Promise.all([bucket.take(), bucket.take()])
+          .then((delays) => assert.deepEqual(delays, [0, 0]));
+      });
+
+      it(`waits for the bucket to refill once it is empty`, () => {
+        const bucket = new TokenBucket({requestsPerSecond: 2, burst: 1});
+        bucket.take();
+        const promise = bucket.take();
+        const next = bucket.take();
+
+        clock.tick(1000);
+        return Promise.all([promise, next])
+          .then((delays) => assert.deepEqual(delays, [500, 1000]));
+      });
+
+      it(`refills over time`, () => {
+        const bucket = new TokenBucket({requestsPerSecond: 1, burst: 1});
+        bucket.take();
+        clock.tick(1000);
+        return assert.becomes(bucket.take(), 0);
+      });
+
+      it(`does not limit when requestsPerSecond is 0`, () => {
+        const bucket = new TokenBucket();
+        return Promise.all([bucket.take(), bucket.take(), bucket.take()])
+          .then((delays) => assert.deepEqual(delays, [0, 0, 0]));
+      });
+    });
+
+    describe(`#pause()`, () => {
+      it(`delays every take until the pause ends`, () => {
+        const bucket = new TokenBucket();
+        bucket.pause(2000);
+        const promise = bucket.take();
+        clock.tick(2000);
+        return assert.becomes(promise, 2000);
+      });
+
+      it(`does not shorten an existing pause`, () => {
+        const bucket = new TokenBucket();
+        bucket.pause(2000);
+        bucket.pause(1000);
+        assert.equal(bucket.delay, 2000);
+      });
+    });
+  });
+
+  describe(`RateLimiter`, () => {
+    it(`keeps a bucket per host`, () => {
+      const limiter = new RateLimiter({requestsPerSecond: 1});
+      assert.equal(limiter.bucketFor(`https://example.com/a`), limiter.bucketFor(`https://example.com/b`));
+      assert.notEqual(limiter.bucketFor(`https://example.com/a`), limiter.bucketFor(`https://example.org/a`));
+    });
+
+    it(`applies per-host overrides`, () => {
+      const limiter = new RateLimiter({
+        requestsPerSecond: 1,
+        hosts: {
+          'example.org': {requestsPerSecond: 10, burst: 20}
+        }
+      });
+      assert.equal(limiter.bucketFor(`https://example.com/a`).requestsPerSecond, 1);
+      assert.equal(limiter.bucketFor(`https://example.org/a`).requestsPerSecond, 10);
+      assert.equal(limiter.bucketFor(`https://example.org/a`).burst, 20);
+    });
+
+    it(`pauses only the given host`, () => {
+      const limiter = new RateLimiter();
+      limiter.pause(`https://example.com/a`, 1000);
+      assert.equal(limiter.bucketFor(`https://example.com/b`).delay, 1000);
+      assert.equal(limiter.bucketFor(`https://example.org/a`).delay, 0);
+    });
+  });
+});
@@ -4,10 +4,12 @@
  */
 
 import {assert} from '@ciscospark/test-helper-chai';
-import Spark, {Credentials} from '../..';
+import Spark, {AbortController, AbortError, Credentials, resumeKeyFor, UploadCancelledError} from '../..';
 import MockSpark from '@ciscospark/test-helper-mock-spark';
+import sinon from '@ciscospark/test-helper-sinon';
 import State from 'ampersand-state';
 import {get} from 'lodash';
+import {EventEmitter} from 'events';
 
 describe(`Spark`, () => {
   let spark;
@@ -77,4 +79,211 @@ describe(`Spark`, () => {
         assert.equal(spark.credentials.authorization.access_token, `A Token`);
       });
   });
+
+  describe(`#upload()`, () => {
+    const session = {
+      uploadUrl: `https://upload.example.com/upload`,
+      finishUploadUrl: `https://upload.example.com/finish`
+    };
+
+    /**
+     * Produces upload options for a ten-byte file sent in four-byte parts
+     * @param {Object} options
+     * @returns {Object}
+     */
+    function makeOptions(options) {
+      return Object.assign({
+        uri: `https://files.example.com/upload_sessions`,
+        file: Buffer.alloc(10),
+        chunkSize: 4,
+        phases: {
+          upload: {
+            $url(s) {
+              return s.uploadUrl;
+            }
+          },
+          finalize: {
+            $uri(s) {
+              return s.finishUploadUrl;
+            }
+          }
+        }
+      }, options);
+    }
+
+    /**
+     * Lists the content-range headers of the requests sent so far
+     * @returns {Array<string>}
+     */
+    function ranges() {
+      return spark.request.args
+        .filter(([options]) => options.method === `PUT`)
+        .map(([options]) => options.headers[`content-range`]);
+    }
+
+    beforeEach(() => {
+      // ampersand only lets spark.request be set once
+      Reflect.defineProperty(spark, `request`, {
+        configurable: true,
+        writable: true,
+        value: null
+      });
+
+      spark.request = sinon.spy((options) => {
+        options.upload = new EventEmitter();
+        if (options.method === `PUT`) {
+          return Promise.resolve({statusCode: 200});
+        }
+
+        if (options.uri === session.finishUploadUrl) {
+          return Promise.resolve({body: {downloadUrl: `https://files.example.com/download`}});
+        }
+
+        return Promise.resolve({body: session});
+      });
+    });
+
+    it(`sends large files in parts and reports progress after each`, () => {
+      const spy = sinon.spy();
+      return spark.upload(makeOptions())
+        .on(`progress`, spy)
+        .then((metadata) => {
+          assert.equal(metadata.downloadUrl, `https://files.example.com/download`);
+          assert.deepEqual(ranges(), [
+            `bytes 0-3/10`,
+            `bytes 4-7/10`,
+            `bytes 8-9/10`
+          ]);
+          assert.deepEqual(spy.args.map(([event]) => event.loaded), [4, 8, 10]);
+        });
+    });
+
+    it(`sends small files in a single request`, () => spark.upload(makeOptions({chunkSize: 100}))
+      .then(() => assert.deepEqual(ranges(), [undefined])));
+
+    it(`pauses and resumes between parts`, () => {
+      const promise = spark.upload(makeOptions());
+      promise.once(`progress`, () => promise.pause());
+
+      return new Promise((resolve) => setTimeout(resolve, 50))
+        .then(() => {
+          assert.lengthOf(ranges(), 1);
+          promise.resume();
+          return promise;
+        })
+        .then(() => assert.lengthOf(ranges(), 3));
+    });
+
+    it(`cancels`, () => {
+      const promise = spark.upload(makeOptions({resumeKey: `cancelled`}));
+      promise.once(`progress`, () => promise.cancel());
+
+      return assert.isRejected(promise, UploadCancelledError)
+        .then(() => {
+          assert.lengthOf(ranges(), 1);
+          return assert.isRejected(spark.boundedStorage.get(`Upload`, `cancelled`));
+        });
+    });
+
+    it(`aborts`, () => {
+      const controller = new AbortController();
+      const promise = spark.upload(makeOptions({
+        resumeKey: `aborted`,
+        signal: controller.signal
+      }));
+      promise.once(`progress`, () => controller.abort());
+
+      return assert.isRejected(promise, AbortError)
+        .then(() => {
+          assert.lengthOf(ranges(), 1);
+          spark.request.args.forEach(([options]) => assert.equal(options.signal, controller.signal));
+          return assert.isRejected(spark.boundedStorage.get(`Upload`, `aborted`));
+        });
+    });
+
+    it(`resumes interrupted uploads from the last completed part`, () => {
+      const request = spark.request;
+      spark.request = sinon.spy((options) => {
+        if (options.headers && options.headers[`content-range`] === `bytes 4-7/10`) {
+          options.upload = new EventEmitter();
+          return Promise.reject(new Error(`connection dropped`));
+        }
+        return request(options);
+      });
+
+      return assert.isRejected(spark.upload(makeOptions({resumeKey: `interrupted`})), /connection dropped/)
+        .then(() => spark.boundedStorage.get(`Upload`, `interrupted`))
+        .then((token) => {
+          assert.equal(token.offset, 4);
+          spark.request = request;
+          request.reset();
+          return spark.upload(makeOptions({resumeKey: `interrupted`}));
+        })
+        .then(() => {
+          assert.neverCalledWith(request, sinon.match({uri: `https://files.example.com/upload_sessions`}));
+          assert.deepEqual(ranges(), [
+            `bytes 4-7/10`,
+            `bytes 8-9/10`
+          ]);
+          return assert.isRejected(spark.boundedStorage.get(`Upload`, `interrupted`));
+        });
+    });
+
+    it(`persists resumeData with the resume token`, () => {
+      const request = spark.request;
+      spark.request = sinon.spy((options) => {
+        if (options.headers && options.headers[`content-range`] === `bytes 4-7/10`) {
+          options.upload = new EventEmitter();
+          return Promise.reject(new Error(`connection dropped`));
+        }
+        return request(options);
+      });
+
+      return assert.isRejected(spark.upload(makeOptions({resumeKey: `with-data`, resumeData: {scr: `scr`}})), /connection dropped/)
+        .then(() => spark.getUploadResumeData(`with-data`))
+        .then((data) => assert.deepEqual(data, {scr: `scr`}))
+        .then(() => spark.getUploadResumeData(`unknown`))
+        .then((data) => assert.isUndefined(data));
+    });
+
+    it(`does not resume from resume tokens older than config.upload.resumeTokenMaxAge`, () => {
+      const updated = Date.now() - spark.config.upload.resumeTokenMaxAge - 1;
+      return spark.boundedStorage.put(`Upload`, `stale`, {offset: 4, session, updated})
+        .then(() => spark.upload(makeOptions({resumeKey: `stale`})))
+        .then(() => assert.deepEqual(ranges(), [
+          `bytes 0-3/10`,
+          `bytes 4-7/10`,
+          `bytes 8-9/10`
+        ]));
+    });
+
+    it(`discards resume tokens of uploads that were never retried`, () => {
+      const updated = Date.now() - spark.config.upload.resumeTokenMaxAge - 1;
+      return spark.boundedStorage.put(`Upload`, `abandoned`, {offset: 4, session, updated})
+        .then(() => spark.boundedStorage.put(`Upload`, `@index`, {abandoned: updated}))
+        .then(() => spark.upload(makeOptions()))
+        .then(() => assert.isRejected(spark.boundedStorage.get(`Upload`, `abandoned`)))
+        .then(() => spark.boundedStorage.get(`Upload`, `@index`))
+        .then((index) => assert.deepEqual(index, {}));
+    });
+
+    describe(`without options.resumeKey`, () => {
+      it(`does not resume buffers`, () => {
+        sinon.spy(spark.boundedStorage, `put`);
+        return spark.upload(makeOptions())
+          .then(() => assert.neverCalledWith(spark.boundedStorage.put, `Upload`, sinon.match.string, sinon.match.has(`offset`)));
+      });
+    });
+  });
+
+  describe(`resumeKeyFor()`, () => {
+    it(`identifies files by name, size and modification date`, () => {
+      const file = {name: `a.txt`, size: 10, lastModified: 1};
+      assert.equal(resumeKeyFor({file, uri: `https://files.example.com/upload_sessions`}), `https://files.example.com/upload_sessions:a.txt:10:1`);
+    });
+
+    it(`does not identify buffers`, () => {
+      assert.isUndefined(resumeKeyFor({file: Buffer.from(`0123456789`), uri: `https://files.example.com/upload_sessions`}));
+    });
+  });
 });
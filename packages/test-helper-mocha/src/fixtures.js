@@ -0,0 +1,63 @@
+/**!
+ *
+ * Copyright (c) 2015-2017 Cisco Systems, Inc. See LICENSE file.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+// Loaded ahead of a package's spec files when HTTP_FIXTURES is set. Registers
+// root hooks that install an http-core Recorder for the whole run:
+// - HTTP_FIXTURES=record talks to the real services and writes the fixture
+// - HTTP_FIXTURES=replay serves everything from the fixture; no network
+// The fixture defaults to packages/$PACKAGE/test/integration/fixtures.json and
+// can be moved with HTTP_FIXTURES_FILE.
+
+var fs = require('fs');
+var path = require('path');
+var Recorder = require('@ciscospark/http-core').Recorder;
+
+var mode = process.env.HTTP_FIXTURES;
+var file = process.env.HTTP_FIXTURES_FILE || path.resolve('packages', process.env.PACKAGE || '', 'test', 'integration', 'fixtures.json');
+
+before(function installRecorder() {
+  if (mode !== 'replay') {
+    Recorder.install(new Recorder({mode: mode}));
+    return Promise.resolve();
+  }
+
+  return new Promise(function executor(resolve, reject) {
+    fs.readFile(file, 'utf8', function onRead(err, data) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      Recorder.install(new Recorder({
+        fixture: JSON.parse(data),
+        mode: mode
+      }));
+      resolve();
+    });
+  });
+});
+
+// The recorder stays installed so that later root hooks (e.g.
+// test-helper-test-users removing its users) still see it.
+after(function saveRecording() {
+  if (mode !== 'record') {
+    return Promise.resolve();
+  }
+
+  return new Promise(function executor(resolve, reject) {
+    fs.writeFile(file, JSON.stringify(Recorder.current, null, 2) + '\n', function onWrite(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve();
+    });
+  });
+});
@@ -44,12 +44,14 @@ function makeSpark(options) {
       clear: function clear(namespace) {
         this.data = this.data || data;
         this.data[namespace] = {};
+        return Promise.resolve();
       },
       del: function del(namespace, key) {
         this.data = this.data || data;
         this.data[namespace] = this.data[namespace] || {};
         // eslint-disable-next-line prefer-reflect
         delete this.data[namespace][key];
+        return Promise.resolve();
       },
       get: function get(namespace, key) {
         this.data = this.data || data;
@@ -112,6 +114,7 @@ function makeSpark(options) {
       logger: {},
       mercury: {},
       metrics: {},
+      search: {},
       support: {},
       user: {}
     },
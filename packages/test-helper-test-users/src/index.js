@@ -16,6 +16,7 @@ if (typeof Promise === 'undefined') {
 
 var _ = require('lodash');
 var assert = require('assert');
+var Recorder = require('@ciscospark/http-core').Recorder;
 var retry = require('@ciscospark/test-helper-retry');
 
 var tui;
@@ -99,6 +100,15 @@ function _extractFromEnv(options) {
   return users;
 }
 
+function _createOrExtract(options) {
+  assert(process.env.COMMON_IDENTITY_CLIENT_ID, 'COMMON_IDENTITY_CLIENT_ID must be defined');
+  assert(process.env.COMMON_IDENTITY_CLIENT_SECRET, 'COMMON_IDENTITY_CLIENT_SECRET must be defined');
+
+  return new Promise(function(resolve) {
+    resolve(tui ? _create(options) : _extractFromEnv(options));
+  });
+}
+
 function _remove(users) {
   return Promise.all(users.map(function(user) {
     return tui.remove(user)
@@ -108,18 +118,25 @@ function _remove(users) {
   }));
 }
 
+function _isReplaying() {
+  return Boolean(Recorder.current && Recorder.current.mode === 'replay');
+}
+
 module.exports = {
   create: function create(options) {
-    assert(process.env.COMMON_IDENTITY_CLIENT_ID, 'COMMON_IDENTITY_CLIENT_ID must be defined');
-    assert(process.env.COMMON_IDENTITY_CLIENT_SECRET, 'COMMON_IDENTITY_CLIENT_SECRET must be defined');
+    if (!Recorder.current) {
+      return _createOrExtract(options);
+    }
 
-    return new Promise(function(resolve) {
-      resolve(tui ? _create(options) : _extractFromEnv(options));
+    // When replaying, the users come from the fixture (with their secrets
+    // redacted)
+    return Recorder.current.intercept('test-users', {body: options}, function send() {
+      return _createOrExtract(options);
     });
   },
 
   remove: function remove(users) {
-    if (!tui) {
+    if (!tui || _isReplaying()) {
       return Promise.resolve();
     }
 
@@ -1,4 +1,5 @@
 import marked from 'marked';
+import {escape} from 'lodash';
 import {filterSync} from '@ciscospark/helper-html';
 
 import {isImage, sanitize} from '../utils/files';
@@ -24,6 +25,17 @@ function addInflightActivity(activity) {
   };
 }
 
+export const ADD_MENTION_TO_ACTIVITY = `ADD_MENTION_TO_ACTIVITY`;
+export function addMentionToActivity(person, offset) {
+  return {
+    type: ADD_MENTION_TO_ACTIVITY,
+    payload: {
+      offset,
+      person
+    }
+  };
+}
+
 export const REMOVE_FILE_FROM_ACTIVITY = `REMOVE_FILE_FROM_ACTIVITY`;
 export function removeFileFromActivity(id) {
   return {
@@ -154,7 +166,7 @@ export function removeFile(id, activity) {
 */
 export function submitActivity(conversation, activity, user, spark) {
   return (dispatch) => {
-    const message = createMessageObject(activity.get(`text`));
+    const message = createMessageObject(activity.get(`text`), activity.get(`mentions`));
     const shareActivity = activity.get(`shareActivity`);
     if (shareActivity && activity.get(`files`).size) {
       const inFlightActivity = constructActivityWithContent(conversation, message, user, activity.get(`files`).toArray());
@@ -231,21 +243,66 @@ function revokeObjectURL(file) {
 }
 
 
+/**
+ * Placeholder for a mention that survives markdown processing
+ *
+ * @param {number} index
+ * @returns {string}
+ */
+function mentionPlaceholder(index) {
+  return `sparkmentionplaceholder${index}x`;
+}
+
+/**
+ * Replaces each mentioned person's name, at the offset where it was inserted,
+ * with a placeholder
+ *
+ * @param {string} messageString
+ * @param {array} mentions sorted by offset
+ * @returns {string}
+ */
+function insertMentionPlaceholders(messageString, mentions) {
+  // Work backwards so that earlier offsets stay valid
+  return mentions.reduceRight((str, mention, index) =>
+    `${str.slice(0, mention.offset)}${mentionPlaceholder(index)}${str.slice(mention.offset + mention.displayName.length)}`, messageString);
+}
+
+/**
+ * Replaces mention placeholders with `spark-mention` tags
+ *
+ * @param {string} markedString
+ * @param {array} mentions
+ * @returns {string}
+ */
+function replaceMentionPlaceholders(markedString, mentions) {
+  return mentions.reduce((str, mention, index) =>
+    str.replace(
+      mentionPlaceholder(index),
+      `<spark-mention data-object-type="person" data-object-id="${escape(mention.id)}">${escape(mention.displayName)}</spark-mention>`
+    ), markedString);
+}
+
 /**
  * Creates markdown and stripped text object
  *
  * @param {string} messageString
+ * @param {List} mentionsList people mentioned while composing the message,
+ * with the offsets at which their names were inserted
  * @returns {object}
  */
-function createMessageObject(messageString) {
+function createMessageObject(messageString, mentionsList) {
   let content;
-  let markedString = marked(messageString) || ``;
+  // Only mentions whose names are still where they were inserted
+  const mentions = mentionsList && messageString ? mentionsList.toArray().filter((mention) =>
+    messageString.substr(mention.offset, mention.displayName.length) === mention.displayName) : [];
+  let markedString = marked(insertMentionPlaceholders(messageString, mentions)) || ``;
   let displayName = messageString || ``;
 
   // The marked library wraps some things in <p> tags that we need to remove
   // Replace a string '<p>sample text<\p>   ' with 'sample text'
   markedString = markedString.replace(/\<p\>/, ``);
   markedString = markedString.replace(/\<\/p\>\s*$/, ``);
+  markedString = replaceMentionPlaceholders(markedString, mentions);
 
   // markedString = HtmlUtil.escapeOutboundString(markedString);
 
@@ -0,0 +1,67 @@
+import reduceActivity, {initialState} from '../reducers/activity';
+
+import {
+  addMentionToActivity,
+  submitActivity,
+  updateActivityText
+} from './activity';
+
+describe(`submitActivity action`, () => {
+  const alice = {displayName: `Alice`, id: `alice-id`};
+  const conversation = {id: `conversation-id`};
+  const user = {id: `user-id`, name: `User`};
+  let spark;
+
+  beforeEach(() => {
+    spark = {
+      conversation: {
+        post: jest.fn()
+      }
+    };
+  });
+
+  /**
+   * Applies actions to an empty composer and posts the result
+   *
+   * @param {array} actions
+   * @returns {object} the message that was posted
+   */
+  function compose(actions) {
+    const activity = actions.reduce(reduceActivity, initialState);
+    submitActivity(conversation, activity, user, spark)(jest.fn());
+    return spark.conversation.post.mock.calls[0][1];
+  }
+
+  it(`tags the mentioned name rather than an earlier occurrence of it`, () => {
+    const message = compose([
+      updateActivityText(`Alice, ping @Ali`),
+      updateActivityText(`Alice, ping Alice `),
+      addMentionToActivity(alice, 12)
+    ]);
+
+    expect(message.content.indexOf(`<spark-mention`)).toBe(12);
+    expect(message.content).toContain(`data-object-id="alice-id">Alice</spark-mention>`);
+    expect(message.displayName).toBe(`Alice, ping Alice`);
+  });
+
+  it(`follows the mention as the text before it changes`, () => {
+    const message = compose([
+      updateActivityText(`Alice, ping Alice `),
+      addMentionToActivity(alice, 12),
+      updateActivityText(`Hey Alice, ping Alice `)
+    ]);
+
+    expect(message.content.indexOf(`<spark-mention`)).toBe(16);
+  });
+
+  it(`drops the mention once its name is edited`, () => {
+    const message = compose([
+      updateActivityText(`ping Alice `),
+      addMentionToActivity(alice, 5),
+      updateActivityText(`ping Alic `)
+    ]);
+
+    expect(message.content).toBeUndefined();
+    expect(message.displayName).toBe(`ping Alic `);
+  });
+});
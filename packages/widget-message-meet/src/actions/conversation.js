@@ -2,9 +2,11 @@ import {updateHasNewMessage} from './widget';
 import {setTyping} from './indicators';
 
 import {removeInflightActivity} from './activity';
+import {getConversationReference} from '../utils/space';
 
 const VISIBLE_ACTIVITY_VERBS = [`share`, `post`];
 const VISIBLE_ACTIVITY_TYPES = [`comment`, `content`, `conversation`];
+export const MEMBERSHIP_ACTIVITY_VERBS = [`add`, `leave`];
 
 export const ACKNOWLEDGE_ACTIVITY = `ACKNOWLEDGE_ACTIVITY`;
 function acknowledgeActivity(activity) {
@@ -46,6 +48,14 @@ export function createConversation(conversation) {
   };
 }
 
+function createConversationError(error) {
+  return {
+    type: CREATE_CONVERSATION,
+    payload: error,
+    error: true
+  };
+}
+
 export const DELETE_ACTIVITY_FROM_CONVERSATION = `DELETE_ACTIVITY_FROM_CONVERSATION`;
 export function deleteActivityFromConversation(conversation, activity) {
   return {
@@ -114,14 +124,37 @@ export function createConversationWithUser(userId, spark) {
   return (dispatch) => {
     dispatch(createConversationBegin(userId));
 
-    spark.conversation.create({
+    return spark.conversation.create({
       participants: [userId]
     }, {
       latestActivity: true,
       activitiesLimit: 30,
       participantAckFilter: `all`
     })
-      .then((conversation) => dispatch(createConversation(conversation)));
+      .then((conversation) => dispatch(createConversation(conversation)))
+      .catch((error) => dispatch(createConversationError(error)));
+  };
+}
+
+/**
+ * Opens an existing (group) space
+ *
+ * @param {String} spaceId Conversation url, conversation id or Spark API room
+ * id
+ * @param {object} spark
+ * @returns {function}
+ */
+export function fetchSpace(spaceId, spark) {
+  return (dispatch) => {
+    dispatch(createConversationBegin());
+
+    return spark.conversation.get(getConversationReference(spaceId), {
+      activitiesLimit: 30,
+      includeParticipants: true,
+      participantAckFilter: `all`
+    })
+      .then((conversation) => dispatch(createConversation(conversation)))
+      .catch((error) => dispatch(createConversationError(error)));
   };
 }
 
@@ -158,7 +191,7 @@ export function listenToMercuryActivity(conversationId, spark) {
           dispatch(receiveMercuryComment(activity));
           dispatch(removeInflightActivity(activity.clientTempId));
         }
-        else if (activity.object.objectType === `activity`) {
+        else if (activity.object.objectType === `activity` || MEMBERSHIP_ACTIVITY_VERBS.indexOf(activity.verb) !== -1) {
           dispatch(receiveMercuryActivity(activity));
         }
       }
@@ -0,0 +1,39 @@
+import reduceConversation, {initialState} from '../reducers/conversation';
+
+import {fetchSpace} from './conversation';
+
+/**
+ * Applies every action passed to a mock dispatch to the initial state
+ *
+ * @param {function} dispatch
+ * @returns {object}
+ */
+function reduceDispatched(dispatch) {
+  return dispatch.mock.calls
+    .map((call) => call[0])
+    .reduce(reduceConversation, initialState);
+}
+
+describe(`fetchSpace action`, () => {
+  const error = new Error(`not found`);
+  let dispatch;
+
+  beforeEach(() => {
+    const spark = {
+      conversation: {
+        get: jest.fn()
+      }
+    };
+    spark.conversation.get.mockReturnValue(Promise.reject(error));
+    dispatch = jest.fn();
+
+    return fetchSpace(`https://conv-a.wbx2.com/conversation/api/v1/conversations/space-id`, spark)(dispatch);
+  });
+
+  it(`stops fetching and records the error when the space cannot be fetched`, () => {
+    const state = reduceDispatched(dispatch);
+    expect(state.isFetching).toBe(false);
+    expect(state.isLoaded).toBe(false);
+    expect(state.status.error).toBe(error);
+  });
+});
@@ -0,0 +1,102 @@
+// Number of people shown in the mention picker
+const MAX_MENTION_RESULTS = 5;
+
+export const RESET_MENTIONS = `RESET_MENTIONS`;
+export function resetMentions() {
+  return {
+    type: RESET_MENTIONS
+  };
+}
+
+export const SELECT_MENTION = `SELECT_MENTION`;
+export function selectMention(index) {
+  return {
+    type: SELECT_MENTION,
+    payload: {
+      index
+    }
+  };
+}
+
+export const UPDATE_MENTION_QUERY = `UPDATE_MENTION_QUERY`;
+export function updateMentionQuery(query) {
+  return {
+    type: UPDATE_MENTION_QUERY,
+    payload: {
+      query
+    }
+  };
+}
+
+export const UPDATE_MENTION_RESULTS = `UPDATE_MENTION_RESULTS`;
+export function updateMentionResults(query, results) {
+  return {
+    type: UPDATE_MENTION_RESULTS,
+    payload: {
+      query,
+      results
+    }
+  };
+}
+
+/**
+ * Determines if a person matches a mention query
+ *
+ * @param {object} person
+ * @param {string} query
+ * @returns {bool}
+ */
+function matchesQuery(person, query) {
+  const lowerQuery = query.toLowerCase();
+  return [person.displayName, person.emailAddress, person.email]
+    .some((value) => value && value.toLowerCase()
+      .split(/\s+/)
+      .some((word) => word.indexOf(lowerQuery) === 0));
+}
+
+/**
+ * Reduces a person to the properties needed by the mention picker
+ *
+ * @param {object} person
+ * @returns {object}
+ */
+function toMentionResult(person) {
+  return {
+    displayName: person.displayName,
+    id: person.id
+  };
+}
+
+/**
+ * Searches the conversation participants and then the directory for people
+ * matching the text typed after an `@`
+ *
+ * @param {string} query
+ * @param {array} participants
+ * @param {string} currentUserId
+ * @param {object} spark
+ * @returns {function}
+ */
+export function searchMentions(query, participants, currentUserId, spark) {
+  return (dispatch) => {
+    const matches = participants
+      .filter((participant) => participant.id !== currentUserId && matchesQuery(participant, query))
+      .map(toMentionResult);
+    dispatch(updateMentionResults(query, matches.slice(0, MAX_MENTION_RESULTS)));
+
+    if (!query || matches.length >= MAX_MENTION_RESULTS) {
+      return Promise.resolve();
+    }
+
+    return spark.search.people({queryString: query, size: MAX_MENTION_RESULTS})
+      .then((people) => {
+        const ids = matches.map((match) => match.id);
+        const results = matches.concat(people
+          .filter((person) => person.id !== currentUserId && ids.indexOf(person.id) === -1)
+          .map(toMentionResult));
+        dispatch(updateMentionResults(query, results.slice(0, MAX_MENTION_RESULTS)));
+      })
+      // Directory search is best effort, participant matches are still shown
+      .catch(() => Promise.resolve());
+  };
+}
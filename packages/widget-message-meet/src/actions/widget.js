@@ -29,6 +29,14 @@ export function showScrollToBottomButton(isVisible) {
   };
 }
 
+export function showMemberList(isVisible) {
+  return (dispatch) => {
+    dispatch(updateWidgetState({
+      showMemberList: isVisible
+    }));
+  };
+}
+
 
 export function updateHasNewMessage(hasNew) {
   return (dispatch) => {
@@ -7,7 +7,12 @@ import './styles/main.css';
 
 export function initMessageMeetWidget(element, config) {
   ReactDOM.render(
-    <Root accessToken={config.accessToken} toPersonEmail={config.toPersonEmail} toPersonId={config.toPersonId} />,
+    <Root
+      accessToken={config.accessToken}
+      spaceId={config.spaceId}
+      toPersonEmail={config.toPersonEmail}
+      toPersonId={config.toPersonId}
+    />,
     element
   );
 
@@ -19,6 +24,7 @@ function loadAllWidgets() {
   for (const widget of widgets) {
     initMessageMeetWidget(widget, {
       accessToken: widget.getAttribute(`data-access-token`) || undefined,
+      spaceId: widget.getAttribute(`data-space-id`) || undefined,
       toPersonEmail: widget.getAttribute(`data-to-person-email`) || undefined,
       toPersonId: widget.getAttribute(`data-to-person-id`) || undefined
     });
@@ -5,53 +5,83 @@ import {FormattedMessage} from 'react-intl';
 
 import styles from './styles.css';
 
-export const SYSTEM_MESSAGE_VERB_TOMBSTONE = `tombstone`;
+export const SYSTEM_MESSAGE_VERB_ADD = `add`;
 export const SYSTEM_MESSAGE_VERB_CREATE = `create`;
-export const SYSTEM_MESSAGE_VERBS = [SYSTEM_MESSAGE_VERB_CREATE, SYSTEM_MESSAGE_VERB_TOMBSTONE];
+export const SYSTEM_MESSAGE_VERB_LEAVE = `leave`;
+export const SYSTEM_MESSAGE_VERB_TOMBSTONE = `tombstone`;
+export const SYSTEM_MESSAGE_VERBS = [
+  SYSTEM_MESSAGE_VERB_ADD,
+  SYSTEM_MESSAGE_VERB_CREATE,
+  SYSTEM_MESSAGE_VERB_LEAVE,
+  SYSTEM_MESSAGE_VERB_TOMBSTONE
+];
+
+// Messages for each verb, when the actor is the current user and when it is
+// someone else
+const messages = {
+  [SYSTEM_MESSAGE_VERB_ADD]: [{
+    defaultMessage: `You added {participant} to this space.`,
+    id: `youAddedSomeone`
+  }, {
+    defaultMessage: `{name} added {participant} to this space.`,
+    id: `someoneAddedSomeone`
+  }],
+  [SYSTEM_MESSAGE_VERB_CREATE]: [{
+    defaultMessage: `You created conversation.`,
+    id: `youCreatedConversation`
+  }, {
+    defaultMessage: `{name} created conversation.`,
+    id: `someoneElseCreatedConversation`
+  }],
+  [SYSTEM_MESSAGE_VERB_LEAVE]: [{
+    defaultMessage: `You left this space.`,
+    id: `youLeftSpace`
+  }, {
+    defaultMessage: `{name} left this space.`,
+    id: `someoneLeftSpace`
+  }],
+  // A leave activity whose object isn't its actor is a removal
+  remove: [{
+    defaultMessage: `You removed {participant} from this space.`,
+    id: `youRemovedSomeone`
+  }, {
+    defaultMessage: `{name} removed {participant} from this space.`,
+    id: `someoneRemovedSomeone`
+  }],
+  [SYSTEM_MESSAGE_VERB_TOMBSTONE]: [{
+    defaultMessage: `You deleted your message.`,
+    id: `youDeletedYourMessage`
+  }, {
+    defaultMessage: `{name} deleted their own message.`,
+    id: `someoneDeletedTheirMessage`
+  }]
+};
 
 export default function ActivityItemSystemMessage(props) {
   const {
+    activity,
+    actorId,
     isSelf,
     name,
     timestamp,
     verb
   } = props;
 
-  let systemMessage;
-
-  if (verb === SYSTEM_MESSAGE_VERB_CREATE) {
-    if (isSelf) {
-      systemMessage = ( // eslint-disable-line no-extra-parens
-        <FormattedMessage
-          defaultMessage={`You created conversation.`}
-          id={`youCreatedConversation`}
-        />);
-    }
-    else {
-      systemMessage = ( // eslint-disable-line no-extra-parens
-        <FormattedMessage
-          defaultMessage={`{name} created conversation.`}
-          id={`someoneElseCreatedConversation`}
-          values={{name}}
-        />);
-    }
+  let messageKey = verb;
+  if (verb === SYSTEM_MESSAGE_VERB_LEAVE && activity && actorId && activity.id !== actorId) {
+    messageKey = `remove`;
   }
-  else if (verb === SYSTEM_MESSAGE_VERB_TOMBSTONE) {
-    if (isSelf) {
-      systemMessage = ( // eslint-disable-line no-extra-parens
-        <FormattedMessage
-          defaultMessage={`You deleted your message.`}
-          id={`youDeletedYourMessage`}
-        />);
-    }
-    else {
-      systemMessage = ( // eslint-disable-line no-extra-parens
-        <FormattedMessage
-          defaultMessage={`{name} deleted their own message.`}
-          id={`someoneDeletedTheirMessage`}
-          values={{name}}
-        />);
-    }
+
+  let systemMessage;
+  if (messages[messageKey]) {
+    const message = messages[messageKey][isSelf ? 0 : 1];
+    const participant = activity ? activity.displayName : undefined;
+    systemMessage = ( // eslint-disable-line no-extra-parens
+      <FormattedMessage
+        defaultMessage={message.defaultMessage}
+        id={message.id}
+        values={{name, participant}}
+      />);
   }
 
   return (
@@ -62,9 +92,10 @@ export default function ActivityItemSystemMessage(props) {
 }
 
 ActivityItemSystemMessage.propTypes = {
+  activity: PropTypes.object,
+  actorId: PropTypes.string,
   isSelf: PropTypes.bool,
   name: PropTypes.string.isRequired,
   timestamp: PropTypes.string,
   verb: PropTypes.string.isRequired
 };
-
@@ -70,3 +70,58 @@ describe(`ActivityItemSystemMessage create component`, () => {
   });
 });
 
+
+describe(`ActivityItemSystemMessage add component`, () => {
+  const component = createComponentWithIntl(
+    <ActivityItemSystemMessage
+      activity={{id: `test-456-456-456-456`, displayName: `Other User`}}
+      actorId={`test-789-789-789-789`}
+      id={`test-123-123-123-123`}
+      name={`Test User`}
+      timestamp={`2016-09-20T19:52:57.186Z`}
+      verb={`add`}
+    />
+  );
+
+  it(`names the actor and the added participant`, () => {
+    const [message] = component.toJSON().children;
+    expect(message.children).toEqual([`Test User added Other User to this space.`]);
+  });
+});
+
+describe(`ActivityItemSystemMessage leave component`, () => {
+  const component = createComponentWithIntl(
+    <ActivityItemSystemMessage
+      activity={{id: `test-789-789-789-789`, displayName: `Test User`}}
+      actorId={`test-789-789-789-789`}
+      id={`test-123-123-123-123`}
+      name={`Test User`}
+      timestamp={`2016-09-20T19:52:57.186Z`}
+      verb={`leave`}
+    />
+  );
+
+  it(`reports that the actor left`, () => {
+    const [message] = component.toJSON().children;
+    expect(message.children).toEqual([`Test User left this space.`]);
+  });
+});
+
+describe(`ActivityItemSystemMessage leave component removing someone else is self`, () => {
+  const component = createComponentWithIntl(
+    <ActivityItemSystemMessage
+      activity={{id: `test-456-456-456-456`, displayName: `Other User`}}
+      actorId={`test-789-789-789-789`}
+      id={`test-123-123-123-123`}
+      isSelf
+      name={`Test User`}
+      timestamp={`2016-09-20T19:52:57.186Z`}
+      verb={`leave`}
+    />
+  );
+
+  it(`reports that the current user removed the participant`, () => {
+    const [message] = component.toJSON().children;
+    expect(message.children).toEqual([`You removed Other User from this space.`]);
+  });
+});
@@ -1,6 +1,8 @@
 import React, {PropTypes} from 'react';
 import classNames from 'classnames';
 
+import {renderMentions} from '../../utils/mentions';
+
 import styles from './styles.css';
 
 export default function ActivityItemText(props) {
@@ -11,7 +13,7 @@ export default function ActivityItemText(props) {
 
   /* eslint-disable-reason content is considered safe from server */
   /* eslint-disable react/no-danger */
-  const htmlContent = {__html: content};
+  const htmlContent = {__html: renderMentions(content, styles)};
   return (
     <div
       className={classNames(`activity-text`, styles.activityText)}
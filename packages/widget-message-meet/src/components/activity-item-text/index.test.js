@@ -14,3 +14,16 @@ describe(`ActivityItemText component`, () => {
     expect(component).toMatchSnapshot();
   });
 });
+
+describe(`ActivityItemText component with mentions`, () => {
+  const content = `<spark-mention data-object-type="person" data-object-id="test-123">Test User</spark-mention>, see <spark-mention data-object-type="groupMention" data-group-type="all">All</spark-mention>`;
+
+  const component = renderer.create(
+    <ActivityItemText content={content} />
+  );
+
+  it(`renders mentions as spans`, () => {
+    const {__html: html} = component.toJSON().props.dangerouslySetInnerHTML;
+    expect(html).toBe(`<span class="mention" data-object-id="test-123" data-object-type="person">Test User</span>, see <span class="mention mention-group" data-object-id="" data-object-type="groupMention">All</span>`);
+  });
+});
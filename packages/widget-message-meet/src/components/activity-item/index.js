@@ -46,6 +46,7 @@ export default function ActivityItem(props) {
 /* eslint-disable-reason passing props via destructuring */
 ActivityItem.propTypes = {
   activity: PropTypes.object,
+  actorId: PropTypes.string,
   avatarUrl: PropTypes.string,
   id: PropTypes.string.isRequired,
   isAdditional: PropTypes.bool,
@@ -29,6 +29,7 @@ export default function ActivityList(props) {
       return (
         <ActivityItem
           activity={activity.object}
+          actorId={activity.actor.id}
           avatarUrl={avatarUrl}
           id={activity.id}
           isAdditional={isAdditional}
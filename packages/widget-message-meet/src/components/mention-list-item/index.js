@@ -0,0 +1,47 @@
+import React, {PropTypes} from 'react';
+import classNames from 'classnames';
+
+import Avatar from '../avatar';
+import styles from './styles.css';
+
+export default function MentionListItem(props) {
+  const {
+    displayName,
+    id,
+    image,
+    index,
+    isSelected,
+    onSelect
+  } = props;
+
+  function handleMouseDown(e) {
+    // Keep the focus in the composer
+    e.preventDefault();
+    onSelect(index);
+  }
+
+  return (
+    <li
+      aria-selected={isSelected}
+      className={classNames(`mention-list-item`, styles.mentionListItem, {
+        [`selected`]: isSelected,
+        [styles.selected]: isSelected
+      })}
+      data-object-id={id}
+      onMouseDown={handleMouseDown}
+      role="option"
+    >
+      <Avatar image={image} name={displayName} />
+      <span className={classNames(`mention-name`, styles.mentionName)}>{displayName}</span>
+    </li>
+  );
+}
+
+MentionListItem.propTypes = {
+  displayName: PropTypes.string.isRequired,
+  id: PropTypes.string.isRequired,
+  image: PropTypes.string,
+  index: PropTypes.number.isRequired,
+  isSelected: PropTypes.bool,
+  onSelect: PropTypes.func.isRequired
+};
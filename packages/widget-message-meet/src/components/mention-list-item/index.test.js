@@ -0,0 +1,38 @@
+import React from 'react';
+import renderer from 'react-test-renderer';
+
+import MentionListItem from '.';
+
+describe(`MentionListItem component`, () => {
+  const onSelect = jest.fn();
+  const component = renderer.create(
+    <MentionListItem
+      displayName="Alice Example"
+      id="alice-id"
+      index={2}
+      isSelected
+      onSelect={onSelect}
+    />
+  );
+
+  it(`renders the person's name`, () => {
+    const tree = component.toJSON();
+    expect(tree.type).toBe(`li`);
+    expect(tree.props.role).toBe(`option`);
+    expect(tree.props[`data-object-id`]).toBe(`alice-id`);
+    expect(tree.children[tree.children.length - 1].children).toEqual([`Alice Example`]);
+  });
+
+  it(`marks the selected person`, () => {
+    const tree = component.toJSON();
+    expect(tree.props[`aria-selected`]).toBe(true);
+    expect(tree.props.className.split(` `)).toContain(`selected`);
+  });
+
+  it(`selects the person on mouse down`, () => {
+    const event = {preventDefault: jest.fn()};
+    component.toJSON().props.onMouseDown(event);
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(onSelect).toHaveBeenCalledWith(2);
+  });
+});
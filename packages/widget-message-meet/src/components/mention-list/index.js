@@ -0,0 +1,42 @@
+import React, {PropTypes} from 'react';
+import classNames from 'classnames';
+
+import MentionListItem from '../mention-list-item';
+import styles from './styles.css';
+
+export default function MentionList(props) {
+  const {
+    items,
+    onSelect,
+    selectedIndex
+  } = props;
+  const avatars = props.avatars || {};
+
+  const listItems = items.map((item, index) =>
+    <MentionListItem
+      displayName={item.displayName}
+      id={item.id}
+      image={avatars[item.id]}
+      index={index}
+      isSelected={index === selectedIndex}
+      key={item.id}
+      onSelect={onSelect}
+    />
+  );
+
+  return (
+    <ul className={classNames(`mention-list`, styles.mentionList)} role="listbox">
+      {listItems}
+    </ul>
+  );
+}
+
+MentionList.propTypes = {
+  avatars: PropTypes.object,
+  items: PropTypes.arrayOf(PropTypes.shape({
+    displayName: PropTypes.string,
+    id: PropTypes.string
+  })).isRequired,
+  onSelect: PropTypes.func.isRequired,
+  selectedIndex: PropTypes.number
+};
@@ -0,0 +1,34 @@
+import React from 'react';
+import renderer from 'react-test-renderer';
+
+import MentionList from '.';
+
+describe(`MentionList component`, () => {
+  const items = [
+    {displayName: `Alice Example`, id: `alice-id`},
+    {displayName: `Bob Example`, id: `bob-id`}
+  ];
+  const component = renderer.create(
+    <MentionList
+      avatars={{'bob-id': `https://example.com/bob.png`}}
+      items={items}
+      onSelect={jest.fn()}
+      selectedIndex={1}
+    />
+  );
+
+  it(`renders a list item for each person`, () => {
+    const tree = component.toJSON();
+    expect(tree.type).toBe(`ul`);
+    expect(tree.props.role).toBe(`listbox`);
+    expect(tree.children.length).toBe(2);
+    expect(tree.children[0].props[`data-object-id`]).toBe(`alice-id`);
+    expect(tree.children[1].props[`data-object-id`]).toBe(`bob-id`);
+  });
+
+  it(`marks the selected person`, () => {
+    const [alice, bob] = component.toJSON().children;
+    expect(alice.props[`aria-selected`]).toBe(false);
+    expect(bob.props[`aria-selected`]).toBe(true);
+  });
+});
@@ -1,5 +1,6 @@
 import React, {PropTypes} from 'react';
 import classNames from 'classnames';
+import {FormattedMessage} from 'react-intl';
 
 import styles from './styles.css';
 
@@ -7,16 +8,43 @@ import Avatar from '../avatar';
 import ConnectionStatus from '../connection-status';
 
 
-export default function TitleBar({connectionStatus, displayName, image}) {
+export default function TitleBar({connectionStatus, displayName, image, onParticipantsClick, participants, showMemberList}) {
+  let memberList, participantCount;
+
+  // Group spaces list their participants
+  if (participants) {
+    participantCount = ( // eslint-disable-line no-extra-parens
+      <button className={classNames(`participant-count`, styles.participantCount)} onClick={onParticipantsClick}>
+        <FormattedMessage
+          defaultMessage={`{count, plural, one {# participant} other {# participants}}`}
+          id={`participantCount`}
+          values={{count: participants.length}}
+        />
+      </button>
+    );
+
+    if (showMemberList) {
+      const members = participants.map((participant) =>
+        <li className={classNames(`member`, styles.member)} key={participant.id}>
+          <Avatar image={participant.image} name={participant.displayName} />
+          <span className={classNames(`member-name`, styles.memberName)}>{participant.displayName}</span>
+        </li>
+      );
+      memberList = <ul className={classNames(`member-list`, styles.memberList)}>{members}</ul>;
+    }
+  }
+
   return (
     <div className={classNames(`title-bar`, styles.titleBar)}>
       <div className={classNames(`avatar-container`, styles.avatarContainer)}>
         <Avatar image={image} name={displayName} />
       </div>
       <h1 className={classNames(`title`, styles.title)}>{displayName}</h1>
+      {participantCount}
       <div className={classNames(`connection-status-container`, styles.connectionStatusContainer)}>
         <ConnectionStatus {...connectionStatus} />
       </div>
+      {memberList}
     </div>
   );
 }
@@ -24,5 +52,12 @@ export default function TitleBar({connectionStatus, displayName, image}) {
 TitleBar.propTypes = {
   connectionStatus: PropTypes.object,
   displayName: PropTypes.string.isRequired,
-  image: PropTypes.string
+  image: PropTypes.string,
+  onParticipantsClick: PropTypes.func,
+  participants: PropTypes.arrayOf(PropTypes.shape({
+    displayName: PropTypes.string,
+    id: PropTypes.string,
+    image: PropTypes.string
+  })),
+  showMemberList: PropTypes.bool
 };
@@ -1,6 +1,8 @@
 import React from 'react';
 import renderer from 'react-test-renderer';
 
+import createComponentWithIntl from '../../utils/createComponentWithIntl';
+
 import TitleBar from '.';
 
 let displayName;
@@ -18,4 +20,26 @@ describe(`TitleBar component`, () => {
     expect(component).toMatchSnapshot();
   });
 
+  it(`renders participant count and member list for group spaces`, () => {
+    const participants = [
+      {displayName: `Alice`, id: `alice-id`},
+      {displayName: `Bob`, id: `bob-id`}
+    ];
+    const groupComponent = createComponentWithIntl(
+      <TitleBar
+        displayName={`Group Space`}
+        participants={participants}
+        showMemberList
+      />
+    );
+    const [, title, participantCount, , memberList] = groupComponent.toJSON().children;
+    expect(title.children).toEqual([`Group Space`]);
+    expect(participantCount.type).toBe(`button`);
+    expect(participantCount.children[0].children).toEqual([`2 participants`]);
+
+    const [alice, bob] = memberList.children;
+    expect(alice.children[1].children).toEqual([`Alice`]);
+    expect(bob.children[1].children).toEqual([`Bob`]);
+  });
+
 });
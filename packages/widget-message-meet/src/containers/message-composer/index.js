@@ -5,13 +5,21 @@ import classNames from 'classnames';
 import _ from 'lodash';
 
 import {
+  addMentionToActivity,
   setUserTyping,
   submitActivity,
   updateActivityText
 } from '../../actions/activity';
+import {
+  resetMentions,
+  searchMentions,
+  selectMention,
+  updateMentionQuery
+} from '../../actions/mentions';
 import {blurTextArea, focusTextArea} from '../../actions/widget';
 
 import FileUploader from '../file-uploader';
+import MentionList from '../../components/mention-list';
 import TextArea from '../../components/textarea';
 
 
@@ -19,6 +27,16 @@ import styles from './styles.css';
 
 // milliseconds before repeating a 'is typing' status
 const TYPING_DELAY = 150;
+// milliseconds to wait for more input before searching for people to mention
+const MENTION_SEARCH_DELAY = 250;
+// Matches an `@` at the start of a word and the text typed after it
+const MENTION_QUERY_PATTERN = /(?:^|\s)@([^\s@]*)$/;
+
+const KEY_ENTER = 13;
+const KEY_ESCAPE = 27;
+const KEY_TAB = 9;
+const KEY_UP = 38;
+const KEY_DOWN = 40;
 
 export class MessageComposer extends Component {
   constructor(props) {
@@ -28,6 +46,7 @@ export class MessageComposer extends Component {
     this.handleTextAreaFocus = this.handleTextAreaFocus.bind(this);
     this.handleKeyDown = this.handleKeyDown.bind(this);
     this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleMentionSelect = this.handleMentionSelect.bind(this);
     this.debouncedTyping = _.debounce(
       this.sendTyping,
       TYPING_DELAY,
@@ -37,11 +56,12 @@ export class MessageComposer extends Component {
         trailing: false
       }
     );
+    this.debouncedSearchMentions = _.debounce(this.searchMentions, MENTION_SEARCH_DELAY);
   }
 
   shouldComponentUpdate(nextProps) {
     const props = this.props;
-    return props.activity !== nextProps.activity || props.widget !== nextProps.widget;
+    return props.activity !== nextProps.activity || props.mentions !== nextProps.mentions || props.widget !== nextProps.widget;
   }
 
   handleTextChange(e) {
@@ -54,10 +74,14 @@ export class MessageComposer extends Component {
       } = props;
       props.setUserTyping(false, conversation, spark);
     }
+    this.updateMentionQuery(e.target.value, e.target.selectionStart);
   }
 
   handleKeyDown(e) {
-    if (e.keyCode === 13 && !e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
+    if (this.isMentionListOpen() && this.handleMentionKeyDown(e)) {
+      e.preventDefault();
+    }
+    else if (e.keyCode === KEY_ENTER && !e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey) {
       this.handleSubmit();
       e.preventDefault();
     }
@@ -67,6 +91,58 @@ export class MessageComposer extends Component {
     }
   }
 
+  /**
+   * Navigates and picks from the mention list
+   *
+   * @param {object} e keydown event
+   * @returns {bool} true if the key was handled
+   */
+  handleMentionKeyDown(e) {
+    const props = this.props;
+    const {results, selectedIndex} = props.mentions;
+
+    switch (e.keyCode) {
+    case KEY_UP:
+      props.selectMention((selectedIndex + results.length - 1) % results.length);
+      return true;
+    case KEY_DOWN:
+      props.selectMention((selectedIndex + 1) % results.length);
+      return true;
+    case KEY_ENTER:
+    case KEY_TAB:
+      this.handleMentionSelect(selectedIndex);
+      return true;
+    case KEY_ESCAPE:
+      props.resetMentions();
+      return true;
+    default:
+      return false;
+    }
+  }
+
+  /**
+   * Replaces the `@query` being typed with the selected person's name
+   *
+   * @param {number} index of the person in the mention list
+   * @returns {undefined}
+   */
+  handleMentionSelect(index) {
+    const props = this.props;
+    const {query, results} = props.mentions;
+    const person = results[index];
+    const text = props.activity.get(`text`) || ``;
+    const start = text.lastIndexOf(`@${query}`);
+
+    if (person && start !== -1) {
+      const before = text.slice(0, start);
+      const after = text.slice(start + query.length + 1);
+      props.updateActivityText(`${before}${person.displayName} ${after.replace(/^\s/, ``)}`);
+      props.addMentionToActivity(person, start);
+    }
+    this.debouncedSearchMentions.cancel();
+    props.resetMentions();
+  }
+
   handleSubmit() {
     const props = this.props;
     const {
@@ -98,6 +174,42 @@ export class MessageComposer extends Component {
     props.focusTextArea();
   }
 
+  /**
+   * Opens, updates or closes the mention list according to the text before
+   * the caret
+   *
+   * @param {string} text
+   * @param {number} caret
+   * @returns {undefined}
+   */
+  updateMentionQuery(text, caret) {
+    const props = this.props;
+    const match = MENTION_QUERY_PATTERN.exec(text.slice(0, caret === undefined ? text.length : caret));
+
+    if (match) {
+      props.updateMentionQuery(match[1]);
+      this.debouncedSearchMentions(props, match[1]);
+    }
+    else if (props.mentions && props.mentions.query !== null) {
+      this.debouncedSearchMentions.cancel();
+      props.resetMentions();
+    }
+  }
+
+  isMentionListOpen() {
+    const {mentions} = this.props;
+    return Boolean(mentions && mentions.query !== null && mentions.results.length);
+  }
+
+  searchMentions(props, query) {
+    const {
+      conversation,
+      spark,
+      user
+    } = props;
+    props.searchMentions(query, conversation.participants, user.currentUser.id, spark);
+  }
+
   sendTyping(props) {
     const {
       conversation,
@@ -115,8 +227,21 @@ export class MessageComposer extends Component {
     const {placeholder} = this.props;
     const textAreaFocusStyle = props.widget.hasTextAreaFocus ? styles.hasFocus : ``;
 
+    let mentionList;
+    if (this.isMentionListOpen()) {
+      mentionList = ( // eslint-disable-line no-extra-parens
+        <MentionList
+          avatars={props.user.avatars}
+          items={props.mentions.results}
+          onSelect={this.handleMentionSelect}
+          selectedIndex={props.mentions.selectedIndex}
+        />
+      );
+    }
+
     return (
       <div className={classNames(`message-composer`, styles.messageComposer, textAreaFocusStyle)}>
+        {mentionList}
         <FileUploader onSubmit={this.handleSubmit} />
         <div className={classNames(`textarea-container`, styles.textareaContainer)}>
           <TextArea
@@ -146,6 +271,7 @@ function mapStateToProps(state, ownProps) {
     activity: state.activity,
     spark: ownProps.spark,
     conversation: state.conversation,
+    mentions: state.mentions,
     widget: state.widget,
     user: state.user
   };
@@ -154,10 +280,15 @@ function mapStateToProps(state, ownProps) {
 export default connect(
   mapStateToProps,
   (dispatch) => bindActionCreators({
+    addMentionToActivity,
     blurTextArea,
     focusTextArea,
+    resetMentions,
+    searchMentions,
+    selectMention,
     setUserTyping,
     submitActivity,
-    updateActivityText
+    updateActivityText,
+    updateMentionQuery
   }, dispatch)
 )(MessageComposer);
@@ -97,6 +97,75 @@ describe(`MessageComposer component`, () => {
       });
     });
 
+    describe(`mentions`, () => {
+      let messageComposer, props;
+      beforeEach(() => {
+        props = {
+          activity: new Map({text: `Hello @al`}),
+          addMentionToActivity: jest.fn(),
+          mentions: {
+            query: `al`,
+            results: [
+              {displayName: `Alice Example`, id: `alice-id`},
+              {displayName: `Alan Example`, id: `alan-id`}
+            ],
+            selectedIndex: 0
+          },
+          resetMentions: jest.fn(),
+          selectMention: jest.fn(),
+          setUserTyping: jest.fn(),
+          updateActivityText: jest.fn(),
+          updateMentionQuery: jest.fn()
+        };
+        messageComposer = new MessageComposer(props);
+        messageComposer.debouncedSearchMentions = jest.fn();
+        messageComposer.debouncedSearchMentions.cancel = jest.fn();
+        messageComposer.handleSubmit = jest.fn();
+      });
+
+      it(`starts a search when typing after an @`, () => {
+        messageComposer.handleTextChange({target: {selectionStart: 9, value: `Hello @al`}});
+        expect(props.updateMentionQuery).toHaveBeenCalledWith(`al`);
+        expect(messageComposer.debouncedSearchMentions).toHaveBeenCalledWith(props, `al`);
+      });
+
+      it(`closes the mention list when the @ is removed`, () => {
+        messageComposer.handleTextChange({target: {selectionStart: 5, value: `Hello`}});
+        expect(props.resetMentions).toHaveBeenCalled();
+      });
+
+      it(`navigates the mention list with the arrow keys`, () => {
+        const event = {keyCode: 40, preventDefault: jest.fn()};
+        messageComposer.handleKeyDown(event);
+        expect(props.selectMention).toHaveBeenCalledWith(1);
+        expect(event.preventDefault).toHaveBeenCalled();
+        event.keyCode = 38;
+        messageComposer.handleKeyDown(event);
+        expect(props.selectMention).toHaveBeenCalledWith(1);
+      });
+
+      it(`inserts the selected person upon enter key`, () => {
+        messageComposer.handleKeyDown({keyCode: 13, preventDefault: jest.fn()});
+        expect(messageComposer.handleSubmit).not.toHaveBeenCalled();
+        expect(props.updateActivityText).toHaveBeenCalledWith(`Hello Alice Example `);
+        expect(props.addMentionToActivity).toHaveBeenCalledWith(props.mentions.results[0], 6);
+        expect(props.resetMentions).toHaveBeenCalled();
+      });
+
+      it(`records where the name was inserted when it already appears earlier`, () => {
+        props.activity = new Map({text: `Alice Example, ping @al`});
+        messageComposer.handleMentionSelect(0);
+        expect(props.updateActivityText).toHaveBeenCalledWith(`Alice Example, ping Alice Example `);
+        expect(props.addMentionToActivity).toHaveBeenCalledWith(props.mentions.results[0], 20);
+      });
+
+      it(`closes the mention list upon escape key`, () => {
+        messageComposer.handleKeyDown({keyCode: 27, preventDefault: jest.fn()});
+        expect(props.resetMentions).toHaveBeenCalled();
+        expect(props.addMentionToActivity).not.toHaveBeenCalled();
+      });
+    });
+
     describe(`enter key processing`, () => {
       let event;
       const props = {
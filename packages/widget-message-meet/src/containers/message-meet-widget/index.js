@@ -13,6 +13,7 @@ import {
 import {
   acknowledgeActivityOnServer,
   createConversationWithUser,
+  fetchSpace,
   listenToMercuryActivity,
   loadPreviousMessages
 } from '../../actions/conversation';
@@ -30,11 +31,13 @@ import {
   deleteActivityAndDismiss,
   hideDeleteModal,
   setScrollPosition,
+  showMemberList,
   showScrollToBottomButton,
   updateHasNewMessage
 } from '../../actions/widget';
 import {addFiles} from '../../actions/activity';
 import {constructFiles} from '../../utils/files';
+import {isGroupConversation} from '../../utils/space';
 import TitleBar from '../../components/title-bar';
 import ScrollingActivity from '../scrolling-activity';
 import ScrollToBottomButton from '../../components/scroll-to-bottom-button';
@@ -62,6 +65,7 @@ export class MessageMeetWidget extends Component {
     this.handleScrollToBottom = this.handleScrollToBottom.bind(this);
     this.handleSubmit = this.handleSubmit.bind(this);
     this.handleFileDrop = this.handleFileDrop.bind(this);
+    this.handleParticipantsClick = this.handleParticipantsClick.bind(this);
     this.handleScroll = _.debounce(this.handleScroll.bind(this), 150);
     this.renderConversation = this.renderConversation.bind(this);
   }
@@ -69,6 +73,7 @@ export class MessageMeetWidget extends Component {
   componentWillReceiveProps(nextProps) {
     const {
       user,
+      spaceId,
       toPersonEmail,
       toPersonId,
       spark,
@@ -85,8 +90,13 @@ export class MessageMeetWidget extends Component {
       if (!user.currentUser.id && !user.isFetchingCurrentUser) {
         nextProps.fetchCurrentUser(spark);
       }
-      if (!conversation.id && !conversation.isFetching) {
-        nextProps.createConversationWithUser(toPersonId || toPersonEmail, spark);
+      if (!conversation.id && !conversation.isFetching && !conversation.status.error) {
+        if (spaceId) {
+          nextProps.fetchSpace(spaceId, spark);
+        }
+        else {
+          nextProps.createConversationWithUser(toPersonId || toPersonEmail, spark);
+        }
       }
     }
 
@@ -250,6 +260,24 @@ export class MessageMeetWidget extends Component {
     );
   }
 
+  /**
+   * Gets the title of a group space, falling back to the names of the
+   * other participants when the space has not been named
+   *
+   * @param {object} conversation
+   * @returns {string}
+   */
+  getSpaceTitle(conversation) {
+    if (conversation.displayName) {
+      return conversation.displayName;
+    }
+    const props = this.props;
+    return conversation.participants
+      .filter((participant) => participant.id !== props.user.currentUser.id)
+      .map((participant) => participant.displayName)
+      .join(`, `);
+  }
+
   getActivityList(ref) {
     this.activityList = ref;
   }
@@ -282,6 +310,16 @@ export class MessageMeetWidget extends Component {
     }
   }
 
+  /**
+   * Toggles the member list of a group space
+   *
+   * @returns {undefined}
+   */
+  handleParticipantsClick() {
+    const props = this.props;
+    props.showMemberList(!props.widget.showMemberList);
+  }
+
   handleScrollToBottom() {
     this.activityList.scrollToBottom();
   }
@@ -435,9 +473,27 @@ export class MessageMeetWidget extends Component {
       );
     }
 
-    const toUser = this.getUserFromConversation(conversation);
-    const toUserAvatar = avatars[toUser.id];
-    const {displayName} = toUser;
+    let titleBarProps;
+    if (isGroupConversation(conversation)) {
+      titleBarProps = {
+        displayName: this.getSpaceTitle(conversation),
+        onParticipantsClick: this.handleParticipantsClick,
+        participants: conversation.participants.map((participant) => ({
+          displayName: participant.displayName,
+          id: participant.id,
+          image: avatars[participant.id]
+        })),
+        showMemberList: widget.showMemberList
+      };
+    }
+    else {
+      const toUser = this.getUserFromConversation(conversation);
+      titleBarProps = {
+        displayName: toUser.displayName,
+        image: avatars[toUser.id]
+      };
+    }
+    const {displayName} = titleBarProps;
     const placeholderMessage = {
       id: `sendAMessageToRoom`,
       defaultMessage: `Send a message to {displayName}`,
@@ -458,8 +514,7 @@ export class MessageMeetWidget extends Component {
         <div className={classNames(`title-bar-wrapper`, styles.titleBarWrapper)}>
           <TitleBar
             connectionStatus={sparkState}
-            displayName={displayName}
-            image={toUserAvatar}
+            {...titleBarProps}
           />
         </div>
         <Dropzone {...dropzoneProps}>
@@ -520,6 +575,7 @@ export class MessageMeetWidget extends Component {
 
 MessageMeetWidget.propTypes = {
   intl: intlShape.isRequired,
+  spaceId: PropTypes.string,
   toPersonEmail: PropTypes.string,
   toPersonId: PropTypes.string
 };
@@ -550,12 +606,14 @@ export default connect(
     fetchAvatarForUserId,
     fetchCurrentUser,
     fetchFlags,
+    fetchSpace,
     flagActivity,
     hideDeleteModal,
     listenToMercuryActivity,
     loadPreviousMessages,
     removeFlagFromServer,
     setScrollPosition,
+    showMemberList,
     showScrollToBottomButton,
     updateHasNewMessage
   }, dispatch)
@@ -33,12 +33,13 @@ export default function injectWidgetLoader(WrappedComponent) {
     }
 
     handleFieldChange(e) {
-      this.setState({tempUserId: e.target.value});
+      this.setState({[e.target.name]: e.target.value});
     }
 
     handleSubmit(e) {
       e.preventDefault();
       this.setState(Object.assign({}, {
+        spaceId: this.state.tempSpaceId,
         userId: this.state.tempUserId
       }));
     }
@@ -46,10 +47,10 @@ export default function injectWidgetLoader(WrappedComponent) {
     render() {
       let widget;
       const props = this.props;
-      if (this.state && this.state.userId) {
+      if (this.state && (this.state.userId || this.state.spaceId)) {
         widget = ( // eslint-disable-line no-extra-parens
           <div className={classNames(`widget-component-container`, styles.widgetComponentContainer)} >
-            <WrappedComponent accessToken={props.accessToken} userId={this.state.userId} />
+            <WrappedComponent accessToken={props.accessToken} spaceId={this.state.spaceId} userId={this.state.userId} />
           </div>
         );
       }
@@ -59,12 +60,23 @@ export default function injectWidgetLoader(WrappedComponent) {
             <div className={classNames(`field-wrapper`, styles.fieldWrapper)}>
               <input
                 className={classNames(`field-input`, styles.fieldInput)}
+                name="tempUserId"
                 onChange={this.handleFieldChange}
                 placeholder="User ID"
                 type="text"
                 value={this.state ? this.state.tempUserId : ``}
               />
             </div>
+            <div className={classNames(`field-wrapper`, styles.fieldWrapper)}>
+              <input
+                className={classNames(`field-input`, styles.fieldInput)}
+                name="tempSpaceId"
+                onChange={this.handleFieldChange}
+                placeholder="Space ID"
+                type="text"
+                value={this.state ? this.state.tempSpaceId : ``}
+              />
+            </div>
             <button className={classNames(`props-submit`, styles.propsSubmit)} onClick={this.handleSubmit}>{`Chat`}</button>
           </form>
         );
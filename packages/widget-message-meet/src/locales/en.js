@@ -7,6 +7,13 @@ export default {
   someoneElseCreatedConversation: `{name} created conversation.`,
   youDeletedYourMessage: `You deleted your message.`,
   someoneDeletedTheirMessage: `{name} deleted their own message.`,
+  youAddedSomeone: `You added {participant} to this space.`,
+  someoneAddedSomeone: `{name} added {participant} to this space.`,
+  youLeftSpace: `You left this space.`,
+  someoneLeftSpace: `{name} left this space.`,
+  youRemovedSomeone: `You removed {participant} from this space.`,
+  someoneRemovedSomeone: `{name} removed {participant} from this space.`,
+  participantCount: `{count, plural, one {# participant} other {# participants}}`,
   today: `Today`,
   yesterday: `Yesterday`,
   newMessages: `NEW MESSAGES`,
@@ -1,8 +1,9 @@
-import {Map, OrderedMap} from 'immutable';
+import {List, Map, OrderedMap} from 'immutable';
 
 import {
   ADD_FILES_TO_ACTIVITY,
   ADD_INFLIGHT_ACTIVITY,
+  ADD_MENTION_TO_ACTIVITY,
   RESET_ACTIVITY,
   REMOVE_FILE_FROM_ACTIVITY,
   REMOVE_INFLIGHT_ACTIVITY,
@@ -11,6 +12,7 @@ import {
   UPDATE_ACTIVITY_STATUS,
   UPDATE_ACTIVITY_TEXT
 } from '../actions/activity';
+import {updateMentionOffsets} from '../utils/mentions';
 
 export const initialState = new Map({
   activity: new Map({
@@ -18,6 +20,7 @@ export const initialState = new Map({
   }),
   files: new OrderedMap(),
   inFlightActivities: new OrderedMap(),
+  mentions: new List(),
   shareActivity: undefined,
   status: new Map({
     isSending: false,
@@ -45,6 +48,13 @@ export default function reduceActivity(state = initialState, action) {
     return state.mergeIn([`inFlightActivities`], inFlightActivity);
   }
 
+  case ADD_MENTION_TO_ACTIVITY: {
+    const {offset, person} = action.payload;
+    return state.update(`mentions`, (mentions) => mentions
+      .push(Object.assign({}, person, {offset}))
+      .sortBy((mention) => mention.offset));
+  }
+
   case REMOVE_FILE_FROM_ACTIVITY: {
     return state.deleteIn([`files`, action.payload.id]);
   }
@@ -75,8 +85,12 @@ export default function reduceActivity(state = initialState, action) {
   case UPDATE_ACTIVITY_STATUS:
     return state.mergeDeepIn([`status`], action.payload.status);
 
-  case UPDATE_ACTIVITY_TEXT:
-    return state.set(`text`, action.payload.text);
+  case UPDATE_ACTIVITY_TEXT: {
+    const {text} = action.payload;
+    return state
+      .update(`mentions`, (mentions) => updateMentionOffsets(mentions, state.get(`text`), text))
+      .set(`text`, text);
+  }
 
   default:
     return state;
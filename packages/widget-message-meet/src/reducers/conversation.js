@@ -6,6 +6,7 @@ import {
   ADD_ACTIVITIES_TO_CONVERSATION,
   CREATE_CONVERSATION,
   CREATE_CONVERSATION_BEGIN,
+  MEMBERSHIP_ACTIVITY_VERBS,
   RECEIVE_MERCURY_ACTIVITY,
   RECEIVE_MERCURY_COMMENT,
   UPDATE_CONVERSATION_STATE,
@@ -16,6 +17,7 @@ const filteredActivityVerbs = [`delete`];
 
 export const initialState = {
   activities: new OrderedMap(),
+  displayName: null,
   id: null,
   lastAcknowledgedActivityId: null,
   isFetching: false,
@@ -27,7 +29,8 @@ export const initialState = {
   participants: [],
   status: {
     error: null
-  }
+  },
+  tags: []
 };
 
 export default function reduceConversation(state = initialState, action) {
@@ -55,29 +58,7 @@ export default function reduceConversation(state = initialState, action) {
   }
 
   case CREATE_CONVERSATION: {
-    const {
-      defaultActivityEncryptionKeyUrl,
-      id,
-      kmsResourceObjectUrl,
-      participants,
-      url
-    } = action.payload.conversation;
-
-    const filteredActivities = action.payload.conversation.activities.items.filter(filterActivity);
-
-    let activities = new OrderedMap(filteredActivities.map((activity) => [activity.url, activity]));
-    activities = activities.sortBy((activity) => activity.published);
-
-    return Object.assign({}, state, {
-      activities,
-      defaultActivityEncryptionKeyUrl,
-      id,
-      kmsResourceObjectUrl,
-      url,
-      isFetching: false,
-      isLoaded: true,
-      participants: participants.items
-    });
+    return receiveConversation(state, action);
   }
 
   case RECEIVE_MERCURY_ACTIVITY: {
@@ -110,14 +91,88 @@ export default function reduceConversation(state = initialState, action) {
   }
 }
 
+/**
+ * Loads a fetched or created conversation, or records why it couldn't be
+ * fetched
+ *
+ * @param {object} state
+ * @param {object} action
+ * @returns {object}
+ */
+function receiveConversation(state, action) {
+  if (action.error) {
+    return Object.assign({}, state, {
+      isFetching: false,
+      status: Object.assign({}, state.status, {
+        error: action.payload
+      })
+    });
+  }
+
+  const {
+    defaultActivityEncryptionKeyUrl,
+    displayName,
+    id,
+    kmsResourceObjectUrl,
+    participants,
+    tags,
+    url
+  } = action.payload.conversation;
+
+  const filteredActivities = action.payload.conversation.activities.items.filter(filterActivity);
+
+  let activities = new OrderedMap(filteredActivities.map((activity) => [activity.url, activity]));
+  activities = activities.sortBy((activity) => activity.published);
+
+  return Object.assign({}, state, {
+    activities,
+    defaultActivityEncryptionKeyUrl,
+    displayName,
+    id,
+    kmsResourceObjectUrl,
+    url,
+    isFetching: false,
+    isLoaded: true,
+    participants: participants.items,
+    tags: tags || []
+  });
+}
+
 function filterActivity(activity) {
   return filteredActivityVerbs.indexOf(activity.verb) === -1;
 }
 
+/**
+ * Adds a membership change to the activity list and updates participants
+ * accordingly
+ *
+ * @param {object} state
+ * @param {object} activity
+ * @returns {object}
+ */
+function receiveMembershipActivity(state, activity) {
+  const person = activity.object;
+  let participants = state.participants.filter((participant) => participant.id !== person.id);
+  if (activity.verb === `add`) {
+    participants = participants.concat(person);
+  }
+
+  let activities = state.activities.set(activity.url, activity);
+  activities = activities.sortBy((a) => a.published);
+
+  return Object.assign({}, state, {
+    activities,
+    participants
+  });
+}
+
 function receiveMercuryActivity(state, action) {
   let {activities, participants} = state;
   const {activity} = action.payload;
   const {verb} = activity;
+  if (MEMBERSHIP_ACTIVITY_VERBS.indexOf(verb) !== -1) {
+    return receiveMembershipActivity(state, activity);
+  }
   if (verb === `delete`) {
     // Find activity that is being deleted and change it to a tombstone
     const deletedId = activity.object.id;
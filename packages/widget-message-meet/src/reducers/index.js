@@ -1,6 +1,7 @@
 import conversation from './conversation';
 import flags from './flags';
 import indicators from './indicators';
+import mentions from './mentions';
 import notifications from './notifications';
 import activity from './activity';
 import share from './share';
@@ -11,6 +12,7 @@ export {
   conversation,
   flags,
   indicators,
+  mentions,
   notifications,
   activity,
   share,
@@ -0,0 +1,43 @@
+import {
+  RESET_MENTIONS,
+  SELECT_MENTION,
+  UPDATE_MENTION_QUERY,
+  UPDATE_MENTION_RESULTS
+} from '../actions/mentions';
+
+export const initialState = {
+  // null when the mention picker is closed
+  query: null,
+  results: [],
+  selectedIndex: 0
+};
+
+export default function reduceMentions(state = initialState, action) {
+  switch (action.type) {
+  case RESET_MENTIONS:
+    return initialState;
+
+  case SELECT_MENTION:
+    return Object.assign({}, state, {
+      selectedIndex: action.payload.index
+    });
+
+  case UPDATE_MENTION_QUERY:
+    return Object.assign({}, state, {
+      query: action.payload.query
+    });
+
+  case UPDATE_MENTION_RESULTS:
+    // Ignore results of searches that are no longer current
+    if (action.payload.query !== state.query) {
+      return state;
+    }
+    return Object.assign({}, state, {
+      results: action.payload.results,
+      selectedIndex: 0
+    });
+
+  default:
+    return state;
+  }
+}
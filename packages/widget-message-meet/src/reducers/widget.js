@@ -6,6 +6,7 @@ import {
 export const initialState = {
   deletingActivityId: null,
   showAlertModal: false,
+  showMemberList: false,
   showScrollToBottomButton: false,
   hasNewMessage: false,
   hasTextAreaFocus: false
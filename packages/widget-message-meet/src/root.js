@@ -6,13 +6,18 @@ import messages from './locales/en';
 import MessageMeetWidget from './containers/message-meet-widget';
 import store from './store';
 
-export default function Root({accessToken, toPersonEmail, toPersonId}) {
+export default function Root({accessToken, spaceId, toPersonEmail, toPersonId}) {
   addLocaleData(enLocaleData);
 
   return (
     <Provider store={store}>
       <IntlProvider locale={`en`} messages={messages}>
-        <MessageMeetWidget accessToken={accessToken} toPersonEmail={toPersonEmail} toPersonId={toPersonId} />
+        <MessageMeetWidget
+          accessToken={accessToken}
+          spaceId={spaceId}
+          toPersonEmail={toPersonEmail}
+          toPersonId={toPersonId}
+        />
       </IntlProvider>
     </Provider>
   );
@@ -20,6 +25,7 @@ export default function Root({accessToken, toPersonEmail, toPersonId}) {
 
 Root.propTypes = {
   accessToken: PropTypes.string.isRequired,
+  spaceId: PropTypes.string,
   toPersonEmail: PropTypes.string,
   toPersonId: PropTypes.string
 };
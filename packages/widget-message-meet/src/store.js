@@ -12,6 +12,7 @@ import {
   conversation,
   flags,
   indicators,
+  mentions,
   notifications,
   share,
   user,
@@ -45,6 +46,7 @@ export default createStore(
     conversation,
     flags,
     indicators,
+    mentions,
     notifications,
     share,
     user,
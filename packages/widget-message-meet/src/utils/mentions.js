@@ -0,0 +1,81 @@
+import classNames from 'classnames';
+
+const MENTION_PATTERN = /<spark-mention([^>]*)>([\s\S]*?)<\/spark-mention>/g;
+const ATTRIBUTE_PATTERN = /([\w-]+)="([^"]*)"/g;
+
+export const MENTION_TYPE_GROUP = `groupMention`;
+export const MENTION_TYPE_PERSON = `person`;
+
+function parseAttributes(attributes) {
+  const parsed = {};
+  let match = ATTRIBUTE_PATTERN.exec(attributes);
+  while (match) {
+    parsed[match[1]] = match[2];
+    match = ATTRIBUTE_PATTERN.exec(attributes);
+  }
+  return parsed;
+}
+
+/**
+ * Keeps the offsets of the mentions in a message being composed in step with
+ * an edit to its text. Mentions after the edited range move with it; mentions
+ * the edit touched are dropped.
+ *
+ * @export
+ * @param {List} mentions each with `displayName` and `offset`
+ * @param {string} previous the text before the edit
+ * @param {string} text the text after the edit
+ * @returns {List}
+ */
+export function updateMentionOffsets(mentions, previous, text) {
+  if (!mentions.size || previous === text) {
+    return mentions;
+  }
+
+  const shortest = Math.min(previous.length, text.length);
+  let start = 0;
+  while (start < shortest && previous[start] === text[start]) {
+    start += 1;
+  }
+  let suffix = 0;
+  while (suffix < shortest - start && previous[previous.length - suffix - 1] === text[text.length - suffix - 1]) {
+    suffix += 1;
+  }
+  const end = previous.length - suffix;
+  const delta = text.length - previous.length;
+
+  return mentions
+    .filter((mention) => mention.offset + mention.displayName.length <= start || mention.offset >= end)
+    .map((mention) => {
+      if (mention.offset < end) {
+        return mention;
+      }
+      return Object.assign({}, mention, {offset: mention.offset + delta});
+    });
+}
+
+/**
+ * Replaces the `<spark-mention>` tags in sanitized message html with
+ * styleable spans
+ *
+ * @export
+ * @param {string} html
+ * @param {object} styles css module classes for `mention` and `mentionGroup`
+ * @returns {string}
+ */
+export function renderMentions(html, styles) {
+  if (!html || html.indexOf(`<spark-mention`) === -1) {
+    return html;
+  }
+
+  return html.replace(MENTION_PATTERN, (match, attributes, name) => {
+    const {
+      'data-object-id': objectId,
+      'data-object-type': objectType
+    } = parseAttributes(attributes);
+    const isGroup = objectType === MENTION_TYPE_GROUP;
+    const className = classNames(`mention`, styles.mention, isGroup && [`mention-group`, styles.mentionGroup]);
+
+    return `<span class="${className}" data-object-id="${objectId || ``}" data-object-type="${objectType || MENTION_TYPE_PERSON}">${name}</span>`;
+  });
+}
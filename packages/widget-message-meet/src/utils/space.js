@@ -0,0 +1,39 @@
+const UUID_PATTERN = /^[a-f\d]{8}(?:-[a-f\d]{4}){3}-[a-f\d]{12}$/i;
+const URL_PATTERN = /^https?:\/\//;
+const HYDRA_ROOM_PATTERN = /^ciscospark:\/\/[^/]+\/ROOM\/(.+)$/;
+
+/**
+ * Converts a space identifier into the conversation reference expected by
+ * spark.conversation.get()
+ *
+ * @export
+ * @param {string} spaceId A conversation url, a conversation uuid or a Spark
+ * API room id (`ciscospark://us/ROOM/<uuid>`, base64 encoded)
+ * @returns {object}
+ */
+export function getConversationReference(spaceId) {
+  if (URL_PATTERN.test(spaceId)) {
+    return {url: spaceId};
+  }
+
+  if (!UUID_PATTERN.test(spaceId)) {
+    const decoded = Buffer.from(spaceId, `base64`).toString();
+    const match = HYDRA_ROOM_PATTERN.exec(decoded);
+    if (match) {
+      return {id: match[1]};
+    }
+  }
+
+  return {id: spaceId};
+}
+
+/**
+ * Determines if a conversation is a group space rather than a 1:1
+ *
+ * @export
+ * @param {object} conversation
+ * @returns {bool}
+ */
+export function isGroupConversation(conversation) {
+  return Boolean(conversation.tags) && conversation.tags.indexOf(`ONE_ON_ONE`) === -1;
+}